@@ -0,0 +1,118 @@
+/**
+ * Audit Log Page (admin only)
+ *
+ * Browses the append-only audit log of lookups, check-ins, undone check-ins and
+ * confirmation emails for the selected event, and exports it for reconciliation
+ */
+
+const auditFilters = document.getElementById('auditFilters');
+const auditAction = document.getElementById('auditAction');
+const auditTableBody = document.getElementById('auditTableBody');
+const auditSummary = document.getElementById('auditSummary');
+const auditMore = document.getElementById('auditMore');
+
+const PAGE_SIZE = 100;
+
+// Entries shown so far (for Load More)
+let loadedCount = 0;
+
+/**
+ * Build Filter Query
+ *
+ * @returns {URLSearchParams} Filters from the form
+ */
+function filterParams() {
+    const params = new URLSearchParams({ eventId: currentEventId });
+    const email = document.getElementById('auditEmail').value.trim();
+    const actor = document.getElementById('auditActor').value.trim();
+    // datetime-local values are in the browser's time zone
+    const from = document.getElementById('auditFrom').value;
+    const to = document.getElementById('auditTo').value;
+
+    if (auditAction.value) params.set('action', auditAction.value);
+    if (email) params.set('email', email);
+    if (actor) params.set('actor', actor);
+    if (from) params.set('from', new Date(from).toISOString());
+    if (to) params.set('to', new Date(to).toISOString());
+    return params;
+}
+
+/**
+ * Render Audit Entry
+ *
+ * @param {Object} entry - Audit log entry
+ * @returns {string} Table row HTML
+ */
+function renderEntry(entry) {
+    const device = entry.deviceId ? entry.deviceId.slice(0, 8) : 'server';
+    return `
+        <tr>
+            <td>${escapeHtml(new Date(entry.at).toLocaleString())}</td>
+            <td>${escapeHtml(entry.action)}</td>
+            <td>${escapeHtml(entry.result || '')}</td>
+            <td>${escapeHtml(entry.email || '')}</td>
+            <td>${escapeHtml(entry.actor || '')}${entry.role ? `<br><small>${escapeHtml(entry.role)}</small>` : ''}</td>
+            <td title="${escapeHtml(entry.userAgent || '')}">${escapeHtml(device)}${entry.ip ? `<br><small>${escapeHtml(entry.ip)}</small>` : ''}</td>
+            <td>${escapeHtml(entry.detail || '')}</td>
+        </tr>
+    `;
+}
+
+/**
+ * Load Audit Entries
+ *
+ * @param {boolean} append - Add the next page instead of starting over
+ */
+async function loadEntries(append = false) {
+    const params = filterParams();
+    params.set('limit', PAGE_SIZE);
+    params.set('offset', append ? loadedCount : 0);
+
+    const response = await fetch(`/api/audit?${params}`);
+    if (response.status === 401) return redirectToLogin();
+
+    const result = await response.json();
+    if (!response.ok) {
+        auditSummary.textContent = result.error || 'Failed to load the audit log';
+        return;
+    }
+
+    if (auditAction.options.length === 1) {
+        auditAction.innerHTML += result.actions
+            .map((action) => `<option value="${escapeHtml(action)}">${escapeHtml(action)}</option>`)
+            .join('');
+    }
+
+    const rows = result.entries.map(renderEntry).join('');
+    auditTableBody.innerHTML = append ? auditTableBody.innerHTML + rows : rows;
+    loadedCount = (append ? loadedCount : 0) + result.entries.length;
+
+    auditSummary.textContent = result.total
+        ? `Showing ${loadedCount} of ${result.total} entries`
+        : 'No entries match these filters.';
+    auditMore.hidden = loadedCount >= result.total;
+}
+
+async function initializeAuditPage() {
+    if (!await loadCurrentUser()) return;
+    setupStaffBar();
+
+    await setupEventSelector(document.getElementById('eventSelect'), () => loadEntries());
+
+    auditFilters.addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadEntries();
+    });
+    auditFilters.querySelectorAll('[data-export]').forEach((button) => {
+        button.addEventListener('click', () => {
+            const params = filterParams();
+            params.set('format', button.dataset.export);
+            window.location.href = `/api/audit/export?${params}`;
+        });
+    });
+    auditMore.addEventListener('click', () => loadEntries(true));
+
+    await loadEntries();
+}
+
+document.addEventListener('DOMContentLoaded', initializeAuditPage);
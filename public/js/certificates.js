@@ -0,0 +1,219 @@
+/**
+ * Certificates Page (admin only)
+ *
+ * Issues attendance certificates to everyone checked in at the selected event and
+ * recommendation letters to chosen attendees, emails them in bulk through the email
+ * queue, and lists issued documents with their verification IDs for download or revocation
+ */
+
+const documentTableBody = document.getElementById('documentTableBody');
+const documentEmpty = document.getElementById('documentEmpty');
+const typeFilter = document.getElementById('typeFilter');
+const certificateMessage = document.getElementById('certificateMessage');
+const issueBtn = document.getElementById('issueBtn');
+const sendBtn = document.getElementById('sendBtn');
+const letterForm = document.getElementById('letterForm');
+const letterError = document.getElementById('letterError');
+const letterBtn = document.getElementById('letterBtn');
+
+// Document type shown in the table ('' for all)
+let selectedType = '';
+
+const DOCUMENT_LABELS = {
+    certificate: 'Certificate',
+    letter: 'Letter'
+};
+
+/**
+ * Call the Certificates API
+ *
+ * @param {string} path - Route under /api/certificates
+ * @param {string} [method] - HTTP method
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} { ok, status, result }
+ */
+async function certificateRequest(path, method = 'GET', body) {
+    const response = await fetch(`/api/certificates${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (response.status === 401) redirectToLogin();
+    const result = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, result };
+}
+
+/**
+ * Show the Outcome of an Action
+ *
+ * @param {string} tone - Response class (success, not-found...)
+ * @param {string} text - Message
+ */
+function showMessage(tone, text) {
+    certificateMessage.hidden = false;
+    certificateMessage.className = `response-message ${tone}`;
+    certificateMessage.innerHTML = `<p>${escapeHtml(text)}</p>`;
+}
+
+/**
+ * Render a Document's Email Status
+ *
+ * @param {Object} doc - Issued document
+ * @returns {string} HTML status badge
+ */
+function renderEmailStatus(doc) {
+    if (doc.revokedAt) return '<span class="job-status failed">revoked</span>';
+    if (!doc.emailStatus) return '<span class="job-status">not sent</span>';
+    return `<span class="job-status ${escapeHtml(doc.emailStatus.status)}">${escapeHtml(doc.emailStatus.status)}</span>`;
+}
+
+/**
+ * Load and Render Issued Documents
+ */
+async function loadDocuments() {
+    const params = new URLSearchParams({ eventId: currentEventId });
+    if (selectedType) params.set('type', selectedType);
+    const { ok, result } = await certificateRequest(`?${params}`);
+    if (!ok) return;
+
+    sendBtn.disabled = !result.emailConfigured;
+    sendBtn.title = result.emailConfigured ? '' : 'Email service not configured';
+
+    documentEmpty.hidden = result.documents.length > 0;
+    documentTableBody.innerHTML = result.documents.map((doc) => `
+        <tr>
+            <td>${escapeHtml(doc.fullName || '')}<br><small>${escapeHtml(doc.email)}</small></td>
+            <td>${DOCUMENT_LABELS[doc.type]}<br><small>${escapeHtml(new Date(doc.issuedAt).toLocaleDateString())}</small></td>
+            <td>${doc.verifyUrl ? `<a href="${escapeHtml(doc.verifyUrl)}" target="_blank" rel="noopener">${escapeHtml(doc.id)}</a>` : escapeHtml(doc.id)}</td>
+            <td>${renderEmailStatus(doc)}</td>
+            <td>
+                <a href="/api/certificates/${encodeURIComponent(doc.id)}/pdf" target="_blank" class="link-btn">PDF</a>
+                ${doc.revokedAt ? '' : `<button type="button" class="link-btn danger" data-revoke-id="${escapeHtml(doc.id)}">Revoke</button>`}
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Issue Certificates to Everyone Checked In
+ */
+async function handleIssue() {
+    issueBtn.disabled = true;
+    try {
+        const { ok, result } = await certificateRequest('/issue', 'POST', { eventId: currentEventId });
+        if (!ok) {
+            showMessage('not-found', result.error || 'Failed to issue certificates');
+            return;
+        }
+        showMessage('success', `${result.issued} certificate(s) issued; ${result.existing} attendee(s) already had one.`);
+        await loadDocuments();
+    } finally {
+        issueBtn.disabled = false;
+    }
+}
+
+/**
+ * Email Every Active Document Not Yet Queued
+ */
+async function handleSend() {
+    const label = selectedType ? `${DOCUMENT_LABELS[selectedType].toLowerCase()}s` : 'documents';
+    if (!window.confirm(`Email all ${label} for this event that have not been sent yet?`)) return;
+
+    sendBtn.disabled = true;
+    try {
+        const { ok, result } = await certificateRequest('/send', 'POST', {
+            eventId: currentEventId,
+            type: selectedType || undefined
+        });
+        if (ok) {
+            showMessage('success', `${result.queued} email(s) queued; ${result.alreadyQueued} already sent or queued.`);
+        } else {
+            showMessage('not-found', result.error || 'Failed to queue emails');
+        }
+    } finally {
+        // Re-enables the button unless email is not configured
+        await loadDocuments();
+    }
+}
+
+/**
+ * Issue Recommendation Letters
+ *
+ * @param {SubmitEvent} event - Form submission event
+ */
+async function handleLetterSubmission(event) {
+    event.preventDefault();
+    letterError.textContent = '';
+    letterBtn.disabled = true;
+
+    try {
+        const emails = document.getElementById('letterEmails').value
+            .split(/[\s,;]+/)
+            .map((email) => email.trim())
+            .filter(Boolean);
+        const { ok, result } = await certificateRequest('/letters', 'POST', {
+            eventId: currentEventId,
+            emails,
+            note: document.getElementById('letterNote').value.trim()
+        });
+        if (!ok) {
+            letterError.textContent = result.error || 'Failed to issue letters';
+            return;
+        }
+
+        const issued = result.documents.filter((doc) => !doc.existing).length;
+        const skipped = result.skipped.map((entry) => `${entry.email} (${entry.reason})`).join(', ');
+        showMessage(result.skipped.length ? 'not-found' : 'success',
+            `${issued} letter(s) issued.${skipped ? ` Skipped: ${skipped}` : ''}`);
+        letterForm.reset();
+        await loadDocuments();
+    } finally {
+        letterBtn.disabled = false;
+    }
+}
+
+/**
+ * Revoke a Document
+ *
+ * @param {string} id - Verification ID
+ */
+async function revokeDocument(id) {
+    const reason = window.prompt(`Revoke ${id}? Verification will report it as revoked. Reason (optional):`);
+    if (reason === null) return;
+
+    const { ok, result } = await certificateRequest(`/${encodeURIComponent(id)}/revoke`, 'POST', { reason });
+    if (!ok) window.alert(result.error || 'Failed to revoke document');
+    await loadDocuments();
+}
+
+async function initializeCertificatesPage() {
+    if (!await loadCurrentUser()) return;
+    setupStaffBar();
+
+    await setupEventSelector(document.getElementById('eventSelect'), () => {
+        certificateMessage.hidden = true;
+        loadDocuments();
+    });
+
+    typeFilter.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-type]');
+        if (!button) return;
+        selectedType = button.dataset.type;
+        typeFilter.querySelectorAll('[data-type]').forEach((other) => {
+            other.classList.toggle('active', other === button);
+        });
+        loadDocuments();
+    });
+
+    issueBtn.addEventListener('click', handleIssue);
+    sendBtn.addEventListener('click', handleSend);
+    letterForm.addEventListener('submit', handleLetterSubmission);
+    documentTableBody.addEventListener('click', (event) => {
+        const id = event.target.dataset.revokeId;
+        if (id) revokeDocument(id);
+    });
+
+    await loadDocuments();
+}
+
+document.addEventListener('DOMContentLoaded', initializeCertificatesPage);
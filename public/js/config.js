@@ -6,10 +6,6 @@
  */
 
 const CONFIG = {
-    // API Endpoints - these will be overridden by server configuration
-    LOOKUP_ENDPOINT: 'https://automation.decjobboard.online/webhook/lookup-checkin',
-    UPDATE_ENDPOINT: 'https://automation.decjobboard.online/webhook/update-checkin',
-
     // Application Settings
     APP_NAME: 'Event Check-In',
     VERSION: '1.0.0',
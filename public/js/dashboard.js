@@ -0,0 +1,283 @@
+/**
+ * Attendance Dashboard
+ *
+ * Renders the stats from /api/dashboard/stats and keeps them live through the
+ * /api/dashboard/stream Server-Sent Events feed (EventSource reconnects by itself).
+ */
+
+const BREAKDOWN_TITLES = {
+    profession: 'Profession',
+    experienceLevel: 'Experience Level',
+    gender: 'Gender'
+};
+
+const liveIndicator = document.getElementById('liveIndicator');
+const eventSelect = document.getElementById('eventSelect');
+const exportForm = document.getElementById('exportForm');
+const exportProfession = document.getElementById('exportProfession');
+const badgeForm = document.getElementById('badgeForm');
+
+// Open stats stream for the selected event
+let statsSource = null;
+
+/**
+ * Render Headline Counters
+ *
+ * @param {Object} stats - Stats from the server
+ */
+function renderCounters(stats) {
+    document.getElementById('statCheckedIn').textContent = stats.checkedIn;
+    document.getElementById('statRegistered').textContent = stats.registrationsAvailable ? stats.totalRegistrations : 'n/a';
+    document.getElementById('statRate').textContent = stats.registrationsAvailable && stats.totalRegistrations
+        ? `${Math.round((stats.checkedIn / stats.totalRegistrations) * 100)}%`
+        : 'n/a';
+
+    // Only events with a capacity track who is inside
+    const insideCard = document.getElementById('insideCard');
+    const occupancy = stats.occupancy;
+    insideCard.hidden = !occupancy;
+    if (!occupancy) return;
+    insideCard.classList.toggle('full', occupancy.full);
+    document.getElementById('statInside').textContent = `${occupancy.inside} / ${occupancy.capacity}`;
+    document.getElementById('statInsideLabel').textContent = occupancy.waitlistLength
+        ? `Inside Now (${occupancy.waitlistLength} waiting)`
+        : 'Inside Now';
+}
+
+/**
+ * Render Arrivals Chart
+ *
+ * @param {Object} stats - Stats from the server
+ */
+function renderArrivals(stats) {
+    const chart = document.getElementById('arrivalsChart');
+    document.getElementById('bucketMinutes').textContent = stats.bucketMinutes;
+
+    if (!stats.arrivals.length) {
+        chart.innerHTML = '<p class="empty-state">No arrivals yet.</p>';
+        return;
+    }
+
+    const max = Math.max(...stats.arrivals.map((bucket) => bucket.count));
+    chart.innerHTML = stats.arrivals.map((bucket) => {
+        const time = new Date(bucket.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const width = max ? Math.round((bucket.count / max) * 100) : 0;
+        return `
+            <div class="bar-row">
+                <span class="bar-label">${escapeHtml(time)}</span>
+                <span class="bar-track"><span class="bar-fill" style="width: ${width}%"></span></span>
+                <span class="bar-count">${bucket.count}</span>
+            </div>`;
+    }).join('');
+}
+
+/**
+ * Render Breakdown Tables
+ *
+ * @param {Object} stats - Stats from the server
+ */
+function renderBreakdowns(stats) {
+    document.getElementById('breakdowns').innerHTML = Object.keys(BREAKDOWN_TITLES).map((field) => {
+        const rows = (stats.breakdowns[field] || []).map((group) => `
+            <tr>
+                <td>${escapeHtml(group.label)}</td>
+                <td>${group.checkedIn}</td>
+                ${stats.registrationsAvailable ? `<td>${group.registered}</td>` : ''}
+            </tr>`).join('');
+
+        return `
+            <div>
+                <h2 class="section-title">${BREAKDOWN_TITLES[field]}</h2>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>${BREAKDOWN_TITLES[field]}</th>
+                            <th>Checked In</th>
+                            ${stats.registrationsAvailable ? '<th>Registered</th>' : ''}
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    }).join('');
+}
+
+/**
+ * Render Session Table
+ *
+ * @param {Object} stats - Stats from the server
+ */
+function renderSessions(stats) {
+    const sessions = stats.sessions || [];
+    document.getElementById('sessionsSection').hidden = !sessions.length;
+    document.getElementById('sessionsTableBody').innerHTML = sessions.map((session) => {
+        const starts = session.startsAt
+            ? new Date(session.startsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : '';
+        const attended = Number.isInteger(session.capacity)
+            ? `${session.attended} / ${session.capacity}`
+            : session.attended;
+        return `
+            <tr>
+                <td>${escapeHtml(session.title)}${session.speaker ? `<br><small>${escapeHtml(session.speaker)}</small>` : ''}</td>
+                <td>${escapeHtml(session.room || '')}</td>
+                <td>${escapeHtml(starts)}</td>
+                <td>${attended}</td>
+                <td>${session.registered}</td>
+            </tr>`;
+    }).join('');
+}
+
+/**
+ * Fill Export Profession Filter
+ *
+ * Keeps the current choice when the list is refreshed by a live update
+ *
+ * @param {Object} stats - Stats from the server
+ */
+function renderProfessionOptions(stats) {
+    const selected = exportProfession.value;
+    const labels = (stats.breakdowns.profession || []).map((group) => group.label);
+    exportProfession.innerHTML = '<option value="">All professions</option>' + labels
+        .map((label) => `<option value="${escapeHtml(label)}">${escapeHtml(label)}</option>`)
+        .join('');
+    exportProfession.value = labels.includes(selected) ? selected : '';
+}
+
+/**
+ * Render Dashboard
+ *
+ * @param {Object} stats - Stats from the server
+ */
+function renderDashboard(stats) {
+    renderCounters(stats);
+    renderArrivals(stats);
+    renderBreakdowns(stats);
+    renderSessions(stats);
+    renderProfessionOptions(stats);
+}
+
+/**
+ * Handle Attendance Export
+ *
+ * Downloads /api/reports/attendance in the format of the clicked button
+ *
+ * @param {SubmitEvent} event - Form submission event
+ */
+function handleExport(event) {
+    event.preventDefault();
+
+    const params = new URLSearchParams({
+        eventId: currentEventId,
+        format: (event.submitter && event.submitter.dataset.format) || 'csv',
+        status: document.getElementById('exportStatus').value
+    });
+    // datetime-local values are in the browser's time zone
+    const from = document.getElementById('exportFrom').value;
+    const to = document.getElementById('exportTo').value;
+    if (from) params.set('from', new Date(from).toISOString());
+    if (to) params.set('to', new Date(to).toISOString());
+    if (exportProfession.value) params.set('profession', exportProfession.value);
+
+    window.location.href = `/api/reports/attendance?${params}`;
+}
+
+/**
+ * Open Batch Badges
+ *
+ * Badges for the selected attendees, one per page, sorted by name for pre-printing
+ * @param {SubmitEvent} event - Form submission event
+ */
+async function handleBadges(event) {
+    event.preventDefault();
+
+    const params = new URLSearchParams({
+        eventId: currentEventId,
+        status: document.getElementById('badgeStatus').value,
+        size: document.getElementById('badgeSize').value
+    });
+    // Opened before the request so popup blockers allow it; large rosters take a moment to render
+    const tab = window.open('', '_blank');
+    const response = await fetch(`/api/badges?${params}`);
+    if (!response.ok) {
+        if (tab) tab.close();
+        const result = await response.json().catch(() => ({}));
+        window.alert(result.error || 'Failed to generate badges');
+        return;
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    if (tab) {
+        tab.location.href = url;
+    } else {
+        window.location.href = url;
+    }
+}
+
+/**
+ * Load Stats
+ *
+ * Fetches the current stats for the selected event once, before the stream connects
+ */
+async function loadStats() {
+    try {
+        const response = await fetch(`/api/dashboard/stats?eventId=${encodeURIComponent(currentEventId)}`);
+        if (response.ok) {
+            renderDashboard(await response.json());
+        }
+    } catch (error) {
+        console.error('Error loading dashboard stats:', error);
+    }
+}
+
+/**
+ * Connect Live Stream
+ *
+ * Subscribes to stats pushed by the server after each check-in for the selected event
+ */
+function connectStream() {
+    if (statsSource) statsSource.close();
+
+    const source = new EventSource(`/api/dashboard/stream?eventId=${encodeURIComponent(currentEventId)}`);
+    statsSource = source;
+
+    source.addEventListener('open', () => {
+        liveIndicator.textContent = 'Live';
+        liveIndicator.classList.add('connected');
+    });
+
+    source.addEventListener('stats', (event) => {
+        const stats = JSON.parse(event.data);
+        renderDashboard(stats);
+        liveIndicator.textContent = `Live - updated ${new Date(stats.updatedAt).toLocaleTimeString()}`;
+    });
+
+    source.addEventListener('error', () => {
+        liveIndicator.textContent = 'Reconnecting...';
+        liveIndicator.classList.remove('connected');
+    });
+}
+
+async function initializeDashboard() {
+    if (!await loadCurrentUser()) return;
+    setupStaffBar();
+
+    await setupEventSelector(eventSelect, async () => {
+        await loadStats();
+        connectStream();
+    });
+
+    exportForm.addEventListener('submit', handleExport);
+    badgeForm.addEventListener('submit', handleBadges);
+    document.querySelectorAll('[data-session-format]').forEach((button) => {
+        button.addEventListener('click', () => {
+            const params = new URLSearchParams({ eventId: currentEventId, format: button.dataset.sessionFormat });
+            window.location.href = `/api/reports/sessions?${params}`;
+        });
+    });
+
+    await loadStats();
+    connectStream();
+}
+
+document.addEventListener('DOMContentLoaded', initializeDashboard);
@@ -0,0 +1,127 @@
+/**
+ * Email Delivery Page (admin only)
+ *
+ * Lists confirmation emails (and portal sign-in links and certificates) from the email queue
+ * with their delivery history, lets admins resend confirmations that failed, and
+ * previews an event's email
+ */
+
+const emailTableBody = document.getElementById('emailTableBody');
+const emailEmpty = document.getElementById('emailEmpty');
+const statusFilter = document.getElementById('statusFilter');
+const previewForm = document.getElementById('previewForm');
+const previewLanguage = document.getElementById('previewLanguage');
+
+// Status shown in the table ('' for all)
+let selectedStatus = '';
+
+// Shown under the event for emails other than check-in confirmations
+const JOB_LABELS = {
+    'portal-link': 'Sign-in link',
+    certificate: 'Certificate'
+};
+
+/**
+ * Render Delivery History
+ *
+ * @param {Object} job - Email job
+ * @returns {string} HTML for the job's history
+ */
+function renderHistory(job) {
+    const entries = job.history.map((entry) => `
+        <li>${escapeHtml(new Date(entry.at).toLocaleString())} - ${escapeHtml(entry.detail)}</li>
+    `).join('');
+    return `<details><summary>${escapeHtml(job.lastError || 'History')}</summary><ul>${entries}</ul></details>`;
+}
+
+/**
+ * Load and Render Email Jobs
+ */
+async function loadEmails() {
+    const query = selectedStatus ? `?status=${encodeURIComponent(selectedStatus)}` : '';
+    const response = await fetch(`/api/emails${query}`);
+    if (response.status === 401) return redirectToLogin();
+
+    const result = await response.json();
+    statusFilter.querySelectorAll('[data-status]').forEach((button) => {
+        const count = button.dataset.status ? result.counts[button.dataset.status] : null;
+        button.textContent = button.textContent.replace(/ \(\d+\)$/, '') + (count ? ` (${count})` : '');
+    });
+
+    if (previewLanguage.options.length === 1) {
+        previewLanguage.innerHTML += result.languages
+            .map((language) => `<option value="${escapeHtml(language)}">${escapeHtml(language)}</option>`)
+            .join('');
+    }
+
+    emailEmpty.hidden = result.jobs.length > 0;
+    emailTableBody.innerHTML = result.jobs.map((job) => `
+        <tr>
+            <td>${escapeHtml(job.fullName || '')}<br><small>${escapeHtml(job.toEmail)}</small></td>
+            <td>${escapeHtml(job.eventId)}${JOB_LABELS[job.type] ? `<br><small>${JOB_LABELS[job.type]}</small>` : ''}</td>
+            <td><span class="job-status ${escapeHtml(job.status)}">${escapeHtml(job.status)}</span></td>
+            <td>${job.attempts}</td>
+            <td>${renderHistory(job)}</td>
+            <td>
+                ${job.type !== 'portal-link' && (job.status === 'failed' || job.status === 'sent') ? `<button type="button" class="link-btn" data-job-id="${escapeHtml(job.id)}">Resend</button>` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Resend an Email
+ *
+ * @param {string} id - Email job id
+ */
+async function resendEmail(id) {
+    const response = await fetch(`/api/emails/${encodeURIComponent(id)}/resend`, { method: 'POST' });
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        window.alert(result.error || 'Failed to resend email');
+    }
+    await loadEmails();
+}
+
+/**
+ * Open Email Preview
+ *
+ * @param {SubmitEvent} event - Form submission event
+ */
+function handlePreview(event) {
+    event.preventDefault();
+
+    const params = new URLSearchParams({ eventId: currentEventId });
+    const name = document.getElementById('previewName').value.trim();
+    if (previewLanguage.value) params.set('language', previewLanguage.value);
+    if (name) params.set('fullName', name);
+
+    window.open(`/api/emails/preview?${params}`, '_blank');
+}
+
+async function initializeEmailsPage() {
+    if (!await loadCurrentUser()) return;
+    setupStaffBar();
+
+    statusFilter.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-status]');
+        if (!button) return;
+        selectedStatus = button.dataset.status;
+        statusFilter.querySelectorAll('[data-status]').forEach((other) => {
+            other.classList.toggle('active', other === button);
+        });
+        loadEmails();
+    });
+
+    await setupEventSelector(document.getElementById('eventSelect'));
+    previewForm.addEventListener('submit', handlePreview);
+
+    emailTableBody.addEventListener('click', (event) => {
+        const id = event.target.dataset.jobId;
+        if (id) resendEmail(id);
+    });
+
+    await loadEmails();
+}
+
+document.addEventListener('DOMContentLoaded', initializeEmailsPage);
@@ -0,0 +1,73 @@
+/**
+ * Event Selector
+ *
+ * Shared by the check-in page and the dashboard. Fills an event <select> from
+ * /api/events and remembers the station's choice in localStorage, so a laptop
+ * at the Abuja door stays on the Abuja event across reloads.
+ */
+
+const EVENT_STORAGE_KEY = 'checkin.eventId';
+
+// Event id the page is working on (null until setupEventSelector resolves)
+let currentEventId = null;
+
+/**
+ * Set Up Event Selector
+ *
+ * @param {HTMLSelectElement} select - Selector element
+ * @param {Function} onChange - Called with the new event id after a change
+ * @returns {string|null} Selected event id
+ */
+async function setupEventSelector(select, onChange) {
+    let events = [];
+    let defaultEventId = null;
+
+    try {
+        const response = await fetch('/api/events');
+        if (response.ok) {
+            const result = await response.json();
+            events = result.events || [];
+            defaultEventId = result.defaultEventId;
+        }
+    } catch (error) {
+        console.log('Events not available:', error.message);
+    }
+
+    // Offline: keep whatever this station used last
+    const stored = localStorage.getItem(EVENT_STORAGE_KEY);
+    if (!events.length && stored) {
+        events = [{ id: stored, name: stored }];
+    }
+
+    select.innerHTML = events.map((event) => {
+        const label = event.date ? `${event.name} (${event.date})` : event.name;
+        return `<option value="${escapeHtml(event.id)}">${escapeHtml(label)}</option>`;
+    }).join('');
+
+    const ids = events.map((event) => event.id);
+    currentEventId = ids.includes(stored) ? stored : (defaultEventId || ids[0] || null);
+    select.value = currentEventId || '';
+
+    // Hide the selector when there is nothing to choose between
+    const group = select.closest('.input-group');
+    if (group) group.hidden = events.length < 2;
+
+    select.addEventListener('change', () => {
+        currentEventId = select.value;
+        localStorage.setItem(EVENT_STORAGE_KEY, currentEventId);
+        if (onChange) onChange(currentEventId);
+    });
+
+    return currentEventId;
+}
+
+/**
+ * Current Event Name
+ *
+ * @param {HTMLSelectElement} select - Selector element
+ * @returns {string} Display name of the selected event
+ */
+function currentEventName(select) {
+    const option = select.options[select.selectedIndex];
+    return option ? option.textContent : '';
+}
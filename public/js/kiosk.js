@@ -0,0 +1,373 @@
+/**
+ * Self Check-In Kiosk
+ *
+ * A tablet at the entrance where attendees check themselves in, by typing their
+ * email on the on-screen keyboard or holding their QR ticket up to the front camera.
+ * It runs the same lookup and check-in routes as the staff page under a kiosk
+ * account, which only ever sees the attendee's first name. One tap confirms; the
+ * screen resets itself after a short timeout, and staff leave kiosk mode with a PIN.
+ *
+ * The event comes from the page URL (/kiosk?eventId=...), else the default event.
+ */
+
+const KIOSK_LOOKUP_ENDPOINT = '/api/attendees/lookup';
+const KIOSK_CHECKIN_ENDPOINT = '/api/attendees/checkin';
+const KIOSK_SCAN_ENDPOINT = '/api/tickets/scan';
+
+// Back to the start screen after a result, or after nobody touches the screen
+const RESULT_RESET_MS = 10 * 1000;
+const IDLE_RESET_MS = 45 * 1000;
+
+const KEYBOARD_ROWS = [
+    ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'],
+    ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p'],
+    ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', '@'],
+    ['z', 'x', 'c', 'v', 'b', 'n', 'm', '.', '-', '_'],
+    ['.com', '@gmail.com', 'backspace', 'clear']
+];
+const KEY_LABELS = { backspace: 'Delete', clear: 'Clear' };
+
+const kioskStart = document.getElementById('kioskStart');
+const kioskResult = document.getElementById('kioskResult');
+const kioskEmailForm = document.getElementById('kioskEmailForm');
+const kioskEmail = document.getElementById('kioskEmail');
+const kioskEmailError = document.getElementById('kioskEmailError');
+const kioskKeyboard = document.getElementById('kioskKeyboard');
+const kioskEmailModeBtn = document.getElementById('kioskEmailModeBtn');
+const kioskScanModeBtn = document.getElementById('kioskScanModeBtn');
+const kioskScanner = document.getElementById('kioskScanner');
+const kioskScannerVideo = document.getElementById('kioskScannerVideo');
+const kioskScannerStatus = document.getElementById('kioskScannerStatus');
+const kioskMessage = document.getElementById('kioskMessage');
+const kioskConfirmBtn = document.getElementById('kioskConfirmBtn');
+const kioskPinForm = document.getElementById('kioskPinForm');
+const kioskPin = document.getElementById('kioskPin');
+const kioskPinError = document.getElementById('kioskPinError');
+const preloader = document.getElementById('preloader');
+
+// Event this kiosk checks in to
+let kioskEventId = new URLSearchParams(window.location.search).get('eventId');
+
+// Email waiting for the attendee's one-tap confirmation
+let pendingEmail = null;
+let scanning = false;
+let resetTimer = null;
+
+/**
+ * Post to the Server
+ *
+ * @param {string} url - Server route
+ * @param {Object} body - Request body (the kiosk's event is added)
+ * @returns {Object} Parsed response body; check-in statuses are returned, other failures thrown
+ */
+async function kioskPost(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, eventId: kioskEventId })
+    });
+    if (response.status === 401) {
+        redirectToLogin();
+        throw new Error('The kiosk was logged out');
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok && !result.status) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+    }
+    return result;
+}
+
+/**
+ * Schedule Reset
+ *
+ * (Re)starts the countdown back to the start screen
+ * @param {number} delayMs - How long until the reset
+ */
+function scheduleReset(delayMs) {
+    clearTimeout(resetTimer);
+    resetTimer = setTimeout(resetKiosk, delayMs);
+}
+
+/**
+ * Reset Kiosk
+ *
+ * Clears everything the last attendee entered and shows the start screen
+ */
+function resetKiosk() {
+    clearTimeout(resetTimer);
+    pendingEmail = null;
+    kioskEmail.value = '';
+    kioskEmailError.textContent = '';
+    kioskMessage.className = 'response-message';
+    kioskMessage.innerHTML = '';
+    kioskConfirmBtn.hidden = true;
+    kioskResult.hidden = true;
+    kioskStart.hidden = false;
+    togglePinForm(false);
+    if (scanning) TicketScanner.resume();
+}
+
+/**
+ * Show Result
+ *
+ * @param {string} tone - Response class (success, can-check-in, already-checked-in, not-found)
+ * @param {string} heading - Headline
+ * @param {string} text - Detail line
+ * @param {boolean} [confirm] - Offer the one-tap check-in button
+ */
+function showResult(tone, heading, text, confirm = false) {
+    if (scanning) TicketScanner.pause();
+    kioskStart.hidden = true;
+    kioskResult.hidden = false;
+    kioskMessage.className = `response-message ${tone}`;
+    kioskMessage.innerHTML = `<h3>${escapeHtml(heading)}</h3><p>${escapeHtml(text)}</p>`;
+    kioskConfirmBtn.hidden = !confirm;
+    scheduleReset(confirm ? IDLE_RESET_MS : RESULT_RESET_MS);
+}
+
+function greeting(attendee) {
+    return attendee && attendee.firstName ? `, ${attendee.firstName}` : '';
+}
+
+/**
+ * Show Lookup Result
+ *
+ * @param {Object} result - Lookup (or ticket scan) result
+ * @param {string} email - Attendee email
+ */
+function showLookup(result, email) {
+    const name = greeting(result.attendee);
+    switch (result.status) {
+        case 'CAN_CHECK_IN':
+            pendingEmail = email;
+            showResult('can-check-in', `Hi${name}!`, 'Tap the button below to check in.', true);
+            break;
+        case 'ALREADY_CHECKED_IN':
+            if (result.checkedOutAt) {
+                pendingEmail = email;
+                showResult('can-check-in', `Welcome back${name}!`, 'Tap the button below to check back in.', true);
+            } else {
+                showResult('already-checked-in', `Welcome back${name}!`, 'You are already checked in. Enjoy the event!');
+            }
+            break;
+        case 'WAITLISTED':
+            showResult('waitlisted', `Hi${name}`, 'The venue is full right now. Please see a member of staff.');
+            break;
+        case 'CHECK_IN_IN_PROGRESS':
+            showResult('waitlisted', `Hi${name}`, 'A member of staff is checking you in right now.');
+            break;
+        case 'NOT_FOUND':
+            showResult('not-found', 'Registration not found', 'Please check your email address, or see a member of staff.');
+            break;
+        case 'WRONG_EVENT':
+            showResult('not-found', 'Wrong event', result.message || 'This ticket is for a different event.');
+            break;
+        default:
+            showResult('not-found', 'Something went wrong', 'Please see a member of staff.');
+    }
+}
+
+/**
+ * Look Up by Email
+ *
+ * @param {SubmitEvent} event - Form submission event
+ */
+async function handleEmailSubmit(event) {
+    event.preventDefault();
+    const email = kioskEmail.value.trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        kioskEmailError.textContent = 'Please enter your full email address';
+        return;
+    }
+
+    preloader.classList.add('show');
+    try {
+        showLookup(await kioskPost(KIOSK_LOOKUP_ENDPOINT, { email }), email);
+    } catch (error) {
+        console.error('Kiosk lookup error:', error);
+        showResult('not-found', 'Something went wrong', 'Please try again, or see a member of staff.');
+    } finally {
+        preloader.classList.remove('show');
+    }
+}
+
+/**
+ * Look Up by QR Ticket
+ *
+ * @param {string} token - Ticket token read by the camera
+ */
+async function handleTicket(token) {
+    TicketScanner.pause();
+    preloader.classList.add('show');
+    try {
+        const result = await kioskPost(KIOSK_SCAN_ENDPOINT, { token });
+        showLookup(result, result.email);
+    } catch (error) {
+        console.error('Kiosk ticket error:', error);
+        showResult('not-found', 'Ticket not recognised', 'Please try again, or type your email instead.');
+    } finally {
+        preloader.classList.remove('show');
+    }
+}
+
+/**
+ * Confirm Check-In
+ *
+ * The attendee's one tap
+ */
+async function confirmCheckIn() {
+    if (!pendingEmail) return;
+    kioskConfirmBtn.disabled = true;
+    preloader.classList.add('show');
+
+    try {
+        const result = await kioskPost(KIOSK_CHECKIN_ENDPOINT, { email: pendingEmail });
+        const name = greeting(result.attendee);
+        if (result.status === 'SUCCESS') {
+            showResult('success', `You're checked in${name}!`, 'Enjoy the event.');
+        } else if (result.status === 'WAITLISTED') {
+            showResult(
+                'waitlisted',
+                'The venue is full',
+                `You are number ${result.waitlistPosition} on the waitlist. Please see a member of staff.`
+            );
+        } else {
+            showLookup(result, pendingEmail);
+        }
+    } catch (error) {
+        console.error('Kiosk check-in error:', error);
+        showResult('not-found', 'Check-in failed', 'Please see a member of staff.');
+    } finally {
+        pendingEmail = null;
+        kioskConfirmBtn.disabled = false;
+        preloader.classList.remove('show');
+    }
+}
+
+/**
+ * Render On-Screen Keyboard
+ */
+function renderKeyboard() {
+    kioskKeyboard.innerHTML = KEYBOARD_ROWS.map((row) => `
+        <div class="kiosk-key-row">
+            ${row.map((key) => `
+                <button type="button" class="kiosk-key${KEY_LABELS[key] ? ' wide' : ''}" data-key="${escapeHtml(key)}">
+                    ${escapeHtml(KEY_LABELS[key] || key)}
+                </button>`).join('')}
+        </div>`).join('');
+}
+
+/**
+ * Handle Key Press
+ *
+ * @param {string} key - Key from KEYBOARD_ROWS
+ */
+function pressKey(key) {
+    kioskEmailError.textContent = '';
+    if (key === 'backspace') {
+        kioskEmail.value = kioskEmail.value.slice(0, -1);
+    } else if (key === 'clear') {
+        kioskEmail.value = '';
+    } else {
+        kioskEmail.value += key;
+    }
+}
+
+/**
+ * Switch Input Mode
+ *
+ * @param {string} mode - 'email' or 'scan'
+ */
+async function setKioskMode(mode) {
+    scanning = mode === 'scan';
+    kioskEmailModeBtn.classList.toggle('active', !scanning);
+    kioskScanModeBtn.classList.toggle('active', scanning);
+    kioskEmailForm.hidden = scanning;
+    kioskScanner.hidden = !scanning;
+
+    if (!scanning) {
+        TicketScanner.stop();
+        return;
+    }
+    try {
+        // Attendees face the tablet, so use its front camera
+        await TicketScanner.start(kioskScannerVideo, handleTicket, { facingMode: 'user' });
+        kioskScannerStatus.textContent = 'Hold your ticket QR code up to the camera';
+    } catch (error) {
+        console.error('Kiosk camera error:', error);
+        kioskScannerStatus.textContent = 'The camera is unavailable. Please type your email instead.';
+    }
+}
+
+/**
+ * Exit Kiosk Mode
+ *
+ * @param {SubmitEvent} event - PIN form submission
+ */
+async function handleExit(event) {
+    event.preventDefault();
+    kioskPinError.textContent = '';
+
+    try {
+        const response = await fetch('/api/kiosk/exit', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ pin: kioskPin.value })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.error || 'Could not leave kiosk mode');
+
+        TicketScanner.stop();
+        window.location.href = '/login';
+    } catch (error) {
+        kioskPinError.textContent = error.message;
+        kioskPin.value = '';
+    }
+}
+
+function togglePinForm(show) {
+    kioskPinForm.hidden = !show;
+    kioskPin.value = '';
+    kioskPinError.textContent = '';
+    if (show) kioskPin.focus();
+}
+
+async function initializeKiosk() {
+    if (!await loadCurrentUser()) return;
+
+    try {
+        const response = await fetch(`/api/kiosk/config?eventId=${encodeURIComponent(kioskEventId || '')}`);
+        const config = await response.json();
+        if (!response.ok) throw new Error(config.error);
+        kioskEventId = config.event.id;
+        document.getElementById('kioskEventName').textContent = ` to ${config.event.name}`;
+        document.getElementById('kioskExitBtn').hidden = !config.exitEnabled;
+    } catch (error) {
+        console.error('Kiosk configuration error:', error);
+        kioskEmailError.textContent = 'This kiosk is not set up for an event. Please see a member of staff.';
+    }
+
+    renderKeyboard();
+    kioskKeyboard.addEventListener('click', (event) => {
+        const key = event.target.closest('[data-key]');
+        if (key) pressKey(key.dataset.key);
+    });
+    kioskEmailForm.addEventListener('submit', handleEmailSubmit);
+    kioskEmailModeBtn.addEventListener('click', () => setKioskMode('email'));
+    kioskScanModeBtn.addEventListener('click', () => setKioskMode('scan'));
+    kioskConfirmBtn.addEventListener('click', confirmCheckIn);
+    document.getElementById('kioskDoneBtn').addEventListener('click', resetKiosk);
+
+    document.getElementById('kioskExitBtn').addEventListener('click', () => togglePinForm(true));
+    document.getElementById('kioskPinCancel').addEventListener('click', () => togglePinForm(false));
+    kioskPinForm.addEventListener('submit', handleExit);
+
+    // Half-typed emails and open PIN prompts do not outlive the person who left them
+    document.addEventListener('pointerdown', () => {
+        if (kioskResult.hidden) scheduleReset(IDLE_RESET_MS);
+    });
+    resetTimer = setTimeout(resetKiosk, IDLE_RESET_MS);
+}
+
+document.addEventListener('DOMContentLoaded', initializeKiosk);
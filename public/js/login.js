@@ -0,0 +1,61 @@
+/**
+ * Staff Login Page
+ *
+ * Posts credentials to /api/auth/login and, on success, returns the staff member
+ * to the page they were trying to open (the `next` query parameter). Kiosk
+ * accounts go straight to the kiosk screen.
+ */
+
+const loginForm = document.getElementById('loginForm');
+const loginError = document.getElementById('loginError');
+const loginBtn = document.getElementById('loginBtn');
+
+/**
+ * Resolve Redirect Target
+ *
+ * Only same-site paths are accepted so the login page cannot be used as an open redirect
+ * @returns {string} Path to open after login
+ */
+function getRedirectTarget() {
+    const next = new URLSearchParams(window.location.search).get('next');
+    return next && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+/**
+ * Handle Login Submission
+ *
+ * @param {Event} event - Form submission event
+ */
+async function handleLogin(event) {
+    event.preventDefault();
+
+    loginError.textContent = '';
+    loginBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('username').value.trim(),
+                password: document.getElementById('password').value
+            })
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+
+        // Kiosk accounts only ever run the self check-in screen
+        window.location.href = result.user && result.user.role === 'kiosk' ? '/kiosk' : getRedirectTarget();
+    } catch (error) {
+        loginError.textContent = error.message;
+        loginBtn.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    loginForm.addEventListener('submit', handleLogin);
+});
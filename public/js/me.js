@@ -0,0 +1,274 @@
+/**
+ * Attendee Self-Service Portal
+ *
+ * Attendees enter their email to get a one-time sign-in link, then see their
+ * registration and check-in status, download their QR ticket and the agenda, update
+ * their phone number or profession, and cancel if they can no longer come.
+ *
+ * The emailed link opens /me/login/<token>; the token is only used when the attendee
+ * presses Continue, so mail scanners that open links do not burn it.
+ */
+
+const PORTAL_API = '/api/portal';
+
+const linkForm = document.getElementById('linkForm');
+const linkError = document.getElementById('linkError');
+const linkBtn = document.getElementById('linkBtn');
+const portalEventGroup = document.getElementById('portalEventGroup');
+const portalEvent = document.getElementById('portalEvent');
+const portalEmail = document.getElementById('portalEmail');
+const signInPanel = document.getElementById('signInPanel');
+const signInBtn = document.getElementById('signInBtn');
+const portalMessage = document.getElementById('portalMessage');
+const registrationPanel = document.getElementById('registrationPanel');
+const registrationStatus = document.getElementById('registrationStatus');
+const ticketImage = document.getElementById('ticketImage');
+const agendaLink = document.getElementById('agendaLink');
+const detailsForm = document.getElementById('detailsForm');
+const detailsError = document.getElementById('detailsError');
+const detailsBtn = document.getElementById('detailsBtn');
+const portalPhone = document.getElementById('portalPhone');
+const portalProfession = document.getElementById('portalProfession');
+const cancelBtn = document.getElementById('cancelBtn');
+const signOutBtn = document.getElementById('signOutBtn');
+const preloader = document.getElementById('preloader');
+
+/**
+ * Call the Portal API
+ *
+ * @param {string} path - Route under /api/portal
+ * @param {string} [method] - HTTP method
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} { ok, status, result }
+ */
+async function portalRequest(path, method = 'GET', body) {
+    const response = await fetch(`${PORTAL_API}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, result };
+}
+
+/**
+ * Show One Screen
+ *
+ * @param {HTMLElement|null} panel - Panel to show (the others are hidden)
+ */
+function showPanel(panel) {
+    [linkForm, signInPanel, registrationPanel].forEach((element) => {
+        element.hidden = element !== panel;
+    });
+}
+
+/**
+ * Show a Message Above the Current Screen
+ *
+ * @param {string} tone - Response class (success, not-found, ...), or '' to clear
+ * @param {string} [title] - Heading
+ * @param {string} [text] - Explanation
+ */
+function showMessage(tone, title, text) {
+    portalMessage.hidden = !tone;
+    portalMessage.className = `response-message ${tone}`;
+    portalMessage.innerHTML = tone ? `<h3>${escapeHtml(title)}</h3><p>${escapeHtml(text || '')}</p>` : '';
+}
+
+/**
+ * Load Events for the Link Form
+ *
+ * The picker only appears when the deployment serves more than one event
+ */
+async function loadEvents() {
+    const { ok, result } = await portalRequest('/events');
+    if (!ok) return;
+    const requested = new URLSearchParams(window.location.search).get('eventId');
+    portalEvent.innerHTML = result.events.map((event) => `
+        <option value="${escapeHtml(event.id)}">${escapeHtml(event.name)}${event.date ? ` (${escapeHtml(event.date)})` : ''}</option>
+    `).join('');
+    portalEvent.value = result.events.some((event) => event.id === requested) ? requested : result.defaultEventId;
+    portalEventGroup.hidden = result.events.length < 2;
+}
+
+/**
+ * Request a Sign-In Link
+ *
+ * @param {SubmitEvent} event - Form submission event
+ */
+async function handleLinkRequest(event) {
+    event.preventDefault();
+    linkError.textContent = '';
+    linkBtn.disabled = true;
+
+    try {
+        const { ok, result } = await portalRequest('/link', 'POST', {
+            email: portalEmail.value.trim(),
+            eventId: portalEvent.value || undefined
+        });
+        if (!ok) throw new Error(result.error || 'Could not send a sign-in link. Please try again.');
+        showMessage('success', 'Check your inbox', result.message);
+        linkForm.reset();
+        loadEvents();
+    } catch (error) {
+        linkError.textContent = error.message;
+    } finally {
+        linkBtn.disabled = false;
+    }
+}
+
+/**
+ * Use the Emailed Link
+ *
+ * @param {string} token - Token from the /me/login/<token> URL
+ */
+async function signIn(token) {
+    signInBtn.disabled = true;
+    preloader.classList.add('show');
+    try {
+        const { ok, result } = await portalRequest('/session', 'POST', { token });
+        // Keep the spent token out of the address bar and history
+        window.history.replaceState(null, '', '/me');
+        if (!ok) {
+            showPanel(linkForm);
+            showMessage('not-found', 'Link expired', result.error);
+            return;
+        }
+        await loadRegistration();
+    } finally {
+        signInBtn.disabled = false;
+        preloader.classList.remove('show');
+    }
+}
+
+/**
+ * Render Status Card
+ *
+ * @param {Object} registration - GET /api/portal/me response
+ * @returns {string} HTML for the status card
+ */
+function renderStatus({ status, attendee, event }) {
+    const checkedIn = status === 'ALREADY_CHECKED_IN';
+    const rows = [
+        ['Name', attendee.fullName],
+        ['Email', attendee.email],
+        ['Phone', attendee.phone],
+        ['Profession', attendee.profession],
+        ['Registered', attendee.registrationDate],
+        ['Checked In', attendee.checkInTime ? new Date(attendee.checkInTime).toLocaleString() : null]
+    ].filter(([, value]) => value);
+
+    return `
+        <h3>${checkedIn ? 'You are checked in' : 'You are registered'}</h3>
+        <p>${escapeHtml(event.name)}${event.date ? ` - ${escapeHtml(event.date)}` : ''}${event.venue ? `, ${escapeHtml(event.venue)}` : ''}</p>
+        <div class="attendee-details">
+            ${rows.map(([label, value]) => `
+                <div class="detail-row">
+                    <span class="detail-label">${label}:</span>
+                    <span class="detail-value">${escapeHtml(value)}</span>
+                </div>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Load the Signed-In Registration
+ */
+async function loadRegistration() {
+    const { ok, status, result } = await portalRequest('/me');
+    if (status === 401) {
+        showPanel(linkForm);
+        return;
+    }
+    if (!ok) {
+        showPanel(linkForm);
+        showMessage('not-found', status === 404 ? 'No registration found' : 'Something went wrong',
+            result.error || 'Please try again in a moment.');
+        return;
+    }
+
+    const checkedIn = result.status === 'ALREADY_CHECKED_IN';
+    registrationStatus.className = `response-message ${checkedIn ? 'success' : 'can-check-in'}`;
+    registrationStatus.innerHTML = renderStatus(result);
+    ticketImage.src = `${PORTAL_API}/ticket?format=svg`;
+    agendaLink.hidden = !result.hasAgenda;
+
+    detailsForm.hidden = !result.canEdit;
+    portalPhone.value = result.attendee.phone || '';
+    portalProfession.value = result.attendee.profession || '';
+    cancelBtn.hidden = !result.canEdit || checkedIn;
+
+    showPanel(registrationPanel);
+}
+
+/**
+ * Save Phone and Profession
+ *
+ * @param {SubmitEvent} event - Form submission event
+ */
+async function handleDetailsSubmit(event) {
+    event.preventDefault();
+    detailsError.textContent = '';
+    detailsBtn.disabled = true;
+
+    try {
+        const { ok, result } = await portalRequest('/me', 'PUT', {
+            phone: portalPhone.value,
+            profession: portalProfession.value
+        });
+        if (!ok) throw new Error(result.error || 'Could not save your changes');
+        showMessage('success', 'Saved', 'Your details have been updated.');
+        await loadRegistration();
+    } catch (error) {
+        detailsError.textContent = error.message;
+    } finally {
+        detailsBtn.disabled = false;
+    }
+}
+
+/**
+ * Cancel the Registration
+ */
+async function handleCancel() {
+    if (!window.confirm('Cancel your registration? Your seat will be given to someone else.')) return;
+
+    cancelBtn.disabled = true;
+    preloader.classList.add('show');
+    try {
+        const { ok, result } = await portalRequest('/cancel', 'POST');
+        if (!ok) {
+            showMessage('not-found', 'Could not cancel', result.error || 'Please try again in a moment.');
+            return;
+        }
+        showPanel(null);
+        showMessage('success', 'Registration cancelled', 'Thanks for letting us know. We hope to see you at a future event.');
+    } finally {
+        cancelBtn.disabled = false;
+        preloader.classList.remove('show');
+    }
+}
+
+/**
+ * Sign Out
+ */
+async function handleSignOut() {
+    await portalRequest('/logout', 'POST');
+    showMessage('', '');
+    showPanel(linkForm);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    linkForm.addEventListener('submit', handleLinkRequest);
+    detailsForm.addEventListener('submit', handleDetailsSubmit);
+    cancelBtn.addEventListener('click', handleCancel);
+    signOutBtn.addEventListener('click', handleSignOut);
+    loadEvents();
+
+    const loginMatch = window.location.pathname.match(/^\/me\/login\/([^/]+)$/);
+    if (loginMatch) {
+        showPanel(signInPanel);
+        signInBtn.addEventListener('click', () => signIn(decodeURIComponent(loginMatch[1])));
+        return;
+    }
+    loadRegistration();
+});
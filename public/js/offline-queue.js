@@ -0,0 +1,208 @@
+/**
+ * Offline Check-In Queue
+ *
+ * IndexedDB-backed queue of check-ins that could not reach the server.
+ * Loaded by both the check-in page and the service worker (sw.js), so it only
+ * relies on globals available in both (self, indexedDB, fetch).
+ *
+ * Each entry keeps the event and the attendee's original check-in time; replay()
+ * posts it to /api/attendees/checkin once the connection is back.
+ */
+
+const OfflineQueue = (() => {
+    const DB_NAME = 'event-checkin';
+    const DB_VERSION = 1;
+    const STORE = 'queue';
+
+    // Queue entry states
+    const PENDING = 'pending';
+    const CONFLICT = 'conflict';
+
+    let dbPromise = null;
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = self.indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    function entryId(eventId, email) {
+        return `${eventId || 'default'}:${String(email).toLowerCase()}`;
+    }
+
+    // Run a single request against the object store and resolve with its result
+    async function withStore(mode, callback) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = callback(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Queue a check-in. Re-queuing the same attendee and event keeps the earliest check-in time.
+     * @param {string|null} eventId - Event id (null for the server's default event)
+     * @param {string} email - Attendee email
+     * @param {string} checkInTime - Original ISO check-in time
+     * @param {Object} attendee - Attendee details shown while pending
+     * @returns {Object} Queue entry
+     */
+    async function add(eventId, email, checkInTime, attendee) {
+        const id = entryId(eventId, email);
+        const existing = await get(id);
+        const entry = {
+            id,
+            eventId: eventId || null,
+            email,
+            checkInTime: existing && existing.status === PENDING ? existing.checkInTime : checkInTime,
+            attendee: attendee || (existing && existing.attendee) || null,
+            status: PENDING,
+            attempts: 0,
+            lastError: null,
+            queuedAt: new Date().toISOString()
+        };
+        await withStore('readwrite', (store) => store.put(entry));
+        return entry;
+    }
+
+    function get(id) {
+        return withStore('readonly', (store) => store.get(id));
+    }
+
+    async function list() {
+        const entries = await withStore('readonly', (store) => store.getAll());
+        return (entries || []).sort((a, b) => a.checkInTime.localeCompare(b.checkInTime));
+    }
+
+    function put(entry) {
+        return withStore('readwrite', (store) => store.put(entry));
+    }
+
+    function remove(id) {
+        return withStore('readwrite', (store) => store.delete(id));
+    }
+
+    // A 409 for a time we queued ourselves means an earlier replay did go through
+    function isOwnCheckIn(entry, attendee) {
+        const serverTime = attendee && attendee.checkInTime;
+        return Boolean(serverTime) && new Date(serverTime).getTime() === new Date(entry.checkInTime).getTime();
+    }
+
+    // Same fire-and-forget confirmation email the page sends after an online check-in
+    async function sendConfirmationEmail(entry) {
+        try {
+            const attendee = entry.attendee || {};
+            await fetch('/api/send-checkin-email', {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    toEmail: entry.email,
+                    fullName: attendee.fullName || '',
+                    checkInTime: entry.checkInTime,
+                    eventId: entry.eventId || undefined
+                })
+            });
+        } catch (error) {
+            console.log('Email send trigger failed:', error.message);
+        }
+    }
+
+    /**
+     * Replay pending check-ins to the server.
+     * Successes are removed; ALREADY_CHECKED_IN / NOT_FOUND become conflicts for staff
+     * to review; network and gateway errors stay pending for the next attempt.
+     * @returns {Object} { synced, conflicts, pending, unauthorized }
+     */
+    async function replay() {
+        const summary = { synced: [], conflicts: [], pending: 0, unauthorized: false };
+        const entries = (await list()).filter((entry) => entry.status === PENDING);
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            let response;
+            try {
+                response = await fetch('/api/attendees/checkin', {
+                    method: 'POST',
+                    credentials: 'same-origin',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        email: entry.email,
+                        eventId: entry.eventId || undefined,
+                        checkInTime: entry.checkInTime
+                    })
+                });
+            } catch (error) {
+                // Still offline: leave the rest for the next attempt
+                await put({ ...entry, attempts: entry.attempts + 1, lastError: error.message });
+                summary.pending += entries.length - i;
+                return summary;
+            }
+
+            if (response.status === 401) {
+                summary.unauthorized = true;
+                summary.pending += entries.length - i;
+                return summary;
+            }
+
+            // Rate limited: back off and let the next sync carry on from here
+            if (response.status === 429) {
+                summary.pending += entries.length - i;
+                return summary;
+            }
+
+            const result = await response.json().catch(() => ({}));
+
+            if (response.ok || (result.status === 'ALREADY_CHECKED_IN' && isOwnCheckIn(entry, result.attendee))) {
+                await remove(entry.id);
+                if (response.ok) await sendConfirmationEmail(entry);
+                summary.synced.push({ ...entry, attendee: { ...(entry.attendee || {}), ...(result.attendee || {}) } });
+            } else if (result.status === 'ALREADY_CHECKED_IN' || result.status === 'NOT_FOUND') {
+                const conflict = {
+                    ...entry,
+                    status: CONFLICT,
+                    conflict: result.status,
+                    serverAttendee: result.attendee || null,
+                    attempts: entry.attempts + 1,
+                    lastError: result.message || null
+                };
+                await put(conflict);
+                summary.conflicts.push(conflict);
+            } else {
+                // Includes CHECK_IN_IN_PROGRESS: try again once the other station is done
+                await put({
+                    ...entry,
+                    attempts: entry.attempts + 1,
+                    lastError: result.error || result.message || `HTTP ${response.status}`
+                });
+                summary.pending += 1;
+            }
+        }
+
+        return summary;
+    }
+
+    return {
+        PENDING,
+        CONFLICT,
+        add,
+        get,
+        list,
+        remove,
+        replay
+    };
+})();
+
+if (typeof self !== 'undefined') {
+    self.OfflineQueue = OfflineQueue;
+}
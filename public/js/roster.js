@@ -0,0 +1,180 @@
+/**
+ * Roster Import Page (admin only)
+ *
+ * Uploads CSV/XLSX registration exports to /api/roster/import, previews them
+ * with a dry run, and switches where the event looks attendees up (the n8n
+ * webhooks, the imported roster, a Google Sheet or a database).
+ */
+
+const FIELD_LABELS = {
+    fullName: 'Name',
+    email: 'Email',
+    phone: 'PhoneNumber',
+    profession: 'Profession',
+    experienceLevel: 'ExperienceLevel',
+    gender: 'Gender',
+    registrationDate: 'Registration Date',
+    checkInTime: 'CheckIn Time'
+};
+
+const eventSelect = document.getElementById('eventSelect');
+const sourceSelect = document.getElementById('sourceSelect');
+const rosterCount = document.getElementById('rosterCount');
+const importForm = document.getElementById('importForm');
+const importError = document.getElementById('importError');
+const importReport = document.getElementById('importReport');
+
+/**
+ * Load Event Source and Roster Size
+ */
+async function loadRosterState() {
+    const [eventResponse, rosterResponse] = await Promise.all([
+        fetch(`/api/events/${encodeURIComponent(currentEventId)}`),
+        fetch(`/api/roster?eventId=${encodeURIComponent(currentEventId)}`)
+    ]);
+    if (eventResponse.status === 401) return redirectToLogin();
+
+    const { event } = await eventResponse.json();
+    const { attendees } = await rosterResponse.json();
+    sourceSelect.value = event.source || 'webhook';
+    rosterCount.textContent = `${attendees.length} attendee${attendees.length === 1 ? '' : 's'} on the imported roster`;
+}
+
+/**
+ * Switch Where the Event Looks Up Attendees
+ */
+async function handleSourceChange() {
+    const response = await fetch(`/api/events/${encodeURIComponent(currentEventId)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ source: sourceSelect.value })
+    });
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        window.alert(result.error || 'Failed to update the event');
+    }
+    await loadRosterState();
+}
+
+/**
+ * Render Import Report
+ *
+ * @param {Object} report - Report from /api/roster/import
+ */
+function renderReport(report) {
+    const mappingRows = Object.entries(report.mapping).map(([field, header]) => `
+        <tr>
+            <td>${escapeHtml(FIELD_LABELS[field] || field)}</td>
+            <td>${escapeHtml(header)}</td>
+        </tr>`).join('');
+
+    const problemRows = [
+        ...report.invalid.map((item) => ({ row: item.row, detail: item.reason })),
+        ...report.duplicates.map((item) => ({
+            row: item.row,
+            detail: `Duplicate of row ${item.firstRow} (${item.email}); ${item.updatedFields.length
+                ? `updated ${item.updatedFields.join(', ')}`
+                : 'nothing new, ignored'}`
+        }))
+    ].sort((a, b) => a.row - b.row).map((item) => `
+        <tr>
+            <td>${item.row}</td>
+            <td>${escapeHtml(item.detail)}</td>
+        </tr>`).join('');
+
+    importReport.innerHTML = `
+        <h2 class="section-title">${report.dryRun ? 'Preview' : 'Import Complete'}</h2>
+        <div class="stat-grid">
+            <div class="stat-card">
+                <span class="stat-value">${report.created}</span>
+                <span class="stat-label">${report.dryRun ? 'To Add' : 'Added'}</span>
+            </div>
+            <div class="stat-card">
+                <span class="stat-value">${report.updated}</span>
+                <span class="stat-label">${report.dryRun ? 'To Update' : 'Updated'}</span>
+            </div>
+            <div class="stat-card">
+                <span class="stat-value">${report.invalid.length + report.duplicates.length}</span>
+                <span class="stat-label">Problem Rows</span>
+            </div>
+        </div>
+        ${report.removed ? `<p class="empty-state">${report.removed} attendee(s) ${report.dryRun ? 'will be' : 'were'} removed (replace mode).</p>` : ''}
+
+        <h2 class="section-title">Column Mapping</h2>
+        <table class="data-table">
+            <thead><tr><th>Field</th><th>Column in File</th></tr></thead>
+            <tbody>${mappingRows}</tbody>
+        </table>
+        ${report.unmappedColumns.length ? `<p class="empty-state">Ignored columns: ${escapeHtml(report.unmappedColumns.join(', '))}</p>` : ''}
+
+        <h2 class="section-title">Invalid and Duplicate Rows</h2>
+        ${problemRows ? `
+            <table class="data-table">
+                <thead><tr><th>Row</th><th>Problem</th></tr></thead>
+                <tbody>${problemRows}</tbody>
+            </table>` : '<p class="empty-state">None.</p>'}
+    `;
+    importReport.hidden = false;
+}
+
+/**
+ * Handle Preview / Import Submission
+ *
+ * @param {SubmitEvent} event - Form submission event
+ */
+async function handleImportSubmission(event) {
+    event.preventDefault();
+    importError.textContent = '';
+
+    const file = document.getElementById('rosterFile').files[0];
+    if (!file) return;
+
+    const dryRun = Boolean(event.submitter && event.submitter.dataset.dryRun);
+    const params = new URLSearchParams({
+        eventId: currentEventId,
+        filename: file.name,
+        mode: document.getElementById('importMode').value,
+        dryRun: dryRun ? '1' : '0'
+    });
+
+    const buttons = importForm.querySelectorAll('button');
+    buttons.forEach((button) => { button.disabled = true; });
+    try {
+        const response = await fetch(`/api/roster/import?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': file.type || 'application/octet-stream' },
+            body: file
+        });
+        if (response.status === 401) return redirectToLogin();
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            importError.textContent = result.error || 'Import failed';
+            return;
+        }
+
+        renderReport(result.report);
+        if (!dryRun) await loadRosterState();
+    } catch (error) {
+        importError.textContent = 'Upload failed. Check your connection and try again.';
+    } finally {
+        buttons.forEach((button) => { button.disabled = false; });
+    }
+}
+
+async function initializeRosterPage() {
+    if (!await loadCurrentUser()) return;
+    setupStaffBar();
+
+    await setupEventSelector(eventSelect, () => {
+        importReport.hidden = true;
+        loadRosterState();
+    });
+
+    sourceSelect.addEventListener('change', handleSourceChange);
+    importForm.addEventListener('submit', handleImportSubmission);
+
+    await loadRosterState();
+}
+
+document.addEventListener('DOMContentLoaded', initializeRosterPage);
@@ -0,0 +1,142 @@
+/**
+ * QR Ticket Scanner
+ *
+ * Reads QR tickets from the device camera. Uses the native BarcodeDetector where
+ * the browser has it and falls back to jsQR (served from /vendor/jsqr.js).
+ * Each decoded token is passed to the callback given to start(); the same token
+ * is ignored for a few seconds so one ticket held in view is only handled once.
+ */
+
+const TicketScanner = (() => {
+    const SCAN_INTERVAL_MS = 250;
+    const REPEAT_WINDOW_MS = 5000;
+
+    let video = null;
+    let canvas = null;
+    let stream = null;
+    let detector = null;
+    let timer = null;
+    let paused = false;
+    let onToken = null;
+    let lastToken = null;
+    let lastTokenAt = 0;
+
+    function loadJsQR() {
+        if (window.jsQR) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = '/vendor/jsqr.js';
+            script.onload = resolve;
+            script.onerror = () => reject(new Error('Failed to load QR decoder'));
+            document.head.appendChild(script);
+        });
+    }
+
+    async function createDetector() {
+        if ('BarcodeDetector' in window) {
+            const formats = await window.BarcodeDetector.getSupportedFormats();
+            if (formats.includes('qr_code')) {
+                return new window.BarcodeDetector({ formats: ['qr_code'] });
+            }
+        }
+        await loadJsQR();
+        return null;
+    }
+
+    async function decodeFrame() {
+        if (detector) {
+            const codes = await detector.detect(video);
+            return codes.length ? codes[0].rawValue : null;
+        }
+
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+        const code = window.jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+        return code ? code.data : null;
+    }
+
+    async function tick() {
+        if (!stream) return;
+
+        if (!paused && video.readyState >= video.HAVE_ENOUGH_DATA) {
+            try {
+                const token = await decodeFrame();
+                const now = Date.now();
+                if (token && (token !== lastToken || now - lastTokenAt > REPEAT_WINDOW_MS)) {
+                    lastToken = token;
+                    lastTokenAt = now;
+                    onToken(token);
+                }
+            } catch (error) {
+                console.log('QR decode failed:', error.message);
+            }
+        }
+
+        timer = setTimeout(tick, SCAN_INTERVAL_MS);
+    }
+
+    /**
+     * Start scanning
+     * @param {HTMLVideoElement} videoElement - Element that shows the camera preview
+     * @param {Function} callback - Called with each decoded ticket token
+     * @param {Object} [options] - { facingMode: 'environment' (default) or 'user' for a kiosk's front camera }
+     */
+    async function start(videoElement, callback, { facingMode = 'environment' } = {}) {
+        if (stream) return;
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('Camera access is not available in this browser');
+        }
+
+        video = videoElement;
+        canvas = canvas || document.createElement('canvas');
+        onToken = callback;
+        paused = false;
+
+        detector = await createDetector();
+        stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode },
+            audio: false
+        });
+        video.srcObject = stream;
+        video.setAttribute('playsinline', '');
+        await video.play();
+
+        tick();
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+        if (stream) {
+            stream.getTracks().forEach((track) => track.stop());
+            stream = null;
+        }
+        if (video) {
+            video.srcObject = null;
+        }
+    }
+
+    // Pause decoding while a scan is being processed
+    function pause() {
+        paused = true;
+    }
+
+    function resume() {
+        paused = false;
+    }
+
+    function isRunning() {
+        return Boolean(stream);
+    }
+
+    return {
+        start,
+        stop,
+        pause,
+        resume,
+        isRunning
+    };
+})();
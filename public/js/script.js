@@ -3,15 +3,23 @@
  * 
  * This script handles:
  * - Email validation
- * - JWT token generation using Web Crypto API (HS256)
- * - API integration for check-in lookup and update
+ * - API integration for check-in lookup and update (proxied by the server)
  * - Response handling and UI updates
  * - Preloader/spinner management
+ * - Offline check-in queue and background sync (see offline-queue.js and sw.js)
+ * - QR ticket scanning (see scanner.js)
+ * - Fuzzy attendee search by name, phone or partial email
+ * - Session check-in for room stations (talks, workshops and tracks)
+ * - Live updates from other stations: attendees they are checking in, have checked in
+ *   or have undone (the server locks an attendee to the station that looked them up)
  */
 
-// Configuration variables - will be loaded from server or fallback to defaults
-let LOOKUP_ENDPOINT = 'https://automation.decjobboard.online/webhook/lookup-checkin';
-let UPDATE_ENDPOINT = 'https://automation.decjobboard.online/webhook/update-checkin';
+// Server routes that proxy the lookup/update webhooks
+const LOOKUP_ENDPOINT = '/api/attendees/lookup';
+const CHECKIN_ENDPOINT = '/api/attendees/checkin';
+
+// Client configuration - loaded from server or fallback to window.CONFIG
+let appConfig = {};
 
 // Store current attendee data for update operations
 let currentAttendeeData = null;
@@ -23,34 +31,105 @@ const emailError = document.getElementById('emailError');
 const submitBtn = document.getElementById('submitBtn');
 const preloader = document.getElementById('preloader');
 const responseSection = document.getElementById('responseSection');
+const syncStatus = document.getElementById('syncStatus');
+const emailModeBtn = document.getElementById('emailModeBtn');
+const scanModeBtn = document.getElementById('scanModeBtn');
+const searchModeBtn = document.getElementById('searchModeBtn');
+const searchForm = document.getElementById('searchForm');
+const searchQuery = document.getElementById('searchQuery');
+const searchError = document.getElementById('searchError');
+const searchResults = document.getElementById('searchResults');
+const scanner = document.getElementById('scanner');
+const scannerVideo = document.getElementById('scannerVideo');
+const scannerStatus = document.getElementById('scannerStatus');
+const autoConfirm = document.getElementById('autoConfirm');
+const eventSelect = document.getElementById('eventSelect');
+const sessionGroup = document.getElementById('sessionGroup');
+const sessionSelect = document.getElementById('sessionSelect');
+const stationNameInput = document.getElementById('stationName');
+
+// Route that resolves a scanned QR ticket to a lookup result
+const TICKET_SCAN_ENDPOINT = '/api/tickets/scan';
+
+// Fuzzy search over the event's registrations
+const SEARCH_ENDPOINT = '/api/attendees/search';
+const SEARCH_MIN_LENGTH = 2;
+const SEARCH_DEBOUNCE_MS = 300;
+
+let searchTimer = null;
+
+// Session this station checks attendees in to (null for the main event check-in)
+const SESSION_STORAGE_KEY = 'checkin.sessionId';
+let currentSessionId = null;
+
+const SESSION_ERROR_TITLES = {
+    ALREADY_IN_SESSION: 'Already in This Session',
+    SESSION_FULL: 'Session Full',
+    NOT_REGISTERED: 'Not Registered for This Session'
+};
+
+// Name other stations see for this one ("Door 2"); sent with every API call
+const STATION_STORAGE_KEY = 'checkin.stationName';
+
+// Live feed of what other stations do at the selected event
+const STATION_STREAM_ENDPOINT = '/api/attendees/stream';
+let stationSource = null;
+
+// Result on screen and the email it is for, so pushes from other stations can update it
+let displayedResult = null;
+
+// Results showing an attendee who is not checked in yet
+const AWAITING_CHECK_IN = ['CAN_CHECK_IN', 'UNDONE', 'WAITLISTED', 'CHECK_IN_IN_PROGRESS'];
+
+// How long a scan result stays on screen before the scanner reads the next ticket
+const SCAN_RESULT_HOLD_MS = 3000;
+
+// HTTP statuses meaning the check-in service (not the request) is unavailable
+const RETRYABLE_STATUSES = [502, 503, 504];
 
 /**
- * JWT Token Generation (Secure Server-Side)
- * 
- * Requests a JWT token from the server to ensure JWT_SECRET is never exposed to the client.
- * This is the secure way to handle JWT generation.
- * 
- * @returns {string} JWT token from server
+ * Post JSON to the Server
+ *
+ * Sends a JSON body to one of the server's API routes and parses the reply.
+ * Responses that carry a check-in `status` (e.g. 409 ALREADY_CHECKED_IN) are
+ * returned as results rather than thrown, so the UI can render them.
+ * Network failures and gateway errors are thrown with `retryable = true`.
+ *
+ * @param {string} url - Server route
+ * @param {Object} body - Request body
+ * @returns {Object} Parsed response body
  */
-async function getJWT() {
+async function postJSON(url, body) {
+    let response;
     try {
-        const response = await fetch('/api/generate-jwt', {
+        response = await fetch(url, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
-            }
+                'Content-Type': 'application/json',
+                'X-Checkin-Station': encodeURIComponent(localStorage.getItem(STATION_STORAGE_KEY) || '')
+            },
+            body: JSON.stringify(body)
         });
+    } catch (networkError) {
+        const error = new Error('Network unavailable');
+        error.retryable = true;
+        throw error;
+    }
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+    if (response.status === 401) {
+        redirectToLogin();
+        throw new Error('Your session has expired. Please log in again.');
+    }
 
-        const result = await response.json();
-        return result.token;
-    } catch (error) {
-        console.error('Error requesting JWT token:', error);
-        throw new Error('Failed to get JWT token from server');
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok && !result.status) {
+        const error = new Error(result.error || `HTTP error! status: ${response.status}`);
+        error.retryable = RETRYABLE_STATUSES.includes(response.status);
+        throw error;
     }
+
+    return result;
 }
 
 /**
@@ -90,7 +169,10 @@ function togglePreloader(show) {
  * @param {string} email - Email address for the request
  */
 function displayResponse(response, email) {
-    const { status, message, attendee } = response;
+    const { status, attendee, walkIn, warning } = response;
+    // Session check-in errors carry their text in `error`
+    const message = response.message || response.error;
+    displayedResult = { ...response, email };
 
 
     let responseHtml = '';
@@ -103,6 +185,7 @@ function displayResponse(response, email) {
                 <div class="response-message ${responseClass}">
                     <h3>Attendee Not Found</h3>
                     <p>${message || 'No attendee found with this email address.'}</p>
+                    ${renderWalkInForm(walkIn, email)}
                 </div>
             `;
             break;
@@ -111,9 +194,14 @@ function displayResponse(response, email) {
             responseClass = 'already-checked-in';
             responseHtml = `
                 <div class="response-message ${responseClass}">
-                    <h3>Already Checked In</h3>
-                    <p>${message || 'This attendee has already been checked in.'}</p>
+                    <h3>${response.checkedOutAt ? 'Checked Out' : 'Already Checked In'}</h3>
+                    <p>${response.checkedOutAt
+                        ? `Checked out at ${new Date(response.checkedOutAt).toLocaleTimeString()}.`
+                        : message || 'This attendee has already been checked in.'}</p>
                     ${attendee ? renderAttendeeDetails(attendee) : ''}
+                    ${renderCheckOutButton(email, response.checkedOutAt)}
+                    ${renderBadgeButton(email)}
+                    ${renderUndoButton(email)}
                 </div>
             `;
             break;
@@ -126,6 +214,7 @@ function displayResponse(response, email) {
                 <div class="response-message ${responseClass}">
                     <h3>Ready to Check In</h3>
                     <p>${message || 'This attendee is ready to be checked in.'}</p>
+                    ${renderCapacityNote(response.capacity)}
                     ${attendee ? renderAttendeeDetails(attendee) : ''}
                     <button class="update-btn" onclick="updateAttendeeStatus('${email}')">
                         Update Attendee Status
@@ -138,8 +227,105 @@ function displayResponse(response, email) {
             responseClass = 'success';
             responseHtml = `
                 <div class="response-message ${responseClass}">
-                    <h3>Check-In Successful</h3>
-                    <p>This attendee has been successfully checked in!</p>
+                    <h3>${response.returned ? 'Welcome Back' : 'Check-In Successful'}</h3>
+                    <p>${response.returned ? 'This attendee has been checked back in.' : 'This attendee has been successfully checked in!'}</p>
+                    ${warning ? `<p class="capacity-warning">${escapeHtml(warning)}</p>` : ''}
+                    ${attendee ? renderAttendeeDetails(attendee) : ''}
+                    ${renderBadgeButton(email)}
+                    ${renderUndoButton(email)}
+                </div>
+            `;
+            break;
+
+        case 'UNDONE':
+            responseClass = 'can-check-in';
+            currentAttendeeData = attendee;
+            responseHtml = `
+                <div class="response-message ${responseClass}">
+                    <h3>Check-In Undone</h3>
+                    <p>${message || 'The check-in was reversed. The attendee can be checked in again.'}</p>
+                    ${attendee ? renderAttendeeDetails(attendee) : ''}
+                    <button class="update-btn" onclick="updateAttendeeStatus('${email}')">
+                        Update Attendee Status
+                    </button>
+                </div>
+            `;
+            break;
+
+        case 'CHECK_IN_IN_PROGRESS':
+            responseClass = 'waitlisted';
+            responseHtml = `
+                <div class="response-message ${responseClass}">
+                    <h3>Being Checked In Elsewhere</h3>
+                    <p>${escapeHtml(message)}. Leave this attendee to them, or look up again in a moment.</p>
+                    ${attendee ? renderAttendeeDetails(attendee) : ''}
+                    <button class="update-btn" onclick="lookupAttendee('${email}')">
+                        Look Up Again
+                    </button>
+                </div>
+            `;
+            break;
+
+        case 'WAITLISTED':
+            responseClass = 'waitlisted';
+            currentAttendeeData = attendee;
+            responseHtml = `
+                <div class="response-message ${responseClass}">
+                    <h3>Venue Full - Waitlisted</h3>
+                    <p>${message || 'The venue is at capacity. This attendee is on the waitlist.'}</p>
+                    ${renderCapacityNote(response.capacity)}
+                    ${attendee ? renderAttendeeDetails(attendee) : ''}
+                    <button class="update-btn" onclick="updateAttendeeStatus('${email}')">
+                        Try Check-In Again
+                    </button>
+                </div>
+            `;
+            break;
+
+        case 'CHECKED_OUT':
+            responseClass = 'success';
+            responseHtml = `
+                <div class="response-message ${responseClass}">
+                    <h3>Checked Out</h3>
+                    <p>${message || 'This attendee has been checked out.'}</p>
+                    ${response.promoted
+                        ? `<p class="capacity-warning">Next from the waitlist: ${escapeHtml(response.promoted.fullName || response.promoted.email)}</p>`
+                        : ''}
+                    ${attendee ? renderAttendeeDetails(attendee) : ''}
+                </div>
+            `;
+            break;
+
+        case 'SESSION_CHECKED_IN':
+            responseClass = 'success';
+            responseHtml = `
+                <div class="response-message ${responseClass}">
+                    <h3>${escapeHtml(message)}</h3>
+                    ${renderSessionSeats(response.session)}
+                    ${response.eventCheckedIn ? '' : '<p class="capacity-warning">Not checked in at the main desk yet.</p>'}
+                    ${attendee ? renderAttendeeDetails(attendee) : ''}
+                </div>
+            `;
+            break;
+
+        case 'ALREADY_IN_SESSION':
+        case 'SESSION_FULL':
+        case 'NOT_REGISTERED':
+            responseClass = 'already-checked-in';
+            responseHtml = `
+                <div class="response-message ${responseClass}">
+                    <h3>${SESSION_ERROR_TITLES[status]}</h3>
+                    <p>${escapeHtml(message)}</p>
+                </div>
+            `;
+            break;
+
+        case 'PENDING_SYNC':
+            responseClass = 'pending-sync';
+            responseHtml = `
+                <div class="response-message ${responseClass}">
+                    <h3>Saved Offline - Pending Sync</h3>
+                    <p>${message || 'The check-in was saved on this device and will sync when the connection is back.'}</p>
                     ${attendee ? renderAttendeeDetails(attendee) : ''}
                 </div>
             `;
@@ -158,10 +344,248 @@ function displayResponse(response, email) {
     responseSection.innerHTML = responseHtml;
 }
 
+/**
+ * Render Walk-In Form
+ *
+ * On-site registration for someone not on the list, when the event takes walk-ins
+ * @param {Object} [walkIn] - { enabled, capacity, count, remaining } from the lookup
+ * @param {string} email - Email that was looked up
+ * @returns {string} HTML for the form, or ''
+ */
+function renderWalkInForm(walkIn, email) {
+    if (!walkIn || !walkIn.enabled) return '';
+    if (walkIn.remaining === 0) {
+        return '<p><strong>Walk-in registration is full for this event.</strong></p>';
+    }
+
+    const places = walkIn.remaining === null ? '' : ` (${walkIn.remaining} place${walkIn.remaining === 1 ? '' : 's'} left)`;
+    return `
+        <form id="walkInForm" class="walk-in-form" onsubmit="submitWalkIn(event)">
+            <h4>Register as a walk-in${places}</h4>
+            <div class="input-group">
+                <label for="walkInName">Full Name</label>
+                <input type="text" id="walkInName" name="fullName" required maxlength="200">
+            </div>
+            <div class="input-group">
+                <label for="walkInEmail">Email</label>
+                <input type="email" id="walkInEmail" name="email" required value="${escapeHtml(email || '')}">
+            </div>
+            <div class="input-group">
+                <label for="walkInPhone">Phone Number</label>
+                <input type="tel" id="walkInPhone" name="phone" maxlength="200">
+            </div>
+            <div class="input-group">
+                <label for="walkInProfession">Profession</label>
+                <input type="text" id="walkInProfession" name="profession" maxlength="200">
+            </div>
+            <div class="input-group">
+                <label for="walkInExperience">Experience Level</label>
+                <input type="text" id="walkInExperience" name="experienceLevel" maxlength="200">
+            </div>
+            <div class="input-group">
+                <label for="walkInGender">Gender</label>
+                <select id="walkInGender" name="gender">
+                    <option value="">Prefer not to say</option>
+                    <option value="Female">Female</option>
+                    <option value="Male">Male</option>
+                </select>
+            </div>
+            <button type="submit" class="update-btn">Register and Check In</button>
+        </form>
+    `;
+}
+
+/**
+ * Submit Walk-In
+ *
+ * Creates the registration and checks the person in, then queues their confirmation email
+ * @param {SubmitEvent} event - Form submission event
+ */
+async function submitWalkIn(event) {
+    event.preventDefault();
+    const form = event.target;
+    const button = form.querySelector('button[type="submit"]');
+    const fields = Object.fromEntries(new FormData(form).entries());
+
+    button.disabled = true;
+    button.textContent = 'Registering...';
+
+    try {
+        const result = await postJSON('/api/attendees/walk-in', { ...fields, eventId: currentEventId });
+        const email = fields.email.trim().toLowerCase();
+        if (result.status !== 'SUCCESS') {
+            // e.g. the email turned out to be registered after all, or the last place just went
+            displayResponse({ ...result, message: result.message || result.error }, email);
+            return;
+        }
+
+        displayResponse(result, email);
+        requestConfirmationEmail(email, result.attendee.fullName, result.attendee.checkInTime);
+    } catch (error) {
+        console.error('Error registering walk-in:', error);
+        window.alert(error.retryable
+            ? 'Walk-in registration needs a connection. Please try again when back online.'
+            : `Walk-in registration failed: ${error.message}`);
+        button.disabled = false;
+        button.textContent = 'Register and Check In';
+    }
+}
+
+/**
+ * Request Confirmation Email
+ *
+ * Fire-and-forget: the server queues the confirmation email and retries failed sends
+ * @param {string} email - Attendee email
+ * @param {string} name - Attendee name
+ * @param {string} checkInTime - ISO check-in time
+ */
+async function requestConfirmationEmail(email, name, checkInTime) {
+    try {
+        await fetch('/api/send-checkin-email', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ toEmail: email, fullName: name || '', checkInTime, eventId: currentEventId })
+        });
+    } catch (e) {
+        // Intentionally non-blocking; log for diagnostics only
+        console.log('Email send trigger failed:', e.message);
+    }
+}
+
+/**
+ * Render Capacity Note
+ *
+ * @param {Object} [capacity] - { capacity, inside, full, waitlistLength } from the lookup
+ * @returns {string} HTML for the note, or '' when the event has no capacity
+ */
+function renderCapacityNote(capacity) {
+    if (!capacity) return '';
+    const waiting = capacity.waitlistLength ? `, ${capacity.waitlistLength} on the waitlist` : '';
+    return `
+        <p class="capacity-note${capacity.full ? ' full' : ''}">
+            ${capacity.inside} of ${capacity.capacity} inside${waiting}${capacity.full ? ' - venue full' : ''}
+        </p>
+    `;
+}
+
+/**
+ * Render Check-Out Button
+ *
+ * Checked-out attendees get a button to check back in instead
+ * @param {string} email - Attendee email
+ * @param {string|null} checkedOutAt - When they checked out, if they did
+ * @returns {string} HTML for the button
+ */
+function renderCheckOutButton(email, checkedOutAt) {
+    if (!email) return '';
+    if (checkedOutAt) {
+        return `
+            <button type="button" class="update-btn" onclick="updateAttendeeStatus('${email}')">
+                Check Back In
+            </button>
+        `;
+    }
+    return `
+        <button type="button" class="update-btn checkout-btn" onclick="checkOutAttendee('${email}')">
+            Check Out
+        </button>
+    `;
+}
+
+/**
+ * Check Out Attendee
+ *
+ * Frees the attendee's place; at a full venue it goes to the next person on the waitlist
+ * @param {string} email - Attendee email
+ */
+async function checkOutAttendee(email) {
+    try {
+        const result = await postJSON('/api/attendees/checkout', { email, eventId: currentEventId });
+        if (result.status === 'CHECKED_OUT') {
+            displayResponse(result, email);
+        } else {
+            window.alert(result.error || 'The attendee could not be checked out.');
+        }
+    } catch (error) {
+        console.error('Error checking out attendee:', error);
+        window.alert(`Failed to check out: ${error.message}`);
+    }
+}
+
+/**
+ * Render Print Badge Button
+ *
+ * @param {string} email - Attendee email
+ * @returns {string} HTML for the button, or '' without an email (e.g. scanned offline)
+ */
+function renderBadgeButton(email) {
+    if (!email) return '';
+    return `
+        <button type="button" class="update-btn badge-btn" onclick="printBadge('${email}')">
+            Print Badge
+        </button>
+    `;
+}
+
+/**
+ * Print Badge
+ *
+ * Opens the attendee's PDF badge in a new tab for the browser's print dialog
+ * @param {string} email - Attendee email
+ */
+function printBadge(email) {
+    const params = new URLSearchParams({ eventId: currentEventId });
+    window.open(`/api/badges/${encodeURIComponent(email)}?${params}`, '_blank');
+}
+
+/**
+ * Render Undo Check-In Button
+ *
+ * @param {string} email - Attendee email
+ * @returns {string} HTML for the button (leads and admins only)
+ */
+function renderUndoButton(email) {
+    if (!email || !userHasRole('lead')) return '';
+    return `
+        <button type="button" class="link-btn danger undo-btn" onclick="undoCheckIn('${email}')">
+            Undo Check-In
+        </button>
+    `;
+}
+
+/**
+ * Undo Check-In
+ *
+ * Reverses a mistaken check-in after asking for a reason, which goes into the audit log
+ * @param {string} email - Attendee email
+ */
+async function undoCheckIn(email) {
+    const reason = window.prompt(`Undo the check-in for ${email}? Enter a reason for the audit log:`);
+    if (reason === null) return;
+
+    try {
+        const result = await postJSON('/api/attendees/undo-checkin', {
+            email,
+            eventId: currentEventId,
+            reason
+        });
+        if (result.status === 'UNDONE') {
+            displayResponse(result, email);
+        } else {
+            window.alert(result.error || 'The check-in could not be undone.');
+        }
+    } catch (error) {
+        console.error('Error undoing check-in:', error);
+        window.alert(`Failed to undo the check-in: ${error.message}`);
+    }
+}
+
 /**
  * Render Attendee Details
  * 
- * Creates HTML for displaying attendee information consistently
+ * Creates HTML for displaying attendee information consistently.
+ * Volunteers only see name, email and check-in time; the server already strips the
+ * other fields for them, this just keeps the UI consistent with that.
  * @param {Object} attendee - Attendee object from API
  * @returns {string} HTML string for attendee details
  */
@@ -182,19 +606,21 @@ function renderAttendeeDetails(attendee) {
         }
     };
 
-    // Handle different API response formats
-    const name = attendee.fullName || attendee.Name || 'Not specified';
-    const email = attendee.email || attendee.Email || 'Not specified';
+    // Sheets write empty cells as the string 'null'
+    const field = (value) => (value && value !== 'null' ? value : null);
+
+    const name = field(attendee.fullName) || 'Not specified';
+    const email = field(attendee.email) || 'Not specified';
 
     // Debug: Log the extracted values
     console.log('Extracted name:', name);
     console.log('Extracted email:', email);
-    const phone = attendee.phone || attendee.PhoneNumber || attendee.Phone || null;
-    const profession = attendee.profession || attendee.Profession || null;
-    const experienceLevel = attendee.experienceLevel || attendee.ExperienceLevel || null;
-    const gender = attendee.gender || attendee.Gender || null;
-    const registrationDate = attendee['Registration Date'] || attendee.RegistrationDate || null;
-    const checkInTime = attendee.checkInTime || attendee.CheckInTime || attendee['CheckIn Time'] || null;
+    const phone = field(attendee.phone);
+    const profession = field(attendee.profession);
+    const experienceLevel = field(attendee.experienceLevel);
+    const gender = field(attendee.gender);
+    const registrationDate = field(attendee.registrationDate);
+    const checkInTime = field(attendee.checkInTime);
 
     let html = `
         <div class="attendee-details">
@@ -208,8 +634,10 @@ function renderAttendeeDetails(attendee) {
                 <span class="detail-value">${email}</span>
             </div>`;
 
-    // Add optional fields if they exist
-    if (phone) {
+    // Add optional fields if they exist (leads and admins only)
+    const showFullDetails = userHasRole('lead');
+
+    if (showFullDetails && phone) {
         html += `
             <div class="detail-row">
                 <span class="detail-label">Phone:</span>
@@ -217,7 +645,7 @@ function renderAttendeeDetails(attendee) {
             </div>`;
     }
 
-    if (profession) {
+    if (showFullDetails && profession) {
         html += `
             <div class="detail-row">
                 <span class="detail-label">Profession:</span>
@@ -225,7 +653,7 @@ function renderAttendeeDetails(attendee) {
             </div>`;
     }
 
-    if (experienceLevel) {
+    if (showFullDetails && experienceLevel) {
         html += `
             <div class="detail-row">
                 <span class="detail-label">Experience Level:</span>
@@ -233,7 +661,7 @@ function renderAttendeeDetails(attendee) {
             </div>`;
     }
 
-    if (gender) {
+    if (showFullDetails && gender) {
         html += `
             <div class="detail-row">
                 <span class="detail-label">Gender:</span>
@@ -241,7 +669,7 @@ function renderAttendeeDetails(attendee) {
             </div>`;
     }
 
-    if (registrationDate) {
+    if (showFullDetails && registrationDate) {
         html += `
             <div class="detail-row">
                 <span class="detail-label">Registration Date:</span>
@@ -253,7 +681,18 @@ function renderAttendeeDetails(attendee) {
             <div class="detail-row">
                 <span class="detail-label">Check-in Time:</span>
                 <span class="detail-value">${formatTime(checkInTime)}</span>
-            </div>
+            </div>`;
+
+    // Leads can pull up the attendee's QR ticket to resend or print it
+    if (showFullDetails && email !== 'Not specified') {
+        html += `
+            <div class="detail-row">
+                <span class="detail-label">QR Ticket:</span>
+                <a class="detail-value" href="/api/tickets/${encodeURIComponent(email)}?format=png" target="_blank" rel="noopener">View ticket</a>
+            </div>`;
+    }
+
+    html += `
         </div>`;
 
     return html;
@@ -272,60 +711,50 @@ async function updateAttendeeStatus(email) {
         updateBtn.textContent = 'Updating...';
     }
 
-    try {
-        // Get current timestamp in ISO format
-        const currentTime = new Date().toISOString();
-
-        const requestBody = {
-            Email: email,
-            CheckIn: true,
-            'CheckIn Time': currentTime
-        };
+    // Get current timestamp in ISO format (kept as the original time if queued offline)
+    const currentTime = new Date().toISOString();
 
-        const jwtToken = await getJWT();
-        const response = await fetch(UPDATE_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${jwtToken}`
-            },
-            body: JSON.stringify(requestBody)
+    try {
+        const result = await postJSON(CHECKIN_ENDPOINT, {
+            email: email,
+            eventId: currentEventId,
+            checkInTime: currentTime
         });
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        // Someone else may have checked this attendee in since the lookup
+        if (result.status !== 'SUCCESS') {
+            displayResponse(result, email);
+            return;
         }
 
-        const result = await response.json();
+        // Back from a check-out: same check-in as before, no second confirmation email
+        if (result.returned) {
+            displayResponse(result, email);
+            return;
+        }
 
         // Update UI to show success with preserved attendee data
         displayResponse({
-            status: 'SUCCESS',
-            message: 'Check-in completed successfully',
+            ...result,
             attendee: {
                 ...currentAttendeeData || {},
-                checkInTime: currentTime,
-                CheckInTime: currentTime,
-                'CheckIn Time': currentTime
+                ...result.attendee || {},
+                checkInTime: currentTime
             }
         }, email);
 
-        // Fire-and-forget: trigger confirmation email (server-side only, no secrets exposed)
-        try {
-            const name = (currentAttendeeData && (currentAttendeeData.fullName || currentAttendeeData.Name)) || '';
-            await fetch('/api/send-checkin-email', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ toEmail: email, fullName: name, checkInTime: currentTime })
-            });
-        } catch (e) {
-            // Intentionally non-blocking; log for diagnostics only
-            console.log('Email send trigger failed:', e.message);
-        }
+        const name = (currentAttendeeData && currentAttendeeData.fullName) || '';
+        await requestConfirmationEmail(email, name, currentTime);
 
     } catch (error) {
         console.error('Error updating attendee status:', error);
 
+        // Venue Wi-Fi dropped: keep the check-in on this device and sync it later
+        if (error.retryable || !navigator.onLine) {
+            await queueOfflineCheckIn(email, currentTime, currentAttendeeData);
+            return;
+        }
+
         // Show error message
         responseSection.innerHTML = `
             <div class="response-message not-found">
@@ -345,6 +774,319 @@ async function updateAttendeeStatus(email) {
     }
 }
 
+/**
+ * Queue Offline Check-In
+ *
+ * Records the check-in in the IndexedDB queue with its original timestamp and
+ * shows it as pending sync. It replays once the connection is back.
+ * @param {string} email - Attendee email
+ * @param {string} checkInTime - Original ISO check-in time
+ * @param {Object|null} attendee - Attendee details from the lookup, if any
+ * @param {string} [eventId] - Event the check-in is for (defaults to the selected event)
+ */
+async function queueOfflineCheckIn(email, checkInTime, attendee, eventId = currentEventId) {
+    try {
+        const entry = await OfflineQueue.add(eventId, email, checkInTime, attendee || { email });
+        displayResponse({
+            status: 'PENDING_SYNC',
+            attendee: { ...entry.attendee, checkInTime: entry.checkInTime }
+        }, email);
+        await requestSync();
+    } catch (error) {
+        console.error('Error queueing offline check-in:', error);
+        displayResponse({ status: 'ERROR', message: `Could not save the check-in on this device: ${error.message}` }, email);
+    }
+    await renderSyncStatus();
+}
+
+/**
+ * Render Sync Status
+ *
+ * Shows how many check-ins are waiting to sync and any conflicts the server
+ * reported on replay (already checked in elsewhere, or not registered)
+ */
+async function renderSyncStatus() {
+    if (!syncStatus || typeof OfflineQueue === 'undefined') return;
+
+    let entries = [];
+    try {
+        entries = await OfflineQueue.list();
+    } catch (error) {
+        console.log('Offline queue unavailable:', error.message);
+    }
+
+    const pending = entries.filter((entry) => entry.status === OfflineQueue.PENDING);
+    const conflicts = entries.filter((entry) => entry.status === OfflineQueue.CONFLICT);
+
+    if (!pending.length && !conflicts.length) {
+        syncStatus.hidden = true;
+        syncStatus.innerHTML = '';
+        return;
+    }
+
+    const conflictRows = conflicts.map((entry) => {
+        const reason = entry.conflict === 'NOT_FOUND'
+            ? 'not found in the registration list'
+            : `already checked in at ${entry.serverAttendee && entry.serverAttendee.checkInTime
+                ? new Date(entry.serverAttendee.checkInTime).toLocaleString()
+                : 'another station'}`;
+        return `
+            <li>
+                <strong>${entry.email}</strong> - ${reason}
+                <button type="button" class="link-btn" onclick="dismissConflict('${entry.id}')">Dismiss</button>
+            </li>`;
+    }).join('');
+
+    syncStatus.hidden = false;
+    syncStatus.innerHTML = `
+        <div class="sync-summary">
+            <span>${pending.length} check-in${pending.length === 1 ? '' : 's'} pending sync</span>
+            ${pending.length ? '<button type="button" class="link-btn" onclick="requestSync()">Sync Now</button>' : ''}
+        </div>
+        ${conflicts.length ? `<p class="sync-conflicts-title">Sync conflicts:</p><ul class="sync-conflicts">${conflictRows}</ul>` : ''}
+    `;
+}
+
+/**
+ * Dismiss Sync Conflict
+ *
+ * @param {string} id - Queue entry to drop after staff reviewed it
+ */
+async function dismissConflict(id) {
+    await OfflineQueue.remove(id);
+    await renderSyncStatus();
+}
+
+/**
+ * Handle Sync Summary
+ *
+ * Called with the result of a queue replay, from this page or the service worker
+ * @param {Object} summary - { synced, conflicts, pending, unauthorized }
+ */
+async function handleSyncSummary(summary) {
+    if (summary.synced.length) {
+        console.log(`Synced ${summary.synced.length} offline check-in(s)`);
+    }
+    if (summary.unauthorized) {
+        console.log('Offline check-ins are waiting for a staff login to sync');
+    }
+    await renderSyncStatus();
+}
+
+/**
+ * Request Sync
+ *
+ * Replays the offline queue. Prefers Background Sync in the service worker so the
+ * replay survives the tab closing; falls back to replaying from the page.
+ */
+async function requestSync() {
+    if (!navigator.onLine) return;
+
+    try {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) {
+                await registration.sync.register('checkin-queue');
+            } else {
+                navigator.serviceWorker.controller.postMessage({ type: 'replay-queue' });
+            }
+            return;
+        }
+
+        await handleSyncSummary(await OfflineQueue.replay());
+    } catch (error) {
+        console.log('Offline queue sync failed:', error.message);
+    }
+}
+
+/**
+ * Register Service Worker
+ *
+ * Enables the cached page shell and background sync of the offline queue
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.log('Service workers not supported; offline queue syncs from this page only');
+        return;
+    }
+
+    try {
+        await navigator.serviceWorker.register('/sw.js');
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'checkin-sync') {
+                handleSyncSummary(event.data.summary);
+            }
+        });
+    } catch (error) {
+        console.log('Service worker registration failed:', error.message);
+    }
+}
+
+/**
+ * Read Ticket Payload
+ *
+ * Decodes (without verifying) the email and event inside a ticket token, so a scan can
+ * still be queued offline. The server verifies the ticket properly when it is online.
+ * @param {string} token - Ticket token
+ * @returns {Object|null} { sub: email, evt: eventId }, if readable
+ */
+function readTicketPayload(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Handle Scanned Ticket
+ *
+ * Feeds a scanned QR ticket into the same lookup -> CAN_CHECK_IN -> update flow as
+ * the email form. With auto-confirm on, a valid ticket is checked in straight away.
+ * @param {string} token - Ticket token read from the QR code
+ */
+async function handleScannedTicket(token) {
+    TicketScanner.pause();
+    currentAttendeeData = null;
+    scannerStatus.textContent = 'Ticket detected, checking...';
+    togglePreloader(true);
+
+    try {
+        const result = await postJSON(TICKET_SCAN_ENDPOINT, { token: token, eventId: currentEventId });
+        togglePreloader(false);
+
+        // Room stations only need the verified ticket's email
+        if (currentSessionId && result.email && result.status !== 'NOT_FOUND') {
+            await checkInToSession(result.email);
+            scannerStatus.textContent = 'Ready for the next ticket';
+            return;
+        }
+        displayResponse(result, result.email);
+
+        if (result.status === 'CAN_CHECK_IN' && autoConfirm.checked) {
+            await updateAttendeeStatus(result.email);
+        }
+        scannerStatus.textContent = 'Ready for the next ticket';
+    } catch (error) {
+        togglePreloader(false);
+        console.error('Error handling scanned ticket:', error);
+
+        const ticket = error.retryable || !navigator.onLine ? readTicketPayload(token) : null;
+        if (ticket && ticket.sub) {
+            await queueOfflineCheckIn(ticket.sub, new Date().toISOString(), null, ticket.evt || currentEventId);
+        } else {
+            displayResponse({ status: 'ERROR', message: error.message }, '');
+        }
+        scannerStatus.textContent = 'Scan failed - try again';
+    } finally {
+        setTimeout(() => TicketScanner.resume(), SCAN_RESULT_HOLD_MS);
+    }
+}
+
+/**
+ * Switch Lookup Mode
+ *
+ * Toggles between typing an email, searching by name/phone and scanning QR tickets
+ * @param {string} mode - 'email', 'search' or 'scan'
+ */
+async function setLookupMode(mode) {
+    const scanning = mode === 'scan';
+
+    emailModeBtn.classList.toggle('active', mode === 'email');
+    searchModeBtn.classList.toggle('active', mode === 'search');
+    scanModeBtn.classList.toggle('active', scanning);
+    checkinForm.hidden = mode !== 'email';
+    searchForm.hidden = mode !== 'search';
+    scanner.hidden = !scanning;
+    responseSection.innerHTML = '';
+
+    if (!scanning) {
+        TicketScanner.stop();
+        (mode === 'search' ? searchQuery : emailInput).focus();
+        return;
+    }
+
+    try {
+        scannerStatus.textContent = 'Starting camera...';
+        await TicketScanner.start(scannerVideo, handleScannedTicket);
+        scannerStatus.textContent = 'Point the camera at the attendee\'s QR ticket';
+    } catch (error) {
+        console.error('Error starting scanner:', error);
+        scannerStatus.textContent = `Camera unavailable: ${error.message}`;
+    }
+}
+
+/**
+ * Render Search Results
+ *
+ * @param {Array} results - Ranked matches from the server
+ */
+function renderSearchResults(results) {
+    if (!results.length) {
+        searchResults.innerHTML = '<li class="search-empty">No matching attendees</li>';
+        return;
+    }
+
+    searchResults.innerHTML = results.map((result) => {
+        const attendee = result.attendee || {};
+        const status = attendee.checkInTime ? 'Checked in' : 'Not checked in';
+        return `
+            <li>
+                <button type="button" class="search-result" data-email="${escapeHtml(attendee.email)}">
+                    <span class="search-name">${escapeHtml(attendee.fullName || attendee.email)}</span>
+                    <span class="search-meta">${escapeHtml(attendee.email)} &middot; ${status}</span>
+                </button>
+            </li>`;
+    }).join('');
+}
+
+/**
+ * Search Attendees
+ *
+ * Runs a fuzzy search for the text in the search box
+ */
+async function searchAttendees() {
+    const query = searchQuery.value.trim();
+    searchError.textContent = '';
+
+    if (query.length < SEARCH_MIN_LENGTH) {
+        searchResults.innerHTML = '';
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams({ q: query, eventId: currentEventId || '' });
+        const response = await fetch(`${SEARCH_ENDPOINT}?${params}`);
+        if (response.status === 401) return redirectToLogin();
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+
+        // Ignore answers for text the user has since changed
+        if (query === searchQuery.value.trim()) {
+            renderSearchResults(result.results);
+        }
+    } catch (error) {
+        console.error('Error searching attendees:', error);
+        searchError.textContent = error.message;
+    }
+}
+
+/**
+ * Select Search Result
+ *
+ * Continues with the normal lookup flow for the picked attendee
+ * @param {string} email - Email of the selected attendee
+ */
+async function selectSearchResult(email) {
+    searchResults.innerHTML = '';
+    emailInput.value = email;
+    await (currentSessionId ? checkInToSession(email) : lookupAttendee(email));
+}
+
 /**
  * Handle Form Submission
  * 
@@ -366,32 +1108,24 @@ async function handleFormSubmission(event) {
         return;
     }
 
+    await (currentSessionId ? checkInToSession(email) : lookupAttendee(email));
+}
+
+/**
+ * Lookup Attendee
+ *
+ * Looks an attendee up by email and shows the result; shared by the email form
+ * and the search results
+ * @param {string} email - Attendee email
+ */
+async function lookupAttendee(email) {
     // Clear previous attendee data and show preloader
     currentAttendeeData = null;
     togglePreloader(true);
 
     try {
-        // Prepare request body
-        const requestBody = {
-            Email: email
-        };
-
-        // Make API request
-        const jwtToken = await getJWT();
-        const response = await fetch(LOOKUP_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${jwtToken}`
-            },
-            body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const result = await response.json();
+        // Make API request (the server signs and forwards it to the lookup webhook)
+        const result = await postJSON(LOOKUP_ENDPOINT, { email: email, eventId: currentEventId });
 
         // Display response
         displayResponse(result, email);
@@ -399,7 +1133,12 @@ async function handleFormSubmission(event) {
     } catch (error) {
         console.error('Error checking attendee status:', error);
 
-        // Display error message
+        // Display error message; when offline, staff can still record the check-in locally
+        const offlineAction = error.retryable || !navigator.onLine
+            ? `<button class="update-btn" onclick="queueOfflineCheckIn('${email}', new Date().toISOString(), null)">
+                    Check In Offline
+               </button>`
+            : '';
         responseSection.innerHTML = `
             <div class="response-message not-found">
                 <h3>Connection Error</h3>
@@ -407,6 +1146,7 @@ async function handleFormSubmission(event) {
                 <p style="font-size: 0.8rem; margin-top: 10px; color: #999;">
                     Error: ${error.message}
                 </p>
+                ${offlineAction}
             </div>
         `;
     } finally {
@@ -415,6 +1155,133 @@ async function handleFormSubmission(event) {
     }
 }
 
+/**
+ * Handle Activity from Another Station
+ *
+ * Updates the result on screen when another station claims, checks in or undoes the
+ * attendee it shows, so two volunteers do not both check the same person in
+ * @param {string} type - 'claimed', 'checkin' or 'checkin-undone'
+ * @param {Object} change - { email, station, checkInTime, expiresAt }
+ */
+function handleStationActivity(type, change) {
+    if (!displayedResult || !displayedResult.email || !responseSection.children.length) return;
+    const { email, status, checkedOutAt } = displayedResult;
+    if (change.email !== email.toLowerCase()) return;
+
+    const attendee = displayedResult.attendee || currentAttendeeData;
+    const station = escapeHtml(change.station || 'another station');
+    const awaiting = AWAITING_CHECK_IN.includes(status) || (status === 'ALREADY_CHECKED_IN' && checkedOutAt);
+    const checkedIn = status === 'SUCCESS' || (status === 'ALREADY_CHECKED_IN' && !checkedOutAt);
+
+    if (type === 'claimed' && awaiting) {
+        displayResponse({
+            status: 'CHECK_IN_IN_PROGRESS',
+            message: `Already being checked in by ${change.station || 'another station'}`,
+            attendee
+        }, email);
+    } else if (type === 'checkin' && awaiting) {
+        const checkInTime = change.checkInTime || new Date().toISOString();
+        displayResponse({
+            status: 'ALREADY_CHECKED_IN',
+            message: `Checked in by ${station} at ${new Date(checkInTime).toLocaleTimeString()}.`,
+            attendee: attendee ? { ...attendee, checkInTime } : null
+        }, email);
+    } else if (type === 'checkin-undone' && checkedIn) {
+        currentAttendeeData = attendee;
+        displayResponse({
+            status: 'UNDONE',
+            message: `${station} undid this check-in. The attendee can be checked in again.`,
+            attendee: attendee ? { ...attendee, checkInTime: null } : null
+        }, email);
+    }
+}
+
+/**
+ * Connect Station Stream
+ *
+ * Listens for what other stations do at the selected event; EventSource reconnects by itself
+ */
+function connectStationStream() {
+    if (stationSource) stationSource.close();
+    stationSource = null;
+    if (!currentEventId || typeof EventSource === 'undefined' || !userHasRole('volunteer')) return;
+
+    stationSource = new EventSource(`${STATION_STREAM_ENDPOINT}?eventId=${encodeURIComponent(currentEventId)}`);
+    ['claimed', 'checkin', 'checkin-undone'].forEach((type) => {
+        stationSource.addEventListener(type, (event) => handleStationActivity(type, JSON.parse(event.data)));
+    });
+}
+
+/**
+ * Render Session Seats
+ *
+ * @param {Object} [session] - Session with { attended, capacity, seatsLeft }
+ * @returns {string} HTML for the seat count
+ */
+function renderSessionSeats(session) {
+    if (!session) return '';
+    const seats = Number.isInteger(session.capacity)
+        ? `${session.attended} of ${session.capacity} seats taken`
+        : `${session.attended} checked in`;
+    return `<p class="capacity-note">${escapeHtml(session.title)}: ${seats}</p>`;
+}
+
+/**
+ * Load Sessions
+ *
+ * Fills the session selector for the selected event. Stations keep their session
+ * across reloads; the selector stays hidden for events without sessions.
+ */
+async function loadSessions() {
+    let sessions = [];
+    try {
+        const response = await fetch(`/api/sessions?eventId=${encodeURIComponent(currentEventId || '')}`);
+        if (response.ok) sessions = (await response.json()).sessions;
+    } catch (error) {
+        console.log('Sessions not available:', error.message);
+    }
+
+    sessionSelect.innerHTML = '<option value="">Main event check-in</option>' + sessions.map((session) => {
+        const time = session.startsAt
+            ? ` - ${new Date(session.startsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : '';
+        const room = session.room ? ` (${session.room})` : '';
+        return `<option value="${escapeHtml(session.id)}">${escapeHtml(`${session.title}${room}${time}`)}</option>`;
+    }).join('');
+
+    const stored = localStorage.getItem(SESSION_STORAGE_KEY);
+    currentSessionId = sessions.some((session) => session.id === stored) ? stored : null;
+    sessionSelect.value = currentSessionId || '';
+    sessionGroup.hidden = !sessions.length;
+}
+
+/**
+ * Check In to Session
+ *
+ * Records the attendee at the station's session. Room stations skip the event
+ * lookup panel: the server checks the registration itself.
+ * @param {string} email - Attendee email
+ */
+async function checkInToSession(email) {
+    currentAttendeeData = null;
+    togglePreloader(true);
+
+    try {
+        const result = await postJSON(`/api/sessions/${encodeURIComponent(currentSessionId)}/checkin`, {
+            email,
+            eventId: currentEventId,
+            checkInTime: new Date().toISOString()
+        });
+        displayResponse(result, email);
+    } catch (error) {
+        console.error('Error checking in to session:', error);
+        // Session check-ins are not queued offline; the main desk queue covers the event
+        displayResponse({ status: 'ERROR', message: `Session check-in failed: ${error.message}` }, email);
+    } finally {
+        togglePreloader(false);
+    }
+}
+
 /**
  * Real-time Email Validation
  * 
@@ -443,7 +1310,7 @@ function setupEmailValidation() {
 /**
  * Load Configuration from Server
  * 
- * Attempts to load environment variables from the server's /api/config endpoint
+ * Attempts to load safe settings from the server's /api/config endpoint
  * Falls back to local config if server is not available
  */
 async function loadConfiguration() {
@@ -451,9 +1318,7 @@ async function loadConfiguration() {
         // Try to load from server first
         const response = await fetch('/api/config');
         if (response.ok) {
-            const config = await response.json();
-            LOOKUP_ENDPOINT = config.LOOKUP_ENDPOINT || LOOKUP_ENDPOINT;
-            UPDATE_ENDPOINT = config.UPDATE_ENDPOINT || UPDATE_ENDPOINT;
+            appConfig = await response.json();
             console.log('Configuration loaded from server');
             return;
         }
@@ -463,8 +1328,7 @@ async function loadConfiguration() {
 
     // Fallback to local config if available
     if (window.CONFIG) {
-        LOOKUP_ENDPOINT = window.CONFIG.LOOKUP_ENDPOINT || LOOKUP_ENDPOINT;
-        UPDATE_ENDPOINT = window.CONFIG.UPDATE_ENDPOINT || UPDATE_ENDPOINT;
+        appConfig = { ...window.CONFIG };
         console.log('Configuration loaded from local config');
     } else {
         console.log('Using default configuration');
@@ -477,7 +1341,16 @@ async function loadConfiguration() {
  * Sets up event listeners and loads configuration
  */
 async function initializeApp() {
-    // Load configuration first
+    // Make sure a staff member is logged in before anything else
+    try {
+        if (!await loadCurrentUser()) return;
+    } catch (error) {
+        console.error('Error loading staff session:', error);
+        return;
+    }
+    setupStaffBar();
+
+    // Load configuration
     await loadConfiguration();
 
     // Form submission handler
@@ -493,8 +1366,60 @@ async function initializeApp() {
         }
     });
 
+    // Station name: what other stations see while this one checks someone in
+    stationNameInput.value = localStorage.getItem(STATION_STORAGE_KEY) || '';
+    stationNameInput.addEventListener('input', () => {
+        localStorage.setItem(STATION_STORAGE_KEY, stationNameInput.value.trim());
+    });
+
+    // Event selector: lookups, check-ins and emails all go to the selected event
+    await setupEventSelector(eventSelect, () => {
+        currentAttendeeData = null;
+        responseSection.innerHTML = '';
+        loadSessions();
+        connectStationStream();
+    });
+
+    // Live updates when other stations claim or check in the attendee on screen
+    connectStationStream();
+
+    // Session selector: room stations check attendees in to one talk or workshop
+    await loadSessions();
+    sessionSelect.addEventListener('change', () => {
+        currentSessionId = sessionSelect.value || null;
+        localStorage.setItem(SESSION_STORAGE_KEY, sessionSelect.value);
+        responseSection.innerHTML = '';
+    });
+
+    // QR scanner mode
+    emailModeBtn.addEventListener('click', () => setLookupMode('email'));
+    scanModeBtn.addEventListener('click', () => setLookupMode('scan'));
+
+    // Search mode: live results as staff type, pick one to continue
+    searchModeBtn.addEventListener('click', () => setLookupMode('search'));
+    searchForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        clearTimeout(searchTimer);
+        searchAttendees();
+    });
+    searchQuery.addEventListener('input', () => {
+        responseSection.innerHTML = '';
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(searchAttendees, SEARCH_DEBOUNCE_MS);
+    });
+    searchResults.addEventListener('click', (event) => {
+        const result = event.target.closest('.search-result');
+        if (result) selectSearchResult(result.dataset.email);
+    });
+
+    // Offline support: cache the page, show pending check-ins and sync when back online
+    await registerServiceWorker();
+    await renderSyncStatus();
+    window.addEventListener('online', requestSync);
+    requestSync();
+
     console.log('Event Check-In application initialized');
-    console.log('JWT tokens will be generated securely on the server');
+    console.log('Attendee lookups are proxied through the server');
 }
 
 // Initialize the application when DOM is loaded
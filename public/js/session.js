@@ -0,0 +1,112 @@
+/**
+ * Staff Session Helpers
+ *
+ * Shared by the staff pages. Loads the logged-in staff member from /api/auth/me,
+ * fills in the staff bar and wires up the logout button. Any 401 sends the
+ * browser back to the login page.
+ */
+
+// Logged-in staff member ({ username, name, role }) once loadCurrentUser() resolves
+let currentUser = null;
+
+const STAFF_ROLES = ['kiosk', 'volunteer', 'lead', 'admin'];
+
+/**
+ * Check Staff Role
+ *
+ * @param {string} role - Minimum role required
+ * @returns {boolean} True if the current user has at least that role
+ */
+function userHasRole(role) {
+    if (!currentUser) return false;
+    return STAFF_ROLES.indexOf(currentUser.role) >= STAFF_ROLES.indexOf(role);
+}
+
+/**
+ * Redirect to Login
+ *
+ * Sends the browser to the login page, remembering where to come back to
+ */
+function redirectToLogin() {
+    const next = window.location.pathname + window.location.search;
+    window.location.href = `/login?next=${encodeURIComponent(next)}`;
+}
+
+/**
+ * Load Current User
+ *
+ * @returns {Object|null} Logged-in staff member, or null after redirecting to login
+ */
+async function loadCurrentUser() {
+    const response = await fetch('/api/auth/me');
+    if (response.status === 401) {
+        redirectToLogin();
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const result = await response.json();
+    currentUser = result.user;
+    return currentUser;
+}
+
+/**
+ * Logout
+ *
+ * Clears the session cookie and returns to the login page
+ */
+async function logout() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } finally {
+        window.location.href = '/login';
+    }
+}
+
+/**
+ * Set Up Staff Bar
+ *
+ * Shows who is logged in, links leads to the dashboard and admins to staff
+ * management, roster import, the email and audit logs, webhooks and certificates,
+ * and binds logout
+ */
+function setupStaffBar() {
+    const nameEl = document.getElementById('staffName');
+    const dashboardLink = document.getElementById('dashboardLink');
+    const staffLink = document.getElementById('staffLink');
+    const rosterLink = document.getElementById('rosterLink');
+    const emailsLink = document.getElementById('emailsLink');
+    const auditLink = document.getElementById('auditLink');
+    const webhooksLink = document.getElementById('webhooksLink');
+    const certificatesLink = document.getElementById('certificatesLink');
+    const logoutBtn = document.getElementById('logoutBtn');
+
+    if (nameEl && currentUser) {
+        nameEl.textContent = `${currentUser.name} (${currentUser.role})`;
+    }
+    if (dashboardLink) {
+        dashboardLink.hidden = !userHasRole('lead');
+    }
+    if (staffLink) {
+        staffLink.hidden = !userHasRole('admin');
+    }
+    if (rosterLink) {
+        rosterLink.hidden = !userHasRole('admin');
+    }
+    if (emailsLink) {
+        emailsLink.hidden = !userHasRole('admin');
+    }
+    if (auditLink) {
+        auditLink.hidden = !userHasRole('admin');
+    }
+    if (webhooksLink) {
+        webhooksLink.hidden = !userHasRole('admin');
+    }
+    if (certificatesLink) {
+        certificatesLink.hidden = !userHasRole('admin');
+    }
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', logout);
+    }
+}
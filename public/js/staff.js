@@ -0,0 +1,91 @@
+/**
+ * Staff Management Page (admin only)
+ *
+ * Lists staff accounts and lets admins add or remove volunteers, leads, admins and
+ * kiosk tablet accounts
+ */
+
+const staffTableBody = document.getElementById('staffTableBody');
+const staffForm = document.getElementById('staffForm');
+const staffError = document.getElementById('staffError');
+
+/**
+ * Load and Render Staff Accounts
+ */
+async function loadStaff() {
+    const response = await fetch('/api/staff');
+    if (response.status === 401) return redirectToLogin();
+
+    const result = await response.json();
+    staffTableBody.innerHTML = result.staff.map((user) => `
+        <tr>
+            <td>${escapeHtml(user.username)}</td>
+            <td>${escapeHtml(user.name)}</td>
+            <td>${escapeHtml(user.role)}</td>
+            <td>
+                ${user.username === currentUser.username ? '' : `<button type="button" class="link-btn danger" data-username="${escapeHtml(user.username)}">Remove</button>`}
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Remove a Staff Account
+ *
+ * @param {string} username - Account to remove
+ */
+async function removeStaff(username) {
+    if (!window.confirm(`Remove staff account "${username}"?`)) return;
+
+    const response = await fetch(`/api/staff/${encodeURIComponent(username)}`, { method: 'DELETE' });
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        window.alert(result.error || 'Failed to remove staff account');
+    }
+    await loadStaff();
+}
+
+/**
+ * Handle New Staff Submission
+ *
+ * @param {Event} event - Form submission event
+ */
+async function handleStaffSubmission(event) {
+    event.preventDefault();
+    staffError.textContent = '';
+
+    const response = await fetch('/api/staff', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            username: document.getElementById('newUsername').value.trim(),
+            name: document.getElementById('newName').value.trim(),
+            role: document.getElementById('newRole').value,
+            password: document.getElementById('newPassword').value
+        })
+    });
+
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        staffError.textContent = result.error || 'Failed to add staff member';
+        return;
+    }
+
+    staffForm.reset();
+    await loadStaff();
+}
+
+async function initializeStaffPage() {
+    if (!await loadCurrentUser()) return;
+    setupStaffBar();
+
+    staffForm.addEventListener('submit', handleStaffSubmission);
+    staffTableBody.addEventListener('click', (event) => {
+        const username = event.target.dataset.username;
+        if (username) removeStaff(username);
+    });
+
+    await loadStaff();
+}
+
+document.addEventListener('DOMContentLoaded', initializeStaffPage);
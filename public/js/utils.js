@@ -0,0 +1,20 @@
+/**
+ * Shared Client Utilities
+ *
+ * Small helpers used by more than one page
+ */
+
+/**
+ * Escape HTML
+ *
+ * @param {string} value - Untrusted text
+ * @returns {string} Text safe to insert into innerHTML
+ */
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,91 @@
+/**
+ * Certificate Verification Page (public)
+ *
+ * Employers type a verification ID, or open /verify/<id> from the QR code on the
+ * document, and see whether the certificate or letter is genuine and still valid.
+ */
+
+const verifyForm = document.getElementById('verifyForm');
+const verifyId = document.getElementById('verifyId');
+const verifyError = document.getElementById('verifyError');
+const verifyBtn = document.getElementById('verifyBtn');
+const verifyResult = document.getElementById('verifyResult');
+
+/**
+ * Render a Verification Result
+ *
+ * @param {string} status - VALID or REVOKED
+ * @param {Object} doc - Document summary from /api/verify/:id
+ * @returns {string} HTML for the result card
+ */
+function renderVerification(status, doc) {
+    const rows = [
+        ['Document', doc.title],
+        ['Awarded To', doc.fullName],
+        ['Event', doc.eventName],
+        ['Event Date', doc.eventDate],
+        ['Issued', new Date(doc.issuedAt).toLocaleDateString()],
+        ['Revoked', doc.revokedAt ? new Date(doc.revokedAt).toLocaleDateString() : null],
+        ['Verification ID', doc.id]
+    ].filter(([, value]) => value);
+
+    return `
+        <h3>${status === 'VALID' ? 'Genuine document' : 'This document has been revoked'}</h3>
+        <p>${status === 'VALID'
+        ? 'This document was issued by the Data Engineering Community.'
+        : 'It was issued by the Data Engineering Community but is no longer valid.'}</p>
+        <div class="attendee-details">
+            ${rows.map(([label, value]) => `
+                <div class="detail-row">
+                    <span class="detail-label">${label}:</span>
+                    <span class="detail-value">${escapeHtml(value)}</span>
+                </div>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Look Up a Verification ID
+ *
+ * @param {string} id - ID as entered or taken from the URL
+ */
+async function verify(id) {
+    verifyError.textContent = '';
+    verifyBtn.disabled = true;
+
+    try {
+        const response = await fetch(`/api/verify/${encodeURIComponent(id)}`);
+        const result = await response.json().catch(() => ({}));
+        verifyResult.hidden = false;
+
+        if (response.ok) {
+            verifyResult.className = `response-message ${result.status === 'VALID' ? 'success' : 'not-found'}`;
+            verifyResult.innerHTML = renderVerification(result.status, result.document);
+            window.history.replaceState(null, '', `/verify/${encodeURIComponent(result.document.id)}`);
+        } else if (response.status === 404) {
+            verifyResult.className = 'response-message not-found';
+            verifyResult.innerHTML = `<h3>Not found</h3><p>${escapeHtml(result.error)}. Check the ID and try again.</p>`;
+        } else {
+            verifyResult.hidden = true;
+            verifyError.textContent = result.error || 'Could not verify right now. Please try again in a moment.';
+        }
+    } catch (error) {
+        verifyError.textContent = 'Could not reach the server. Please try again.';
+    } finally {
+        verifyBtn.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    verifyForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const id = verifyId.value.trim();
+        if (id) verify(id);
+    });
+
+    const idMatch = window.location.pathname.match(/^\/verify\/([^/]+)$/);
+    if (idMatch) {
+        verifyId.value = decodeURIComponent(idMatch[1]);
+        verify(verifyId.value);
+    }
+});
@@ -0,0 +1,247 @@
+/**
+ * Webhooks Page (admin only)
+ *
+ * Lets admins subscribe other tools to check-in activity, pause, test or remove
+ * subscriptions and rotate their signing secrets, and follow the delivery log with
+ * each attempt's history. Failed deliveries can be sent again.
+ */
+
+const webhookTableBody = document.getElementById('webhookTableBody');
+const webhookEmpty = document.getElementById('webhookEmpty');
+const webhookForm = document.getElementById('webhookForm');
+const webhookError = document.getElementById('webhookError');
+const webhookEvents = document.getElementById('webhookEvents');
+const webhookEvent = document.getElementById('webhookEvent');
+const secretMessage = document.getElementById('secretMessage');
+const secretValue = document.getElementById('secretValue');
+const deliveryTableBody = document.getElementById('deliveryTableBody');
+const deliveryEmpty = document.getElementById('deliveryEmpty');
+const statusFilter = document.getElementById('statusFilter');
+
+// Status shown in the delivery log ('' for all)
+let selectedStatus = '';
+
+/**
+ * Call the Webhooks API
+ *
+ * @param {string} path - Route under /api/webhooks
+ * @param {string} [method] - HTTP method
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} { ok, status, result }
+ */
+async function webhookRequest(path, method = 'GET', body) {
+    const response = await fetch(`/api/webhooks${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (response.status === 401) redirectToLogin();
+    const result = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, result };
+}
+
+/**
+ * Show a Signing Secret Once
+ *
+ * @param {string} secret - Secret returned by create or rotate
+ */
+function showSecret(secret) {
+    secretValue.textContent = secret;
+    secretMessage.hidden = false;
+    secretMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Fill the Event Checkboxes and Event Picker
+ *
+ * @param {string[]} types - Webhook event types offered by the server
+ */
+async function setupWebhookForm(types) {
+    webhookEvents.innerHTML = types.map((type) => `
+        <label><input type="checkbox" value="${escapeHtml(type)}" checked> ${escapeHtml(type)}</label>
+    `).join('');
+
+    const response = await fetch('/api/events');
+    if (!response.ok) return;
+    const result = await response.json();
+    webhookEvent.innerHTML += (result.events || []).map((event) => `
+        <option value="${escapeHtml(event.id)}">${escapeHtml(event.name)}</option>
+    `).join('');
+    webhookEvent.closest('.input-group').hidden = (result.events || []).length < 2;
+}
+
+/**
+ * Load and Render Subscriptions
+ */
+async function loadWebhooks() {
+    const { ok, result } = await webhookRequest('');
+    if (!ok) return;
+
+    if (!webhookEvents.children.length) await setupWebhookForm(result.events);
+
+    webhookEmpty.hidden = result.webhooks.length > 0;
+    webhookTableBody.innerHTML = result.webhooks.map((webhook) => `
+        <tr>
+            <td>
+                ${escapeHtml(webhook.url)}
+                ${webhook.description ? `<br><small>${escapeHtml(webhook.description)}</small>` : ''}
+                ${webhook.eventId ? `<br><small>Event: ${escapeHtml(webhook.eventId)}</small>` : ''}
+                <br><small>Secret: ${escapeHtml(webhook.secretHint)}</small>
+            </td>
+            <td>${webhook.events.map(escapeHtml).join('<br>')}</td>
+            <td><span class="job-status ${webhook.enabled ? 'sent' : ''}">${webhook.enabled ? 'active' : 'paused'}</span></td>
+            <td>
+                <button type="button" class="link-btn" data-action="toggle" data-enabled="${webhook.enabled}" data-webhook-id="${escapeHtml(webhook.id)}">${webhook.enabled ? 'Pause' : 'Resume'}</button>
+                <button type="button" class="link-btn" data-action="test" data-webhook-id="${escapeHtml(webhook.id)}">Send Test</button>
+                <button type="button" class="link-btn" data-action="rotate" data-webhook-id="${escapeHtml(webhook.id)}">Rotate Secret</button>
+                <button type="button" class="link-btn danger" data-action="delete" data-webhook-id="${escapeHtml(webhook.id)}">Delete</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Render Delivery History
+ *
+ * @param {Object} delivery - Webhook delivery
+ * @returns {string} HTML for the delivery's history and payload
+ */
+function renderHistory(delivery) {
+    const entries = delivery.history.map((entry) => `
+        <li>${escapeHtml(new Date(entry.at).toLocaleString())} - ${escapeHtml(entry.detail)}</li>
+    `).join('');
+    return `
+        <details>
+            <summary>${escapeHtml(delivery.lastError || 'History')}</summary>
+            <ul>${entries}</ul>
+            <pre>${escapeHtml(JSON.stringify(delivery.payload, null, 2))}</pre>
+        </details>
+    `;
+}
+
+/**
+ * Load and Render Deliveries
+ */
+async function loadDeliveries() {
+    const query = selectedStatus ? `?status=${encodeURIComponent(selectedStatus)}` : '';
+    const { ok, result } = await webhookRequest(`/deliveries${query}`);
+    if (!ok) return;
+
+    statusFilter.querySelectorAll('[data-status]').forEach((button) => {
+        const count = button.dataset.status ? result.counts[button.dataset.status] : null;
+        button.textContent = button.textContent.replace(/ \(\d+\)$/, '') + (count ? ` (${count})` : '');
+    });
+
+    deliveryEmpty.hidden = result.deliveries.length > 0;
+    deliveryTableBody.innerHTML = result.deliveries.map((delivery) => `
+        <tr>
+            <td>${escapeHtml(delivery.type)}${delivery.eventId ? `<br><small>${escapeHtml(delivery.eventId)}</small>` : ''}</td>
+            <td><small>${escapeHtml(delivery.url)}</small></td>
+            <td><span class="job-status ${escapeHtml(delivery.status)}">${escapeHtml(delivery.status)}</span></td>
+            <td>${delivery.attempts}</td>
+            <td>${renderHistory(delivery)}</td>
+            <td>
+                ${delivery.status === 'failed' || delivery.status === 'delivered' ? `<button type="button" class="link-btn" data-delivery-id="${escapeHtml(delivery.id)}">Redeliver</button>` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Handle New Subscription Submission
+ *
+ * @param {SubmitEvent} event - Form submission event
+ */
+async function handleWebhookSubmission(event) {
+    event.preventDefault();
+    webhookError.textContent = '';
+
+    const { ok, result } = await webhookRequest('', 'POST', {
+        url: document.getElementById('webhookUrl').value.trim(),
+        events: [...webhookEvents.querySelectorAll('input:checked')].map((input) => input.value),
+        eventId: webhookEvent.value || null,
+        description: document.getElementById('webhookDescription').value.trim()
+    });
+    if (!ok) {
+        webhookError.textContent = result.error || 'Failed to add webhook';
+        return;
+    }
+
+    webhookForm.reset();
+    webhookEvents.querySelectorAll('input').forEach((input) => { input.checked = true; });
+    showSecret(result.secret);
+    await loadWebhooks();
+}
+
+/**
+ * Run a Subscription Action
+ *
+ * @param {HTMLElement} button - Clicked button with data-action and data-webhook-id
+ */
+async function handleWebhookAction(button) {
+    const id = encodeURIComponent(button.dataset.webhookId);
+    let response;
+
+    switch (button.dataset.action) {
+    case 'toggle':
+        response = await webhookRequest(`/${id}`, 'PUT', { enabled: button.dataset.enabled !== 'true' });
+        break;
+    case 'test':
+        response = await webhookRequest(`/${id}/test`, 'POST');
+        break;
+    case 'rotate':
+        if (!window.confirm('Rotate the signing secret? The receiver must switch to the new secret straight away.')) return;
+        response = await webhookRequest(`/${id}/rotate-secret`, 'POST');
+        if (response.ok) showSecret(response.result.secret);
+        break;
+    case 'delete':
+        if (!window.confirm('Delete this webhook? Pending deliveries to it will fail.')) return;
+        response = await webhookRequest(`/${id}`, 'DELETE');
+        break;
+    default:
+        return;
+    }
+
+    if (!response.ok) window.alert(response.result.error || 'Request failed');
+    await Promise.all([loadWebhooks(), loadDeliveries()]);
+}
+
+/**
+ * Send a Delivery Again
+ *
+ * @param {string} id - Delivery id
+ */
+async function redeliver(id) {
+    const { ok, result } = await webhookRequest(`/deliveries/${encodeURIComponent(id)}/redeliver`, 'POST');
+    if (!ok) window.alert(result.error || 'Failed to redeliver');
+    await loadDeliveries();
+}
+
+async function initializeWebhooksPage() {
+    if (!await loadCurrentUser()) return;
+    setupStaffBar();
+
+    webhookForm.addEventListener('submit', handleWebhookSubmission);
+    webhookTableBody.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action]');
+        if (button) handleWebhookAction(button);
+    });
+
+    statusFilter.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-status]');
+        if (!button) return;
+        selectedStatus = button.dataset.status;
+        statusFilter.querySelectorAll('[data-status]').forEach((other) => {
+            other.classList.toggle('active', other === button);
+        });
+        loadDeliveries();
+    });
+    deliveryTableBody.addEventListener('click', (event) => {
+        const id = event.target.dataset.deliveryId;
+        if (id) redeliver(id);
+    });
+
+    await Promise.all([loadWebhooks(), loadDeliveries()]);
+}
+
+document.addEventListener('DOMContentLoaded', initializeWebhooksPage);
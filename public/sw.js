@@ -0,0 +1,94 @@
+/**
+ * Service Worker for the Event Check-In Application
+ *
+ * - Caches the check-in page shell so it still opens when venue Wi-Fi drops
+ * - Replays the offline check-in queue on Background Sync ('checkin-queue')
+ *
+ * API routes are never cached; only the offline queue stores check-ins.
+ */
+
+importScripts('/js/offline-queue.js');
+
+const CACHE_NAME = 'checkin-shell-v3';
+const SYNC_TAG = 'checkin-queue';
+
+const SHELL_ASSETS = [
+    '/',
+    '/login',
+    '/css/styles.css',
+    '/js/config.js',
+    '/js/utils.js',
+    '/js/session.js',
+    '/js/events.js',
+    '/js/offline-queue.js',
+    '/js/scanner.js',
+    '/vendor/jsqr.js',
+    '/js/script.js',
+    '/images/dec_logo_dark.png',
+    '/images/favicon.png'
+];
+
+self.addEventListener('install', (event) => {
+    // Cache what we can; '/' may redirect to login when the worker installs before sign-in
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then((cache) => Promise.all(SHELL_ASSETS.map((url) => cache.add(url).catch(() => null))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    // Network first so deployments and logins take effect; fall back to the cached shell
+    event.respondWith(
+        fetch(request)
+            .then((response) => {
+                if (response.ok && !response.redirected) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: true }))
+    );
+});
+
+// Tell open check-in pages what happened so they can refresh the pending list
+async function notifyClients(summary) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach((client) => client.postMessage({ type: 'checkin-sync', summary }));
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== SYNC_TAG) return;
+
+    event.waitUntil(
+        OfflineQueue.replay().then(async (summary) => {
+            await notifyClients(summary);
+            // Throwing makes the browser retry the sync later
+            if (summary.pending > 0 && !summary.unauthorized) {
+                throw new Error(`${summary.pending} check-in(s) still pending`);
+            }
+        })
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'replay-queue') {
+        event.waitUntil(OfflineQueue.replay().then(notifyClients));
+    }
+});
@@ -0,0 +1,74 @@
+/**
+ * Local Webhook Receiver (development only)
+ *
+ * Listens for outbound webhooks from the check-in server, checks their signatures and
+ * prints each event, so integrations can be built without a public URL.
+ *
+ *   WEBHOOK_RECEIVER_SECRET=whsec_... npm run webhook-receiver
+ *
+ * Then add a webhook for http://localhost:4100/ on the Webhooks page (its secret goes in
+ * WEBHOOK_RECEIVER_SECRET). Without a secret, signatures are shown but not checked.
+ *
+ * WEBHOOK_RECEIVER_PORT      - Port to listen on (default 4100)
+ * WEBHOOK_RECEIVER_FAIL_RATE - Share of requests answered with 500 (0-1), to watch retries
+ */
+
+const http = require('http');
+const dotenv = require('dotenv');
+const webhookSignature = require('../src/services/webhookSignature');
+
+dotenv.config();
+
+const PORT = Number(process.env.WEBHOOK_RECEIVER_PORT) || 4100;
+const SECRET = process.env.WEBHOOK_RECEIVER_SECRET || '';
+const FAIL_RATE = Math.min(Math.max(Number(process.env.WEBHOOK_RECEIVER_FAIL_RATE) || 0, 0), 1);
+
+function reply(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+        return reply(res, 405, { error: 'POST webhooks here' });
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+        // Verify against the raw body: re-serialized JSON would not match the signature
+        const body = Buffer.concat(chunks).toString('utf8');
+        const signature = req.headers[webhookSignature.SIGNATURE_HEADER.toLowerCase()];
+        const type = req.headers['x-checkin-event'] || 'unknown';
+        const deliveryId = req.headers['x-checkin-delivery'] || '-';
+        const time = new Date().toLocaleTimeString();
+
+        if (SECRET && !webhookSignature.verify(SECRET, signature, body)) {
+            console.log(`[${time}] ${type} (${deliveryId}) REJECTED: bad or stale signature`);
+            return reply(res, 401, { error: 'Invalid signature' });
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (_) {
+            console.log(`[${time}] ${type} (${deliveryId}) REJECTED: body is not JSON`);
+            return reply(res, 400, { error: 'Invalid JSON' });
+        }
+
+        if (Math.random() < FAIL_RATE) {
+            console.log(`[${time}] ${type} (${deliveryId}) answered 500 (simulated failure)`);
+            return reply(res, 500, { error: 'Simulated failure' });
+        }
+
+        console.log(`[${time}] ${type} (${deliveryId}) ${SECRET ? 'signature OK' : `unchecked signature ${signature}`}`);
+        console.log(JSON.stringify(payload.data, null, 2));
+        reply(res, 200, { received: true });
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}/`);
+    if (!SECRET) console.log('WEBHOOK_RECEIVER_SECRET not set; signatures will not be checked');
+    if (FAIL_RATE) console.log(`Failing ${Math.round(FAIL_RATE * 100)}% of requests`);
+});
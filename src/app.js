@@ -0,0 +1,234 @@
+/**
+ * Check-In Application
+ *
+ * Builds the Express app: staff pages, static files, the attendee-facing routes and
+ * the API. Nothing listens or starts background work here, so the server entry point
+ * (src/server.js) and the tests share the same app.
+ */
+
+const express = require('express');
+const path = require('path');
+const checkinApi = require('./services/checkinApi');
+const mailer = require('./services/mailer');
+const emailQueue = require('./services/emailQueue');
+const auditLog = require('./services/auditLog');
+const recentCheckins = require('./services/recentCheckins');
+const { logBlocked } = require('./services/securityLog');
+const { loadSession, requireRole } = require('./middleware/auth');
+const { identifyDevice } = require('./middleware/device');
+const { rateLimit } = require('./middleware/rateLimit');
+const { checkOrigin } = require('./middleware/csrf');
+const authRoutes = require('./routes/auth');
+const staffRoutes = require('./routes/staff');
+const attendeeRoutes = require('./routes/attendees');
+const ticketRoutes = require('./routes/tickets');
+const dashboardRoutes = require('./routes/dashboard');
+const eventRoutes = require('./routes/events');
+const rosterRoutes = require('./routes/roster');
+const reportRoutes = require('./routes/reports');
+const emailRoutes = require('./routes/emails');
+const badgeRoutes = require('./routes/badges');
+const auditRoutes = require('./routes/audit');
+const sessionRoutes = require('./routes/sessions');
+const kioskRoutes = require('./routes/kiosk');
+const portalRoutes = require('./routes/portal');
+const webhookRoutes = require('./routes/webhooks');
+const certificateRoutes = require('./routes/certificates');
+const verifyRoutes = require('./routes/verify');
+const { normalizeEmail, resolveEvent } = require('./routes/helpers');
+
+/**
+ * Create the check-in app
+ * @returns {Object} Express app, ready to listen
+ */
+function createApp() {
+    const app = express();
+
+    // Behind nginx, take the client IP from X-Forwarded-For (e.g. TRUST_PROXY=1 for one proxy hop)
+    if (process.env.TRUST_PROXY) {
+        const hops = Number(process.env.TRUST_PROXY);
+        app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+    }
+
+    app.use(loadSession);
+    app.use(identifyDevice);
+
+    // Pages that need a staff session are served by the routes below, not by express.static
+    app.get('/index.html', (req, res) => res.redirect('/'));
+    app.get('/staff.html', (req, res) => res.redirect('/staff'));
+    app.get('/dashboard.html', (req, res) => res.redirect('/dashboard'));
+    app.get('/roster.html', (req, res) => res.redirect('/roster'));
+    app.get('/emails.html', (req, res) => res.redirect('/emails'));
+    app.get('/audit.html', (req, res) => res.redirect('/audit'));
+    app.get('/webhooks.html', (req, res) => res.redirect('/webhooks'));
+    app.get('/certificates.html', (req, res) => res.redirect('/certificates'));
+    app.get('/verify.html', (req, res) => res.redirect('/verify'));
+    app.get('/kiosk.html', (req, res) => res.redirect('/kiosk'));
+    app.get('/me.html', (req, res) => res.redirect('/me'));
+
+    // Serve static files from public directory
+    app.use(express.static(path.join(__dirname, '../public'), { index: false }));
+
+    // Abuse protection for every API route; tighter limits sit on the routes below
+    app.use('/api',
+        checkOrigin,
+        rateLimit({ name: 'ip', by: 'ip', env: 'RATE_LIMIT_IP', max: 600 }),
+        rateLimit({ name: 'session', by: 'session', env: 'RATE_LIMIT_SESSION', max: 180 })
+    );
+
+    app.use(express.json());
+
+    app.use('/api/auth', authRoutes);
+    app.use('/api/staff', staffRoutes);
+    app.use('/api/attendees', attendeeRoutes);
+    app.use('/api/tickets', ticketRoutes);
+    app.use('/api/dashboard', dashboardRoutes);
+    app.use('/api/events', eventRoutes);
+    app.use('/api/roster', rosterRoutes);
+    app.use('/api/reports', reportRoutes);
+    app.use('/api/emails', emailRoutes);
+    app.use('/api/badges', badgeRoutes);
+    app.use('/api/audit', auditRoutes);
+    app.use('/api/sessions', sessionRoutes);
+    app.use('/api/kiosk', kioskRoutes);
+    app.use('/api/portal', portalRoutes);
+    app.use('/api/webhooks', webhookRoutes);
+    app.use('/api/certificates', certificateRoutes);
+    app.use('/api/verify', verifyRoutes);
+
+    // QR decoder for browsers without BarcodeDetector
+    app.get('/vendor/jsqr.js', (req, res) => {
+        res.sendFile(require.resolve('jsqr/dist/jsQR.js'));
+    });
+
+    // Endpoint to provide safe configuration to client (NO SECRETS)
+    app.get('/api/config', (req, res) => {
+        res.json({
+            NODE_ENV: process.env.NODE_ENV || 'development'
+        });
+    });
+
+    // Queue the check-in confirmation email for an event. The email queue sends it in the
+    // background with retries; asking twice for the same attendee and event is a no-op.
+    // Only attendees checked in through this server in the last few minutes can be mailed;
+    // admins resend older confirmations from the email log.
+    const emailRateLimit = rateLimit({ name: 'send-checkin-email', by: 'session', env: 'RATE_LIMIT_EMAIL', max: 30 });
+    app.post('/api/send-checkin-email', requireRole('volunteer'), emailRateLimit, resolveEvent, (req, res) => {
+        const { fullName, checkInTime } = req.body || {};
+        const toEmail = normalizeEmail(req.body && req.body.toEmail);
+        if (!toEmail) {
+            return res.status(400).json({ error: 'A valid toEmail is required' });
+        }
+        if (!recentCheckins.wasJustCheckedIn(req.event.id, toEmail)) {
+            logBlocked(req, 'email-recipient', { eventId: req.event.id, email: toEmail });
+            return res.status(403).json({
+                status: 'NOT_RECENTLY_CHECKED_IN',
+                error: 'Confirmation emails can only be sent to attendees who just checked in'
+            });
+        }
+        if (!mailer.isConfigured()) {
+            return res.status(500).json({ error: 'Email service not configured' });
+        }
+
+        try {
+            const { job, deduplicated } = emailQueue.enqueue({
+                eventId: req.event.id,
+                toEmail,
+                fullName,
+                checkInTime,
+                requestedBy: req.user.username
+            });
+            auditLog.record({
+                ...auditLog.requestContext(req),
+                action: 'email-queued',
+                eventId: req.event.id,
+                email: toEmail,
+                result: deduplicated ? 'DEDUPLICATED' : 'QUEUED',
+                detail: `Job ${job.id}`
+            });
+            res.status(deduplicated ? 200 : 202).json({ success: true, jobId: job.id, status: job.status, deduplicated });
+        } catch (error) {
+            console.error('Email queue error:', error && error.message ? error.message : error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    // Secure endpoint to generate JWT tokens (server-side only).
+    // The browser no longer needs one; kept for admins testing the webhooks directly.
+    const jwtRateLimit = rateLimit({ name: 'generate-jwt', by: 'session', env: 'RATE_LIMIT_JWT', max: 5 });
+    app.post('/api/generate-jwt', requireRole('admin'), jwtRateLimit, (req, res) => {
+        try {
+            const token = checkinApi.signWebhookToken();
+            res.json({ token });
+        } catch (error) {
+            console.error('Error generating JWT:', error);
+            res.status(500).json({ error: 'Failed to generate JWT token' });
+        }
+    });
+
+    // Serve the main page (any staff role)
+    app.get('/', requireRole('volunteer'), (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/index.html'));
+    });
+
+    // Staff management page (admins only)
+    app.get('/staff', requireRole('admin'), (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/staff.html'));
+    });
+
+    // Live attendance dashboard (leads and admins)
+    app.get('/dashboard', requireRole('lead'), (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/dashboard.html'));
+    });
+
+    // Roster import page (admins only)
+    app.get('/roster', requireRole('admin'), (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/roster.html'));
+    });
+
+    // Email delivery log (admins only)
+    app.get('/emails', requireRole('admin'), (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/emails.html'));
+    });
+
+    // Audit log (admins only)
+    app.get('/audit', requireRole('admin'), (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/audit.html'));
+    });
+
+    // Outbound webhook subscriptions and delivery log (admins only)
+    app.get('/webhooks', requireRole('admin'), (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/webhooks.html'));
+    });
+
+    // Certificates and recommendation letters (admins only)
+    app.get('/certificates', requireRole('admin'), (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/certificates.html'));
+    });
+
+    // Certificate verification for employers (public; printed QR codes open /verify/<id>)
+    app.get(['/verify', '/verify/:id'], (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/verify.html'));
+    });
+
+    // Self check-in kiosk (kiosk accounts; staff can open it to set a tablet up)
+    app.get('/kiosk', requireRole('kiosk'), (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/kiosk.html'));
+    });
+
+    // Attendee self-service portal (public; sign-in links open /me/login/<token>)
+    app.get(['/me', '/me/login/:token'], (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/me.html'));
+    });
+
+    // Login page (public)
+    app.get('/login', (req, res) => {
+        res.sendFile(path.join(__dirname, '../public/login.html'));
+    });
+
+    return app;
+}
+
+module.exports = {
+    createApp
+};
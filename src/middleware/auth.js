@@ -0,0 +1,135 @@
+/**
+ * Staff Session Authentication
+ *
+ * Sessions are signed JWTs in an httpOnly cookie. Each request re-reads the
+ * account from the staff store, so deleting a user or changing a role takes
+ * effect immediately.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const staffStore = require('../services/staffStore');
+
+const SESSION_COOKIE = 'checkin_session';
+const SESSION_TTL_SECONDS = 12 * 60 * 60; // one event day
+
+// Fields volunteers may see; leads and admins get the full record
+const VOLUNTEER_ATTENDEE_FIELDS = ['fullName', 'email', 'checkInTime'];
+
+// Session tokens must not double as webhook tokens, so never sign them with JWT_SECRET directly.
+// With neither secret set there is no key at all: one derived from '' would let anyone forge a session.
+function sessionSecret() {
+    if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+    if (!process.env.JWT_SECRET) {
+        throw new Error('SESSION_SECRET or JWT_SECRET must be set to sign staff sessions');
+    }
+    return crypto.createHmac('sha256', String(process.env.JWT_SECRET || '')).update('staff-session').digest('hex');
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach((part) => {
+        const index = part.indexOf('=');
+        if (index < 0) return;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (_) {
+            cookies[name] = part.slice(index + 1).trim();
+        }
+    });
+    return cookies;
+}
+
+function hasRole(user, role) {
+    if (!user) return false;
+    return staffStore.ROLES.indexOf(user.role) >= staffStore.ROLES.indexOf(role);
+}
+
+function startSession(res, user) {
+    const token = jwt.sign({ sub: user.username }, sessionSecret(), {
+        algorithm: 'HS256',
+        expiresIn: SESSION_TTL_SECONDS,
+        issuer: 'event-checkin-session'
+    });
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL_SECONDS * 1000
+    });
+}
+
+function endSession(res) {
+    res.clearCookie(SESSION_COOKIE);
+}
+
+// Attach req.user when a valid session cookie is present (never without a session secret)
+function loadSession(req, res, next) {
+    req.user = null;
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) {
+        try {
+            const payload = jwt.verify(token, sessionSecret(), {
+                algorithms: ['HS256'],
+                issuer: 'event-checkin-session'
+            });
+            req.user = staffStore.findStaff(payload.sub);
+        } catch (_) {
+            req.user = null;
+        }
+    }
+    next();
+}
+
+/**
+ * Require a logged-in staff member with at least the given role.
+ * API routes get 401/403 JSON; pages are redirected to the login screen.
+ * @param {string} role - Minimum role (kiosk, volunteer, lead or admin)
+ */
+function requireRole(role = 'volunteer') {
+    return (req, res, next) => {
+        const isApi = req.originalUrl.startsWith('/api/');
+
+        if (!req.user) {
+            if (isApi) return res.status(401).json({ error: 'Authentication required' });
+            return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+        }
+        if (!hasRole(req.user, role)) {
+            if (isApi) return res.status(403).json({ error: 'Insufficient permissions' });
+            // Kiosk tablets stay on the kiosk page
+            if (req.user.role === 'kiosk') return res.redirect('/kiosk');
+            return res.status(403).send('Insufficient permissions');
+        }
+        next();
+    };
+}
+
+/**
+ * Reduce an attendee record to what the given staff member may see
+ * @param {Object} attendee - Normalized attendee
+ * @param {Object} user - Staff account
+ * @returns {Object|null} Attendee visible to this user
+ */
+function attendeeForUser(attendee, user) {
+    if (!attendee || hasRole(user, 'lead')) return attendee;
+    // The kiosk screen faces the public: greet by first name only
+    if (!hasRole(user, 'volunteer')) {
+        return { firstName: String(attendee.fullName || '').trim().split(/\s+/)[0] || null };
+    }
+    const visible = {};
+    VOLUNTEER_ATTENDEE_FIELDS.forEach((field) => {
+        if (field in attendee) visible[field] = attendee[field];
+    });
+    return visible;
+}
+
+module.exports = {
+    parseCookies,
+    hasRole,
+    startSession,
+    endSession,
+    loadSession,
+    requireRole,
+    attendeeForUser
+};
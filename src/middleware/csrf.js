@@ -0,0 +1,53 @@
+/**
+ * Cross-Site Request Forgery Check
+ *
+ * Staff sessions ride on a cookie, so a page on another site could otherwise post to
+ * the API with a volunteer's login. Browsers label every POST/PUT/PATCH/DELETE with an
+ * Origin (or at least a Referer) header; requests whose origin is not this server, the
+ * PUBLIC_URL, or one listed in ALLOWED_ORIGINS (comma-separated) get a 403. Requests
+ * with neither header come from scripts and curl rather than a browser, and pass
+ * unless Sec-Fetch-Site says they are cross-site.
+ */
+
+const { logBlocked } = require('../services/securityLog');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function originOf(value) {
+    try {
+        return new URL(value).origin;
+    } catch (_) {
+        return null;
+    }
+}
+
+function trustedOrigins() {
+    return [process.env.PUBLIC_URL, ...String(process.env.ALLOWED_ORIGINS || '').split(',')]
+        .map((value) => originOf(String(value || '').trim()))
+        .filter(Boolean);
+}
+
+function isTrusted(req, origin) {
+    if (!origin) return false;
+    // Same host the request was sent to (scheme may differ behind a TLS proxy)
+    if (new URL(origin).host === req.get('host')) return true;
+    return trustedOrigins().includes(origin);
+}
+
+function checkOrigin(req, res, next) {
+    if (SAFE_METHODS.includes(req.method)) return next();
+
+    const header = req.get('origin') || req.get('referer');
+    const fetchSite = req.get('sec-fetch-site');
+    if (!header && fetchSite !== 'cross-site') return next();
+
+    const origin = header && header !== 'null' ? originOf(header) : null;
+    if (isTrusted(req, origin)) return next();
+
+    logBlocked(req, 'csrf', { origin: header || null, fetchSite: fetchSite || null });
+    res.status(403).json({ error: 'Cross-site request blocked' });
+}
+
+module.exports = {
+    checkOrigin
+};
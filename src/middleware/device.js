@@ -0,0 +1,54 @@
+/**
+ * Staff Device Identification
+ *
+ * Gives each browser a long-lived random id in its own cookie, so the audit log can
+ * tell which station did something even when several volunteers share one login.
+ * Stations may also send a name staff recognise ("Door 2"), URI-encoded, in X-Checkin-Station.
+ * Attaches req.device = { id, name, userAgent, ip }.
+ */
+
+const crypto = require('crypto');
+const { parseCookies } = require('./auth');
+
+const DEVICE_COOKIE = 'checkin_device';
+const DEVICE_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+const DEVICE_ID_REGEX = /^[a-f0-9-]{36}$/;
+const STATION_HEADER = 'x-checkin-station';
+const MAX_STATION_LENGTH = 40;
+
+// Station name from the header, trimmed to one short line (null when not set or malformed)
+function stationName(req) {
+    let name;
+    try {
+        name = decodeURIComponent(req.get(STATION_HEADER) || '');
+    } catch (error) {
+        return null;
+    }
+    return name.replace(/\s+/g, ' ').trim().slice(0, MAX_STATION_LENGTH) || null;
+}
+
+function identifyDevice(req, res, next) {
+    let id = parseCookies(req.headers.cookie)[DEVICE_COOKIE];
+    if (!DEVICE_ID_REGEX.test(String(id || ''))) {
+        id = crypto.randomUUID();
+        res.cookie(DEVICE_COOKIE, id, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: process.env.NODE_ENV === 'production',
+            maxAge: DEVICE_TTL_MS
+        });
+    }
+
+    req.device = {
+        id,
+        name: stationName(req),
+        userAgent: req.get('user-agent') || null,
+        ip: req.ip
+    };
+    next();
+}
+
+module.exports = {
+    DEVICE_COOKIE,
+    identifyDevice
+};
@@ -0,0 +1,66 @@
+/**
+ * Attendee Portal Sessions
+ *
+ * Opening a sign-in link starts a portal session: a signed JWT in its own httpOnly
+ * cookie naming one attendee and event. It grants access to that registration only
+ * and is unrelated to staff sessions.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { parseCookies } = require('./auth');
+
+const PORTAL_COOKIE = 'checkin_portal';
+const PORTAL_TTL_SECONDS = 60 * 60;
+
+// Without JWT_SECRET there is no key: every portal session is refused
+function portalSecret() {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET must be set to sign portal sessions');
+    }
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('attendee-portal-session').digest('hex');
+}
+
+/**
+ * Sign the attendee in to the portal
+ * @param {Object} res - Express response
+ * @param {Object} attendee - { email, eventId }
+ */
+function startPortalSession(res, { email, eventId }) {
+    const token = jwt.sign({ sub: email, evt: eventId }, portalSecret(), {
+        algorithm: 'HS256',
+        expiresIn: PORTAL_TTL_SECONDS,
+        issuer: 'event-checkin-portal'
+    });
+    res.cookie(PORTAL_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: PORTAL_TTL_SECONDS * 1000
+    });
+}
+
+function endPortalSession(res) {
+    res.clearCookie(PORTAL_COOKIE);
+}
+
+// Require a portal session and attach req.portal = { email, eventId }
+function requirePortalSession(req, res, next) {
+    const token = parseCookies(req.headers.cookie)[PORTAL_COOKIE];
+    try {
+        const payload = jwt.verify(token || '', portalSecret(), {
+            algorithms: ['HS256'],
+            issuer: 'event-checkin-portal'
+        });
+        req.portal = { email: payload.sub, eventId: payload.evt };
+    } catch (_) {
+        return res.status(401).json({ error: 'Please sign in with the link from your email' });
+    }
+    next();
+}
+
+module.exports = {
+    startPortalSession,
+    endPortalSession,
+    requirePortalSession
+};
@@ -0,0 +1,99 @@
+/**
+ * Request Rate Limiting
+ *
+ * Fixed-window counters kept in memory, per client IP or per staff session (login plus
+ * device, so stations sharing an account get their own allowance). Limits are read
+ * from the environment on each request; a limit of 0 turns that limiter off.
+ *
+ *   RATE_LIMIT_WINDOW_SECONDS - window length for every limiter (default 60)
+ *   RATE_LIMIT_IP             - API requests per IP per window (default 600)
+ *   RATE_LIMIT_SESSION        - API requests per staff session per window (default 180)
+ *   RATE_LIMIT_LOGIN          - login attempts per IP per window (default 20)
+ *   RATE_LIMIT_EMAIL          - confirmation email requests per session per window (default 30)
+ *   RATE_LIMIT_JWT            - webhook tokens per session per window (default 5)
+ *   RATE_LIMIT_PORTAL         - attendee portal sign-in link requests per IP per window (default 5)
+ *   RATE_LIMIT_VERIFY         - certificate verification lookups per IP per window (default 30)
+ *
+ * Blocked requests get a 429 with Retry-After and are written to the security log.
+ */
+
+const { logBlocked } = require('../services/securityLog');
+
+const DEFAULT_WINDOW_SECONDS = 60;
+
+// Sweep expired windows once the table gets this big
+const PRUNE_THRESHOLD = 10000;
+
+function envNumber(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+function windowMs() {
+    return Math.max(envNumber('RATE_LIMIT_WINDOW_SECONDS', DEFAULT_WINDOW_SECONDS), 1) * 1000;
+}
+
+function clientKey(req, by) {
+    if (by === 'session') {
+        if (!req.user) return null;
+        return `session:${req.user.username}:${(req.device && req.device.id) || req.ip}`;
+    }
+    return `ip:${req.ip}`;
+}
+
+/**
+ * Build a rate-limiting middleware
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, shown in the security log
+ * @param {string} options.by - 'ip' or 'session' (session limiters skip anonymous requests)
+ * @param {string} options.env - Environment variable holding the limit
+ * @param {number} options.max - Default requests per window
+ * @returns {Function} Express middleware
+ */
+function rateLimit({ name, by, env, max }) {
+    // key -> { count, resetAt }
+    const hits = new Map();
+
+    function prune(now) {
+        hits.forEach((entry, key) => {
+            if (entry.resetAt <= now) hits.delete(key);
+        });
+    }
+
+    return (req, res, next) => {
+        const limit = envNumber(env, max);
+        const key = clientKey(req, by);
+        if (!limit || !key) return next();
+
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            if (hits.size >= PRUNE_THRESHOLD) prune(now);
+            entry = { count: 0, resetAt: now + windowMs() };
+            hits.set(key, entry);
+        }
+        entry.count += 1;
+
+        res.set('RateLimit-Limit', String(limit));
+        res.set('RateLimit-Remaining', String(Math.max(limit - entry.count, 0)));
+        if (entry.count <= limit) return next();
+
+        const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        // Only log the first refusal in a window, not every retry a script makes
+        if (entry.count === limit + 1) {
+            logBlocked(req, 'rate-limit', { limiter: name, limit, retryAfter });
+        }
+        res.status(429).json({
+            status: 'RATE_LIMITED',
+            error: 'Too many requests. Please wait a moment and try again.',
+            retryAfter
+        });
+    };
+}
+
+module.exports = {
+    rateLimit
+};
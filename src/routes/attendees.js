@@ -0,0 +1,472 @@
+/**
+ * Attendee Routes
+ *
+ * POST /api/attendees/lookup and POST /api/attendees/checkin, answered from the
+ * event's attendee source (n8n webhooks, roster, sheet or database), POST /api/attendees/walk-in to register
+ * and check in someone without a registration, POST /api/attendees/checkout to free
+ * a place at a venue with a capacity, POST /api/attendees/undo-checkin to reverse a
+ * mistaken check-in (lead+), GET|DELETE /api/attendees/waitlist for the capacity
+ * waitlist, GET /api/attendees/search for fuzzy name/phone/email search, and
+ * GET /api/attendees/stream, a Server-Sent Events feed that tells open stations when
+ * attendees are claimed, checked in or undone elsewhere. All take an optional `eventId`.
+ * Lookups, check-ins, check-outs, walk-ins and undos are written to the audit log.
+ * Kiosk credentials may only look up and check in.
+ *
+ * A lookup that offers a check-in locks the attendee for the station that made it (see
+ * checkinLocks); other stations get CHECK_IN_IN_PROGRESS until it checks them in, looks
+ * up someone else or the lock runs out. Check-ins and walk-ins hold the lock while they
+ * run, so two stations never admit the same email at once.
+ */
+
+const express = require('express');
+const checkinApi = require('../services/checkinApi');
+const activity = require('../services/activity');
+const attendeeSearch = require('../services/attendeeSearch');
+const auditLog = require('../services/auditLog');
+const walkIns = require('../services/walkIns');
+const capacity = require('../services/capacity');
+const checkinLocks = require('../services/checkinLocks');
+const emailQueue = require('../services/emailQueue');
+const mailer = require('../services/mailer');
+const { requireRole, hasRole, attendeeForUser } = require('../middleware/auth');
+const {
+    normalizeEmail, resolveEvent, sendCheckinError, stationOf, inProgressResult, claimAttendee
+} = require('./helpers');
+
+const router = express.Router();
+
+// Kiosks may look up and check in; everything else needs staff
+router.use(requireRole('kiosk'), resolveEvent);
+
+// Nobody at a kiosk sends the confirmation email from the page, so queue it here
+function queueKioskEmail(req, attendee, checkInTime) {
+    if (!mailer.isConfigured()) return;
+    try {
+        const { job, deduplicated } = emailQueue.enqueue({
+            eventId: req.event.id,
+            toEmail: attendee.email,
+            fullName: attendee.fullName,
+            checkInTime,
+            requestedBy: req.user.username
+        });
+        auditLog.record({
+            ...auditLog.requestContext(req),
+            action: 'email-queued',
+            eventId: req.event.id,
+            email: attendee.email,
+            result: deduplicated ? 'DEDUPLICATED' : 'QUEUED',
+            detail: `Job ${job.id}`
+        });
+    } catch (error) {
+        console.error('Kiosk email queue error:', error.message);
+    }
+}
+
+function occupancySummary(occupancy) {
+    return {
+        capacity: occupancy.capacity,
+        mode: occupancy.mode,
+        inside: occupancy.inside,
+        free: occupancy.free,
+        full: occupancy.full,
+        waitlistLength: occupancy.waitlist.length
+    };
+}
+
+// Add check-out and capacity details to a lookup; someone still waiting becomes WAITLISTED
+async function withCapacity(event, email, result) {
+    if (result.status === 'ALREADY_CHECKED_IN') {
+        result = { ...result, checkedOutAt: capacity.checkedOutAt(event.id, email) };
+    }
+    if (!Number.isInteger(event.capacity) || result.status === 'NOT_FOUND') return result;
+
+    const occupancy = await capacity.getOccupancy(event);
+    const summary = occupancySummary(occupancy);
+    const waiting = result.status === 'CAN_CHECK_IN' ? capacity.waitlistEntry(occupancy, email) : null;
+    if (waiting && !waiting.promoted) {
+        return {
+            ...result,
+            status: 'WAITLISTED',
+            message: `On the waitlist at position ${waiting.position}`,
+            waitlistPosition: waiting.position,
+            capacity: summary
+        };
+    }
+    if (waiting) {
+        return { ...result, message: 'A place has opened up for this attendee on the waitlist', capacity: summary };
+    }
+    return { ...result, capacity: summary };
+}
+
+// Look up an attendee in the event's attendee source
+router.post('/lookup', async (req, res) => {
+    const email = normalizeEmail(req.body && req.body.email);
+    if (!email) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const audit = { ...auditLog.requestContext(req), action: 'lookup', eventId: req.event.id, email };
+    try {
+        const lookup = await withCapacity(req.event, email, await checkinApi.lookupAttendee(email, req.event));
+        const result = claimAttendee(req, req.event, email, lookup);
+        auditLog.record({ ...audit, result: result.status });
+        // Tell the page whether it can offer on-site registration instead
+        const walkIn = result.status === 'NOT_FOUND' ? walkIns.getStatus(req.event) : undefined;
+        res.json({ ...result, attendee: attendeeForUser(result.attendee, req.user), walkIn });
+    } catch (error) {
+        auditLog.record({ ...audit, result: 'ERROR', detail: error.message });
+        sendCheckinError(res, error, 'Attendee lookup error');
+    }
+});
+
+const MIN_SEARCH_LENGTH = 2;
+
+// Search registrations by partial name, phone or email (ranked best match first)
+router.get('/search', requireRole('volunteer'), async (req, res) => {
+    const query = String(req.query.q || '').trim();
+    if (query.length < MIN_SEARCH_LENGTH) {
+        return res.status(400).json({ error: `Search needs at least ${MIN_SEARCH_LENGTH} characters` });
+    }
+
+    try {
+        const { available, results } = await attendeeSearch.searchAttendees(req.event, query);
+        if (!available) {
+            return res.status(503).json({ error: 'Search needs a roster webhook (ROSTER_ENDPOINT) or another attendee source that can list registrations' });
+        }
+        res.json({
+            query,
+            results: results.map((result) => ({
+                score: result.score,
+                matchedOn: result.matchedOn,
+                attendee: attendeeForUser(result.attendee, req.user)
+            }))
+        });
+    } catch (error) {
+        sendCheckinError(res, error, 'Attendee search error');
+    }
+});
+
+// Check an attendee in. Looks the attendee up first so that a stale browser view
+// gets ALREADY_CHECKED_IN (409) or NOT_FOUND (404) instead of a blind update, and
+// holds the attendee's lock meanwhile so no other station can check them in at once.
+router.post('/checkin', async (req, res) => {
+    const email = normalizeEmail(req.body && req.body.email);
+    if (!email) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    // Staff may send the original time of an offline check-in; kiosks check in now
+    const requestedTime = req.body.checkInTime && hasRole(req.user, 'volunteer') ? new Date(req.body.checkInTime) : new Date();
+    if (Number.isNaN(requestedTime.getTime())) {
+        return res.status(400).json({ error: 'checkInTime must be a valid date' });
+    }
+    const checkInTime = requestedTime.toISOString();
+
+    const audit = { ...auditLog.requestContext(req), action: 'checkin', eventId: req.event.id, email };
+    const station = stationOf(req);
+    const { acquired, lock } = checkinLocks.acquire(req.event.id, email, station, { busy: true });
+    if (!acquired) {
+        auditLog.record({ ...audit, result: 'CHECK_IN_IN_PROGRESS', detail: `Locked by ${lock.station}` });
+        return res.status(409).json(inProgressResult({ eventId: req.event.id }, lock));
+    }
+
+    try {
+        const lookup = await checkinApi.lookupAttendee(email, req.event);
+        if (lookup.status === 'NOT_FOUND') {
+            auditLog.record({ ...audit, result: lookup.status });
+            return res.status(404).json(lookup);
+        }
+        // Someone who checked out earlier comes back in without a second check-in
+        const returning = lookup.status === 'ALREADY_CHECKED_IN' && Boolean(capacity.checkedOutAt(req.event.id, email));
+        if (lookup.status === 'ALREADY_CHECKED_IN' && !returning) {
+            auditLog.record({ ...audit, result: lookup.status });
+            return res.status(409).json({ ...lookup, attendee: attendeeForUser(lookup.attendee, req.user) });
+        }
+
+        const admission = await capacity.admit(req.event, { email, fullName: lookup.attendee && lookup.attendee.fullName }, req.user.username);
+        if (!admission.allowed) {
+            auditLog.record({ ...audit, result: 'WAITLISTED', detail: `Venue full; waitlist position ${admission.position}` });
+            return res.status(409).json({
+                status: 'WAITLISTED',
+                message: `The venue is full. Added to the waitlist at position ${admission.position}.`,
+                waitlistPosition: admission.position,
+                eventId: req.event.id,
+                attendee: attendeeForUser(lookup.attendee, req.user)
+            });
+        }
+
+        if (returning) {
+            capacity.recordEntry(req.event.id, email);
+            auditLog.record({ ...audit, result: 'RETURNED', detail: admission.warning || null });
+            activity.emit('return', { eventId: req.event.id, email, actor: req.user.username, ...station });
+            return res.json({
+                status: 'SUCCESS',
+                message: 'Checked back in',
+                returned: true,
+                warning: admission.warning,
+                eventId: req.event.id,
+                attendee: attendeeForUser(lookup.attendee, req.user)
+            });
+        }
+
+        await checkinApi.updateAttendee(email, checkInTime, req.event);
+        capacity.recordEntry(req.event.id, email);
+        auditLog.record({
+            ...audit,
+            result: 'SUCCESS',
+            detail: [`Checked in at ${checkInTime}`, admission.warning].filter(Boolean).join('; ')
+        });
+
+        activity.emit('checkin', {
+            eventId: req.event.id,
+            email,
+            attendee: lookup.attendee,
+            checkInTime,
+            actor: req.user.username,
+            ...station
+        });
+        if (!hasRole(req.user, 'volunteer')) {
+            queueKioskEmail(req, { ...lookup.attendee, email }, checkInTime);
+        }
+
+        res.json({
+            status: 'SUCCESS',
+            message: 'Check-in completed successfully',
+            warning: admission.warning,
+            eventId: req.event.id,
+            attendee: attendeeForUser({ ...(lookup.attendee || { email }), checkInTime }, req.user)
+        });
+    } catch (error) {
+        auditLog.record({ ...audit, result: 'ERROR', detail: error.message });
+        sendCheckinError(res, error, 'Attendee check-in error');
+    } finally {
+        // No-op once the entry is recorded
+        capacity.releasePlace(req.event.id, email);
+        checkinLocks.release(req.event.id, email, station.deviceId);
+    }
+});
+
+// Check an attendee out so their place can go to the next person on the waitlist
+router.post('/checkout', requireRole('volunteer'), async (req, res) => {
+    const email = normalizeEmail(req.body && req.body.email);
+    if (!email) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const audit = { ...auditLog.requestContext(req), action: 'checkout', eventId: req.event.id, email };
+    try {
+        const lookup = await checkinApi.lookupAttendee(email, req.event);
+        const checkedOutAt = capacity.checkedOutAt(req.event.id, email);
+        if (lookup.status !== 'ALREADY_CHECKED_IN' || checkedOutAt) {
+            const error = lookup.status === 'NOT_FOUND' ? 'No attendee found with this email address'
+                : checkedOutAt ? `Attendee already checked out at ${checkedOutAt}` : 'Attendee is not checked in';
+            auditLog.record({ ...audit, result: checkedOutAt ? 'CHECKED_OUT' : lookup.status });
+            return res.status(lookup.status === 'NOT_FOUND' ? 404 : 409).json({ ...lookup, error });
+        }
+
+        const result = await capacity.checkOut(req.event, email);
+        auditLog.record({
+            ...audit,
+            result: 'CHECKED_OUT',
+            detail: result.promoted ? `Place offered to ${result.promoted.email} from the waitlist` : null
+        });
+        activity.emit('checkout', { eventId: req.event.id, email, actor: req.user.username });
+
+        res.json({
+            status: 'CHECKED_OUT',
+            message: 'Checked out',
+            checkedOutAt: result.checkedOutAt,
+            promoted: result.promoted ? { email: result.promoted.email, fullName: result.promoted.fullName } : null,
+            eventId: req.event.id,
+            attendee: attendeeForUser(lookup.attendee, req.user)
+        });
+    } catch (error) {
+        auditLog.record({ ...audit, result: 'ERROR', detail: error.message });
+        sendCheckinError(res, error, 'Attendee check-out error');
+    }
+});
+
+// Who is waiting for a place, in order (the first `free` of them may go in)
+router.get('/waitlist', requireRole('volunteer'), async (req, res) => {
+    try {
+        const occupancy = await capacity.getOccupancy(req.event);
+        res.json({
+            eventId: req.event.id,
+            occupancy: occupancySummary(occupancy),
+            waitlist: occupancy.waitlist.map((entry) => ({
+                ...entry,
+                ...capacity.waitlistEntry(occupancy, entry.email)
+            }))
+        });
+    } catch (error) {
+        sendCheckinError(res, error, 'Waitlist error');
+    }
+});
+
+router.delete('/waitlist/:email', requireRole('lead'), (req, res) => {
+    const email = normalizeEmail(req.params.email);
+    if (!email) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!capacity.removeFromWaitlist(req.event.id, email)) {
+        return res.status(404).json({ error: 'Attendee is not on the waitlist' });
+    }
+    auditLog.record({ ...auditLog.requestContext(req), action: 'waitlist-remove', eventId: req.event.id, email, result: 'REMOVED' });
+    activity.emit('checkout', { eventId: req.event.id, email, actor: req.user.username });
+    res.json({ success: true });
+});
+
+// Register someone who turned up without a registration and check them in
+router.post('/walk-in', requireRole('volunteer'), async (req, res) => {
+    const email = normalizeEmail(req.body && req.body.email);
+    if (!email) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+    const checkInTime = new Date().toISOString();
+
+    const audit = { ...auditLog.requestContext(req), action: 'walk-in', eventId: req.event.id, email };
+    const station = stationOf(req);
+    const { acquired, lock } = checkinLocks.acquire(req.event.id, email, station, { busy: true });
+    if (!acquired) {
+        auditLog.record({ ...audit, result: 'CHECK_IN_IN_PROGRESS', detail: `Locked by ${lock.station}` });
+        return res.status(409).json(inProgressResult({ eventId: req.event.id }, lock));
+    }
+
+    try {
+        const { allowed, warning } = await capacity.admitWalkIn(req.event, email);
+        if (!allowed) {
+            auditLog.record({ ...audit, result: 'VENUE_FULL' });
+            return res.status(409).json({ status: 'VENUE_FULL', error: 'The venue is full. Walk-ins can register once places free up.' });
+        }
+
+        const attendee = await walkIns.registerWalkIn(req.event, { ...req.body, email }, {
+            checkInTime,
+            registeredBy: req.user.username
+        });
+        capacity.recordEntry(req.event.id, email);
+        auditLog.record({ ...audit, result: 'SUCCESS', detail: `Registered and checked in at ${checkInTime}` });
+
+        activity.emit('walk-in', {
+            eventId: req.event.id,
+            email,
+            attendee,
+            checkInTime,
+            actor: req.user.username
+        });
+        activity.emit('checkin', {
+            eventId: req.event.id,
+            email,
+            attendee,
+            checkInTime,
+            actor: req.user.username,
+            ...station
+        });
+
+        res.status(201).json({
+            status: 'SUCCESS',
+            message: 'Walk-in registered and checked in',
+            walkIn: true,
+            warning,
+            eventId: req.event.id,
+            attendee: attendeeForUser(attendee, req.user)
+        });
+    } catch (error) {
+        if (error instanceof walkIns.WalkInError) {
+            auditLog.record({ ...audit, result: error.code, detail: error.message });
+            return res.status(error.status).json({ status: error.code, error: error.message });
+        }
+        auditLog.record({ ...audit, result: 'ERROR', detail: error.message });
+        sendCheckinError(res, error, 'Walk-in registration error');
+    } finally {
+        capacity.releasePlace(req.event.id, email);
+        checkinLocks.release(req.event.id, email, station.deviceId);
+    }
+});
+
+// Reverse a mistaken check-in. The attendee can then be checked in again.
+router.post('/undo-checkin', requireRole('lead'), async (req, res) => {
+    const email = normalizeEmail(req.body && req.body.email);
+    if (!email) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+    const reason = req.body.reason ? String(req.body.reason).trim().slice(0, 500) : '';
+
+    const audit = { ...auditLog.requestContext(req), action: 'undo-checkin', eventId: req.event.id, email };
+    try {
+        const lookup = await checkinApi.lookupAttendee(email, req.event);
+        if (lookup.status !== 'ALREADY_CHECKED_IN') {
+            auditLog.record({ ...audit, result: lookup.status, detail: reason || null });
+            return res.status(lookup.status === 'NOT_FOUND' ? 404 : 409).json({
+                ...lookup,
+                error: lookup.status === 'NOT_FOUND' ? 'No attendee found with this email address' : 'Attendee is not checked in'
+            });
+        }
+
+        const previousTime = lookup.attendee && lookup.attendee.checkInTime;
+        await checkinApi.undoCheckIn(email, req.event);
+        capacity.recordUndo(req.event.id, email);
+        auditLog.record({
+            ...audit,
+            result: 'UNDONE',
+            detail: [previousTime && `Was checked in at ${previousTime}`, reason && `Reason: ${reason}`].filter(Boolean).join('; ') || null
+        });
+
+        activity.emit('checkin-undone', { eventId: req.event.id, email, actor: req.user.username, ...stationOf(req) });
+
+        res.json({
+            status: 'UNDONE',
+            message: 'Check-in undone',
+            eventId: req.event.id,
+            attendee: attendeeForUser({ ...(lookup.attendee || { email }), checkInTime: null }, req.user)
+        });
+    } catch (error) {
+        auditLog.record({ ...audit, result: 'ERROR', detail: error.message });
+        sendCheckinError(res, error, 'Undo check-in error');
+    }
+});
+
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Activity pushed to open stations, as the SSE event name each one is sent under
+const STATION_EVENTS = {
+    'checkin-claimed': 'claimed',
+    'checkin': 'checkin',
+    'return': 'checkin',
+    'checkin-undone': 'checkin-undone'
+};
+
+// Live feed for open check-in stations: who other stations are checking in, have
+// checked in or have undone, so a station can update the attendee it has on screen
+router.get('/stream', requireRole('volunteer'), (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const listeners = Object.entries(STATION_EVENTS).map(([name, sseEvent]) => {
+        const listener = (change) => {
+            // Stations already know what they did themselves
+            if (change.eventId !== req.event.id || change.deviceId === req.device.id) return;
+            res.write(`event: ${sseEvent}\ndata: ${JSON.stringify({
+                email: change.email,
+                station: change.station || change.actor || null,
+                checkInTime: change.checkInTime,
+                expiresAt: change.expiresAt
+            })}\n\n`);
+        };
+        activity.on(name, listener);
+        return [name, listener];
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        listeners.forEach(([name, listener]) => activity.off(name, listener));
+    });
+});
+
+module.exports = router;
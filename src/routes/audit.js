@@ -0,0 +1,96 @@
+/**
+ * Audit Log Routes (admin only)
+ *
+ * GET /api/audit?action=&actor=&email=&eventId=&deviceId=&result=&from=&to=&limit=&offset=
+ *     - matching entries, newest first
+ * GET /api/audit/export?<same filters>&format=csv|json
+ *     - every matching entry as a download for post-event reconciliation
+ */
+
+const express = require('express');
+const auditLog = require('../services/auditLog');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(String(value));
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Validates the shared filters into req.auditFilters
+function parseFilters(req, res, next) {
+    const action = req.query.action ? String(req.query.action) : null;
+    if (action && !auditLog.AUDIT_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `action must be one of: ${auditLog.AUDIT_ACTIONS.join(', ')}` });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === undefined || to === undefined) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const text = (name) => (req.query[name] ? String(req.query[name]).trim() : null);
+    req.auditFilters = {
+        action,
+        actor: text('actor'),
+        email: text('email'),
+        eventId: text('eventId'),
+        deviceId: text('deviceId'),
+        result: text('result'),
+        from,
+        to
+    };
+    next();
+}
+
+router.use(requireRole('admin'));
+
+router.get('/', parseFilters, (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+        const entries = auditLog.findEntries(req.auditFilters);
+        res.json({
+            entries: entries.slice(offset, offset + limit),
+            total: entries.length,
+            limit,
+            offset,
+            actions: auditLog.AUDIT_ACTIONS
+        });
+    } catch (error) {
+        console.error('Audit log read error:', error.message);
+        res.status(500).json({ error: 'Failed to read the audit log' });
+    }
+});
+
+router.get('/export', parseFilters, (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    try {
+        // Oldest first, the order things happened in
+        const entries = auditLog.findEntries(req.auditFilters).reverse();
+        const date = new Date().toISOString().slice(0, 10);
+        res.attachment(`audit-log-${date}.${format}`);
+        if (format === 'json') {
+            return res.json(entries);
+        }
+        res.type('text/csv; charset=utf-8');
+        res.send(auditLog.toCsv(entries));
+    } catch (error) {
+        console.error('Audit log export error:', error.message);
+        res.status(500).json({ error: 'Failed to export the audit log' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+/**
+ * Staff Login Routes
+ *
+ * POST /api/auth/login, POST /api/auth/logout and GET /api/auth/me
+ */
+
+const express = require('express');
+const staffStore = require('../services/staffStore');
+const { logBlocked } = require('../services/securityLog');
+const { startSession, endSession, requireRole } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+const loginRateLimit = rateLimit({ name: 'login', by: 'ip', env: 'RATE_LIMIT_LOGIN', max: 20 });
+
+router.post('/login', loginRateLimit, (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+        return res.status(400).json({ error: 'username and password are required' });
+    }
+
+    const user = staffStore.verifyCredentials(username, password);
+    if (!user) {
+        logBlocked(req, 'login-failed', { username: String(username).slice(0, 100) });
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    try {
+        startSession(res, user);
+    } catch (error) {
+        console.error('Login error:', error.message);
+        return res.status(500).json({ error: 'Staff sessions are not configured' });
+    }
+    res.json({ user });
+});
+
+// A kiosk faces the public, so it only leaves kiosk mode with the PIN (POST /api/kiosk/exit)
+router.post('/logout', (req, res) => {
+    if (req.user && req.user.role === 'kiosk') {
+        logBlocked(req, 'kiosk-logout');
+        return res.status(403).json({ error: 'Kiosk mode can only be left with the staff PIN' });
+    }
+    endSession(res);
+    res.json({ success: true });
+});
+
+router.get('/me', requireRole('kiosk'), (req, res) => {
+    res.json({ user: req.user });
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+/**
+ * Name Badge Routes
+ *
+ * GET /api/badges/:email?eventId=&size=          - one attendee's badge PDF (volunteer+)
+ * GET /api/badges?eventId=&size=&status=         - batch PDF for the roster (lead+), sorted by name;
+ *                                                  status is all, checked-in or not-checked-in
+ * GET /api/badges/self/:token?size=              - the badge for a signed ticket (public; linked from emails)
+ */
+
+const express = require('express');
+const checkinApi = require('../services/checkinApi');
+const attendance = require('../services/attendance');
+const badges = require('../services/badges');
+const tickets = require('../services/tickets');
+const eventRegistry = require('../services/eventRegistry');
+const { requireRole } = require('../middleware/auth');
+const { normalizeEmail, resolveEvent, sendCheckinError } = require('./helpers');
+
+const router = express.Router();
+
+const BATCH_STATUSES = ['all', 'checked-in', 'not-checked-in'];
+
+// Validates ?size= and stores it as req.badgeSize
+function badgeSize(req, res, next) {
+    const size = String(req.query.size || badges.DEFAULT_SIZE).toLowerCase();
+    if (!badges.BADGE_SIZES.includes(size)) {
+        return res.status(400).json({ error: `size must be one of: ${badges.BADGE_SIZES.join(', ')}` });
+    }
+    req.badgeSize = size;
+    next();
+}
+
+function sendPdf(res, filename, pdf) {
+    res.type('application/pdf');
+    // inline so the browser's PDF viewer opens it ready to print
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.send(pdf);
+}
+
+async function sendAttendeeBadge(res, event, email, size) {
+    const lookup = await checkinApi.lookupAttendee(email, event);
+    if (lookup.status === 'NOT_FOUND') {
+        return res.status(404).json({ error: 'No attendee found with this email address' });
+    }
+    const pdf = await badges.renderBadges(event, [{ email, ...lookup.attendee }], { size });
+    sendPdf(res, `badge-${email}.pdf`, pdf);
+}
+
+router.get('/', requireRole('lead'), resolveEvent, badgeSize, async (req, res) => {
+    const status = String(req.query.status || 'all').toLowerCase();
+    if (!BATCH_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${BATCH_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const { attendees, registrationsAvailable } = await attendance.getAttendees(req.event);
+        if (!registrationsAvailable && status !== 'checked-in') {
+            return res.status(503).json({
+                error: 'Batch badges need the full registration list (set ROSTER_ENDPOINT or import a roster)'
+            });
+        }
+
+        const selected = attendees
+            .filter((attendee) => status === 'all' || Boolean(attendee.checkInTime) === (status === 'checked-in'))
+            .sort((a, b) => String(a.fullName || a.email).localeCompare(String(b.fullName || b.email)));
+        if (!selected.length) {
+            return res.status(404).json({ error: 'No attendees to print badges for' });
+        }
+
+        const pdf = await badges.renderBadges(req.event, selected, { size: req.badgeSize });
+        sendPdf(res, `badges-${req.event.id}-${status}.pdf`, pdf);
+    } catch (error) {
+        sendCheckinError(res, error, 'Batch badge error');
+    }
+});
+
+// The token is the attendee's ticket, so holding it is enough to print their badge
+router.get('/self/:token', badgeSize, async (req, res) => {
+    let ticket;
+    try {
+        ticket = tickets.verifyTicket(req.params.token);
+    } catch (error) {
+        return res.status(404).json({ error: 'Badge not found' });
+    }
+
+    const event = eventRegistry.resolveEvent(ticket.eventId);
+    if (!event) {
+        return res.status(404).json({ error: 'Badge not found' });
+    }
+
+    try {
+        await sendAttendeeBadge(res, event, ticket.email, req.badgeSize);
+    } catch (error) {
+        sendCheckinError(res, error, 'Badge error');
+    }
+});
+
+router.get('/:email', requireRole('volunteer'), resolveEvent, badgeSize, async (req, res) => {
+    const email = normalizeEmail(req.params.email);
+    if (!email) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    try {
+        await sendAttendeeBadge(res, req.event, email, req.badgeSize);
+    } catch (error) {
+        sendCheckinError(res, error, 'Badge error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,206 @@
+/**
+ * Certificate Routes (admin only)
+ *
+ * GET  /api/certificates?eventId=&type=  - issued certificates and letters with their email status
+ * POST /api/certificates/issue           - certificates for every checked-in attendee { eventId }
+ * POST /api/certificates/letters         - recommendation letters for selected attendees
+ *                                          { eventId, emails: [...], note }
+ * POST /api/certificates/send            - email documents through the email queue
+ *                                          { eventId, type, ids } (all active documents when ids is unset)
+ * GET  /api/certificates/:id/pdf         - one document as a PDF
+ * POST /api/certificates/:id/revoke      - withdraw a document { reason }
+ *
+ * Issuing is idempotent per attendee and type, and so is sending per document, so either
+ * can be run again after more attendees check in.
+ */
+
+const express = require('express');
+const checkinApi = require('../services/checkinApi');
+const attendance = require('../services/attendance');
+const certificates = require('../services/certificates');
+const certificatePdf = require('../services/certificatePdf');
+const emailQueue = require('../services/emailQueue');
+const mailer = require('../services/mailer');
+const auditLog = require('../services/auditLog');
+const { requireRole } = require('../middleware/auth');
+const { normalizeEmail, resolveEvent, sendCheckinError } = require('./helpers');
+
+const router = express.Router();
+
+const MAX_LETTERS = 200;
+
+router.use(requireRole('admin'));
+
+function checkType(req, res, next) {
+    const type = (req.body && req.body.type) || req.query.type;
+    if (type && !certificates.DOCUMENT_TYPES.includes(String(type))) {
+        return res.status(400).json({ error: `type must be one of: ${certificates.DOCUMENT_TYPES.join(', ')}` });
+    }
+    req.documentType = type ? String(type) : null;
+    next();
+}
+
+function recordIssue(req, document) {
+    auditLog.record({
+        ...auditLog.requestContext(req),
+        action: 'certificate-issue',
+        eventId: document.eventId,
+        email: document.email,
+        result: 'ISSUED',
+        detail: `${document.type} ${document.id}`
+    });
+}
+
+// Latest email job per document, for the status column
+function emailStatuses() {
+    const statuses = new Map();
+    emailQueue.listJobs({ type: 'certificate' }).forEach((job) => {
+        if (!statuses.has(job.documentId)) statuses.set(job.documentId, { jobId: job.id, status: job.status });
+    });
+    return statuses;
+}
+
+router.get('/', resolveEvent, checkType, (req, res) => {
+    const statuses = emailStatuses();
+    const documents = certificates.listDocuments({ eventId: req.event.id, type: req.documentType }).map((document) => ({
+        ...document,
+        verifyUrl: certificates.verifyUrl(document.id),
+        emailStatus: statuses.get(document.id) || null
+    }));
+    res.json({ documents, types: certificates.DOCUMENT_TYPES, emailConfigured: mailer.isConfigured() });
+});
+
+router.post('/issue', resolveEvent, async (req, res) => {
+    try {
+        const { attendees } = await attendance.getAttendees(req.event);
+        const checkedIn = attendees.filter((attendee) => attendee.checkInTime);
+        if (!checkedIn.length) {
+            return res.status(404).json({ error: 'No checked-in attendees to issue certificates to' });
+        }
+
+        let issued = 0;
+        checkedIn.forEach((attendee) => {
+            const { document, existing } = certificates.issueDocument(req.event, certificates.CERTIFICATE, attendee, {
+                issuedBy: req.user.username
+            });
+            if (existing) return;
+            issued += 1;
+            recordIssue(req, document);
+        });
+        res.json({ success: true, issued, existing: checkedIn.length - issued });
+    } catch (error) {
+        sendCheckinError(res, error, 'Certificate issue error');
+    }
+});
+
+router.post('/letters', resolveEvent, async (req, res) => {
+    const requested = Array.isArray(req.body.emails) ? req.body.emails : [];
+    if (!requested.length || requested.length > MAX_LETTERS) {
+        return res.status(400).json({ error: `emails must list between 1 and ${MAX_LETTERS} attendees` });
+    }
+
+    const documents = [];
+    const skipped = [];
+    try {
+        for (const value of requested) {
+            const email = normalizeEmail(value);
+            if (!email) {
+                skipped.push({ email: String(value), reason: 'INVALID_EMAIL' });
+                continue;
+            }
+            // Letters vouch for attendance, so only attendees who checked in get one
+            const lookup = await checkinApi.lookupAttendee(email, req.event);
+            if (lookup.status !== 'ALREADY_CHECKED_IN') {
+                skipped.push({ email, reason: lookup.status === 'NOT_FOUND' ? 'NOT_FOUND' : 'NOT_CHECKED_IN' });
+                continue;
+            }
+
+            const { document, existing } = certificates.issueDocument(req.event, certificates.LETTER,
+                { ...lookup.attendee, email }, { note: req.body.note, issuedBy: req.user.username });
+            if (!existing) recordIssue(req, document);
+            documents.push({ id: document.id, email, existing });
+        }
+        res.json({ success: true, documents, skipped });
+    } catch (error) {
+        sendCheckinError(res, error, 'Letter issue error');
+    }
+});
+
+router.post('/send', resolveEvent, checkType, (req, res) => {
+    if (!mailer.isConfigured()) {
+        return res.status(503).json({ error: 'Email service not configured' });
+    }
+
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(certificates.normalizeId) : null;
+    const documents = certificates.listDocuments({ eventId: req.event.id, type: req.documentType })
+        .filter((document) => !document.revokedAt && (!ids || ids.includes(document.id)));
+    if (!documents.length) {
+        return res.status(404).json({ error: 'No documents to send' });
+    }
+
+    let queued = 0;
+    documents.forEach((document) => {
+        const { job, deduplicated } = emailQueue.enqueueCertificate({
+            eventId: document.eventId,
+            toEmail: document.email,
+            fullName: document.fullName,
+            documentId: document.id,
+            requestedBy: req.user.username
+        });
+        if (deduplicated) return;
+        queued += 1;
+        auditLog.record({
+            ...auditLog.requestContext(req),
+            action: 'email-queued',
+            eventId: document.eventId,
+            email: document.email,
+            result: 'QUEUED',
+            detail: `Job ${job.id} for ${document.type} ${document.id}`
+        });
+    });
+    res.status(202).json({ success: true, queued, alreadyQueued: documents.length - queued });
+});
+
+router.get('/:id/pdf', async (req, res) => {
+    const document = certificates.getDocument(req.params.id);
+    if (!document) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    try {
+        const pdf = await certificatePdf.renderDocument(document);
+        res.type('application/pdf');
+        res.set('Content-Disposition', `inline; filename="${certificatePdf.fileName(document)}"`);
+        res.send(pdf);
+    } catch (error) {
+        console.error('Certificate render error:', error.message);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.post('/:id/revoke', (req, res) => {
+    const current = certificates.getDocument(req.params.id);
+    if (!current) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+    if (current.revokedAt) {
+        return res.status(409).json({ error: 'Document is already revoked', document: current });
+    }
+
+    const document = certificates.revokeDocument(current.id, {
+        revokedBy: req.user.username,
+        reason: req.body && req.body.reason
+    });
+
+    auditLog.record({
+        ...auditLog.requestContext(req),
+        action: 'certificate-revoke',
+        eventId: document.eventId,
+        email: document.email,
+        result: 'REVOKED',
+        detail: [`${document.type} ${document.id}`, document.revokeReason].filter(Boolean).join(': ')
+    });
+    res.json({ document });
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+/**
+ * Attendance Dashboard Routes (lead+)
+ *
+ * GET /api/dashboard/stats?eventId=  - totals, arrivals per 15 minutes, breakdowns, session
+ *                                      attendance and, for events with a capacity, who is inside now
+ * GET /api/dashboard/stream?eventId= - Server-Sent Events; pushes fresh stats after every
+ *                                      check-in (event or session), check-out or undone
+ *                                      check-in for that event
+ */
+
+const express = require('express');
+const attendance = require('../services/attendance');
+const capacity = require('../services/capacity');
+const sessions = require('../services/sessions');
+const activity = require('../services/activity');
+const { requireRole } = require('../middleware/auth');
+const { resolveEvent } = require('./helpers');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+// Coalesce bursts of check-ins at a busy door into one push
+const PUSH_DEBOUNCE_MS = 500;
+
+// Activity that changes the numbers without a new arrival
+const REFRESH_EVENTS = [
+    'checkin-undone', 'checkout', 'return', 'session-checkin', 'session-checkin-undone', 'registration-cancelled'
+];
+
+router.use(requireRole('lead'), resolveEvent);
+
+async function getDashboardStats(event) {
+    const stats = { ...await attendance.getStats(event), sessions: sessions.listSummaries(event.id) };
+    if (!Number.isInteger(event.capacity)) return { ...stats, occupancy: null };
+
+    const occupancy = await capacity.getOccupancy(event);
+    return {
+        ...stats,
+        occupancy: {
+            capacity: occupancy.capacity,
+            inside: occupancy.inside,
+            full: occupancy.full,
+            waitlistLength: occupancy.waitlist.length
+        }
+    };
+}
+
+router.get('/stats', async (req, res) => {
+    try {
+        res.json(await getDashboardStats(req.event));
+    } catch (error) {
+        console.error('Dashboard stats error:', error.message);
+        res.status(500).json({ error: 'Failed to compute attendance stats' });
+    }
+});
+
+router.get('/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let pushTimer = null;
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const pushStats = async () => {
+        try {
+            sendEvent('stats', await getDashboardStats(req.event));
+        } catch (error) {
+            console.error('Dashboard stream error:', error.message);
+        }
+    };
+
+    const onCheckIn = (checkin) => {
+        if (checkin.eventId !== req.event.id) return;
+        sendEvent('checkin', { checkInTime: checkin.checkInTime });
+        clearTimeout(pushTimer);
+        pushTimer = setTimeout(pushStats, PUSH_DEBOUNCE_MS);
+    };
+
+    const onChange = (change) => {
+        if (change.eventId !== req.event.id) return;
+        clearTimeout(pushTimer);
+        pushTimer = setTimeout(pushStats, PUSH_DEBOUNCE_MS);
+    };
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    activity.on('checkin', onCheckIn);
+    REFRESH_EVENTS.forEach((name) => activity.on(name, onChange));
+    pushStats();
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(pushTimer);
+        activity.off('checkin', onCheckIn);
+        REFRESH_EVENTS.forEach((name) => activity.off(name, onChange));
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+/**
+ * Email Delivery Log Routes (admin only)
+ *
+ * GET  /api/emails?status=&eventId= - queued, sent and failed emails (confirmations,
+ *                                    attendee portal sign-in links and certificates)
+ * GET  /api/emails/preview          - render an event's confirmation email without sending it
+ * GET  /api/emails/:id              - one job with its full delivery history
+ * POST /api/emails/:id/resend       - queue a failed (or sent) confirmation or certificate again
+ */
+
+const express = require('express');
+const emailQueue = require('../services/emailQueue');
+const emailTemplates = require('../services/emailTemplates');
+const checkinEmail = require('../services/checkinEmail');
+const auditLog = require('../services/auditLog');
+const { requireRole } = require('../middleware/auth');
+const { resolveEvent } = require('./helpers');
+
+const router = express.Router();
+
+router.use(requireRole('admin'));
+
+router.get('/', (req, res) => {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !emailQueue.JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${emailQueue.JOB_STATUSES.join(', ')}` });
+    }
+
+    const jobs = emailQueue.listJobs({ status, eventId: req.query.eventId ? String(req.query.eventId) : null });
+    const counts = {};
+    emailQueue.JOB_STATUSES.forEach((name) => {
+        counts[name] = emailQueue.listJobs({ status: name }).length;
+    });
+    res.json({ jobs, counts, languages: emailTemplates.SUPPORTED_LANGUAGES });
+});
+
+// ?eventId=&language=&fullName=&message=&format=html|json; unset values come from the event
+router.get('/preview', resolveEvent, (req, res) => {
+    const language = req.query.language ? String(req.query.language) : undefined;
+    if (language && !emailTemplates.SUPPORTED_LANGUAGES.includes(language)) {
+        return res.status(400).json({ error: `language must be one of: ${emailTemplates.SUPPORTED_LANGUAGES.join(', ')}` });
+    }
+
+    try {
+        const email = checkinEmail.buildCheckinEmail(req.event, {
+            toEmail: 'attendee@example.com',
+            fullName: req.query.fullName ? String(req.query.fullName) : 'Ada Lovelace',
+            checkInTime: new Date().toISOString()
+        }, {
+            language,
+            customMessage: req.query.message !== undefined ? String(req.query.message) : undefined
+        });
+
+        if (req.query.format === 'json') {
+            return res.json({
+                from: email.from,
+                subject: email.subject,
+                html: email.html,
+                attachments: email.attachments.map((attachment) => attachment.filename)
+            });
+        }
+        res.type('html').send(email.html);
+    } catch (error) {
+        console.error('Email preview error:', error.message);
+        res.status(500).json({ error: 'Failed to render email preview' });
+    }
+});
+
+router.get('/:id', (req, res) => {
+    const job = emailQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Email job not found' });
+    }
+    res.json({ job });
+});
+
+router.post('/:id/resend', (req, res) => {
+    const existing = emailQueue.getJob(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ error: 'Email job not found' });
+    }
+    if (existing.type === 'portal-link') {
+        return res.status(409).json({ error: 'Sign-in links cannot be resent; the attendee can request a new one' });
+    }
+
+    const job = emailQueue.resend(req.params.id, req.user.username);
+    auditLog.record({
+        ...auditLog.requestContext(req),
+        action: 'email-resend',
+        eventId: job.eventId,
+        email: job.toEmail,
+        result: job.status.toUpperCase(),
+        detail: `Job ${job.id}`
+    });
+    res.json({ job });
+});
+
+module.exports = router;
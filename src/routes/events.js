@@ -0,0 +1,61 @@
+/**
+ * Event Registry Routes
+ *
+ * GET    /api/events      - events for the selector (any staff; public fields only)
+ * GET    /api/events/:id  - full event record (admin)
+ * POST   /api/events      - create an event (admin)
+ * PUT    /api/events/:id  - update an event (admin)
+ * DELETE /api/events/:id  - remove an event (admin)
+ */
+
+const express = require('express');
+const eventRegistry = require('../services/eventRegistry');
+const { requireRole, hasRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', requireRole('volunteer'), (req, res) => {
+    const events = eventRegistry.listEvents();
+    const defaultEvent = eventRegistry.getDefaultEvent();
+    res.json({
+        events: hasRole(req.user, 'admin') ? events : events.map(eventRegistry.toPublic),
+        defaultEventId: defaultEvent ? defaultEvent.id : null
+    });
+});
+
+router.get('/:id', requireRole('admin'), (req, res) => {
+    const event = eventRegistry.getEvent(req.params.id);
+    if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+    }
+    res.json({ event });
+});
+
+router.post('/', requireRole('admin'), (req, res) => {
+    try {
+        res.status(201).json({ event: eventRegistry.createEvent(req.body) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.put('/:id', requireRole('admin'), (req, res) => {
+    try {
+        const event = eventRegistry.updateEvent(req.params.id, req.body);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        res.json({ event });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.delete('/:id', requireRole('admin'), (req, res) => {
+    if (!eventRegistry.deleteEvent(req.params.id)) {
+        return res.status(404).json({ error: 'Event not found' });
+    }
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * Shared Route Helpers
+ *
+ * Request validation, error mapping and check-in locks used by the attendee-facing routers.
+ */
+
+const { RepositoryError } = require('../services/checkinApi');
+const eventRegistry = require('../services/eventRegistry');
+const checkinLocks = require('../services/checkinLocks');
+const activity = require('../services/activity');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalize and validate an attendee email
+ * @param {*} value - Raw value from the request
+ * @returns {string|null} Lower-cased email, or null if invalid
+ */
+function normalizeEmail(value) {
+    const email = value ? String(value).trim().toLowerCase() : '';
+    return EMAIL_REGEX.test(email) ? email : null;
+}
+
+// Map attendee source failures (webhook, sheet, database) to 502, everything else to 500
+function sendCheckinError(res, error, context) {
+    console.error(`${context}:`, error && error.message ? error.message : error);
+    if (error instanceof RepositoryError) {
+        return res.status(502).json({ error: 'Check-in service unavailable' });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+}
+
+/**
+ * Resolve the event a request is for (body.eventId, then query.eventId, then the
+ * default event) and attach it as req.event. Unknown ids get a 404.
+ */
+function resolveEvent(req, res, next) {
+    const id = (req.body && req.body.eventId) || req.query.eventId;
+    const event = eventRegistry.resolveEvent(id);
+    if (!event) {
+        return res.status(404).json({ error: id ? `Unknown event: ${id}` : 'No events configured' });
+    }
+    req.event = event;
+    next();
+}
+
+/**
+ * The station a request comes from: its device, named as the station set it up
+ * ("Door 2") or after the staff account when it has no name
+ * @param {Object} req - Request with req.device and req.user
+ * @returns {Object} { deviceId, station }
+ */
+function stationOf(req) {
+    return { deviceId: req.device.id, station: req.device.name || req.user.username };
+}
+
+/**
+ * Answer for an attendee another station holds the check-in lock on
+ * @param {Object} result - Lookup result (or { eventId } when there was none)
+ * @param {Object} lock - The other station's lock
+ * @returns {Object} Result with status CHECK_IN_IN_PROGRESS
+ */
+function inProgressResult(result, lock) {
+    return {
+        ...result,
+        status: 'CHECK_IN_IN_PROGRESS',
+        message: `Already being checked in by ${lock.station}`,
+        lockedBy: lock.station,
+        lockExpiresAt: new Date(lock.expiresAt).toISOString()
+    };
+}
+
+/**
+ * Lock an attendee the lookup offers to check in (a fresh CAN_CHECK_IN, or someone
+ * back from checking out) for the requesting station, and tell other open stations.
+ * While another station holds the lock, the lookup becomes CHECK_IN_IN_PROGRESS.
+ * @param {Object} req - Request with req.device and req.user
+ * @param {Object} event - Registry event
+ * @param {string} email - Normalized attendee email
+ * @param {Object} result - Lookup result
+ * @returns {Object} The result, or the in-progress answer
+ */
+function claimAttendee(req, event, email, result) {
+    const offersCheckIn = result.status === 'CAN_CHECK_IN'
+        || (result.status === 'ALREADY_CHECKED_IN' && Boolean(result.checkedOutAt));
+    if (!offersCheckIn) return result;
+
+    const { acquired, lock } = checkinLocks.acquire(event.id, email, stationOf(req));
+    if (!acquired) return inProgressResult(result, lock);
+
+    activity.emit('checkin-claimed', {
+        eventId: event.id,
+        email,
+        deviceId: lock.deviceId,
+        station: lock.station,
+        expiresAt: new Date(lock.expiresAt).toISOString()
+    });
+    return result;
+}
+
+module.exports = {
+    normalizeEmail,
+    resolveEvent,
+    sendCheckinError,
+    stationOf,
+    inProgressResult,
+    claimAttendee
+};
@@ -0,0 +1,72 @@
+/**
+ * Kiosk Routes
+ *
+ * GET  /api/kiosk/config?eventId= - event shown on the self check-in tablet (kiosk+)
+ * POST /api/kiosk/exit            - end kiosk mode with the staff PIN { pin } (kiosk+)
+ *
+ * The kiosk itself runs the normal lookup and check-in routes under a 'kiosk'
+ * account. Leaving kiosk mode needs KIOSK_PIN; wrong PINs lock the kiosk account out
+ * from that address for a few minutes and every attempt is written to the audit log.
+ * The lockout is not keyed by device, since clearing the device cookie would reset it.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const eventRegistry = require('../services/eventRegistry');
+const auditLog = require('../services/auditLog');
+const { requireRole, endSession } = require('../middleware/auth');
+const { resolveEvent } = require('./helpers');
+
+const router = express.Router();
+
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+
+// 'username:ip' -> { failures, lockedUntil }
+const pinAttempts = new Map();
+
+router.use(requireRole('kiosk'));
+
+router.get('/config', resolveEvent, (req, res) => {
+    res.json({
+        event: eventRegistry.toPublic(req.event),
+        exitEnabled: Boolean(process.env.KIOSK_PIN)
+    });
+});
+
+function pinMatches(pin) {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(pin), digest(process.env.KIOSK_PIN));
+}
+
+router.post('/exit', (req, res) => {
+    if (!process.env.KIOSK_PIN) {
+        return res.status(503).json({ error: 'Kiosk exit is not configured (set KIOSK_PIN)' });
+    }
+
+    const attemptKey = `${req.user.username}:${req.ip}`;
+    const attempts = pinAttempts.get(attemptKey) || { failures: 0, lockedUntil: 0 };
+    if (attempts.lockedUntil > Date.now()) {
+        return res.status(429).json({ error: 'Too many wrong PINs. Try again in a few minutes.' });
+    }
+
+    const audit = { ...auditLog.requestContext(req), action: 'kiosk-exit' };
+    const pin = req.body && req.body.pin;
+    if (!pin || !pinMatches(pin)) {
+        const failures = attempts.failures + 1;
+        const locked = failures >= MAX_PIN_ATTEMPTS;
+        pinAttempts.set(attemptKey, {
+            failures: locked ? 0 : failures,
+            lockedUntil: locked ? Date.now() + PIN_LOCKOUT_MS : 0
+        });
+        auditLog.record({ ...audit, result: locked ? 'LOCKED' : 'WRONG_PIN' });
+        return res.status(403).json({ error: 'Wrong PIN' });
+    }
+
+    pinAttempts.delete(attemptKey);
+    auditLog.record({ ...audit, result: 'SUCCESS' });
+    endSession(res);
+    res.json({ success: true });
+});
+
+module.exports = router;
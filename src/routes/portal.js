@@ -0,0 +1,266 @@
+/**
+ * Attendee Self-Service Portal Routes
+ *
+ * POST /api/portal/link    - email a one-time sign-in link { email, eventId } (public)
+ * POST /api/portal/session - open a sign-in link { token }, starting a portal session (public)
+ * GET  /api/portal/events  - events attendees can pick from (public)
+ * GET  /api/portal/me      - the signed-in attendee's registration and check-in status
+ * PUT  /api/portal/me      - change their phone number or profession
+ * GET  /api/portal/ticket  - their QR ticket (?format=svg|png&download=1)
+ * GET  /api/portal/agenda  - the event's agenda PDF
+ * POST /api/portal/cancel  - cancel their registration, freeing the seat
+ * POST /api/portal/logout  - end the portal session
+ *
+ * Link requests answer the same way whether or not the email is registered, so the
+ * form cannot be used to find out who signed up. They are limited per IP
+ * (RATE_LIMIT_PORTAL) and to one link per address every couple of minutes.
+ */
+
+const express = require('express');
+const checkinApi = require('../services/checkinApi');
+const eventRegistry = require('../services/eventRegistry');
+const emailQueue = require('../services/emailQueue');
+const mailer = require('../services/mailer');
+const portalLinks = require('../services/portalLinks');
+const tickets = require('../services/tickets');
+const capacity = require('../services/capacity');
+const sessions = require('../services/sessions');
+const activity = require('../services/activity');
+const auditLog = require('../services/auditLog');
+const { rateLimit } = require('../middleware/rateLimit');
+const { startPortalSession, endPortalSession, requirePortalSession } = require('../middleware/portalSession');
+const { normalizeEmail, resolveEvent, sendCheckinError } = require('./helpers');
+
+const router = express.Router();
+
+const LINK_COOLDOWN_MS = 2 * 60 * 1000;
+const EDITABLE_FIELDS = ['phone', 'profession'];
+const MAX_FIELD_LENGTH = 100;
+// What attendees see of their own record
+const VISIBLE_FIELDS = ['fullName', 'email', 'phone', 'profession', 'experienceLevel', 'registrationDate', 'checkInTime'];
+
+const LINK_SENT = {
+    success: true,
+    message: 'If this email is registered for the event, a sign-in link is on its way. It expires in '
+        + `${portalLinks.LINK_TTL_MINUTES} minutes.`
+};
+
+function visibleAttendee(attendee) {
+    const visible = {};
+    VISIBLE_FIELDS.forEach((field) => {
+        visible[field] = attendee[field] || null;
+    });
+    return visible;
+}
+
+function audit(req, fields) {
+    auditLog.record({ ...auditLog.requestContext(req), actor: req.portal ? req.portal.email : null, ...fields });
+}
+
+function linkRecentlySent(eventId, email) {
+    const since = new Date(Date.now() - LINK_COOLDOWN_MS).toISOString();
+    return emailQueue.listJobs({ eventId, type: 'portal-link' })
+        .some((job) => job.toEmail === email && job.createdAt > since);
+}
+
+const linkRateLimit = rateLimit({ name: 'portal-link', by: 'ip', env: 'RATE_LIMIT_PORTAL', max: 5 });
+router.post('/link', linkRateLimit, resolveEvent, async (req, res) => {
+    const email = normalizeEmail(req.body && req.body.email);
+    if (!email) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!mailer.isConfigured() || !process.env.PUBLIC_URL || !portalLinks.isConfigured()) {
+        return res.status(503).json({ error: 'Sign-in links are not available right now. Please contact the organisers.' });
+    }
+
+    const entry = { action: 'portal-link', eventId: req.event.id, email };
+    try {
+        if (linkRecentlySent(req.event.id, email)) {
+            audit(req, { ...entry, result: 'COOLDOWN' });
+            return res.status(202).json(LINK_SENT);
+        }
+
+        const lookup = await checkinApi.lookupAttendee(email, req.event);
+        if (lookup.status === 'NOT_FOUND') {
+            audit(req, { ...entry, result: 'NOT_FOUND' });
+            return res.status(202).json(LINK_SENT);
+        }
+
+        const link = portalLinks.createLink();
+        const job = emailQueue.enqueuePortalLink({
+            eventId: req.event.id,
+            toEmail: email,
+            fullName: lookup.attendee && lookup.attendee.fullName,
+            linkId: link.id,
+            linkExpiresAt: link.expiresAt
+        });
+        audit(req, { ...entry, result: 'QUEUED', detail: `Job ${job.id}` });
+        res.status(202).json(LINK_SENT);
+    } catch (error) {
+        audit(req, { ...entry, result: 'ERROR', detail: error.message });
+        sendCheckinError(res, error, 'Portal link error');
+    }
+});
+
+router.post('/session', (req, res) => {
+    let link;
+    try {
+        link = portalLinks.consumeLink(req.body && req.body.token);
+    } catch (error) {
+        return res.status(401).json({
+            status: 'LINK_EXPIRED',
+            error: 'This sign-in link has expired or was already used. Please request a new one.'
+        });
+    }
+    if (!eventRegistry.getEvent(link.eventId)) {
+        return res.status(404).json({ error: 'This event no longer exists' });
+    }
+
+    startPortalSession(res, link);
+    audit(req, { action: 'portal-signin', eventId: link.eventId, email: link.email, actor: link.email, result: 'SUCCESS' });
+    res.json({ success: true });
+});
+
+router.get('/events', (req, res) => {
+    const defaultEvent = eventRegistry.getDefaultEvent();
+    res.json({
+        events: eventRegistry.listEvents().map(eventRegistry.toPublic),
+        defaultEventId: defaultEvent ? defaultEvent.id : null
+    });
+});
+
+router.post('/logout', (req, res) => {
+    endPortalSession(res);
+    res.json({ success: true });
+});
+
+router.use(requirePortalSession, (req, res, next) => {
+    req.event = eventRegistry.getEvent(req.portal.eventId);
+    if (!req.event) {
+        return res.status(404).json({ error: 'This event no longer exists' });
+    }
+    next();
+});
+
+router.get('/me', async (req, res) => {
+    try {
+        const lookup = await checkinApi.lookupAttendee(req.portal.email, req.event);
+        if (lookup.status === 'NOT_FOUND') {
+            return res.status(404).json({ status: 'NOT_FOUND', error: 'No registration found for this email' });
+        }
+        res.json({
+            status: lookup.status,
+            attendee: visibleAttendee({ ...lookup.attendee, email: req.portal.email }),
+            event: eventRegistry.toPublic(req.event),
+            hasAgenda: Boolean(eventRegistry.agendaPath(req.event)),
+            canEdit: checkinApi.canSelfServe(req.event),
+            editableFields: EDITABLE_FIELDS
+        });
+    } catch (error) {
+        sendCheckinError(res, error, 'Portal lookup error');
+    }
+});
+
+router.put('/me', async (req, res) => {
+    if (!checkinApi.canSelfServe(req.event)) {
+        return res.status(409).json({ error: 'Registrations for this event cannot be changed online. Please contact the organisers.' });
+    }
+
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (!req.body || req.body[field] === undefined) continue;
+        const value = req.body[field] === null ? '' : String(req.body[field]).trim();
+        if (value.length > MAX_FIELD_LENGTH) {
+            return res.status(400).json({ error: `${field} must be at most ${MAX_FIELD_LENGTH} characters` });
+        }
+        changes[field] = value || null;
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: `Nothing to change; send ${EDITABLE_FIELDS.join(' or ')}` });
+    }
+
+    const entry = { action: 'portal-update', eventId: req.event.id, email: req.portal.email, detail: `Changed ${Object.keys(changes).join(', ')}` };
+    try {
+        const result = await checkinApi.updateAttendeeDetails(req.portal.email, changes, req.event);
+        if (!result.success) {
+            audit(req, { ...entry, result: 'NOT_FOUND' });
+            return res.status(404).json({ status: 'NOT_FOUND', error: 'No registration found for this email' });
+        }
+        audit(req, { ...entry, result: 'SUCCESS' });
+        res.json({ success: true, attendee: visibleAttendee({ ...result.attendee, email: req.portal.email }) });
+    } catch (error) {
+        audit(req, { ...entry, result: 'ERROR', detail: `${entry.detail}: ${error.message}` });
+        sendCheckinError(res, error, 'Portal update error');
+    }
+});
+
+router.get('/ticket', async (req, res) => {
+    const format = String(req.query.format || 'svg').toLowerCase();
+    if (!tickets.TICKET_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${tickets.TICKET_FORMATS.join(', ')}` });
+    }
+
+    try {
+        const ticket = await tickets.renderTicket(req.portal.email, req.event.id, format);
+        res.type(format === 'png' ? 'image/png' : 'image/svg+xml');
+        if (req.query.download) {
+            res.attachment(`ticket-${req.event.id}.${format}`);
+        }
+        res.send(ticket);
+    } catch (error) {
+        console.error('Portal ticket error:', error.message);
+        res.status(500).json({ error: 'Failed to render ticket' });
+    }
+});
+
+router.get('/agenda', (req, res) => {
+    const agenda = eventRegistry.agendaPath(req.event);
+    if (!agenda) {
+        return res.status(404).json({ error: 'This event has no agenda yet' });
+    }
+    res.download(agenda, (error) => {
+        if (error && !res.headersSent) res.status(404).json({ error: 'This event has no agenda yet' });
+    });
+});
+
+router.post('/cancel', async (req, res) => {
+    if (!checkinApi.canSelfServe(req.event)) {
+        return res.status(409).json({ error: 'Registrations for this event cannot be cancelled online. Please contact the organisers.' });
+    }
+
+    const { email } = req.portal;
+    const entry = { action: 'portal-cancel', eventId: req.event.id, email };
+    try {
+        const lookup = await checkinApi.lookupAttendee(email, req.event);
+        if (lookup.status === 'NOT_FOUND') {
+            return res.status(404).json({ status: 'NOT_FOUND', error: 'No registration found for this email' });
+        }
+        if (lookup.status === 'ALREADY_CHECKED_IN') {
+            audit(req, { ...entry, result: 'ALREADY_CHECKED_IN' });
+            return res.status(409).json({
+                status: 'ALREADY_CHECKED_IN',
+                error: 'You have already checked in, so this registration can no longer be cancelled.'
+            });
+        }
+
+        const result = await checkinApi.cancelRegistration(email, req.event);
+        if (!result.success) {
+            audit(req, { ...entry, result: 'NOT_FOUND' });
+            return res.status(404).json({ status: 'NOT_FOUND', error: 'No registration found for this email' });
+        }
+
+        // Free the seats held for them too
+        capacity.removeFromWaitlist(req.event.id, email);
+        sessions.listSessions(req.event.id).forEach((session) => sessions.unregister(req.event.id, session.id, email));
+        activity.emit('registration-cancelled', { eventId: req.event.id, email, actor: email });
+
+        audit(req, { ...entry, result: 'SUCCESS' });
+        endPortalSession(res);
+        res.json({ success: true });
+    } catch (error) {
+        audit(req, { ...entry, result: 'ERROR', detail: error.message });
+        sendCheckinError(res, error, 'Portal cancel error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+/**
+ * Report Routes (lead+)
+ *
+ * GET /api/reports/attendance?eventId=&format=csv|xlsx|pdf&from=&to=&profession=&status=
+ * GET /api/reports/sessions?eventId=&format=csv|xlsx - who attended each session
+ *
+ * `from` / `to` bound check-in times (ISO dates), `profession` takes one or more
+ * comma-separated values, and `status` is all, checked-in or no-show.
+ */
+
+const express = require('express');
+const attendanceReport = require('../services/attendanceReport');
+const { requireRole } = require('../middleware/auth');
+const { resolveEvent, sendCheckinError } = require('./helpers');
+
+const router = express.Router();
+
+router.use(requireRole('lead'), resolveEvent);
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf'
+};
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(String(value));
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+router.get('/attendance', async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!attendanceReport.REPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${attendanceReport.REPORT_FORMATS.join(', ')}` });
+    }
+
+    const status = String(req.query.status || 'all').toLowerCase();
+    if (!attendanceReport.REPORT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${attendanceReport.REPORT_STATUSES.join(', ')}` });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === undefined || to === undefined) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const professions = [].concat(req.query.profession || [])
+        .flatMap((value) => String(value).split(','))
+        .map((value) => value.trim())
+        .filter(Boolean);
+
+    try {
+        const report = await attendanceReport.buildReport(req.event, { from, to, professions, status });
+        const file = await attendanceReport.renderReport(report, format);
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.type(CONTENT_TYPES[format]);
+        res.attachment(`attendance-${req.event.id}-${date}.${format}`);
+        res.send(file);
+    } catch (error) {
+        sendCheckinError(res, error, 'Attendance report error');
+    }
+});
+
+router.get('/sessions', async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!attendanceReport.SESSION_REPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${attendanceReport.SESSION_REPORT_FORMATS.join(', ')}` });
+    }
+
+    try {
+        const report = await attendanceReport.buildSessionReport(req.event);
+        const file = await attendanceReport.renderSessionReport(report, format);
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.type(CONTENT_TYPES[format]);
+        res.attachment(`sessions-${req.event.id}-${date}.${format}`);
+        res.send(file);
+    } catch (error) {
+        sendCheckinError(res, error, 'Session report error');
+    }
+});
+
+module.exports = router;
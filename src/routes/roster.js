@@ -0,0 +1,70 @@
+/**
+ * Local Roster Routes
+ *
+ * GET    /api/roster         - attendees imported for an event (lead)
+ * POST   /api/roster/import  - import a CSV/XLSX export (admin)
+ * DELETE /api/roster         - clear an event's imported roster (admin)
+ *
+ * The import takes the raw file as the request body, with `filename`, `mode`
+ * (merge | replace), `dryRun` and an optional JSON `mapping` in the query string.
+ */
+
+const express = require('express');
+const rosterStore = require('../services/rosterStore');
+const rosterImport = require('../services/rosterImport');
+const { requireRole } = require('../middleware/auth');
+const { resolveEvent } = require('./helpers');
+
+const router = express.Router();
+
+const MAX_UPLOAD_SIZE = '10mb';
+
+router.get('/', requireRole('lead'), resolveEvent, (req, res) => {
+    res.json({
+        eventId: req.event.id,
+        source: req.event.source || 'webhook',
+        attendees: rosterStore.listRoster(req.event.id)
+    });
+});
+
+router.post('/import',
+    requireRole('admin'),
+    express.raw({ type: () => true, limit: MAX_UPLOAD_SIZE }),
+    resolveEvent,
+    async (req, res) => {
+        const format = rosterImport.detectFormat(req.query.filename, req.headers['content-type']);
+        if (!format) {
+            return res.status(400).json({ error: `Upload a ${rosterImport.IMPORT_FORMATS.join(' or ')} file` });
+        }
+
+        let mapping;
+        try {
+            mapping = req.query.mapping ? JSON.parse(req.query.mapping) : undefined;
+        } catch (_) {
+            return res.status(400).json({ error: 'mapping must be a JSON object' });
+        }
+
+        try {
+            const report = await rosterImport.importRoster(req.event.id, req.body, {
+                format,
+                mode: req.query.mode || 'merge',
+                dryRun: req.query.dryRun === '1' || req.query.dryRun === 'true',
+                mapping
+            });
+            res.json({ report });
+        } catch (error) {
+            if (error instanceof rosterImport.RosterImportError) {
+                return res.status(400).json({ error: error.message });
+            }
+            console.error('Roster import error:', error.message);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+);
+
+router.delete('/', requireRole('admin'), resolveEvent, (req, res) => {
+    rosterStore.clearRoster(req.event.id);
+    res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+/**
+ * Session Routes
+ *
+ * GET    /api/sessions?eventId=                        - sessions with seat counts (any staff)
+ * POST   /api/sessions                                 - add a session (admin)
+ * PUT    /api/sessions/:sessionId                      - update a session (admin)
+ * DELETE /api/sessions/:sessionId                      - remove a session and its attendance (admin)
+ * GET    /api/sessions/:sessionId/attendance           - pre-registrations and check-ins (lead+)
+ * POST   /api/sessions/:sessionId/registrations        - pre-register { email } (lead+)
+ * DELETE /api/sessions/:sessionId/registrations/:email - cancel a pre-registration (lead+)
+ * POST   /api/sessions/:sessionId/checkin              - check in { email, checkInTime } (any staff)
+ * DELETE /api/sessions/:sessionId/checkin/:email       - undo a session check-in (lead+)
+ *
+ * All take an optional `eventId`. Session check-ins need an event registration but not
+ * the main-desk check-in, and are written to the audit log.
+ */
+
+const express = require('express');
+const checkinApi = require('../services/checkinApi');
+const sessions = require('../services/sessions');
+const auditLog = require('../services/auditLog');
+const activity = require('../services/activity');
+const { requireRole, attendeeForUser } = require('../middleware/auth');
+const { normalizeEmail, resolveEvent, sendCheckinError } = require('./helpers');
+
+const router = express.Router();
+
+router.use(requireRole('volunteer'), resolveEvent);
+
+function sendSessionError(res, error, context) {
+    if (error instanceof sessions.SessionError) {
+        return res.status(error.status).json({ status: error.code, error: error.message });
+    }
+    return sendCheckinError(res, error, context);
+}
+
+router.get('/', (req, res) => {
+    res.json({ eventId: req.event.id, sessions: sessions.listSummaries(req.event.id) });
+});
+
+router.post('/', requireRole('admin'), (req, res) => {
+    try {
+        res.status(201).json({ session: sessions.createSession(req.event.id, req.body) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.put('/:sessionId', requireRole('admin'), (req, res) => {
+    try {
+        const session = sessions.updateSession(req.event.id, req.params.sessionId, req.body);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ session });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.delete('/:sessionId', requireRole('admin'), (req, res) => {
+    if (!sessions.deleteSession(req.event.id, req.params.sessionId)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true });
+});
+
+router.get('/:sessionId/attendance', requireRole('lead'), (req, res) => {
+    try {
+        const session = sessions.getSession(req.event.id, req.params.sessionId);
+        res.json({
+            session: session && sessions.summarize(req.event.id, session),
+            ...sessions.getRecords(req.event.id, req.params.sessionId)
+        });
+    } catch (error) {
+        sendSessionError(res, error, 'Session attendance error');
+    }
+});
+
+router.post('/:sessionId/registrations', requireRole('lead'), async (req, res) => {
+    const email = normalizeEmail(req.body && req.body.email);
+    if (!email) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    try {
+        const lookup = await checkinApi.lookupAttendee(email, req.event);
+        if (lookup.status === 'NOT_FOUND') {
+            return res.status(404).json({ status: 'NOT_FOUND', error: 'No attendee found with this email address' });
+        }
+
+        const registration = sessions.register(
+            req.event.id,
+            req.params.sessionId,
+            { email, fullName: lookup.attendee && lookup.attendee.fullName },
+            req.user.username
+        );
+        res.status(201).json({ registration });
+    } catch (error) {
+        sendSessionError(res, error, 'Session registration error');
+    }
+});
+
+router.delete('/:sessionId/registrations/:email', requireRole('lead'), (req, res) => {
+    try {
+        if (!sessions.unregister(req.event.id, req.params.sessionId, req.params.email)) {
+            return res.status(404).json({ error: 'Attendee is not registered for this session' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendSessionError(res, error, 'Session registration error');
+    }
+});
+
+router.post('/:sessionId/checkin', async (req, res) => {
+    const email = normalizeEmail(req.body && req.body.email);
+    if (!email) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+    const requestedTime = req.body.checkInTime ? new Date(req.body.checkInTime) : new Date();
+    if (Number.isNaN(requestedTime.getTime())) {
+        return res.status(400).json({ error: 'checkInTime must be a valid date' });
+    }
+    const checkInTime = requestedTime.toISOString();
+
+    const audit = {
+        ...auditLog.requestContext(req),
+        action: 'session-checkin',
+        eventId: req.event.id,
+        email,
+        detail: `Session: ${req.params.sessionId}`
+    };
+    try {
+        const lookup = await checkinApi.lookupAttendee(email, req.event);
+        if (lookup.status === 'NOT_FOUND') {
+            auditLog.record({ ...audit, result: lookup.status });
+            return res.status(404).json({ ...lookup, message: 'No attendee found with this email address' });
+        }
+
+        const { session, preRegistered } = sessions.checkIn(
+            req.event.id,
+            req.params.sessionId,
+            { ...lookup.attendee, email },
+            { checkInTime, checkedInBy: req.user.username }
+        );
+        auditLog.record({ ...audit, result: 'SUCCESS' });
+        activity.emit('session-checkin', {
+            eventId: req.event.id,
+            sessionId: session.id,
+            email,
+            checkInTime,
+            actor: req.user.username
+        });
+
+        res.json({
+            status: 'SESSION_CHECKED_IN',
+            message: `Checked in to ${session.title}`,
+            session: sessions.summarize(req.event.id, session),
+            preRegistered,
+            eventCheckedIn: lookup.status === 'ALREADY_CHECKED_IN',
+            eventId: req.event.id,
+            attendee: attendeeForUser(lookup.attendee, req.user)
+        });
+    } catch (error) {
+        auditLog.record({ ...audit, result: error.code || 'ERROR', detail: `${audit.detail}; ${error.message}` });
+        sendSessionError(res, error, 'Session check-in error');
+    }
+});
+
+router.delete('/:sessionId/checkin/:email', requireRole('lead'), (req, res) => {
+    try {
+        if (!sessions.undoCheckIn(req.event.id, req.params.sessionId, req.params.email)) {
+            return res.status(404).json({ error: 'Attendee is not checked in to this session' });
+        }
+        auditLog.record({
+            ...auditLog.requestContext(req),
+            action: 'session-undo',
+            eventId: req.event.id,
+            email: normalizeEmail(req.params.email),
+            result: 'UNDONE',
+            detail: `Session: ${req.params.sessionId}`
+        });
+        activity.emit('session-checkin-undone', {
+            eventId: req.event.id,
+            sessionId: req.params.sessionId,
+            email: normalizeEmail(req.params.email),
+            actor: req.user.username
+        });
+        res.json({ success: true });
+    } catch (error) {
+        sendSessionError(res, error, 'Session undo error');
+    }
+});
+
+module.exports = router;
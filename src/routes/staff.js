@@ -0,0 +1,38 @@
+/**
+ * Staff Management Routes (admin only)
+ *
+ * GET /api/staff, POST /api/staff and DELETE /api/staff/:username
+ */
+
+const express = require('express');
+const staffStore = require('../services/staffStore');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireRole('admin'));
+
+router.get('/', (req, res) => {
+    res.json({ staff: staffStore.listStaff(), roles: staffStore.ROLES });
+});
+
+router.post('/', (req, res) => {
+    try {
+        const user = staffStore.createStaff(req.body || {});
+        res.status(201).json({ user });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.delete('/:username', (req, res) => {
+    if (req.params.username.toLowerCase() === req.user.username) {
+        return res.status(400).json({ error: 'You cannot remove your own account' });
+    }
+    if (!staffStore.deleteStaff(req.params.username)) {
+        return res.status(404).json({ error: 'Staff account not found' });
+    }
+    res.json({ success: true });
+});
+
+module.exports = router;
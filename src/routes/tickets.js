@@ -0,0 +1,108 @@
+/**
+ * QR Ticket Routes
+ *
+ * GET /api/tickets/:email?format=svg|png&eventId= - render a registrant's QR ticket (lead+)
+ * GET /api/tickets/image/:token?format=svg|png    - render a signed ticket (public; linked from emails)
+ * POST /api/tickets/scan                          - resolve a scanned ticket to a lookup result,
+ *                                                   locking the attendee like a lookup does
+ *                                                   (staff and kiosks)
+ */
+
+const express = require('express');
+const checkinApi = require('../services/checkinApi');
+const tickets = require('../services/tickets');
+const eventRegistry = require('../services/eventRegistry');
+const auditLog = require('../services/auditLog');
+const { requireRole, attendeeForUser } = require('../middleware/auth');
+const { normalizeEmail, resolveEvent, sendCheckinError, claimAttendee } = require('./helpers');
+
+const router = express.Router();
+
+router.post('/scan', requireRole('kiosk'), async (req, res) => {
+    let ticket;
+    try {
+        ticket = tickets.verifyTicket(req.body && req.body.token);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid or tampered ticket' });
+    }
+
+    // A ticket only admits to the event it was issued for
+    const event = eventRegistry.resolveEvent(ticket.eventId);
+    const stationEventId = req.body.eventId;
+    if (!event || (stationEventId && stationEventId !== event.id)) {
+        return res.status(400).json({
+            status: 'WRONG_EVENT',
+            message: `This ticket is for ${event ? event.name : 'an unknown event'}.`
+        });
+    }
+
+    const audit = { ...auditLog.requestContext(req), action: 'lookup', eventId: event.id, email: ticket.email, detail: 'QR ticket' };
+    try {
+        const result = claimAttendee(req, event, ticket.email, await checkinApi.lookupAttendee(ticket.email, event));
+        auditLog.record({ ...audit, result: result.status });
+        res.json({
+            ...result,
+            email: ticket.email,
+            eventId: event.id,
+            attendee: attendeeForUser(result.attendee, req.user)
+        });
+    } catch (error) {
+        auditLog.record({ ...audit, result: 'ERROR', detail: `QR ticket: ${error.message}` });
+        sendCheckinError(res, error, 'Ticket scan error');
+    }
+});
+
+// The token is the ticket itself, so holding it is enough to see it
+router.get('/image/:token', async (req, res) => {
+    const format = String(req.query.format || 'png').toLowerCase();
+    if (!tickets.TICKET_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${tickets.TICKET_FORMATS.join(', ')}` });
+    }
+
+    let ticket;
+    try {
+        ticket = tickets.verifyTicket(req.params.token);
+    } catch (error) {
+        return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    try {
+        const image = await tickets.renderTicket(ticket.email, ticket.eventId, format);
+        res.type(format === 'png' ? 'image/png' : 'image/svg+xml');
+        res.send(image);
+    } catch (error) {
+        console.error('Ticket image error:', error.message);
+        res.status(500).json({ error: 'Failed to render ticket' });
+    }
+});
+
+router.get('/:email', requireRole('lead'), resolveEvent, async (req, res) => {
+    const email = normalizeEmail(req.params.email);
+    if (!email) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const format = String(req.query.format || 'svg').toLowerCase();
+    if (!tickets.TICKET_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${tickets.TICKET_FORMATS.join(', ')}` });
+    }
+
+    try {
+        // Only registrants get tickets
+        const lookup = await checkinApi.lookupAttendee(email, req.event);
+        if (lookup.status === 'NOT_FOUND') {
+            return res.status(404).json({ error: 'No attendee found with this email address' });
+        }
+
+        const ticket = await tickets.renderTicket(email, req.event.id, format);
+        res.type(format === 'png' ? 'image/png' : 'image/svg+xml');
+        if (req.query.download) {
+            res.attachment(`ticket-${email}.${format}`);
+        }
+        res.send(ticket);
+    } catch (error) {
+        sendCheckinError(res, error, 'Ticket generation error');
+    }
+});
+
+module.exports = router;
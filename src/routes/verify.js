@@ -0,0 +1,32 @@
+/**
+ * Document Verification Route (public)
+ *
+ * GET /api/verify/:id - confirm a certificate or letter by its verification ID
+ *
+ * Answers VALID or REVOKED with the holder's name, the event and the issue date, or 404
+ * for an unknown ID. The attendee's email is never shown. Lookups are rate limited per
+ * IP (RATE_LIMIT_VERIFY) so IDs cannot be guessed in bulk.
+ */
+
+const express = require('express');
+const certificates = require('../services/certificates');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+const verifyRateLimit = rateLimit({ name: 'verify', by: 'ip', env: 'RATE_LIMIT_VERIFY', max: 30 });
+
+router.get('/:id', verifyRateLimit, (req, res) => {
+    const id = certificates.normalizeId(req.params.id);
+    const document = id && certificates.getDocument(id);
+    if (!document) {
+        return res.status(404).json({ status: 'NOT_FOUND', error: 'No document has this verification ID' });
+    }
+
+    res.json({
+        status: document.revokedAt ? 'REVOKED' : 'VALID',
+        document: certificates.toVerification(document)
+    });
+});
+
+module.exports = router;
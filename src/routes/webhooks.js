@@ -0,0 +1,119 @@
+/**
+ * Outbound Webhook Routes (admin only)
+ *
+ * GET    /api/webhooks                          - subscriptions and the event types on offer
+ * POST   /api/webhooks                          - subscribe { url, events, eventId, description };
+ *                                                  the answer carries the signing secret, once
+ * PUT    /api/webhooks/:id                      - change url, events, eventId, description or enabled
+ * DELETE /api/webhooks/:id                      - remove a subscription
+ * POST   /api/webhooks/:id/rotate-secret        - replace the signing secret (returned once)
+ * POST   /api/webhooks/:id/test                 - queue a webhook.ping delivery
+ * GET    /api/webhooks/deliveries?status=&webhookId= - delivery log
+ * GET    /api/webhooks/deliveries/:id           - one delivery with its payload and history
+ * POST   /api/webhooks/deliveries/:id/redeliver - send a delivery again
+ */
+
+const express = require('express');
+const outboundWebhooks = require('../services/outboundWebhooks');
+const webhookDeliveries = require('../services/webhookDeliveries');
+const eventRegistry = require('../services/eventRegistry');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireRole('admin'));
+
+// Per-event subscriptions must name a registered event
+function checkEventId(req, res, next) {
+    const eventId = req.body && req.body.eventId;
+    if (eventId && !eventRegistry.getEvent(String(eventId))) {
+        return res.status(400).json({ error: `Unknown event: ${eventId}` });
+    }
+    next();
+}
+
+router.get('/', (req, res) => {
+    res.json({
+        webhooks: outboundWebhooks.listWebhooks().map(outboundWebhooks.toPublic),
+        events: outboundWebhooks.WEBHOOK_EVENTS
+    });
+});
+
+router.post('/', checkEventId, (req, res) => {
+    try {
+        const webhook = outboundWebhooks.createWebhook(req.body);
+        res.status(201).json({ webhook: outboundWebhooks.toPublic(webhook), secret: webhook.secret });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.get('/deliveries', (req, res) => {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !webhookDeliveries.DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${webhookDeliveries.DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    const deliveries = webhookDeliveries.listDeliveries({
+        status,
+        webhookId: req.query.webhookId ? String(req.query.webhookId) : null
+    });
+    const counts = {};
+    webhookDeliveries.DELIVERY_STATUSES.forEach((name) => {
+        counts[name] = webhookDeliveries.listDeliveries({ status: name }).length;
+    });
+    res.json({ deliveries, counts });
+});
+
+router.get('/deliveries/:id', (req, res) => {
+    const delivery = webhookDeliveries.getDelivery(req.params.id);
+    if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json({ delivery });
+});
+
+router.post('/deliveries/:id/redeliver', (req, res) => {
+    const delivery = webhookDeliveries.redeliver(req.params.id, req.user.username);
+    if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json({ delivery });
+});
+
+router.put('/:id', checkEventId, (req, res) => {
+    try {
+        const webhook = outboundWebhooks.updateWebhook(req.params.id, req.body);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json({ webhook: outboundWebhooks.toPublic(webhook) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.delete('/:id', (req, res) => {
+    if (!outboundWebhooks.deleteWebhook(req.params.id)) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ success: true });
+});
+
+router.post('/:id/rotate-secret', (req, res) => {
+    const webhook = outboundWebhooks.rotateSecret(req.params.id);
+    if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ webhook: outboundWebhooks.toPublic(webhook), secret: webhook.secret });
+});
+
+router.post('/:id/test', (req, res) => {
+    const webhook = outboundWebhooks.getWebhook(req.params.id);
+    if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.status(202).json({ delivery: webhookDeliveries.sendTest(webhook) });
+});
+
+module.exports = router;
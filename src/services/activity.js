@@ -0,0 +1,33 @@
+/**
+ * Check-In Activity Bus
+ *
+ * In-process event emitter for things that happen through the server.
+ * Routes emit; the dashboard, open check-in stations, outbound webhooks (and anything
+ * else that wants to react) listen. `deviceId` and `station` say which station acted,
+ * where a station did.
+ *
+ * Events:
+ *   'checkin-claimed'        - { eventId, email, deviceId, station, expiresAt }, a station looked
+ *                              up an attendee it can check in and holds their lock
+ *   'checkin'                - { eventId, email, attendee, checkInTime, actor, deviceId, station }
+ *   'checkin-undone'         - { eventId, email, actor, deviceId, station }
+ *   'checkout'               - { eventId, email, actor } (also when someone leaves the waitlist)
+ *   'return'                 - { eventId, email, actor, deviceId, station }, a checked-out
+ *                              attendee came back in
+ *   'session-checkin'        - { eventId, sessionId, email, checkInTime, actor }
+ *   'session-checkin-undone' - { eventId, sessionId, email, actor }
+ *   'registration-cancelled' - { eventId, email, actor }, an attendee cancelled from the portal
+ *   'walk-in'                - { eventId, email, attendee, checkInTime, actor }, emitted before
+ *                              the walk-in's 'checkin'
+ *   'email-failed'           - { eventId, email, jobId, emailType, attempts, error }, an email
+ *                              the queue gave up on
+ */
+
+const { EventEmitter } = require('events');
+
+const activity = new EventEmitter();
+
+// Dashboard and station streams add listeners per connected browser
+activity.setMaxListeners(100);
+
+module.exports = activity;
@@ -0,0 +1,195 @@
+/**
+ * Attendance Aggregation
+ *
+ * Keeps a cached snapshot of registrations per event (from its attendee source) and
+ * folds in check-ins as they go through the server, so the dashboard can show live
+ * counts without hitting n8n on every update.
+ *
+ * Without ROSTER_ENDPOINT the snapshot only contains attendees checked in through
+ * this server since it started, and registration totals are reported as unavailable.
+ */
+
+const checkinApi = require('./checkinApi');
+const activity = require('./activity');
+
+const SNAPSHOT_TTL_MS = 60 * 1000;
+const BUCKET_MINUTES = 15;
+const BREAKDOWN_FIELDS = ['profession', 'experienceLevel', 'gender'];
+// One event day of 15-minute buckets; longer spans only list non-empty buckets
+const MAX_FILLED_BUCKETS = 96;
+
+// eventId -> { attendees, registrationsAvailable, loadedAt, refreshing }
+const snapshots = new Map();
+
+function getSnapshot(eventId) {
+    if (!snapshots.has(eventId)) {
+        snapshots.set(eventId, { attendees: new Map(), registrationsAvailable: false, loadedAt: 0, refreshing: null });
+    }
+    return snapshots.get(eventId);
+}
+
+async function refreshSnapshot(event, snapshot) {
+    const list = await checkinApi.listAttendees(event);
+    if (list) {
+        const next = new Map(list.map((attendee) => [attendee.email.toLowerCase(), attendee]));
+        // Keep check-ins the roster has not caught up with yet
+        snapshot.attendees.forEach((attendee, email) => {
+            if (attendee.checkInTime && next.has(email) && !next.get(email).checkInTime) {
+                next.set(email, { ...next.get(email), checkInTime: attendee.checkInTime });
+            }
+        });
+        snapshot.attendees = next;
+        snapshot.registrationsAvailable = true;
+    }
+    snapshot.loadedAt = Date.now();
+}
+
+// Refresh the snapshot when stale; concurrent callers share one listing call
+async function ensureFresh(event) {
+    const snapshot = getSnapshot(event.id);
+    if (Date.now() - snapshot.loadedAt < SNAPSHOT_TTL_MS) return snapshot;
+    if (!snapshot.refreshing) {
+        snapshot.refreshing = refreshSnapshot(event, snapshot).finally(() => {
+            snapshot.refreshing = null;
+        });
+    }
+    try {
+        await snapshot.refreshing;
+    } catch (error) {
+        // Serve the last snapshot rather than failing the dashboard
+        console.error(`Attendance snapshot refresh failed for ${event.id}:`, error.message);
+        snapshot.loadedAt = Date.now();
+    }
+    return snapshot;
+}
+
+/**
+ * Record a check-in in the event's snapshot
+ * @param {Object} checkin - { eventId, email, attendee, checkInTime }
+ */
+function recordCheckIn({ eventId, email, attendee, checkInTime }) {
+    const { attendees } = getSnapshot(eventId);
+    const key = String(email).toLowerCase();
+    const existing = attendees.get(key) || {};
+    attendees.set(key, { ...existing, ...(attendee || {}), email: key, checkInTime });
+}
+
+/**
+ * Drop an undone check-in from the event's snapshot
+ * @param {Object} undo - { eventId, email }
+ */
+function recordUndo({ eventId, email }) {
+    const snapshot = getSnapshot(eventId);
+    const key = String(email).toLowerCase();
+    const existing = snapshot.attendees.get(key);
+    if (!existing) return;
+    // Without a roster the snapshot only holds check-ins, so the attendee leaves it entirely
+    if (snapshot.registrationsAvailable) {
+        snapshot.attendees.set(key, { ...existing, checkInTime: null });
+    } else {
+        snapshot.attendees.delete(key);
+    }
+}
+
+/**
+ * Drop a cancelled registration from the event's snapshot
+ * @param {Object} cancellation - { eventId, email }
+ */
+function recordCancellation({ eventId, email }) {
+    getSnapshot(eventId).attendees.delete(String(email).toLowerCase());
+}
+
+function bucketStart(time) {
+    const bucketMs = BUCKET_MINUTES * 60 * 1000;
+    return Math.floor(new Date(time).getTime() / bucketMs) * bucketMs;
+}
+
+// Arrivals per 15-minute bucket, including empty buckets between first and last arrival
+// when they fall within one event day
+function arrivalsByBucket(checkedIn) {
+    const counts = new Map();
+    checkedIn.forEach((attendee) => {
+        const start = bucketStart(attendee.checkInTime);
+        if (!Number.isNaN(start)) counts.set(start, (counts.get(start) || 0) + 1);
+    });
+    if (!counts.size) return [];
+
+    const bucketMs = BUCKET_MINUTES * 60 * 1000;
+    const first = Math.min(...counts.keys());
+    const last = Math.max(...counts.keys());
+    if ((last - first) / bucketMs >= MAX_FILLED_BUCKETS) {
+        return Array.from(counts.keys())
+            .sort((a, b) => a - b)
+            .map((start) => ({ start: new Date(start).toISOString(), count: counts.get(start) }));
+    }
+
+    const buckets = [];
+    for (let start = first; start <= last; start += bucketMs) {
+        buckets.push({ start: new Date(start).toISOString(), count: counts.get(start) || 0 });
+    }
+    return buckets;
+}
+
+function breakdown(list, field) {
+    const groups = {};
+    list.forEach((attendee) => {
+        const label = (attendee[field] && String(attendee[field]).trim()) || 'Not specified';
+        groups[label] = groups[label] || { registered: 0, checkedIn: 0 };
+        groups[label].registered += 1;
+        if (attendee.checkInTime) groups[label].checkedIn += 1;
+    });
+    return Object.entries(groups)
+        .map(([label, counts]) => ({ label, ...counts }))
+        .sort((a, b) => b.registered - a.registered);
+}
+
+/**
+ * Compute dashboard statistics for an event from its current snapshot
+ * @param {Object} event - Registry event
+ * @returns {Promise<Object>} Totals, arrivals per bucket and breakdowns
+ */
+async function getStats(event) {
+    const { attendees, registrationsAvailable } = await ensureFresh(event);
+
+    const list = Array.from(attendees.values());
+    const checkedIn = list.filter((attendee) => attendee.checkInTime);
+
+    const breakdowns = {};
+    BREAKDOWN_FIELDS.forEach((field) => {
+        breakdowns[field] = breakdown(list, field);
+    });
+
+    return {
+        eventId: event.id,
+        eventName: event.name,
+        registrationsAvailable,
+        totalRegistrations: registrationsAvailable ? list.length : null,
+        checkedIn: checkedIn.length,
+        bucketMinutes: BUCKET_MINUTES,
+        arrivals: arrivalsByBucket(checkedIn),
+        breakdowns,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Current registrations for an event (refreshing the snapshot when stale)
+ * @param {Object} event - Registry event
+ * @returns {Promise<Object>} { attendees: Array, registrationsAvailable: boolean }
+ */
+async function getAttendees(event) {
+    const { attendees, registrationsAvailable } = await ensureFresh(event);
+    return { attendees: Array.from(attendees.values()), registrationsAvailable };
+}
+
+activity.on('checkin', recordCheckIn);
+activity.on('checkin-undone', recordUndo);
+activity.on('registration-cancelled', recordCancellation);
+
+module.exports = {
+    BREAKDOWN_FIELDS,
+    getStats,
+    getAttendees,
+    recordCheckIn,
+    recordUndo
+};
@@ -0,0 +1,383 @@
+/**
+ * Attendance Reports
+ *
+ * Exports an event's checked-in and no-show attendees as CSV, XLSX or a printable
+ * PDF summary, built from the same registrations snapshot as the dashboard.
+ *
+ * No-shows are only known when the event has a roster (ROSTER_ENDPOINT or an
+ * imported roster); otherwise the report lists check-ins alone and says so.
+ *
+ * Session reports list who attended each talk or workshop (and which pre-registered
+ * attendees did not) as CSV or XLSX, with a per-session summary in the workbook.
+ */
+
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const attendance = require('./attendance');
+const sessions = require('./sessions');
+const { formatDateTime, buildCsv } = require('./formatting');
+
+const REPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+const REPORT_STATUSES = ['all', 'checked-in', 'no-show'];
+const SESSION_REPORT_FORMATS = ['csv', 'xlsx'];
+
+// Column headers follow the registration sheet behind the webhooks
+const COLUMNS = [
+    { header: 'Name', key: 'fullName', width: 28 },
+    { header: 'Email', key: 'email', width: 32 },
+    { header: 'PhoneNumber', key: 'phone', width: 16 },
+    { header: 'Profession', key: 'profession', width: 22 },
+    { header: 'ExperienceLevel', key: 'experienceLevel', width: 16 },
+    { header: 'Gender', key: 'gender', width: 10 },
+    { header: 'Registration Date', key: 'registrationDate', width: 20 },
+    { header: 'Status', key: 'status', width: 12 },
+    { header: 'CheckIn Time', key: 'checkInTime', width: 20 }
+];
+
+const SESSION_COLUMNS = [
+    { header: 'Session', key: 'session', width: 32 },
+    { header: 'Track', key: 'track', width: 16 },
+    { header: 'Room', key: 'room', width: 16 },
+    { header: 'Starts', key: 'startsAt', width: 20 },
+    { header: 'Name', key: 'fullName', width: 28 },
+    { header: 'Email', key: 'email', width: 32 },
+    { header: 'Profession', key: 'profession', width: 22 },
+    { header: 'Pre-registered', key: 'preRegistered', width: 14 },
+    { header: 'Status', key: 'status', width: 12 },
+    { header: 'CheckIn Time', key: 'checkInTime', width: 20 }
+];
+
+const NOT_SPECIFIED = 'Not specified';
+
+function professionOf(attendee) {
+    return (attendee.profession && String(attendee.profession).trim()) || NOT_SPECIFIED;
+}
+
+/**
+ * Collect the attendees for a report
+ * @param {Object} event - Registry event
+ * @param {Object} filters - { from, to: Date|null, professions: string[], status }
+ * @returns {Promise<Object>} { rows, summary }
+ */
+async function buildReport(event, { from = null, to = null, professions = [], status = 'all' } = {}) {
+    const { attendees, registrationsAvailable } = await attendance.getAttendees(event);
+    const wanted = professions.map((profession) => profession.toLowerCase());
+
+    const inWindow = (time) => {
+        const at = new Date(time).getTime();
+        return (!from || at >= from.getTime()) && (!to || at <= to.getTime());
+    };
+
+    const rows = attendees
+        .filter((attendee) => !wanted.length || wanted.includes(professionOf(attendee).toLowerCase()))
+        .map((attendee) => ({ ...attendee, status: attendee.checkInTime ? 'checked-in' : 'no-show' }))
+        // The time window applies to check-ins; no-shows have no time to filter on
+        .filter((row) => row.status === 'no-show' || inWindow(row.checkInTime))
+        .filter((row) => status === 'all' || row.status === status)
+        .sort((a, b) => {
+            if (a.status !== b.status) return a.status === 'checked-in' ? -1 : 1;
+            if (a.checkInTime) return a.checkInTime.localeCompare(b.checkInTime);
+            return String(a.fullName || a.email).localeCompare(String(b.fullName || b.email));
+        });
+
+    const checkedIn = rows.filter((row) => row.status === 'checked-in').length;
+    const byProfession = {};
+    rows.forEach((row) => {
+        const label = professionOf(row);
+        byProfession[label] = byProfession[label] || { registered: 0, checkedIn: 0 };
+        byProfession[label].registered += 1;
+        if (row.status === 'checked-in') byProfession[label].checkedIn += 1;
+    });
+
+    return {
+        rows,
+        summary: {
+            eventId: event.id,
+            eventName: event.name,
+            eventDate: event.date || null,
+            venue: event.venue || null,
+            registrationsAvailable,
+            filters: {
+                from: from ? from.toISOString() : null,
+                to: to ? to.toISOString() : null,
+                professions,
+                status
+            },
+            checkedIn,
+            noShows: registrationsAvailable ? rows.length - checkedIn : null,
+            professions: Object.entries(byProfession)
+                .map(([label, counts]) => ({ label, ...counts }))
+                .sort((a, b) => b.checkedIn - a.checkedIn || b.registered - a.registered),
+            generatedAt: new Date().toISOString()
+        }
+    };
+}
+
+function toCsv({ rows }) {
+    return buildCsv(COLUMNS, rows);
+}
+
+async function toXlsx({ rows, summary }) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(summary.generatedAt);
+
+    const sheet = workbook.addWorksheet('Attendance');
+    sheet.columns = COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    rows.forEach((row) => {
+        sheet.addRow({ ...row, checkInTime: row.checkInTime ? new Date(row.checkInTime) : null });
+    });
+    sheet.getColumn('checkInTime').numFmt = 'yyyy-mm-dd hh:mm:ss';
+
+    const totals = workbook.addWorksheet('Summary');
+    totals.columns = [{ width: 28 }, { width: 14 }, { width: 14 }];
+    totals.addRows([
+        ['Event', summary.eventName],
+        ['Checked in', summary.checkedIn],
+        ['No-shows', summary.noShows === null ? 'n/a' : summary.noShows],
+        [],
+        ['Profession', 'Checked in', 'Registered']
+    ]);
+    totals.getRow(5).font = { bold: true };
+    summary.professions.forEach((group) => {
+        totals.addRow([group.label, group.checkedIn, summary.registrationsAvailable ? group.registered : 'n/a']);
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function describeFilters(filters) {
+    const parts = [];
+    if (filters.from) parts.push(`Check-ins from ${formatDateTime(filters.from)}`);
+    if (filters.to) parts.push(`Check-ins until ${formatDateTime(filters.to)}`);
+    if (filters.professions.length) parts.push(`Profession: ${filters.professions.join(', ')}`);
+    if (filters.status !== 'all') parts.push(`Status: ${filters.status}`);
+    return parts.length ? parts.join(' | ') : 'All attendees';
+}
+
+function toPdf({ rows, summary }) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const left = doc.page.margins.left;
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+        doc.fontSize(18).font('Helvetica-Bold').text(`${summary.eventName} - Attendance`);
+        doc.fontSize(10).font('Helvetica').fillColor('#555')
+            .text([summary.eventDate, summary.venue].filter(Boolean).join(' | ') || ' ')
+            .text(describeFilters(summary.filters))
+            .text(`Generated ${formatDateTime(summary.generatedAt)}`);
+        doc.moveDown().fillColor('#000');
+
+        const rate = summary.registrationsAvailable && rows.length
+            ? ` (${Math.round((summary.checkedIn / rows.length) * 100)}% of ${rows.length})`
+            : '';
+        doc.fontSize(12).font('Helvetica-Bold').text(`Checked in: ${summary.checkedIn}${rate}`);
+        doc.font('Helvetica').text(summary.registrationsAvailable
+            ? `No-shows: ${summary.noShows}`
+            : 'No-shows: not available (no roster for this event)');
+        doc.moveDown();
+
+        // Simple fixed-column table; pdfkit adds pages as text runs past the margin
+        const table = (headers, widths, data) => {
+            const drawRow = (cells, bold) => {
+                if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+                const y = doc.y;
+                doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+                let x = left;
+                cells.forEach((cell, i) => {
+                    doc.text(String(cell), x, y, { width: widths[i] * width - 6, lineBreak: false, ellipsis: true });
+                    x += widths[i] * width;
+                });
+                doc.x = left;
+                doc.y = y + 14;
+            };
+            drawRow(headers, true);
+            data.forEach((cells) => drawRow(cells, false));
+            doc.moveDown();
+        };
+
+        doc.fontSize(12).font('Helvetica-Bold').text('By Profession');
+        doc.moveDown(0.5);
+        table(
+            summary.registrationsAvailable ? ['Profession', 'Checked in', 'Registered'] : ['Profession', 'Checked in'],
+            summary.registrationsAvailable ? [0.6, 0.2, 0.2] : [0.7, 0.3],
+            summary.professions.map((group) => (summary.registrationsAvailable
+                ? [group.label, group.checkedIn, group.registered]
+                : [group.label, group.checkedIn]))
+        );
+
+        const checkedIn = rows.filter((row) => row.status === 'checked-in');
+        if (checkedIn.length) {
+            doc.fontSize(12).font('Helvetica-Bold').text('Checked-In Attendees');
+            doc.moveDown(0.5);
+            table(
+                ['Name', 'Profession', 'Experience', 'CheckIn Time'],
+                [0.35, 0.25, 0.15, 0.25],
+                checkedIn.map((row) => [
+                    row.fullName || row.email,
+                    row.profession || '',
+                    row.experienceLevel || '',
+                    formatDateTime(row.checkInTime)
+                ])
+            );
+        }
+
+        doc.end();
+    });
+}
+
+/**
+ * Collect session attendance: everyone who checked in to each session, then its
+ * pre-registered no-shows
+ * @param {Object} event - Registry event
+ * @returns {Promise<Object>} { rows, summary }
+ */
+async function buildSessionReport(event) {
+    const { attendees } = await attendance.getAttendees(event);
+    const byEmail = new Map(attendees.map((attendee) => [String(attendee.email).toLowerCase(), attendee]));
+
+    const rows = [];
+    const sessionSummaries = sessions.listSummaries(event.id).map((session) => {
+        const { registrations, attendance: attended } = sessions.getRecords(event.id, session.id);
+        const registered = new Set(registrations.map((entry) => entry.email));
+        const attendedEmails = new Set(attended.map((entry) => entry.email));
+        const base = {
+            session: session.title,
+            track: session.track,
+            room: session.room,
+            startsAt: session.startsAt
+        };
+
+        const professions = {};
+        [...attended]
+            .sort((a, b) => a.checkInTime.localeCompare(b.checkInTime))
+            .forEach((entry) => {
+                const profession = entry.profession || (byEmail.get(entry.email) || {}).profession || null;
+                const label = professionOf({ profession });
+                professions[label] = (professions[label] || 0) + 1;
+                rows.push({
+                    ...base,
+                    fullName: entry.fullName,
+                    email: entry.email,
+                    profession,
+                    preRegistered: registered.has(entry.email) ? 'yes' : 'no',
+                    status: 'attended',
+                    checkInTime: entry.checkInTime
+                });
+            });
+        registrations
+            .filter((entry) => !attendedEmails.has(entry.email))
+            .forEach((entry) => {
+                const attendee = byEmail.get(entry.email) || {};
+                rows.push({
+                    ...base,
+                    fullName: entry.fullName || attendee.fullName || null,
+                    email: entry.email,
+                    profession: attendee.profession || null,
+                    preRegistered: 'yes',
+                    status: 'no-show',
+                    checkInTime: null
+                });
+            });
+
+        return {
+            ...session,
+            professions: Object.entries(professions)
+                .map(([label, count]) => ({ label, count }))
+                .sort((a, b) => b.count - a.count)
+        };
+    });
+
+    return {
+        rows,
+        summary: {
+            eventId: event.id,
+            eventName: event.name,
+            sessions: sessionSummaries,
+            generatedAt: new Date().toISOString()
+        }
+    };
+}
+
+async function sessionsToXlsx({ rows, summary }) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(summary.generatedAt);
+
+    const sheet = workbook.addWorksheet('Session Attendance');
+    sheet.columns = SESSION_COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    rows.forEach((row) => {
+        sheet.addRow({
+            ...row,
+            startsAt: row.startsAt ? new Date(row.startsAt) : null,
+            checkInTime: row.checkInTime ? new Date(row.checkInTime) : null
+        });
+    });
+    sheet.getColumn('startsAt').numFmt = 'yyyy-mm-dd hh:mm';
+    sheet.getColumn('checkInTime').numFmt = 'yyyy-mm-dd hh:mm:ss';
+
+    const totals = workbook.addWorksheet('Sessions');
+    totals.columns = [
+        { header: 'Session', width: 32 },
+        { header: 'Room', width: 16 },
+        { header: 'Starts', width: 20 },
+        { header: 'Attended', width: 10 },
+        { header: 'Pre-registered', width: 14 },
+        { header: 'Capacity', width: 10 },
+        { header: 'Professions', width: 48 }
+    ];
+    totals.getRow(1).font = { bold: true };
+    summary.sessions.forEach((session) => {
+        totals.addRow([
+            session.title,
+            session.room || '',
+            session.startsAt ? formatDateTime(session.startsAt) : '',
+            session.attended,
+            session.registered,
+            Number.isInteger(session.capacity) ? session.capacity : 'none',
+            session.professions.map((group) => `${group.label} (${group.count})`).join(', ')
+        ]);
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Render a session report
+ * @param {Object} report - Result of buildSessionReport()
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<Buffer>} File contents
+ */
+async function renderSessionReport(report, format) {
+    if (format === 'xlsx') return sessionsToXlsx(report);
+    return buildCsv(SESSION_COLUMNS, report.rows);
+}
+
+/**
+ * Render a report
+ * @param {Object} report - Result of buildReport()
+ * @param {string} format - 'csv', 'xlsx' or 'pdf'
+ * @returns {Promise<Buffer>} File contents
+ */
+async function renderReport(report, format) {
+    if (format === 'xlsx') return toXlsx(report);
+    if (format === 'pdf') return toPdf(report);
+    return toCsv(report);
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    REPORT_STATUSES,
+    SESSION_REPORT_FORMATS,
+    buildReport,
+    renderReport,
+    buildSessionReport,
+    renderSessionReport
+};
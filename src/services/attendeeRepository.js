@@ -0,0 +1,171 @@
+/**
+ * Attendee Repository
+ *
+ * Where an event's registrations live. Each event's `source` picks an adapter from
+ * src/services/repositories:
+ *
+ *   webhook  - the n8n lookup/update/register/roster webhooks (default)
+ *   roster   - the roster imported into this server (see rosterStore)
+ *   sheets   - a Google Sheet read and written through the Sheets API
+ *   sqlite   - a table in a SQLite file
+ *   postgres - a table in a Postgres database
+ *   memory   - a process-local list, for tests and demos (lost on restart)
+ *
+ * Every adapter answers in the canonical attendee schema (ATTENDEE_FIELDS), whatever
+ * its own field or column names are. Those names are set per adapter with a JSON field
+ * map in <SOURCE>_FIELDS, e.g. SHEETS_FIELDS='{"fullName":"Name","checkInTime":"Checked In"}';
+ * a field can list several names, which are read in order and written to the first.
+ *
+ * Adapters implement:
+ *   lookup(email, event)                      - Promise<{ status, message, attendee }>
+ *   setCheckInTime(email, checkInTime, event) - Promise<Object>; a null time undoes a check-in
+ *   canRegister(event)                        - boolean
+ *   register(attendee, event)                 - Promise<Object>
+ *   list(event)                               - Promise<Array|null>; null when the source cannot list
+ *   canSelfServe(event)                       - boolean; whether attendees may edit or cancel
+ *   updateDetails(email, changes, event)      - Promise<{ success, attendee }>
+ *   cancel(email, event)                      - Promise<{ success }>; removes the registration
+ */
+
+const ATTENDEE_FIELDS = [
+    'fullName',
+    'email',
+    'phone',
+    'profession',
+    'experienceLevel',
+    'gender',
+    'registrationDate',
+    'checkInTime'
+];
+
+const LOOKUP_STATUSES = ['NOT_FOUND', 'ALREADY_CHECKED_IN', 'CAN_CHECK_IN'];
+
+// Required on first use so database drivers only load for events that need them
+const ADAPTERS = {
+    webhook: () => require('./repositories/webhook'),
+    roster: () => require('./repositories/roster'),
+    sheets: () => require('./repositories/sheets'),
+    sqlite: () => require('./repositories/sqlite'),
+    postgres: () => require('./repositories/postgres'),
+    memory: () => require('./repositories/memory')
+};
+
+const REPOSITORY_SOURCES = Object.keys(ADAPTERS);
+
+/**
+ * Error raised when an attendee source fails or returns something we cannot use.
+ * Route handlers map it to a 502 response.
+ */
+class RepositoryError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'RepositoryError';
+        this.status = status || null;
+    }
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '' || value === 'null';
+
+/**
+ * Build an adapter's field map from its defaults and a JSON override
+ * @param {Object} defaults - Canonical field -> source name(s)
+ * @param {string} [envName] - Environment variable holding the JSON override
+ * @returns {Object} Canonical field -> array of source names
+ */
+function fieldMap(defaults, envName) {
+    let override = {};
+    if (envName && process.env[envName]) {
+        try {
+            override = JSON.parse(process.env[envName]);
+        } catch (error) {
+            throw new RepositoryError(`${envName} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    const map = {};
+    Object.entries({ ...defaults, ...override }).forEach(([field, names]) => {
+        map[field] = (Array.isArray(names) ? names : [names]).filter((name) => !isBlank(name)).map(String);
+    });
+    return map;
+}
+
+// The name an adapter writes a canonical field to (null when the field is not mapped)
+function sourceName(map, field) {
+    return (map[field] && map[field][0]) || null;
+}
+
+/**
+ * Convert a source record into the canonical attendee schema
+ * @param {Object} raw - Record with the source's field names
+ * @param {Object} map - Field map from fieldMap()
+ * @returns {Object|null} Attendee
+ */
+function toAttendee(raw, map) {
+    if (!raw || typeof raw !== 'object') return null;
+    const attendee = {};
+    ATTENDEE_FIELDS.forEach((field) => {
+        const name = (map[field] || []).find((candidate) => !isBlank(raw[candidate]));
+        const value = name === undefined ? null : raw[name];
+        attendee[field] = value instanceof Date ? value.toISOString() : value;
+    });
+    return attendee;
+}
+
+/**
+ * Convert a canonical attendee into a source record (mapped fields only)
+ * @param {Object} attendee - Canonical attendee
+ * @param {Object} map - Field map from fieldMap()
+ * @returns {Object} Record with the source's field names
+ */
+function fromAttendee(attendee, map) {
+    const record = {};
+    ATTENDEE_FIELDS.forEach((field) => {
+        const name = sourceName(map, field);
+        if (name && attendee[field] !== undefined) record[name] = attendee[field];
+    });
+    return record;
+}
+
+/**
+ * Lookup result for a source that only stores attendees (everything but the webhook)
+ * @param {Object|null} attendee - Canonical attendee, or null if not registered
+ * @param {string} notFoundMessage - Message for NOT_FOUND
+ * @returns {Object} { status, message, attendee }
+ */
+function lookupResult(attendee, notFoundMessage) {
+    if (!attendee) {
+        return { status: 'NOT_FOUND', message: notFoundMessage, attendee: null };
+    }
+    if (attendee.checkInTime) {
+        return { status: 'ALREADY_CHECKED_IN', message: 'Attendee has already checked in', attendee };
+    }
+    return { status: 'CAN_CHECK_IN', message: null, attendee };
+}
+
+function getRepository(source) {
+    if (!ADAPTERS[source]) throw new RepositoryError(`Unknown attendee source: ${source}`);
+    return ADAPTERS[source]();
+}
+
+/**
+ * The repository an event's attendees live in
+ * @param {Object} [event] - Registry event
+ * @returns {Object} Adapter
+ */
+function forEvent(event = {}) {
+    return getRepository(event.source || 'webhook');
+}
+
+module.exports = {
+    ATTENDEE_FIELDS,
+    LOOKUP_STATUSES,
+    REPOSITORY_SOURCES,
+    RepositoryError,
+    fieldMap,
+    sourceName,
+    toAttendee,
+    fromAttendee,
+    lookupResult,
+    getRepository,
+    forEvent
+};
@@ -0,0 +1,139 @@
+/**
+ * Attendee Search
+ *
+ * Fuzzy matching of a partial name, phone number or email against an event's
+ * cached registrations (see attendance.js). Results are ranked by score so staff
+ * can pick the right person and continue with the normal lookup/check-in flow.
+ */
+
+const attendance = require('./attendance');
+
+const MAX_RESULTS = 10;
+const MIN_SCORE = 40;
+const MIN_PHONE_DIGITS = 4;
+
+const normalizeText = (value) => String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9@.+\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const digitsOf = (value) => String(value || '').replace(/\D/g, '');
+
+// Local Nigerian numbers are often typed as 0803... but stored as +234803...
+function phoneVariants(digits) {
+    const variants = [digits];
+    if (digits.startsWith('234')) variants.push(`0${digits.slice(3)}`);
+    if (digits.startsWith('0')) variants.push(`234${digits.slice(1)}`);
+    return variants;
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// How well one query word matches one name word (0-1)
+function wordSimilarity(queryWord, nameWord) {
+    if (nameWord === queryWord) return 1;
+    if (nameWord.startsWith(queryWord)) return 0.9;
+    if (queryWord.length < 3) return 0;
+    const distance = levenshtein(queryWord, nameWord.slice(0, Math.max(queryWord.length, nameWord.length)));
+    const similarity = 1 - distance / Math.max(queryWord.length, nameWord.length);
+    return similarity >= 0.7 ? similarity * 0.8 : 0;
+}
+
+function scoreName(query, name) {
+    const queryWords = query.split(' ').filter(Boolean);
+    const nameWords = normalizeText(name).split(' ').filter(Boolean);
+    if (!queryWords.length || !nameWords.length) return 0;
+    if (normalizeText(name) === query) return 100;
+
+    // Every query word has to match some name word ("ada obi" finds "Adaeze Obi")
+    let total = 0;
+    for (const word of queryWords) {
+        const best = Math.max(...nameWords.map((nameWord) => wordSimilarity(word, nameWord)));
+        if (!best) return 0;
+        total += best;
+    }
+    return Math.round((total / queryWords.length) * 90);
+}
+
+function scoreEmail(query, email) {
+    const value = String(email || '').toLowerCase();
+    if (!value || !query) return 0;
+    if (value === query) return 100;
+    if (value.startsWith(query)) return 85;
+    if (query.length >= 3 && value.includes(query)) return 65;
+    return 0;
+}
+
+function scorePhone(queryDigits, phone) {
+    const phoneDigits = digitsOf(phone);
+    if (queryDigits.length < MIN_PHONE_DIGITS || !phoneDigits) return 0;
+
+    const candidates = phoneVariants(phoneDigits);
+    const queries = phoneVariants(queryDigits);
+    if (candidates.some((candidate) => queries.includes(candidate))) return 100;
+    if (candidates.some((candidate) => queries.some((q) => candidate.endsWith(q)))) return 85;
+    if (candidates.some((candidate) => queries.some((q) => candidate.includes(q)))) return 60;
+    return 0;
+}
+
+/**
+ * Score one attendee against a query
+ * @returns {Object} { score, matchedOn }
+ */
+function scoreAttendee(query, attendee) {
+    const text = normalizeText(query);
+    const digits = digitsOf(query);
+    const lowered = String(query).trim().toLowerCase();
+
+    const scores = [
+        { matchedOn: 'email', score: scoreEmail(lowered, attendee.email) },
+        { matchedOn: 'name', score: scoreName(text, attendee.fullName) },
+        // Only treat the query as a phone number when it is mostly digits
+        { matchedOn: 'phone', score: digits.length >= lowered.replace(/[\s+()-]/g, '').length * 0.8 ? scorePhone(digits, attendee.phone) : 0 }
+    ];
+    return scores.reduce((best, current) => (current.score > best.score ? current : best));
+}
+
+/**
+ * Search an event's registrations
+ * @param {Object} event - Registry event
+ * @param {string} query - Partial name, phone or email
+ * @returns {Promise<Object>} { available, results: [{ attendee, score, matchedOn }] }
+ */
+async function searchAttendees(event, query) {
+    const { attendees, registrationsAvailable } = await attendance.getAttendees(event);
+    if (!registrationsAvailable) {
+        return { available: false, results: [] };
+    }
+
+    const results = attendees
+        .map((attendee) => ({ attendee, ...scoreAttendee(query, attendee) }))
+        .filter((result) => result.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score || String(a.attendee.fullName).localeCompare(String(b.attendee.fullName)))
+        .slice(0, MAX_RESULTS);
+
+    return { available: true, results };
+}
+
+module.exports = {
+    scoreAttendee,
+    searchAttendees
+};
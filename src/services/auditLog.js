@@ -0,0 +1,157 @@
+/**
+ * Audit Log
+ *
+ * Append-only record of lookups, check-ins (event and session), check-outs, walk-ins,
+ * undone check-ins, confirmation emails, attendees' own portal sign-ins and changes, and
+ * certificates issued or revoked: who did it, from which device, when, and what came
+ * of it. Entries are JSON lines in DATA_DIR/audit-log.jsonl; nothing in the app rewrites
+ * or deletes them, so the file doubles as the reconciliation record after an event.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath } = require('./jsonStore');
+const { buildCsv } = require('./formatting');
+
+const AUDIT_FILE = 'audit-log.jsonl';
+
+const AUDIT_ACTIONS = [
+    'lookup',
+    'checkin',
+    'walk-in',
+    'checkout',
+    'waitlist-remove',
+    'undo-checkin',
+    'session-checkin',
+    'session-undo',
+    'kiosk-exit',
+    'email-queued',
+    'email-resend',
+    'email-sent',
+    'email-failed',
+    'portal-link',
+    'portal-signin',
+    'portal-update',
+    'portal-cancel',
+    'certificate-issue',
+    'certificate-revoke'
+];
+
+const EXPORT_COLUMNS = [
+    { header: 'Time', key: 'at' },
+    { header: 'Action', key: 'action' },
+    { header: 'Result', key: 'result' },
+    { header: 'Event', key: 'eventId' },
+    { header: 'Attendee Email', key: 'email' },
+    { header: 'Actor', key: 'actor' },
+    { header: 'Role', key: 'role' },
+    { header: 'Device', key: 'deviceId' },
+    { header: 'User Agent', key: 'userAgent' },
+    { header: 'IP', key: 'ip' },
+    { header: 'Detail', key: 'detail' }
+];
+
+/**
+ * Who and where a request came from, for record()
+ * @param {Object} req - Express request (after loadSession and identifyDevice)
+ * @returns {Object} { actor, role, deviceId, userAgent, ip }
+ */
+function requestContext(req) {
+    const device = req.device || {};
+    return {
+        actor: req.user ? req.user.username : null,
+        role: req.user ? req.user.role : null,
+        deviceId: device.id || null,
+        userAgent: device.userAgent || null,
+        ip: device.ip || null
+    };
+}
+
+/**
+ * Append an entry. Failing to write the log never fails the action itself.
+ * @param {Object} entry - { action, result, eventId, email, detail } plus requestContext(req)
+ * @returns {Object} Recorded entry
+ */
+function record(entry) {
+    const recorded = {
+        id: crypto.randomUUID(),
+        at: new Date().toISOString(),
+        action: entry.action,
+        result: entry.result || null,
+        eventId: entry.eventId || null,
+        email: entry.email || null,
+        actor: entry.actor || null,
+        role: entry.role || null,
+        deviceId: entry.deviceId || null,
+        userAgent: entry.userAgent || null,
+        ip: entry.ip || null,
+        detail: entry.detail || null
+    };
+
+    try {
+        const file = dataPath(AUDIT_FILE);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(recorded)}\n`);
+    } catch (error) {
+        console.error('Audit log write failed:', error.message);
+    }
+    return recorded;
+}
+
+function readEntries() {
+    let content;
+    try {
+        content = fs.readFileSync(dataPath(AUDIT_FILE), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const entries = [];
+    content.split('\n').forEach((line) => {
+        if (!line.trim()) return;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (_) {
+            // A line cut short by a crash; keep the rest of the log readable
+        }
+    });
+    return entries;
+}
+
+/**
+ * Find entries, newest first
+ * @param {Object} filters - { action, actor, email, eventId, deviceId, result, from, to: Date|null }
+ * @returns {Object[]} Matching entries
+ */
+function findEntries({ action, actor, email, eventId, deviceId, result, from = null, to = null } = {}) {
+    const emailPart = email ? String(email).trim().toLowerCase() : '';
+    return readEntries()
+        .filter((entry) => (!action || entry.action === action)
+            && (!actor || entry.actor === actor)
+            && (!emailPart || String(entry.email || '').includes(emailPart))
+            && (!eventId || entry.eventId === eventId)
+            && (!deviceId || entry.deviceId === deviceId)
+            && (!result || entry.result === result)
+            && (!from || entry.at >= from.toISOString())
+            && (!to || entry.at <= to.toISOString()))
+        .reverse();
+}
+
+/**
+ * Render entries as CSV for reconciliation
+ * @param {Object[]} entries - Entries from findEntries()
+ * @returns {Buffer} CSV
+ */
+function toCsv(entries) {
+    return buildCsv(EXPORT_COLUMNS, entries);
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    requestContext,
+    record,
+    findEntries,
+    toCsv
+};
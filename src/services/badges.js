@@ -0,0 +1,92 @@
+/**
+ * Name Badges
+ *
+ * Renders printable PDF name badges (name, profession, experience level and the
+ * DEC logo), one badge per page so label and thermal printers feed one label at a time.
+ * The same renderer serves a single badge at the door and a batch for the whole roster.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+const LOGO_PATH = path.join(__dirname, '../../public/images/dec_logo.png');
+
+// Page sizes in points (72 per inch)
+const BADGE_SIZES = {
+    '4x3': [288, 216],      // 4" x 3" label, landscape (Zebra, DYMO 4XL)
+    '62x100': [283, 176]    // 62 mm continuous roll cut at 100 mm (Brother QL)
+};
+const DEFAULT_SIZE = '4x3';
+
+// The logo is optional: badges still print if the image is missing
+const hasLogo = fs.existsSync(LOGO_PATH);
+
+// Largest font size (down to a floor) at which the text fits on one line
+function fitFontSize(doc, text, width, max, min) {
+    let size = max;
+    doc.font('Helvetica-Bold');
+    while (size > min && doc.fontSize(size).widthOfString(text) > width) size -= 1;
+    return size;
+}
+
+function drawBadge(doc, event, attendee, size) {
+    const [width, height] = BADGE_SIZES[size];
+    const margin = 14;
+    const inner = width - margin * 2;
+
+    if (hasLogo) {
+        // By path, so pdfkit embeds the image once per document rather than once per badge
+        doc.image(LOGO_PATH, margin, margin, { fit: [inner * 0.45, height * 0.18] });
+    }
+    doc.font('Helvetica').fontSize(8).fillColor('#555')
+        .text(event.name, margin + inner * 0.5, margin, { width: inner * 0.5, align: 'right', lineBreak: false, ellipsis: true });
+
+    const name = (attendee.fullName && String(attendee.fullName).trim()) || attendee.email;
+    const nameSize = fitFontSize(doc, name, inner, 30, 14);
+    doc.fillColor('#000').font('Helvetica-Bold').fontSize(nameSize)
+        .text(name, margin, height * 0.36, { width: inner, align: 'center', height: nameSize * 2.4, ellipsis: true });
+
+    const details = [attendee.profession, attendee.experienceLevel]
+        .map((value) => (value ? String(value).trim() : ''))
+        .filter(Boolean);
+    if (details[0]) {
+        doc.font('Helvetica').fontSize(13).fillColor('#333')
+            .text(details[0], margin, doc.y + 4, { width: inner, align: 'center', lineBreak: false, ellipsis: true });
+    }
+    if (details[1]) {
+        doc.fontSize(10).fillColor('#4582ED')
+            .text(details[1], margin, doc.y + 2, { width: inner, align: 'center', lineBreak: false, ellipsis: true });
+    }
+}
+
+/**
+ * Render badges as one PDF, one badge per page
+ * @param {Object} event - Registry event
+ * @param {Object[]} attendees - Normalized attendees ({ fullName, email, profession, experienceLevel })
+ * @param {Object} [options] - { size: one of BADGE_SIZES }
+ * @returns {Promise<Buffer>} PDF
+ */
+function renderBadges(event, attendees, { size = DEFAULT_SIZE } = {}) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: BADGE_SIZES[size], margin: 0, autoFirstPage: false });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        attendees.forEach((attendee) => {
+            doc.addPage();
+            drawBadge(doc, event, attendee, size);
+        });
+        // pdfkit needs at least one page
+        if (!attendees.length) doc.addPage();
+        doc.end();
+    });
+}
+
+module.exports = {
+    BADGE_SIZES: Object.keys(BADGE_SIZES),
+    DEFAULT_SIZE,
+    renderBadges
+};
@@ -0,0 +1,259 @@
+/**
+ * Venue Capacity and Waitlist
+ *
+ * Events with a `capacity` limit how many people are inside at once: everyone checked
+ * in minus everyone checked out again. With `capacityMode` 'block' (the default) a
+ * check-in at a full venue puts the attendee on the event's waitlist instead; with
+ * 'warn' it goes through and the page shows a warning.
+ *
+ * Free places go to the waitlist in order. Whoever is within the first `free` places
+ * is promoted and may check in, so a check-out automatically promotes the next person.
+ * Entries (everyone let in through this server), check-outs and waitlists are kept in
+ * DATA_DIR/capacity.json, so the count survives a restart even when the attendee
+ * source cannot list registrations (the webhook without ROSTER_ENDPOINT).
+ *
+ * Admitting someone reserves their place at once, before their check-in is written to
+ * the source, so two stations cannot both hand out the last place. The reservation
+ * lasts until the entry is recorded or the place is released.
+ */
+
+const { readJSON, writeJSON } = require('./jsonStore');
+const attendance = require('./attendance');
+const { CAPACITY_MODES } = require('./eventRegistry');
+
+const CAPACITY_FILE = 'capacity.json';
+
+// eventId -> { entries: { email: time }, checkouts: { email: time },
+//              waitlist: [{ email, fullName, addedAt, addedBy }] }
+let cache = null;
+// eventId -> Set of emails admitted whose entry is not recorded yet
+const reservations = new Map();
+
+function load() {
+    if (!cache) cache = readJSON(CAPACITY_FILE, {});
+    return cache;
+}
+
+function eventState(eventId) {
+    const state = load()[eventId] || {};
+    return { entries: state.entries || {}, checkouts: state.checkouts || {}, waitlist: state.waitlist || [] };
+}
+
+function saveEventState(eventId, state) {
+    cache = { ...load(), [eventId]: state };
+    writeJSON(CAPACITY_FILE, cache);
+}
+
+const key = (email) => String(email).trim().toLowerCase();
+
+function reservedFor(eventId) {
+    return reservations.get(eventId) || new Set();
+}
+
+function limitOf(event) {
+    return Number.isInteger(event.capacity) ? event.capacity : null;
+}
+
+// Occupancy from the source's attendees. Synchronous, so admit() can reserve a
+// place before another check-in reads the count.
+function occupancyOf(event, attendees) {
+    const { entries, checkouts, waitlist: queued } = eventState(event.id);
+    const reserved = reservedFor(event.id);
+    // Entries recorded here, plus check-ins the source knows of that did not come through this server
+    const checkedIn = new Set(Object.keys(entries));
+    attendees.filter((attendee) => attendee.checkInTime).forEach((attendee) => checkedIn.add(key(attendee.email)));
+    const insideNow = new Set(Array.from(checkedIn).filter((email) => !checkouts[email]));
+    // A reserved place is taken, even by someone coming back after a check-out
+    reserved.forEach((email) => insideNow.add(email));
+    const inside = insideNow.size;
+    // Whoever holds a place is no longer waiting for one
+    const waitlist = queued.filter((entry) => !reserved.has(entry.email));
+
+    const capacity = limitOf(event);
+    const free = capacity === null ? null : Math.max(capacity - inside, 0);
+    return {
+        capacity,
+        mode: CAPACITY_MODES.includes(event.capacityMode) ? event.capacityMode : 'block',
+        inside,
+        free,
+        full: capacity !== null && free <= waitlist.length,
+        waitlist
+    };
+}
+
+/**
+ * Current occupancy for an event
+ * @param {Object} event - Registry event
+ * @returns {Promise<Object>} { capacity, mode, inside, free, full, waitlist }
+ *   (capacity and free are null when the event has no limit)
+ */
+async function getOccupancy(event) {
+    const { attendees } = await attendance.getAttendees(event);
+    return occupancyOf(event, attendees);
+}
+
+/**
+ * An attendee's place in line
+ * @param {Object} occupancy - From getOccupancy()
+ * @param {string} email - Attendee email
+ * @returns {Object|null} { position (1-based), promoted }, or null when not waiting
+ */
+function waitlistEntry(occupancy, email) {
+    const index = occupancy.waitlist.findIndex((entry) => entry.email === key(email));
+    if (index < 0) return null;
+    return { position: index + 1, promoted: occupancy.free !== null && index < occupancy.free };
+}
+
+function checkedOutAt(eventId, email) {
+    return eventState(eventId).checkouts[key(email)] || null;
+}
+
+function reservePlace(eventId, email) {
+    if (!reservations.has(eventId)) reservations.set(eventId, new Set());
+    reservations.get(eventId).add(key(email));
+}
+
+/**
+ * Give back a place admit() reserved, when the check-in did not go through.
+ * Does nothing once the entry is recorded.
+ * @param {string} eventId - Registry event id
+ * @param {string} email - Attendee email
+ */
+function releasePlace(eventId, email) {
+    const reserved = reservations.get(eventId);
+    if (!reserved) return;
+    reserved.delete(key(email));
+    if (!reserved.size) reservations.delete(eventId);
+}
+
+function overCapacityWarning(occupancy) {
+    return `The venue is over capacity (${occupancy.inside + 1} of ${occupancy.capacity})`;
+}
+
+/**
+ * Decide whether an attendee may go in now, reserving their place if so (call
+ * recordEntry() or releasePlace() afterwards). At a full venue in block mode the
+ * attendee joins the waitlist (once) and gets their position.
+ * @param {Object} event - Registry event
+ * @param {Object} attendee - { email, fullName }
+ * @param {string} addedBy - Staff username
+ * @returns {Promise<Object>} { allowed, warning, position, occupancy }
+ */
+async function admit(event, { email, fullName }, addedBy) {
+    const { attendees } = await attendance.getAttendees(event);
+    // Nothing may be awaited from here until the place is reserved
+    const occupancy = occupancyOf(event, attendees);
+    if (occupancy.capacity === null) return { allowed: true, occupancy };
+
+    const waiting = waitlistEntry(occupancy, email);
+    if (waiting ? waiting.promoted : !occupancy.full) {
+        reservePlace(event.id, email);
+        return { allowed: true, occupancy };
+    }
+
+    if (occupancy.mode === 'warn') {
+        reservePlace(event.id, email);
+        return { allowed: true, warning: overCapacityWarning(occupancy), occupancy };
+    }
+
+    if (waiting) return { allowed: false, position: waiting.position, occupancy };
+
+    const state = eventState(event.id);
+    state.waitlist = [...state.waitlist, {
+        email: key(email),
+        fullName: fullName || null,
+        addedAt: new Date().toISOString(),
+        addedBy
+    }];
+    saveEventState(event.id, state);
+    return { allowed: false, position: state.waitlist.length, occupancy };
+}
+
+/**
+ * Decide whether a walk-in may register now, reserving their place if so. Walk-ins
+ * never jump the waitlist: at a full venue in block mode they are turned away.
+ * @param {Object} event - Registry event
+ * @param {string} email - Walk-in email
+ * @returns {Promise<Object>} { allowed, warning, occupancy }
+ */
+async function admitWalkIn(event, email) {
+    const { attendees } = await attendance.getAttendees(event);
+    const occupancy = occupancyOf(event, attendees);
+    if (occupancy.capacity === null) return { allowed: true, occupancy };
+    if (occupancy.full && occupancy.mode === 'block') return { allowed: false, occupancy };
+
+    reservePlace(event.id, email);
+    return { allowed: true, warning: occupancy.full ? overCapacityWarning(occupancy) : undefined, occupancy };
+}
+
+/**
+ * Record that an attendee went in: off the waitlist, and no longer checked out
+ * @param {string} eventId - Registry event id
+ * @param {string} email - Attendee email
+ */
+function recordEntry(eventId, email) {
+    const state = eventState(eventId);
+    const { [key(email)]: _, ...checkouts } = state.checkouts;
+    saveEventState(eventId, {
+        entries: { ...state.entries, [key(email)]: new Date().toISOString() },
+        checkouts,
+        waitlist: state.waitlist.filter((entry) => entry.email !== key(email))
+    });
+    releasePlace(eventId, email);
+}
+
+/**
+ * Forget an attendee's entry after their check-in was undone
+ * @param {string} eventId - Registry event id
+ * @param {string} email - Attendee email
+ */
+function recordUndo(eventId, email) {
+    const state = eventState(eventId);
+    const { [key(email)]: _entry, ...entries } = state.entries;
+    const { [key(email)]: _checkout, ...checkouts } = state.checkouts;
+    saveEventState(eventId, { ...state, entries, checkouts });
+}
+
+/**
+ * Check an attendee out, freeing their place
+ * @param {Object} event - Registry event
+ * @param {string} email - Attendee email
+ * @returns {Promise<Object>} { checkedOutAt, promoted: waitlist entry now allowed in, or null }
+ */
+async function checkOut(event, email) {
+    const before = await getOccupancy(event);
+    const state = eventState(event.id);
+    const at = new Date().toISOString();
+    saveEventState(event.id, { ...state, checkouts: { ...state.checkouts, [key(email)]: at } });
+
+    // The place that just opened goes to the first person not already promoted
+    const promoted = before.free !== null && before.free < before.waitlist.length
+        ? before.waitlist[before.free]
+        : null;
+    return { checkedOutAt: at, promoted };
+}
+
+/**
+ * Take an attendee off the waitlist (they left, or were let in another way)
+ * @returns {boolean} Whether they were on it
+ */
+function removeFromWaitlist(eventId, email) {
+    const state = eventState(eventId);
+    const waitlist = state.waitlist.filter((entry) => entry.email !== key(email));
+    if (waitlist.length === state.waitlist.length) return false;
+    saveEventState(eventId, { ...state, waitlist });
+    return true;
+}
+
+module.exports = {
+    getOccupancy,
+    waitlistEntry,
+    checkedOutAt,
+    admit,
+    admitWalkIn,
+    releasePlace,
+    recordEntry,
+    recordUndo,
+    checkOut,
+    removeFromWaitlist
+};
@@ -0,0 +1,47 @@
+/**
+ * Certificate Email
+ *
+ * Builds the email carrying an attendee's certificate or letter as a PDF attachment.
+ * The email queue calls this at delivery, so the PDF is rendered fresh and a document
+ * revoked after it was queued is never sent.
+ */
+
+const certificates = require('./certificates');
+const certificatePdf = require('./certificatePdf');
+const emailTemplates = require('./emailTemplates');
+const checkinEmail = require('./checkinEmail');
+const { EmailDeliveryError } = require('./mailer');
+
+/**
+ * Build the certificate or letter email
+ * @param {Object} event - Registry event
+ * @param {Object} job - { toEmail, fullName, documentId }
+ * @returns {Promise<Object>} { from, to, subject, html, attachments }
+ */
+async function buildCertificateEmail(event, { toEmail, fullName, documentId }) {
+    const document = certificates.getDocument(documentId);
+    if (!document) {
+        throw new EmailDeliveryError(`Document ${documentId} no longer exists`, { retryable: false });
+    }
+    if (document.revokedAt) {
+        throw new EmailDeliveryError(`Document ${documentId} was revoked`, { retryable: false });
+    }
+
+    const { subject, html } = emailTemplates.renderCertificateEmail(event, {
+        fullName,
+        kind: document.type,
+        id: document.id,
+        verifyUrl: certificates.verifyUrl(document.id)
+    });
+    return {
+        from: checkinEmail.senderAddress(event),
+        to: toEmail,
+        subject,
+        html,
+        attachments: [{ filename: certificatePdf.fileName(document), content: await certificatePdf.renderDocument(document) }]
+    };
+}
+
+module.exports = {
+    buildCertificateEmail
+};
@@ -0,0 +1,160 @@
+/**
+ * Certificate and Letter PDFs
+ *
+ * Renders an issued document (see certificates.js): an A4 landscape certificate of
+ * attendance or an A4 portrait letter of recommendation, both with the DEC logo, the
+ * verification ID and, when PUBLIC_URL is set, a QR code linking to /verify/<id>.
+ * Documents are rendered on demand from their stored wording, never stored as files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const certificates = require('./certificates');
+const emailTemplates = require('./emailTemplates');
+
+const LOGO_PATH = path.join(__dirname, '../../public/images/dec_logo.png');
+const hasLogo = fs.existsSync(LOGO_PATH);
+
+// A4 in points (72 per inch)
+const A4 = [595.28, 841.89];
+const ACCENT = '#4582ED';
+
+// Largest font size (down to a floor) at which the text fits on one line
+function fitFontSize(doc, text, width, max, min) {
+    let size = max;
+    doc.font('Helvetica-Bold');
+    while (size > min && doc.fontSize(size).widthOfString(text) > width) size -= 1;
+    return size;
+}
+
+function issuedOn(document) {
+    return new Intl.DateTimeFormat(document.text.language, { dateStyle: 'long' }).format(new Date(document.issuedAt));
+}
+
+function drawSignature(doc, text, x, y, width) {
+    doc.moveTo(x, y).lineTo(x + width, y).lineWidth(0.8).strokeColor('#999').stroke();
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#000')
+        .text(text.signatory, x, y + 6, { width, lineBreak: false, ellipsis: true });
+    if (text.signatoryTitle) {
+        doc.font('Helvetica').fontSize(9).fillColor('#555')
+            .text(text.signatoryTitle, x, doc.y + 2, { width, lineBreak: false, ellipsis: true });
+    }
+}
+
+function drawCertificate(doc, document, { qr, verification }) {
+    const [height, width] = A4;
+    const margin = 40;
+    const inner = width - margin * 2;
+    const { text } = document;
+
+    doc.rect(20, 20, width - 40, height - 40).lineWidth(3).strokeColor(ACCENT).stroke();
+    doc.rect(28, 28, width - 56, height - 56).lineWidth(0.8).strokeColor(ACCENT).stroke();
+
+    if (hasLogo) {
+        doc.image(LOGO_PATH, width / 2 - 100, 60, { fit: [200, 60], align: 'center' });
+    }
+
+    doc.font('Helvetica-Bold').fontSize(34).fillColor('#0f172a')
+        .text(text.title, margin, 150, { width: inner, align: 'center' });
+    doc.font('Helvetica').fontSize(14).fillColor('#333')
+        .text(text.lines[0], margin, 215, { width: inner, align: 'center' });
+
+    const nameSize = fitFontSize(doc, text.lines[1], inner - 80, 36, 18);
+    doc.font('Helvetica-Bold').fontSize(nameSize).fillColor(ACCENT)
+        .text(text.lines[1], margin, 245, { width: inner, align: 'center', lineBreak: false, ellipsis: true });
+    doc.moveTo(width / 2 - 180, 300).lineTo(width / 2 + 180, 300).lineWidth(0.8).strokeColor('#ccc').stroke();
+
+    doc.font('Helvetica').fontSize(14).fillColor('#333')
+        .text(text.lines[2], margin + 80, 320, { width: inner - 160, align: 'center' });
+    doc.fontSize(11).fillColor('#555')
+        .text(issuedOn(document), margin, doc.y + 14, { width: inner, align: 'center' });
+
+    drawSignature(doc, text, margin + 40, 470, 220);
+
+    if (qr) doc.image(qr, width - margin - 110, 420, { width: 90 });
+    doc.font('Helvetica').fontSize(8).fillColor('#777');
+    verification.forEach((line, index) => {
+        doc.text(line, margin, height - 70 + index * 11, { width: inner, align: 'center', lineBreak: false });
+    });
+}
+
+function drawLetter(doc, document, { qr, verification }) {
+    const [width, height] = A4;
+    const margin = 60;
+    const inner = width - margin * 2;
+    const { text } = document;
+
+    if (hasLogo) {
+        doc.image(LOGO_PATH, margin, 50, { fit: [160, 55] });
+    }
+    doc.font('Helvetica').fontSize(10).fillColor('#555')
+        .text(issuedOn(document), margin, 60, { width: inner, align: 'right' });
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#0f172a')
+        .text(text.title, margin, 140, { width: inner });
+
+    doc.font('Helvetica').fontSize(12).fillColor('#222');
+    let y = doc.y + 18;
+    text.lines.forEach((line) => {
+        doc.text(line, margin, y, { width: inner, align: 'left', lineGap: 3 });
+        y = doc.y + 12;
+    });
+
+    doc.text(text.signoff, margin, y + 6, { width: inner });
+    drawSignature(doc, text, margin, doc.y + 40, 220);
+
+    doc.moveTo(margin, height - 110).lineTo(width - margin, height - 110).lineWidth(0.5).strokeColor('#ddd').stroke();
+    if (qr) doc.image(qr, width - margin - 70, height - 100, { width: 70 });
+    doc.font('Helvetica').fontSize(8).fillColor('#777');
+    verification.forEach((line, index) => {
+        doc.text(line, margin, height - 95 + index * 11, { width: inner - 90, lineBreak: false });
+    });
+}
+
+/**
+ * Render an issued certificate or letter
+ * @param {Object} document - Issued document from certificates.js
+ * @returns {Promise<Buffer>} PDF
+ */
+async function renderDocument(document) {
+    const url = certificates.verifyUrl(document.id);
+    const qr = url ? await QRCode.toBuffer(url, { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: 240 }) : null;
+    const verification = emailTemplates.renderVerificationText(document.text.language, { id: document.id, verifyUrl: url });
+    const isLetter = document.type === certificates.LETTER;
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: A4,
+            layout: isLetter ? 'portrait' : 'landscape',
+            margin: 0,
+            info: { Title: `${document.text.title} - ${document.fullName || document.email}`, Subject: document.id }
+        });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        if (isLetter) {
+            drawLetter(doc, document, { qr, verification });
+        } else {
+            drawCertificate(doc, document, { qr, verification });
+        }
+        doc.end();
+    });
+}
+
+/**
+ * File name for an issued document
+ * @param {Object} document - Issued document
+ * @returns {string} e.g. "certificate-7KQ3-M9TX-42HD.pdf"
+ */
+function fileName(document) {
+    return `${document.type}-${document.id}.pdf`;
+}
+
+module.exports = {
+    renderDocument,
+    fileName
+};
@@ -0,0 +1,187 @@
+/**
+ * Attendance Certificates and Recommendation Letters
+ *
+ * Issued documents are kept in DATA_DIR/certificates.json with their wording fixed at
+ * issue time, so a later template change never alters what an attendee already holds.
+ * Each document has a verification ID (e.g. 7KQ3-M9TX-42HD) printed on the PDF;
+ * anyone can look it up at /verify/<id> to confirm it is genuine.
+ *
+ * An attendee holds at most one active certificate and one active letter per event:
+ * issuing again returns the existing document. Revoke a document to reissue it.
+ */
+
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonStore');
+const emailTemplates = require('./emailTemplates');
+
+const CERTIFICATES_FILE = 'certificates.json';
+
+const CERTIFICATE = 'certificate';
+const LETTER = 'letter';
+const DOCUMENT_TYPES = [CERTIFICATE, LETTER];
+
+const MAX_NOTE_LENGTH = 1000;
+
+// Crockford base32: no I, L, O or U, so IDs survive being read aloud or retyped
+const ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const ID_GROUPS = 3;
+const ID_GROUP_LENGTH = 4;
+
+let cache = null;
+
+function load() {
+    if (!cache) cache = readJSON(CERTIFICATES_FILE, []);
+    return cache;
+}
+
+function save(documents) {
+    cache = documents;
+    writeJSON(CERTIFICATES_FILE, documents);
+}
+
+function newId() {
+    const length = ID_GROUPS * ID_GROUP_LENGTH;
+    const bytes = crypto.randomBytes(length);
+    const chars = Array.from(bytes, (byte) => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+    return chars.match(new RegExp(`.{${ID_GROUP_LENGTH}}`, 'g')).join('-');
+}
+
+/**
+ * Canonical form of a typed verification ID ("7kq3 m9tx 42hd" -> "7KQ3-M9TX-42HD")
+ * @param {string} value - ID as entered
+ * @returns {string|null} Normalized ID, or null if it cannot be one
+ */
+function normalizeId(value) {
+    const chars = String(value || '').toUpperCase()
+        .replace(/[^0-9A-Z]/g, '')
+        .replace(/O/g, '0')
+        .replace(/[IL]/g, '1');
+    if (chars.length !== ID_GROUPS * ID_GROUP_LENGTH || [...chars].some((char) => !ID_ALPHABET.includes(char))) {
+        return null;
+    }
+    return chars.match(new RegExp(`.{${ID_GROUP_LENGTH}}`, 'g')).join('-');
+}
+
+/**
+ * Public page confirming a document
+ * @param {string} id - Verification ID
+ * @returns {string|null} URL, or null without PUBLIC_URL
+ */
+function verifyUrl(id) {
+    if (!process.env.PUBLIC_URL) return null;
+    return `${process.env.PUBLIC_URL.replace(/\/+$/, '')}/verify/${id}`;
+}
+
+function listDocuments({ eventId, type, email } = {}) {
+    return load()
+        .filter((doc) => (!eventId || doc.eventId === eventId) && (!type || doc.type === type))
+        .filter((doc) => !email || doc.email === String(email).trim().toLowerCase())
+        .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+}
+
+function getDocument(id) {
+    const normalized = normalizeId(id);
+    return normalized ? load().find((doc) => doc.id === normalized) || null : null;
+}
+
+function findActive(type, eventId, email) {
+    return load().find((doc) => doc.type === type && doc.eventId === eventId && doc.email === email && !doc.revokedAt) || null;
+}
+
+/**
+ * Issue a certificate or letter, or return the attendee's active one
+ * @param {Object} event - Registry event
+ * @param {string} type - 'certificate' or 'letter'
+ * @param {Object} attendee - Canonical attendee ({ email, fullName, profession, checkInTime })
+ * @param {Object} [options] - { note: personal paragraph for a letter, issuedBy }
+ * @returns {Object} { document, existing }
+ */
+function issueDocument(event, type, attendee, { note, issuedBy } = {}) {
+    if (!DOCUMENT_TYPES.includes(type)) throw new Error(`type must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+    const email = String(attendee.email).trim().toLowerCase();
+
+    const current = findActive(type, event.id, email);
+    if (current) return { document: current, existing: true };
+
+    const ids = new Set(load().map((doc) => doc.id));
+    let id;
+    do {
+        id = newId();
+    } while (ids.has(id));
+
+    const text = emailTemplates.renderDocumentText(event, type, { ...attendee, email });
+    const personalNote = type === LETTER && note ? String(note).trim().slice(0, MAX_NOTE_LENGTH) : '';
+    if (personalNote) text.lines.splice(2, 0, personalNote);
+
+    const document = {
+        id,
+        type,
+        eventId: event.id,
+        eventName: event.name,
+        eventDate: event.date || null,
+        email,
+        fullName: (attendee.fullName && String(attendee.fullName).trim()) || null,
+        checkInTime: attendee.checkInTime || null,
+        text,
+        issuedBy: issuedBy || null,
+        issuedAt: new Date().toISOString(),
+        revokedAt: null,
+        revokedBy: null,
+        revokeReason: null
+    };
+    save([...load(), document]);
+    return { document, existing: false };
+}
+
+/**
+ * Withdraw a document; /verify reports it as revoked from then on
+ * @param {string} id - Verification ID
+ * @param {Object} [details] - { revokedBy, reason }
+ * @returns {Object|null} Updated document, or null if not found
+ */
+function revokeDocument(id, { revokedBy, reason } = {}) {
+    const document = getDocument(id);
+    if (!document) return null;
+    if (document.revokedAt) return document;
+
+    const updated = {
+        ...document,
+        revokedAt: new Date().toISOString(),
+        revokedBy: revokedBy || null,
+        revokeReason: reason ? String(reason).trim().slice(0, 200) : null
+    };
+    save(load().map((doc) => (doc.id === document.id ? updated : doc)));
+    return updated;
+}
+
+/**
+ * What /verify shows: enough to confirm the document, never the attendee's email
+ * @param {Object} document - Issued document
+ * @returns {Object}
+ */
+function toVerification(document) {
+    return {
+        id: document.id,
+        type: document.type,
+        title: document.text.title,
+        fullName: document.fullName,
+        eventName: document.eventName,
+        eventDate: document.eventDate,
+        issuedAt: document.issuedAt,
+        revoked: Boolean(document.revokedAt),
+        revokedAt: document.revokedAt
+    };
+}
+
+module.exports = {
+    CERTIFICATE,
+    LETTER,
+    DOCUMENT_TYPES,
+    normalizeId,
+    verifyUrl,
+    listDocuments,
+    getDocument,
+    issueDocument,
+    revokeDocument,
+    toVerification
+};
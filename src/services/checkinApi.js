@@ -0,0 +1,122 @@
+/**
+ * Check-In Attendee Access
+ *
+ * What the routes call to look attendees up, check them in and register walk-ins.
+ * Every call takes the registry event it is for and goes to that event's attendee
+ * repository (n8n webhooks, imported roster, Google Sheets, SQLite, Postgres or
+ * memory; see attendeeRepository). Results are always in the canonical attendee
+ * schema, so the browser never deals with a source's own field names.
+ */
+
+const attendeeRepository = require('./attendeeRepository');
+const { WebhookError, signWebhookToken } = require('./repositories/webhook');
+
+const { RepositoryError } = attendeeRepository;
+
+/**
+ * Look up an attendee by email
+ * @param {string} email - Attendee email address
+ * @param {Object} [event] - Registry event
+ * @returns {Promise<Object>} { status, message, attendee } with status NOT_FOUND,
+ *   ALREADY_CHECKED_IN or CAN_CHECK_IN
+ */
+async function lookupAttendee(email, event = {}) {
+    return attendeeRepository.forEvent(event).lookup(email, event);
+}
+
+/**
+ * Mark an attendee as checked in
+ * @param {string} email - Attendee email address
+ * @param {string} checkInTime - ISO timestamp of the check-in
+ * @param {Object} [event] - Registry event
+ * @returns {Promise<Object>} Source response
+ */
+async function updateAttendee(email, checkInTime, event = {}) {
+    return attendeeRepository.forEvent(event).setCheckInTime(email, checkInTime, event);
+}
+
+/**
+ * Reverse a check-in
+ * @param {string} email - Attendee email address
+ * @param {Object} [event] - Registry event
+ * @returns {Promise<Object>} Source response
+ */
+async function undoCheckIn(email, event = {}) {
+    return attendeeRepository.forEvent(event).setCheckInTime(email, null, event);
+}
+
+/**
+ * Whether new registrations can be created for the event (every source but the
+ * webhooks, which need REGISTER_ENDPOINT or the event's registerEndpoint)
+ * @param {Object} [event] - Registry event
+ * @returns {boolean}
+ */
+function canRegister(event = {}) {
+    return attendeeRepository.forEvent(event).canRegister(event);
+}
+
+/**
+ * Create a registration and check it in at once (walk-ins)
+ * @param {Object} attendee - Canonical attendee with checkInTime set
+ * @param {Object} [event] - Registry event
+ * @returns {Promise<Object>} Source response
+ */
+async function registerAttendee(attendee, event = {}) {
+    return attendeeRepository.forEvent(event).register(attendee, event);
+}
+
+/**
+ * Fetch every registration for the event. Used for dashboard totals and search;
+ * returns null when the source cannot list them (webhooks without ROSTER_ENDPOINT).
+ * @param {Object} [event] - Registry event
+ * @returns {Promise<Array|null>} Canonical attendees
+ */
+async function listAttendees(event = {}) {
+    return attendeeRepository.forEvent(event).list(event);
+}
+
+/**
+ * Whether attendees may edit or cancel their own registration for the event (every
+ * source but the webhooks, which need SELF_SERVICE_ENDPOINT)
+ * @param {Object} [event] - Registry event
+ * @returns {boolean}
+ */
+function canSelfServe(event = {}) {
+    return attendeeRepository.forEvent(event).canSelfServe(event);
+}
+
+/**
+ * Change some of an attendee's details
+ * @param {string} email - Attendee email address
+ * @param {Object} changes - Canonical fields to change
+ * @param {Object} [event] - Registry event
+ * @returns {Promise<Object>} { success, attendee }
+ */
+async function updateAttendeeDetails(email, changes, event = {}) {
+    return attendeeRepository.forEvent(event).updateDetails(email, changes, event);
+}
+
+/**
+ * Remove an attendee's registration
+ * @param {string} email - Attendee email address
+ * @param {Object} [event] - Registry event
+ * @returns {Promise<Object>} { success }
+ */
+async function cancelRegistration(email, event = {}) {
+    return attendeeRepository.forEvent(event).cancel(email, event);
+}
+
+module.exports = {
+    RepositoryError,
+    WebhookError,
+    signWebhookToken,
+    lookupAttendee,
+    updateAttendee,
+    undoCheckIn,
+    canRegister,
+    registerAttendee,
+    listAttendees,
+    canSelfServe,
+    updateAttendeeDetails,
+    cancelRegistration
+};
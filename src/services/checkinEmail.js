@@ -0,0 +1,61 @@
+/**
+ * Check-In Confirmation Email
+ *
+ * Builds the confirmation email for an event (its template and language plus the
+ * agenda PDF) for the mailer. The email queue calls this for every delivery attempt,
+ * so attachments are read fresh and never stored in the queue.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const eventRegistry = require('./eventRegistry');
+const emailTemplates = require('./emailTemplates');
+
+// The event's agenda PDF, or none if it has no agenda or the file is missing
+function agendaAttachments(event) {
+    const attachmentPath = eventRegistry.agendaPath(event);
+    if (!attachmentPath) return [];
+    try {
+        return [{ filename: path.basename(attachmentPath), content: fs.readFileSync(attachmentPath) }];
+    } catch (_) {
+        return [];
+    }
+}
+
+/**
+ * The From header for an event's emails
+ * @param {Object} event - Registry event
+ * @returns {string} e.g. "DEC Meetup Lagos <noreply@...>"
+ */
+function senderAddress(event) {
+    const fromEmail = process.env.EMAIL_FROM || 'noreply@dataengineeringcommunity.com';
+    return `${event.senderName || event.name} <${fromEmail}>`;
+}
+
+/**
+ * Build the confirmation email for an attendee
+ * @param {Object} event - Registry event
+ * @param {Object} recipient - { toEmail, fullName, checkInTime }
+ * @param {Object} [options] - Template overrides ({ language, customMessage }), used by the preview
+ * @returns {Object} { from, to, subject, html, attachments }
+ */
+function buildCheckinEmail(event, recipient, options = {}) {
+    const attachments = agendaAttachments(event);
+    const { subject, html } = emailTemplates.renderCheckinEmail(event, recipient, {
+        ...options,
+        hasAgenda: attachments.length > 0
+    });
+
+    return {
+        from: senderAddress(event),
+        to: recipient.toEmail,
+        subject,
+        html,
+        attachments
+    };
+}
+
+module.exports = {
+    senderAddress,
+    buildCheckinEmail
+};
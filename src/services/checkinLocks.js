@@ -0,0 +1,115 @@
+/**
+ * Check-In Locks
+ *
+ * Short-lived claims on an attendee, so two stations at a busy door cannot both check
+ * the same person in. A station that looks up someone who can check in takes the lock;
+ * another station looking them up meanwhile gets CHECK_IN_IN_PROGRESS ("already being
+ * checked in by Door 2") instead of a second CAN_CHECK_IN. The check-in itself holds the
+ * lock while it writes to the attendee source, and releases it when done.
+ *
+ * Each device (see middleware/device) holds at most one lock: looking up the next person
+ * frees the last one. Locks are kept in memory only, like the rest of the live state.
+ *
+ *   CHECKIN_LOCK_SECONDS - how long a lookup holds the attendee (default 30)
+ */
+
+const DEFAULT_LOCK_SECONDS = 30;
+
+// `${eventId}:${email}` -> { eventId, email, deviceId, station, expiresAt, busy }
+const locks = new Map();
+// deviceId -> key of the lock it holds
+const heldBy = new Map();
+
+const key = (eventId, email) => `${eventId}:${String(email).trim().toLowerCase()}`;
+
+function lockMs() {
+    const seconds = Number(process.env.CHECKIN_LOCK_SECONDS);
+    return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_LOCK_SECONDS) * 1000;
+}
+
+function drop(lockKey) {
+    const lock = locks.get(lockKey);
+    if (!lock) return;
+    locks.delete(lockKey);
+    if (heldBy.get(lock.deviceId) === lockKey) heldBy.delete(lock.deviceId);
+}
+
+// A check-in in progress keeps its lock until it finishes, however long the source takes
+function isLive(lock, now) {
+    return lock.busy || lock.expiresAt > now;
+}
+
+function prune(now) {
+    locks.forEach((lock, lockKey) => {
+        if (!isLive(lock, now)) drop(lockKey);
+    });
+}
+
+/**
+ * Current lock on an attendee, if any
+ * @param {string} eventId - Registry event id
+ * @param {string} email - Attendee email
+ * @returns {Object|null} { eventId, email, deviceId, station, expiresAt, busy }
+ */
+function getLock(eventId, email) {
+    const lockKey = key(eventId, email);
+    const lock = locks.get(lockKey);
+    if (!lock) return null;
+    if (!isLive(lock, Date.now())) {
+        drop(lockKey);
+        return null;
+    }
+    return lock;
+}
+
+/**
+ * Take (or renew) the lock on an attendee for a device
+ * @param {string} eventId - Registry event id
+ * @param {string} email - Attendee email
+ * @param {Object} holder - { deviceId, station }
+ * @param {Object} [options] - { busy: true while the check-in is being written }
+ * @returns {Object} { acquired, lock } where lock is the other station's when not acquired
+ */
+function acquire(eventId, email, { deviceId, station }, { busy = false } = {}) {
+    prune(Date.now());
+    const lockKey = key(eventId, email);
+    const existing = locks.get(lockKey);
+    // Busy locks also turn away the same device, so a double submit cannot check in twice
+    if (existing && (existing.deviceId !== deviceId || existing.busy)) {
+        return { acquired: false, lock: existing };
+    }
+
+    // Moving on to the next person frees the last one, unless its check-in is still being written
+    const previous = locks.get(heldBy.get(deviceId));
+    if (previous && previous !== existing && !previous.busy) drop(heldBy.get(deviceId));
+
+    const lock = {
+        eventId,
+        email: String(email).trim().toLowerCase(),
+        deviceId,
+        station,
+        expiresAt: Date.now() + lockMs(),
+        busy
+    };
+    locks.set(lockKey, lock);
+    heldBy.set(deviceId, lockKey);
+    return { acquired: true, lock };
+}
+
+/**
+ * Release a device's lock on an attendee (no-op when another device holds it)
+ * @param {string} eventId - Registry event id
+ * @param {string} email - Attendee email
+ * @param {string} deviceId - Device releasing the lock
+ */
+function release(eventId, email, deviceId) {
+    const lockKey = key(eventId, email);
+    const lock = locks.get(lockKey);
+    if (lock && lock.deviceId === deviceId) drop(lockKey);
+}
+
+module.exports = {
+    getLock,
+    acquire,
+    release
+};
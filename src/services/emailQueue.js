@@ -0,0 +1,333 @@
+/**
+ * Email Job Queue
+ *
+ * Confirmation emails are queued (data/email-jobs.json) and sent by a background
+ * worker, so a mail provider hiccup no longer loses an attendee's agenda. Failed attempts
+ * are retried with exponential backoff; after MAX_ATTEMPTS, or on an error retrying
+ * cannot fix, the job is marked failed for an admin to resend.
+ *
+ * Jobs are keyed by event and attendee email: queuing the same confirmation twice
+ * (a double click, an offline replay) returns the existing job instead of sending
+ * a second email. Every attempt is appended to the job's history as a delivery log.
+ *
+ * The queue also carries the attendee portal's sign-in links (type 'portal-link').
+ * Those are never deduplicated or resent, and only the link's id and expiry are stored:
+ * the link itself is signed when the email is built.
+ *
+ * Certificates and recommendation letters (type 'certificate') are keyed by document,
+ * so a bulk send run twice mails each document once; the PDF is rendered at delivery.
+ */
+
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonStore');
+const eventRegistry = require('./eventRegistry');
+const checkinEmail = require('./checkinEmail');
+const portalEmail = require('./portalEmail');
+const certificateEmail = require('./certificateEmail');
+const mailer = require('./mailer');
+const auditLog = require('./auditLog');
+const activity = require('./activity');
+
+const JOBS_FILE = 'email-jobs.json';
+
+const PENDING = 'pending';
+const SENDING = 'sending';
+const SENT = 'sent';
+const FAILED = 'failed';
+const JOB_STATUSES = [PENDING, SENDING, SENT, FAILED];
+
+const CHECKIN = 'checkin';
+const PORTAL_LINK = 'portal-link';
+const CERTIFICATE = 'certificate';
+const JOB_TYPES = [CHECKIN, PORTAL_LINK, CERTIFICATE];
+
+// Builds each job type's message (sync or async) from its event and job
+const BUILDERS = {
+    [CHECKIN]: checkinEmail.buildCheckinEmail,
+    [PORTAL_LINK]: portalEmail.buildPortalLinkEmail,
+    [CERTIFICATE]: certificateEmail.buildCertificateEmail
+};
+
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+let cache = null;
+let timer = null;
+let running = false;
+
+function load() {
+    if (!cache) cache = readJSON(JOBS_FILE, []);
+    return cache;
+}
+
+function save(jobs) {
+    cache = jobs;
+    writeJSON(JOBS_FILE, jobs);
+}
+
+function updateJob(id, changes) {
+    let updated = null;
+    save(load().map((job) => {
+        if (job.id !== id) return job;
+        updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+        return updated;
+    }));
+    return updated;
+}
+
+function jobKey(eventId, email) {
+    return `${eventId}:${String(email).trim().toLowerCase()}`;
+}
+
+// 30s, 1m, 2m, 4m... capped at an hour
+function backoffMs(attempts) {
+    return Math.min(BASE_BACKOFF_MS * (2 ** Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+}
+
+// Jobs queued before sign-in links existed have no type
+const typeOf = (job) => job.type || CHECKIN;
+
+function listJobs({ status, eventId, type } = {}) {
+    return load()
+        .filter((job) => (!status || job.status === status) && (!eventId || job.eventId === eventId))
+        .filter((job) => !type || typeOf(job) === type)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getJob(id) {
+    return load().find((job) => job.id === id) || null;
+}
+
+function addJob({ type, key, eventId, toEmail, fullName, requestedBy, ...details }) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        key,
+        eventId,
+        toEmail: String(toEmail).trim().toLowerCase(),
+        fullName: fullName ? String(fullName).trim() : null,
+        ...details,
+        requestedBy: requestedBy || null,
+        status: PENDING,
+        attempts: 0,
+        // Bumped on every resend so the provider does not treat it as the earlier send
+        sendCount: 1,
+        nextAttemptAt: now,
+        lastError: null,
+        providerId: null,
+        sentAt: null,
+        history: [{ at: now, status: PENDING, detail: requestedBy ? `Queued by ${requestedBy}` : 'Queued' }],
+        createdAt: now,
+        updatedAt: now
+    };
+    save([...load(), job]);
+    schedule(0);
+    return job;
+}
+
+/**
+ * Queue a confirmation email
+ * @param {Object} input - { eventId, toEmail, fullName, checkInTime, requestedBy }
+ * @returns {Object} { job, deduplicated }
+ */
+function enqueue({ eventId, toEmail, fullName, checkInTime, requestedBy }) {
+    const key = jobKey(eventId, toEmail);
+    const existing = load().find((job) => job.key === key);
+    if (existing) return { job: existing, deduplicated: true };
+
+    const job = addJob({
+        type: CHECKIN,
+        key,
+        eventId,
+        toEmail,
+        fullName,
+        checkInTime: checkInTime || new Date().toISOString(),
+        requestedBy
+    });
+    return { job, deduplicated: false };
+}
+
+/**
+ * Queue an attendee portal sign-in link
+ * @param {Object} input - { eventId, toEmail, fullName, linkId, linkExpiresAt }
+ * @returns {Object} Job
+ */
+function enqueuePortalLink({ eventId, toEmail, fullName, linkId, linkExpiresAt }) {
+    return addJob({
+        type: PORTAL_LINK,
+        key: `${PORTAL_LINK}:${linkId}`,
+        eventId,
+        toEmail,
+        fullName,
+        linkId,
+        linkExpiresAt
+    });
+}
+
+/**
+ * Queue the email carrying a certificate or letter
+ * @param {Object} input - { eventId, toEmail, fullName, documentId, requestedBy }
+ * @returns {Object} { job, deduplicated }
+ */
+function enqueueCertificate({ eventId, toEmail, fullName, documentId, requestedBy }) {
+    const key = `${CERTIFICATE}:${documentId}`;
+    const existing = load().find((job) => job.key === key);
+    if (existing) return { job: existing, deduplicated: true };
+
+    const job = addJob({ type: CERTIFICATE, key, eventId, toEmail, fullName, documentId, requestedBy });
+    return { job, deduplicated: false };
+}
+
+/**
+ * Send a job again (failed jobs, or a sent email the attendee cannot find)
+ * @param {string} id - Job id
+ * @param {string} requestedBy - Admin username
+ * @returns {Object|null} Updated job, or null if not found
+ */
+function resend(id, requestedBy) {
+    const job = getJob(id);
+    if (!job) return null;
+    // A sign-in link may have expired or been used; the attendee asks for a new one
+    if (job.status === SENDING || typeOf(job) === PORTAL_LINK) return job;
+
+    const now = new Date().toISOString();
+    const updated = updateJob(id, {
+        status: PENDING,
+        attempts: 0,
+        sendCount: job.sendCount + 1,
+        nextAttemptAt: now,
+        lastError: null,
+        history: [...job.history, { at: now, status: PENDING, detail: `Resend requested by ${requestedBy}` }]
+    });
+    schedule(0);
+    return updated;
+}
+
+async function deliver(job) {
+    const now = () => new Date().toISOString();
+    const sending = updateJob(job.id, { status: SENDING, attempts: job.attempts + 1 });
+
+    try {
+        const event = eventRegistry.getEvent(job.eventId);
+        if (!event) {
+            throw new mailer.EmailDeliveryError(`Event ${job.eventId} no longer exists`, { retryable: false });
+        }
+        const message = await BUILDERS[typeOf(job)](event, job);
+        const providerId = await mailer.sendEmail(message, { idempotencyKey: `${job.id}:${job.sendCount}` });
+
+        updateJob(job.id, {
+            status: SENT,
+            providerId,
+            sentAt: now(),
+            lastError: null,
+            history: [...sending.history, {
+                at: now(),
+                status: SENT,
+                detail: `Attempt ${sending.attempts}: delivered via ${mailer.transportName()} (${providerId})`
+            }]
+        });
+        auditLog.record({
+            action: 'email-sent',
+            actor: job.requestedBy,
+            eventId: job.eventId,
+            email: job.toEmail,
+            result: 'SENT',
+            detail: `Job ${job.id}, attempt ${sending.attempts} via ${mailer.transportName()}`
+        });
+    } catch (error) {
+        const retryable = error.retryable !== false && sending.attempts < MAX_ATTEMPTS;
+        const nextAttemptAt = retryable ? new Date(Date.now() + backoffMs(sending.attempts)).toISOString() : null;
+        console.error(`Email to ${job.toEmail} failed (attempt ${sending.attempts}):`, error.message);
+
+        updateJob(job.id, {
+            status: retryable ? PENDING : FAILED,
+            nextAttemptAt,
+            lastError: error.message,
+            history: [...sending.history, {
+                at: now(),
+                status: retryable ? PENDING : FAILED,
+                detail: `Attempt ${sending.attempts}: ${error.message}${retryable ? `; retrying at ${nextAttemptAt}` : ''}`
+            }]
+        });
+        auditLog.record({
+            action: 'email-failed',
+            actor: job.requestedBy,
+            eventId: job.eventId,
+            email: job.toEmail,
+            result: retryable ? 'RETRYING' : 'FAILED',
+            detail: `Job ${job.id}, attempt ${sending.attempts}: ${error.message}`
+        });
+        if (!retryable) {
+            activity.emit('email-failed', {
+                eventId: job.eventId,
+                email: job.toEmail,
+                jobId: job.id,
+                emailType: typeOf(job),
+                attempts: sending.attempts,
+                error: error.message
+            });
+        }
+    }
+}
+
+// Send due jobs one at a time, then sleep until the next one is due
+async function work() {
+    timer = null;
+    if (running) return;
+    running = true;
+
+    try {
+        let due;
+        while ((due = load().find((job) => job.status === PENDING && job.nextAttemptAt <= new Date().toISOString()))) {
+            await deliver(due);
+        }
+    } finally {
+        running = false;
+    }
+
+    const next = load()
+        .filter((job) => job.status === PENDING)
+        .map((job) => new Date(job.nextAttemptAt).getTime() - Date.now())
+        .sort((a, b) => a - b)[0];
+    // Idle until something is queued or resent
+    if (next !== undefined) schedule(Math.max(next, 0));
+}
+
+function schedule(delayMs) {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(work, delayMs);
+    // Never keep the process alive just for the queue
+    timer.unref();
+}
+
+/**
+ * Start the worker. Jobs left "sending" by a crash are retried; the provider
+ * idempotency key stops a duplicate if the crashed attempt did go out.
+ */
+function start() {
+    load().filter((job) => job.status === SENDING).forEach((job) => {
+        updateJob(job.id, { status: PENDING, nextAttemptAt: new Date().toISOString() });
+    });
+    schedule(0);
+}
+
+function stop() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+}
+
+module.exports = {
+    JOB_STATUSES,
+    JOB_TYPES,
+    MAX_ATTEMPTS,
+    listJobs,
+    getJob,
+    enqueue,
+    enqueuePortalLink,
+    enqueueCertificate,
+    resend,
+    start,
+    stop
+};
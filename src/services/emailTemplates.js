@@ -0,0 +1,262 @@
+/**
+ * Email Templates
+ *
+ * Mustache templates in src/templates/email with strings from src/locales/<lang>.json.
+ * `{{value}}` is HTML-escaped; locale strings are rendered (and escaped) first and
+ * inserted with `{{{t.key}}}`, so translations may carry markup but attendee data never can.
+ *
+ * Events pick a template (`emailTemplate`, default checkin.html), a `language` and an
+ * optional `emailMessage`. A language-specific file such as checkin.fr.html wins over
+ * the shared template when it exists.
+ *
+ * The attendee portal's sign-in link email uses portal-link.html and the `portal`
+ * strings, and certificate emails use certificate.html and the `certificateEmail`
+ * strings; events cannot pick either as their confirmation template. The wording of
+ * the certificate and letter PDFs themselves comes from the `certificate` strings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Mustache = require('mustache');
+const tickets = require('./tickets');
+const { formatDateTime } = require('./formatting');
+
+const TEMPLATES_DIR = path.join(__dirname, '../templates/email');
+const LOCALES_DIR = path.join(__dirname, '../locales');
+const DEFAULT_TEMPLATE = 'checkin.html';
+const PORTAL_LINK_TEMPLATE = 'portal-link.html';
+const CERTIFICATE_TEMPLATE = 'certificate.html';
+const INTERNAL_TEMPLATES = [PORTAL_LINK_TEMPLATE, CERTIFICATE_TEMPLATE];
+
+const LOCALES = {};
+fs.readdirSync(LOCALES_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .forEach((file) => {
+        LOCALES[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+    });
+
+const SUPPORTED_LANGUAGES = Object.keys(LOCALES).sort();
+
+function defaultLanguage() {
+    const configured = process.env.DEFAULT_LANGUAGE;
+    return SUPPORTED_LANGUAGES.includes(configured) ? configured : 'en';
+}
+
+function resolveLanguage(language) {
+    return SUPPORTED_LANGUAGES.includes(language) ? language : defaultLanguage();
+}
+
+// Confirmation templates (shared ones only, not the .<lang>.html variants or the internal ones)
+function listTemplates() {
+    const variant = new RegExp(`\\.(${SUPPORTED_LANGUAGES.join('|')})\\.html$`);
+    return fs.readdirSync(TEMPLATES_DIR)
+        .filter((file) => file.endsWith('.html') && !variant.test(file) && !INTERNAL_TEMPLATES.includes(file))
+        .sort();
+}
+
+function templatePath(name, language) {
+    const file = path.basename(name || DEFAULT_TEMPLATE);
+    const localized = file.replace(/\.html$/, `.${language}.html`);
+    if (fs.existsSync(path.join(TEMPLATES_DIR, localized))) return path.join(TEMPLATES_DIR, localized);
+    return path.join(TEMPLATES_DIR, file);
+}
+
+// "2025-09-27" -> "Saturday, 27 September 2025" / "samedi 27 septembre 2025"
+function formatEventDate(date, language) {
+    if (!date) return null;
+    const parsed = new Date(date);
+    if (Number.isNaN(parsed.getTime())) return date;
+    return new Intl.DateTimeFormat(language, { dateStyle: 'full', timeZone: 'UTC' }).format(parsed);
+}
+
+// Locale strings rendered against the view, for {{{t.key}}}
+function translate(strings, view) {
+    const t = {};
+    Object.entries(strings).forEach(([key, value]) => {
+        t[key] = Mustache.render(value, view);
+    });
+    return t;
+}
+
+// Subjects are plain text, so render them without HTML escaping
+function plain(template, view) {
+    return Mustache.render(template, view, {}, { escape: (value) => String(value) });
+}
+
+// Public link carrying the attendee's signed ticket, e.g. their QR image or badge
+// (needs PUBLIC_URL and a ticket secret)
+function ticketLink(route, email, eventId) {
+    if (!process.env.PUBLIC_URL || !email || !tickets.isConfigured()) return null;
+    const base = process.env.PUBLIC_URL.replace(/\/+$/, '');
+    return `${base}${route}/${encodeURIComponent(tickets.signTicket(email, eventId))}`;
+}
+
+/**
+ * Render the check-in confirmation email
+ * @param {Object} event - Registry event
+ * @param {Object} recipient - { toEmail, fullName, checkInTime }
+ * @param {Object} [options] - { language, customMessage, hasAgenda } overriding the event's settings
+ * @returns {Object} { subject, html, language }
+ */
+function renderCheckinEmail(event, { toEmail, fullName, checkInTime }, options = {}) {
+    const language = resolveLanguage(options.language || event.language);
+    const strings = { ...LOCALES.en.email, ...LOCALES[language].email };
+    const hasAgenda = Boolean(options.hasAgenda);
+
+    const view = {
+        language,
+        name: (fullName && String(fullName).trim()) || strings.fallbackName,
+        email: toEmail || null,
+        eventName: event.name,
+        venue: event.venue || strings.venueToBeAnnounced,
+        eventDate: formatEventDate(event.date, language),
+        checkInTime: formatDateTime((checkInTime && String(checkInTime).trim()) || new Date()),
+        customMessage: options.customMessage !== undefined ? options.customMessage : event.emailMessage || null,
+        ticketUrl: ticketLink('/api/tickets/image', toEmail, event.id),
+        badgeUrl: ticketLink('/api/badges/self', toEmail, event.id),
+        contactEmail: process.env.CONTACT_EMAIL || 'info@dataengineeringcommunity.com',
+        hasAgenda
+    };
+
+    const t = translate(strings, view);
+    const subject = event.emailSubject
+        ? plain(event.emailSubject, view)
+        : plain(hasAgenda ? strings.subjectWithAgenda : strings.subject, view);
+
+    const template = fs.readFileSync(templatePath(event.emailTemplate, language), 'utf8');
+    return {
+        subject,
+        html: Mustache.render(template, { ...view, subject, t }),
+        language
+    };
+}
+
+/**
+ * Render the attendee portal sign-in link email
+ * @param {Object} event - Registry event
+ * @param {Object} recipient - { fullName, linkUrl, expiresInMinutes }
+ * @returns {Object} { subject, html, language }
+ */
+function renderPortalLinkEmail(event, { fullName, linkUrl, expiresInMinutes }) {
+    const language = resolveLanguage(event.language);
+    const strings = { ...LOCALES.en.portal, ...LOCALES[language].portal };
+
+    const view = {
+        language,
+        name: (fullName && String(fullName).trim()) || strings.fallbackName,
+        eventName: event.name,
+        linkUrl,
+        minutes: expiresInMinutes,
+        contactEmail: process.env.CONTACT_EMAIL || 'info@dataengineeringcommunity.com'
+    };
+    const subject = plain(strings.subject, view);
+
+    const template = fs.readFileSync(templatePath(PORTAL_LINK_TEMPLATE, language), 'utf8');
+    return {
+        subject,
+        html: Mustache.render(template, { ...view, subject, t: translate(strings, view) }),
+        language
+    };
+}
+
+/**
+ * Wording for a certificate or letter PDF, as plain text in the event's language.
+ * The event's `certificateText` / `letterText` replace the main sentence when set.
+ * @param {Object} event - Registry event
+ * @param {string} kind - 'certificate' or 'letter'
+ * @param {Object} attendee - { fullName, email, profession }
+ * @returns {Object} { language, title, lines, signoff, signatory, signatoryTitle }
+ */
+function renderDocumentText(event, kind, { fullName, email, profession }) {
+    const language = resolveLanguage(event.language);
+    const strings = { ...LOCALES.en.certificate, ...LOCALES[language].certificate };
+
+    const view = {
+        name: (fullName && String(fullName).trim()) || email,
+        profession: (profession && String(profession).trim()) || null,
+        eventName: event.name,
+        eventDate: formatEventDate(event.date, language),
+        venue: event.venue || null
+    };
+    const signature = {
+        signoff: strings.signoff,
+        signatory: event.certificateSignatory || strings.team,
+        signatoryTitle: event.certificateSignatory ? event.certificateSignatoryTitle || null : null
+    };
+
+    if (kind === 'letter') {
+        return {
+            language,
+            title: strings.letterTitle,
+            lines: [
+                strings.salutation,
+                plain(event.letterText || strings.letterBody, view),
+                plain(strings.letterClosing, view)
+            ],
+            ...signature
+        };
+    }
+    return {
+        language,
+        title: strings.title,
+        lines: [strings.presented, view.name, plain(event.certificateText || strings.attended, view)],
+        ...signature
+    };
+}
+
+/**
+ * Verification lines printed on a certificate or letter
+ * @param {string} language - Language the document was issued in
+ * @param {Object} view - { id, verifyUrl }
+ * @returns {string[]} Lines for the footer
+ */
+function renderVerificationText(language, { id, verifyUrl }) {
+    const strings = { ...LOCALES.en.certificate, ...LOCALES[resolveLanguage(language)].certificate };
+    return [
+        verifyUrl ? plain(strings.verify, { verifyUrl }) : null,
+        plain(strings.verificationId, { id })
+    ].filter(Boolean);
+}
+
+/**
+ * Render the email that carries a certificate or letter
+ * @param {Object} event - Registry event
+ * @param {Object} recipient - { fullName, kind, id, verifyUrl }
+ * @returns {Object} { subject, html, language }
+ */
+function renderCertificateEmail(event, { fullName, kind, id, verifyUrl }) {
+    const language = resolveLanguage(event.language);
+    const strings = { ...LOCALES.en.certificateEmail, ...LOCALES[language].certificateEmail };
+    const isLetter = kind === 'letter';
+
+    const view = {
+        language,
+        name: (fullName && String(fullName).trim()) || strings.fallbackName,
+        eventName: event.name,
+        id,
+        verifyUrl,
+        contactEmail: process.env.CONTACT_EMAIL || 'info@dataengineeringcommunity.com'
+    };
+    const t = translate(strings, view);
+    t.intro = isLetter ? t.letterIntro : t.intro;
+    const subject = plain(isLetter ? strings.letterSubject : strings.subject, view);
+
+    const template = fs.readFileSync(templatePath(CERTIFICATE_TEMPLATE, language), 'utf8');
+    return {
+        subject,
+        html: Mustache.render(template, { ...view, subject, t }),
+        language
+    };
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_TEMPLATE,
+    listTemplates,
+    resolveLanguage,
+    renderCheckinEmail,
+    renderPortalLinkEmail,
+    renderDocumentText,
+    renderVerificationText,
+    renderCertificateEmail
+};
@@ -0,0 +1,184 @@
+/**
+ * Event Registry
+ *
+ * The events one deployment serves (Lagos, Abuja, online...), persisted to
+ * data/events.json. On first run it is seeded from src/config/events.default.json.
+ *
+ * Each event carries its own name, date, venue, agenda attachment, email sender,
+ * template and language, and (optionally) its own n8n webhook endpoints; unset
+ * endpoints fall back to LOOKUP_ENDPOINT / UPDATE_ENDPOINT / ROSTER_ENDPOINT (and
+ * SELF_SERVICE_ENDPOINT for attendees editing or cancelling their registration).
+ * `source` picks where attendees live instead (see attendeeRepository): the imported
+ * roster, a Google Sheet or a SQLite/Postgres table, with `sourceTable` naming the
+ * event's sheet tab or table.
+ * `walkIns` turns on on-site registration, limited to `walkInCapacity` people when set.
+ * `capacity` caps how many people are inside at once (see capacity.js).
+ * `certificateSignatory` / `certificateSignatoryTitle` sign certificates and letters,
+ * and `certificateText` / `letterText` replace their wording (see certificates.js).
+ */
+
+const path = require('path');
+const { readJSON, writeJSON } = require('./jsonStore');
+const emailTemplates = require('./emailTemplates');
+const { REPOSITORY_SOURCES } = require('./attendeeRepository');
+
+const EVENTS_FILE = 'events.json';
+const DEFAULT_EVENTS = require('../config/events.default.json');
+const ATTACHMENTS_DIR = path.join(__dirname, '../attachments');
+
+const EDITABLE_FIELDS = [
+    'name', 'date', 'venue', 'agendaFile', 'senderName', 'emailSubject',
+    'emailTemplate', 'emailMessage', 'language',
+    'lookupEndpoint', 'updateEndpoint', 'rosterEndpoint', 'registerEndpoint', 'selfServiceEndpoint',
+    'source', 'sourceTable',
+    'walkIns', 'walkInCapacity', 'capacity', 'capacityMode',
+    'certificateSignatory', 'certificateSignatoryTitle', 'certificateText', 'letterText'
+];
+
+// Editable fields that are not plain strings
+const BOOLEAN_FIELDS = ['walkIns'];
+const COUNT_FIELDS = ['walkInCapacity', 'capacity'];
+
+// What check-in does at a full venue: waitlist the attendee, or let them in with a warning
+const CAPACITY_MODES = ['block', 'warn'];
+
+// Where attendees come from: the n8n webhooks (default), an imported roster, a sheet or a database
+const EVENT_SOURCES = REPOSITORY_SOURCES;
+
+// Fields staff browsers may see; webhook URLs stay on the server
+const PUBLIC_FIELDS = ['id', 'name', 'date', 'venue'];
+
+let cache = null;
+
+function load() {
+    if (!cache) cache = readJSON(EVENTS_FILE, null) || DEFAULT_EVENTS.map((event) => ({ ...event }));
+    return cache;
+}
+
+function save(events) {
+    cache = events;
+    writeJSON(EVENTS_FILE, events);
+}
+
+function slugify(value) {
+    return String(value || '').trim().toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Keep only known fields; agenda files must live in src/attachments
+function sanitize(input) {
+    const event = {};
+    EDITABLE_FIELDS.forEach((field) => {
+        if (input[field] === undefined) return;
+        const value = input[field] === null ? null : String(input[field]).trim();
+        if (BOOLEAN_FIELDS.includes(field)) {
+            event[field] = value === 'true';
+        } else if (COUNT_FIELDS.includes(field)) {
+            if (value && !/^\d+$/.test(value)) throw new Error(`${field} must be a whole number or null`);
+            event[field] = value ? Number(value) : null;
+        } else {
+            event[field] = value || null;
+        }
+    });
+    if (event.agendaFile) event.agendaFile = path.basename(event.agendaFile);
+    if (event.emailTemplate && !emailTemplates.listTemplates().includes(path.basename(event.emailTemplate))) {
+        throw new Error(`emailTemplate must be one of: ${emailTemplates.listTemplates().join(', ')}`);
+    }
+    if (event.emailTemplate) event.emailTemplate = path.basename(event.emailTemplate);
+    if (event.language && !emailTemplates.SUPPORTED_LANGUAGES.includes(event.language)) {
+        throw new Error(`language must be one of: ${emailTemplates.SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+    if (event.source && !EVENT_SOURCES.includes(event.source)) {
+        throw new Error(`source must be one of: ${EVENT_SOURCES.join(', ')}`);
+    }
+    if (event.capacityMode && !CAPACITY_MODES.includes(event.capacityMode)) {
+        throw new Error(`capacityMode must be one of: ${CAPACITY_MODES.join(', ')}`);
+    }
+    return event;
+}
+
+function listEvents() {
+    return load();
+}
+
+function toPublic(event) {
+    if (!event) return null;
+    const visible = {};
+    PUBLIC_FIELDS.forEach((field) => {
+        visible[field] = event[field] || null;
+    });
+    return visible;
+}
+
+function getEvent(id) {
+    return load().find((event) => event.id === id) || null;
+}
+
+// DEFAULT_EVENT_ID, else the first registered event
+function getDefaultEvent() {
+    return getEvent(process.env.DEFAULT_EVENT_ID) || load()[0] || null;
+}
+
+/**
+ * Resolve an event id from a request, falling back to the default event
+ * @param {string} [id] - Requested event id
+ * @returns {Object|null} Event, or null if an explicit id is unknown
+ */
+function resolveEvent(id) {
+    return id ? getEvent(String(id)) : getDefaultEvent();
+}
+
+function createEvent(input) {
+    const event = sanitize(input || {});
+    if (!event.name) throw new Error('name is required');
+
+    const id = slugify(input.id || event.name);
+    if (!id) throw new Error('id must contain letters or numbers');
+    if (getEvent(id)) throw new Error('An event with this id already exists');
+
+    const created = { id };
+    EDITABLE_FIELDS.forEach((field) => {
+        created[field] = event[field] === undefined ? null : event[field];
+    });
+    save([...load(), created]);
+    return created;
+}
+
+function updateEvent(id, input) {
+    const events = load();
+    const index = events.findIndex((event) => event.id === id);
+    if (index < 0) return null;
+
+    const updated = { ...events[index], ...sanitize(input || {}), id };
+    if (!updated.name) throw new Error('name is required');
+    save(events.map((event, i) => (i === index ? updated : event)));
+    return updated;
+}
+
+function deleteEvent(id) {
+    const events = load();
+    const remaining = events.filter((event) => event.id !== id);
+    if (remaining.length === events.length) return false;
+    save(remaining);
+    return true;
+}
+
+// Absolute path to the event's agenda PDF, or null if it has none
+function agendaPath(event) {
+    return event && event.agendaFile ? path.join(ATTACHMENTS_DIR, path.basename(event.agendaFile)) : null;
+}
+
+module.exports = {
+    EVENT_SOURCES,
+    CAPACITY_MODES,
+    listEvents,
+    toPublic,
+    getEvent,
+    getDefaultEvent,
+    resolveEvent,
+    createEvent,
+    updateEvent,
+    deleteEvent,
+    agendaPath
+};
@@ -0,0 +1,48 @@
+/**
+ * Display Formatting
+ *
+ * Shared by the confirmation email, the attendance reports and the audit log export.
+ */
+
+/**
+ * Format a date as yyyy-mm-dd hh:mm:ss (server local time)
+ * @param {Date|string|number} date - Date or anything Date() accepts
+ * @returns {string} Formatted date
+ */
+function formatDateTime(date) {
+    const d = new Date(date);
+    const pad = (n) => String(n).padStart(2, '0');
+    const yyyy = d.getFullYear();
+    const mm = pad(d.getMonth() + 1);
+    const dd = pad(d.getDate());
+    const hh = pad(d.getHours());
+    const mi = pad(d.getMinutes());
+    const ss = pad(d.getSeconds());
+    return `${yyyy}-${mm}-${dd} ${hh}:${mi}:${ss}`;
+}
+
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    // Quote when needed, and defuse values a spreadsheet would run as a formula
+    const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * Build a CSV file
+ * @param {Object[]} columns - [{ header, key }]
+ * @param {Object[]} rows - Objects keyed by column key
+ * @returns {Buffer} UTF-8 CSV with a BOM so Excel opens names correctly
+ */
+function buildCsv(columns, rows) {
+    const lines = [columns.map((column) => column.header).join(',')];
+    rows.forEach((row) => {
+        lines.push(columns.map((column) => csvValue(row[column.key])).join(','));
+    });
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+module.exports = {
+    formatDateTime,
+    buildCsv
+};
@@ -0,0 +1,52 @@
+/**
+ * JSON File Store
+ *
+ * Tiny persistence helper for server-side state (staff accounts and the like).
+ * Files live in DATA_DIR (default: ./data) and are written atomically via a temp file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function dataDir() {
+    return process.env.DATA_DIR || path.join(__dirname, '../../data');
+}
+
+function dataPath(file) {
+    return path.join(dataDir(), file);
+}
+
+/**
+ * Read a JSON file from the data directory
+ * @param {string} file - File name relative to DATA_DIR
+ * @param {*} fallback - Value returned when the file does not exist yet
+ * @returns {*} Parsed file contents
+ */
+function readJSON(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(dataPath(file), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+/**
+ * Write a JSON file to the data directory (atomic rename)
+ * @param {string} file - File name relative to DATA_DIR
+ * @param {*} data - JSON-serializable value
+ */
+function writeJSON(file, data) {
+    const target = dataPath(file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, target);
+}
+
+module.exports = {
+    dataDir,
+    dataPath,
+    readJSON,
+    writeJSON
+};
@@ -0,0 +1,174 @@
+/**
+ * Mailer
+ *
+ * Sends built emails ({ from, to, subject, html, attachments }) through one of
+ * several transports, picked by MAIL_TRANSPORT:
+ *
+ *   resend - Resend API (RESEND_KEY)
+ *   smtp   - any SMTP server via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ *   outbox - writes each email as .eml and .html files to MAIL_OUTBOX_DIR
+ *            (default: DATA_DIR/outbox) for local development, staging and CI
+ *
+ * Without MAIL_TRANSPORT the mailer uses Resend when RESEND_KEY is set, then SMTP
+ * when SMTP_HOST is set; otherwise email is reported as not configured.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./jsonStore');
+
+const TRANSPORT_NAMES = ['resend', 'smtp', 'outbox'];
+
+// Resend errors that will fail the same way on every retry
+const PERMANENT_RESEND_ERRORS = [
+    'validation_error', 'invalid_from_address', 'invalid_parameter', 'missing_required_field',
+    'missing_api_key', 'invalid_api_Key', 'invalid_access'
+];
+
+/**
+ * Error for a send that failed. `retryable` is false when retrying cannot help
+ * (missing configuration, rejected recipient).
+ */
+class EmailDeliveryError extends Error {
+    constructor(message, { retryable = true } = {}) {
+        super(message);
+        this.name = 'EmailDeliveryError';
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * Name of the configured transport
+ * @returns {string|null} 'resend', 'smtp', 'outbox' or null when email is not set up
+ */
+function transportName() {
+    const configured = String(process.env.MAIL_TRANSPORT || '').trim().toLowerCase();
+    if (configured) return TRANSPORT_NAMES.includes(configured) ? configured : null;
+    if (process.env.RESEND_KEY) return 'resend';
+    if (process.env.SMTP_HOST) return 'smtp';
+    return null;
+}
+
+function isConfigured() {
+    return transportName() !== null;
+}
+
+async function sendWithResend(message, { idempotencyKey }) {
+    if (!process.env.RESEND_KEY) {
+        throw new EmailDeliveryError('Resend transport needs RESEND_KEY', { retryable: false });
+    }
+
+    const { Resend } = require('resend');
+    const resend = new Resend(process.env.RESEND_KEY);
+
+    let result;
+    try {
+        result = await resend.emails.send(message, idempotencyKey ? { idempotencyKey } : undefined);
+    } catch (error) {
+        throw new EmailDeliveryError(`Resend request failed: ${error.message}`);
+    }
+
+    // resend v4 resolves with { data, error } instead of throwing
+    const { data, error } = result || {};
+    if (error) {
+        const retryable = !PERMANENT_RESEND_ERRORS.includes(error.name);
+        throw new EmailDeliveryError(`Resend error: ${error.message || error.name}`, { retryable });
+    }
+    if (!data || !data.id) {
+        throw new EmailDeliveryError('Resend returned no message id');
+    }
+    return data.id;
+}
+
+// One nodemailer transport per process so SMTP connections are pooled
+let smtpTransport = null;
+
+function getSmtpTransport() {
+    if (!smtpTransport) {
+        const nodemailer = require('nodemailer');
+        const port = Number(process.env.SMTP_PORT) || 587;
+        smtpTransport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+            pool: true
+        });
+    }
+    return smtpTransport;
+}
+
+async function sendWithSmtp(message, { idempotencyKey }) {
+    if (!process.env.SMTP_HOST) {
+        throw new EmailDeliveryError('SMTP transport needs SMTP_HOST', { retryable: false });
+    }
+
+    try {
+        const info = await getSmtpTransport().sendMail({
+            ...message,
+            headers: idempotencyKey ? { 'X-Idempotency-Key': idempotencyKey } : undefined
+        });
+        return info.messageId;
+    } catch (error) {
+        // 5xx replies (bad recipient, auth refused) will not succeed on retry; 4xx and network errors may
+        const permanent = error.responseCode >= 500 || error.code === 'EAUTH' || error.code === 'EENVELOPE';
+        throw new EmailDeliveryError(`SMTP error: ${error.message}`, { retryable: !permanent });
+    }
+}
+
+function outboxDir() {
+    return process.env.MAIL_OUTBOX_DIR || dataPath('outbox');
+}
+
+async function sendToOutbox(message) {
+    const nodemailer = require('nodemailer');
+    // Stream transport renders the full MIME message (attachments included) without sending it
+    const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    try {
+        const info = await renderer.sendMail(message);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const recipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+        const base = `${stamp}-${recipient}`;
+
+        fs.mkdirSync(outboxDir(), { recursive: true });
+        fs.writeFileSync(path.join(outboxDir(), `${base}.eml`), info.message);
+        fs.writeFileSync(path.join(outboxDir(), `${base}.html`), message.html || '');
+        return base;
+    } catch (error) {
+        throw new EmailDeliveryError(`Outbox write failed: ${error.message}`);
+    }
+}
+
+const TRANSPORTS = {
+    resend: sendWithResend,
+    smtp: sendWithSmtp,
+    outbox: sendToOutbox
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { from, to, subject, html, attachments: [{ filename, content }] }
+ * @param {Object} [options] - { idempotencyKey } so a retried attempt is not delivered twice
+ * @returns {Promise<string>} Transport message id
+ */
+async function sendEmail(message, { idempotencyKey } = {}) {
+    const name = transportName();
+    if (!name) {
+        throw new EmailDeliveryError(
+            process.env.MAIL_TRANSPORT
+                ? `Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}"; use ${TRANSPORT_NAMES.join(', ')}`
+                : 'Email service not configured (set MAIL_TRANSPORT, RESEND_KEY or SMTP_HOST)',
+            { retryable: false }
+        );
+    }
+    return TRANSPORTS[name](message, { idempotencyKey });
+}
+
+module.exports = {
+    TRANSPORT_NAMES,
+    EmailDeliveryError,
+    transportName,
+    isConfigured,
+    sendEmail
+};
@@ -0,0 +1,164 @@
+/**
+ * Outbound Webhook Subscriptions
+ *
+ * Other tools (the community CRM, Slack notifications, the certificate generator)
+ * subscribe to check-in activity with a URL and the event types they want. Each
+ * subscription has its own signing secret, shown once when it is created or rotated.
+ * Subscriptions are kept in DATA_DIR/webhooks.json; webhookDeliveries sends to them.
+ *
+ * `eventId` limits a subscription to one registry event; null means every event.
+ */
+
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonStore');
+
+const WEBHOOKS_FILE = 'webhooks.json';
+
+const WEBHOOK_EVENTS = [
+    'attendee.checked_in',
+    'attendee.check_in_undone',
+    'email.failed',
+    'walkin.registered'
+];
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+let cache = null;
+
+function load() {
+    if (!cache) cache = readJSON(WEBHOOKS_FILE, []);
+    return cache;
+}
+
+function save(webhooks) {
+    cache = webhooks;
+    writeJSON(WEBHOOKS_FILE, webhooks);
+}
+
+function newSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Never send secrets back after creation
+function toPublic(webhook) {
+    if (!webhook) return null;
+    const { secret, ...visible } = webhook;
+    return { ...visible, secretHint: `${secret.slice(0, 10)}...` };
+}
+
+// Keep only known fields, validated
+function sanitize(input) {
+    const webhook = {};
+    if (input.url !== undefined) {
+        let url;
+        try {
+            url = new URL(String(input.url).trim());
+        } catch (_) {
+            throw new Error('url must be a valid http(s) URL');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('url must be a valid http(s) URL');
+        webhook.url = url.toString();
+    }
+    if (input.events !== undefined) {
+        const events = Array.isArray(input.events) ? input.events.map(String) : [];
+        const unknown = events.filter((type) => !WEBHOOK_EVENTS.includes(type));
+        if (events.length === 0 || unknown.length) {
+            throw new Error(`events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+        webhook.events = [...new Set(events)];
+    }
+    if (input.eventId !== undefined) {
+        webhook.eventId = input.eventId ? String(input.eventId).trim() : null;
+    }
+    if (input.description !== undefined) {
+        webhook.description = input.description ? String(input.description).trim().slice(0, MAX_DESCRIPTION_LENGTH) : null;
+    }
+    if (input.enabled !== undefined) {
+        webhook.enabled = input.enabled === true || input.enabled === 'true';
+    }
+    return webhook;
+}
+
+function listWebhooks() {
+    return load();
+}
+
+function getWebhook(id) {
+    return load().find((webhook) => webhook.id === id) || null;
+}
+
+/**
+ * Enabled subscriptions for an event type
+ * @param {string} type - Webhook event type
+ * @param {string} [eventId] - Registry event the activity belongs to
+ * @returns {Object[]} Subscriptions
+ */
+function subscribersFor(type, eventId) {
+    return load().filter((webhook) => webhook.enabled
+        && webhook.events.includes(type)
+        && (!webhook.eventId || !eventId || webhook.eventId === eventId));
+}
+
+/**
+ * Add a subscription
+ * @param {Object} input - { url, events, eventId, description }
+ * @returns {Object} The full subscription, secret included
+ */
+function createWebhook(input) {
+    const fields = sanitize(input || {});
+    if (!fields.url) throw new Error('url is required');
+    if (!fields.events) throw new Error(`events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`);
+
+    const now = new Date().toISOString();
+    const webhook = {
+        id: crypto.randomUUID(),
+        url: fields.url,
+        events: fields.events,
+        eventId: fields.eventId || null,
+        description: fields.description || null,
+        enabled: fields.enabled !== false,
+        secret: newSecret(),
+        createdAt: now,
+        updatedAt: now
+    };
+    save([...load(), webhook]);
+    return webhook;
+}
+
+function replace(id, changes) {
+    const webhook = getWebhook(id);
+    if (!webhook) return null;
+
+    const updated = { ...webhook, ...changes, id, updatedAt: new Date().toISOString() };
+    save(load().map((entry) => (entry.id === id ? updated : entry)));
+    return updated;
+}
+
+function updateWebhook(id, input) {
+    return replace(id, sanitize(input || {}));
+}
+
+// Deliveries are signed with the new secret from now on, retries included
+function rotateSecret(id) {
+    return replace(id, { secret: newSecret() });
+}
+
+function deleteWebhook(id) {
+    const webhooks = load();
+    const remaining = webhooks.filter((webhook) => webhook.id !== id);
+    if (remaining.length === webhooks.length) return false;
+    save(remaining);
+    return true;
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    toPublic,
+    listWebhooks,
+    getWebhook,
+    subscribersFor,
+    createWebhook,
+    updateWebhook,
+    rotateSecret,
+    deleteWebhook
+};
@@ -0,0 +1,51 @@
+/**
+ * Attendee Portal Sign-In Email
+ *
+ * Builds the email carrying an attendee's one-time portal link. The email queue calls
+ * this at delivery, signing the link from the job's link id and expiry so the token
+ * itself is never written to disk.
+ */
+
+const portalLinks = require('./portalLinks');
+const emailTemplates = require('./emailTemplates');
+const checkinEmail = require('./checkinEmail');
+const { EmailDeliveryError } = require('./mailer');
+
+/**
+ * Build the sign-in link email
+ * @param {Object} event - Registry event
+ * @param {Object} job - { toEmail, fullName, linkId, linkExpiresAt }
+ * @returns {Object} { from, to, subject, html, attachments }
+ */
+function buildPortalLinkEmail(event, { toEmail, fullName, linkId, linkExpiresAt }) {
+    const remainingMs = new Date(linkExpiresAt).getTime() - Date.now();
+    if (!(remainingMs > 0)) {
+        throw new EmailDeliveryError('Sign-in link expired before it could be sent', { retryable: false });
+    }
+
+    if (!portalLinks.isConfigured()) {
+        throw new EmailDeliveryError('JWT_SECRET is not set, so sign-in links cannot be signed', { retryable: false });
+    }
+
+    const linkUrl = portalLinks.linkUrl(portalLinks.signLink(toEmail, event.id, { id: linkId, expiresAt: linkExpiresAt }));
+    if (!linkUrl) {
+        throw new EmailDeliveryError('PUBLIC_URL is not set, so sign-in links cannot be built', { retryable: false });
+    }
+
+    const { subject, html } = emailTemplates.renderPortalLinkEmail(event, {
+        fullName,
+        linkUrl,
+        expiresInMinutes: Math.ceil(remainingMs / 60000)
+    });
+    return {
+        from: checkinEmail.senderAddress(event),
+        to: toEmail,
+        subject,
+        html,
+        attachments: []
+    };
+}
+
+module.exports = {
+    buildPortalLinkEmail
+};
@@ -0,0 +1,107 @@
+/**
+ * Attendee Portal Sign-In Links
+ *
+ * Attendees sign in to the self-service portal (/me) with a link emailed to them: a
+ * signed token naming their email and event, valid for LINK_TTL_MINUTES and good for
+ * one sign-in. Used link ids are remembered in DATA_DIR/portal-links.json until they
+ * expire, so a forwarded or leaked link cannot be opened twice.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { readJSON, writeJSON } = require('./jsonStore');
+
+const USED_LINKS_FILE = 'portal-links.json';
+const LINK_ISSUER = 'event-checkin-portal-link';
+const LINK_TTL_MINUTES = 30;
+
+class InvalidLinkError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidLinkError';
+    }
+}
+
+function isConfigured() {
+    return Boolean(process.env.JWT_SECRET);
+}
+
+// Like tickets, links must not be accepted as webhook or session tokens. Without
+// JWT_SECRET there is no key, so links can be neither signed nor opened.
+function linkSecret() {
+    if (!isConfigured()) {
+        throw new Error('JWT_SECRET must be set to sign portal links');
+    }
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('attendee-portal').digest('hex');
+}
+
+/**
+ * Start a new link (the queue stores this, never the signed token)
+ * @returns {Object} { id, expiresAt }
+ */
+function createLink() {
+    return {
+        id: crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + LINK_TTL_MINUTES * 60 * 1000).toISOString()
+    };
+}
+
+/**
+ * Sign a link token
+ * @param {string} email - Attendee email
+ * @param {string} eventId - Registry event id
+ * @param {Object} link - { id, expiresAt } from createLink()
+ * @returns {string} Link token
+ */
+function signLink(email, eventId, { id, expiresAt }) {
+    const payload = {
+        sub: String(email).trim().toLowerCase(),
+        evt: eventId,
+        exp: Math.floor(new Date(expiresAt).getTime() / 1000)
+    };
+    return jwt.sign(payload, linkSecret(), { algorithm: 'HS256', issuer: LINK_ISSUER, jwtid: id });
+}
+
+// Absolute sign-in URL for a token; emails must not trust the request's Host header
+function linkUrl(token) {
+    if (!process.env.PUBLIC_URL) return null;
+    return `${process.env.PUBLIC_URL.replace(/\/+$/, '')}/me/login/${encodeURIComponent(token)}`;
+}
+
+/**
+ * Verify a link token and mark it used
+ * @param {string} token - Token from the sign-in URL
+ * @returns {Object} { email, eventId }
+ */
+function consumeLink(token) {
+    let payload;
+    try {
+        payload = jwt.verify(String(token || '').trim(), linkSecret(), {
+            algorithms: ['HS256'],
+            issuer: LINK_ISSUER
+        });
+    } catch (error) {
+        throw new InvalidLinkError(`Invalid sign-in link: ${error.message}`);
+    }
+
+    const now = new Date().toISOString();
+    const used = readJSON(USED_LINKS_FILE, {});
+    if (used[payload.jti]) throw new InvalidLinkError('Sign-in link already used');
+
+    // Forget links that have expired anyway
+    const kept = Object.fromEntries(Object.entries(used).filter(([, expiresAt]) => expiresAt > now));
+    kept[payload.jti] = new Date(payload.exp * 1000).toISOString();
+    writeJSON(USED_LINKS_FILE, kept);
+
+    return { email: payload.sub, eventId: payload.evt };
+}
+
+module.exports = {
+    LINK_TTL_MINUTES,
+    InvalidLinkError,
+    isConfigured,
+    createLink,
+    signLink,
+    linkUrl,
+    consumeLink
+};
@@ -0,0 +1,55 @@
+/**
+ * Recent Check-Ins
+ *
+ * Remembers who was checked in through this server in the last few minutes, so the
+ * confirmation email route only mails attendees who actually just arrived instead of
+ * any address posted to it. Fed by the activity bus; kept in memory only.
+ *
+ *   EMAIL_RECIPIENT_WINDOW_MINUTES - how long after a check-in its email may be
+ *                                    requested (default 30)
+ */
+
+const activity = require('./activity');
+
+const DEFAULT_WINDOW_MINUTES = 30;
+
+// `${eventId}:${email}` -> time of the check-in (ms)
+const recent = new Map();
+
+const key = (eventId, email) => `${eventId}:${String(email).trim().toLowerCase()}`;
+
+function windowMs() {
+    const minutes = Number(process.env.EMAIL_RECIPIENT_WINDOW_MINUTES);
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_WINDOW_MINUTES) * 60 * 1000;
+}
+
+function prune(now) {
+    recent.forEach((at, entry) => {
+        if (now - at > windowMs()) recent.delete(entry);
+    });
+}
+
+activity.on('checkin', ({ eventId, email }) => {
+    const now = Date.now();
+    prune(now);
+    recent.set(key(eventId, email), now);
+});
+
+activity.on('checkin-undone', ({ eventId, email }) => {
+    recent.delete(key(eventId, email));
+});
+
+/**
+ * Whether an attendee was checked in to the event within the recipient window
+ * @param {string} eventId - Registry event id
+ * @param {string} email - Attendee email
+ * @returns {boolean}
+ */
+function wasJustCheckedIn(eventId, email) {
+    const at = recent.get(key(eventId, email));
+    return at !== undefined && Date.now() - at <= windowMs();
+}
+
+module.exports = {
+    wasJustCheckedIn
+};
@@ -0,0 +1,96 @@
+/**
+ * In-Memory Attendee Repository
+ *
+ * Attendees held in this process only, for tests and demos: seed() fills an event,
+ * clear() empties everything. Nothing survives a restart.
+ */
+
+const { ATTENDEE_FIELDS, toAttendee, lookupResult } = require('../attendeeRepository');
+
+const CANONICAL_FIELDS = Object.fromEntries(ATTENDEE_FIELDS.map((field) => [field, [field]]));
+
+// eventId -> Map(email -> attendee)
+const events = new Map();
+
+const key = (email) => String(email).trim().toLowerCase();
+
+function attendeesFor(eventId) {
+    if (!events.has(eventId)) events.set(eventId, new Map());
+    return events.get(eventId);
+}
+
+/**
+ * Add or replace attendees for an event
+ * @param {string} eventId - Registry event id
+ * @param {Array} attendees - Canonical attendees
+ */
+function seed(eventId, attendees) {
+    const current = attendeesFor(eventId);
+    attendees.forEach((attendee) => {
+        const record = toAttendee(attendee, CANONICAL_FIELDS);
+        current.set(key(record.email), { ...record, email: key(record.email) });
+    });
+}
+
+function clear() {
+    events.clear();
+}
+
+async function lookup(email, event) {
+    const attendee = attendeesFor(event.id).get(key(email)) || null;
+    return lookupResult(attendee && { ...attendee }, 'Attendee not found');
+}
+
+async function setCheckInTime(email, checkInTime, event) {
+    const current = attendeesFor(event.id);
+    const attendee = current.get(key(email));
+    if (!attendee) return { success: false, attendee: null };
+
+    const updated = { ...attendee, checkInTime: checkInTime || null };
+    current.set(key(email), updated);
+    return { success: true, attendee: updated };
+}
+
+function canRegister() {
+    return true;
+}
+
+async function register(attendee, event) {
+    seed(event.id, [attendee]);
+    return { success: true, attendee };
+}
+
+async function list(event) {
+    return Array.from(attendeesFor(event.id).values(), (attendee) => ({ ...attendee }));
+}
+
+function canSelfServe() {
+    return true;
+}
+
+async function updateDetails(email, changes, event) {
+    const current = attendeesFor(event.id);
+    const attendee = current.get(key(email));
+    if (!attendee) return { success: false, attendee: null };
+
+    const updated = { ...attendee, ...changes, email: key(email) };
+    current.set(key(email), updated);
+    return { success: true, attendee: { ...updated } };
+}
+
+async function cancel(email, event) {
+    return { success: attendeesFor(event.id).delete(key(email)) };
+}
+
+module.exports = {
+    seed,
+    clear,
+    lookup,
+    setCheckInTime,
+    canRegister,
+    register,
+    list,
+    canSelfServe,
+    updateDetails,
+    cancel
+};
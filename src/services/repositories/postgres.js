@@ -0,0 +1,38 @@
+/**
+ * Postgres Attendee Repository
+ *
+ * Attendees in a Postgres table (POSTGRES_TABLE, default attendees, or the event's
+ * `sourceTable`) in the database at DATABASE_URL. Column names follow POSTGRES_FIELDS;
+ * see sql.js.
+ */
+
+const { RepositoryError } = require('../attendeeRepository');
+const { createSqlRepository } = require('./sql');
+
+let connection = null;
+
+function driver() {
+    if (connection) return connection;
+    if (!process.env.DATABASE_URL) {
+        throw new RepositoryError('The postgres source needs DATABASE_URL');
+    }
+
+    const { Pool } = require('pg');
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+    // An idle client losing its connection must not take the server down
+    pool.on('error', (error) => console.error('Postgres pool error:', error.message));
+
+    connection = {
+        placeholder: (index) => `$${index}`,
+        all: async (sql, params) => (await pool.query(sql, params)).rows,
+        run: async (sql, params) => (await pool.query(sql, params)).rowCount
+    };
+    return connection;
+}
+
+module.exports = createSqlRepository({
+    label: 'Postgres',
+    fieldsEnv: 'POSTGRES_FIELDS',
+    tableName: (event) => event.sourceTable || process.env.POSTGRES_TABLE || 'attendees',
+    driver
+});
@@ -0,0 +1,58 @@
+/**
+ * Imported Roster Attendee Repository
+ *
+ * The CSV/XLSX roster imported into this server (see rosterStore and rosterImport).
+ * The import maps columns itself, so records are already in the canonical schema.
+ */
+
+const rosterStore = require('../rosterStore');
+const { ATTENDEE_FIELDS, toAttendee, lookupResult } = require('../attendeeRepository');
+
+const CANONICAL_FIELDS = Object.fromEntries(ATTENDEE_FIELDS.map((field) => [field, [field]]));
+
+async function lookup(email, event) {
+    const attendee = toAttendee(rosterStore.findAttendee(event.id, email), CANONICAL_FIELDS);
+    return lookupResult(attendee, 'Attendee not found on the imported roster');
+}
+
+async function setCheckInTime(email, checkInTime, event) {
+    const attendee = rosterStore.setCheckInTime(event.id, email, checkInTime || null);
+    return { success: Boolean(attendee), attendee };
+}
+
+function canRegister() {
+    return true;
+}
+
+async function register(attendee, event) {
+    rosterStore.upsertAttendees(event.id, [attendee]);
+    return { success: true, attendee };
+}
+
+async function list(event) {
+    return rosterStore.listRoster(event.id);
+}
+
+function canSelfServe() {
+    return true;
+}
+
+async function updateDetails(email, changes, event) {
+    const attendee = rosterStore.updateAttendee(event.id, email, changes);
+    return { success: Boolean(attendee), attendee: toAttendee(attendee, CANONICAL_FIELDS) };
+}
+
+async function cancel(email, event) {
+    return { success: rosterStore.removeAttendee(event.id, email) };
+}
+
+module.exports = {
+    lookup,
+    setCheckInTime,
+    canRegister,
+    register,
+    list,
+    canSelfServe,
+    updateDetails,
+    cancel
+};
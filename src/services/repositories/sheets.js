@@ -0,0 +1,256 @@
+/**
+ * Google Sheets Attendee Repository
+ *
+ * Reads and writes a registration sheet directly through the Sheets API, signing in
+ * as a service account (GOOGLE_SERVICE_ACCOUNT_FILE pointing at its JSON key, or the
+ * key itself in GOOGLE_SERVICE_ACCOUNT_JSON). Share the sheet with the account's email.
+ *
+ * The spreadsheet is SHEETS_SPREADSHEET_ID; the tab is the event's `sourceTable`, else
+ * SHEETS_SHEET, else Sheet1. Row 1 holds the headers, matched against SHEETS_FIELDS
+ * (defaults to the DEC sheet's Name, Email, ..., CheckIn Time).
+ */
+
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const {
+    ATTENDEE_FIELDS,
+    RepositoryError,
+    fieldMap,
+    toAttendee,
+    lookupResult
+} = require('../attendeeRepository');
+
+const SHEETS_API = 'https://sheets.googleapis.com/v4/spreadsheets';
+const TOKEN_URI = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+const DEFAULT_FIELDS = {
+    fullName: ['Name', 'Full Name'],
+    email: ['Email', 'Email Address'],
+    phone: ['PhoneNumber', 'Phone'],
+    profession: ['Profession'],
+    experienceLevel: ['ExperienceLevel', 'Experience Level'],
+    gender: ['Gender'],
+    registrationDate: ['Registration Date', 'Timestamp'],
+    checkInTime: ['CheckIn Time', 'Check-In Time']
+};
+
+// { value, expiresAt }
+let accessToken = null;
+
+const fields = () => fieldMap(DEFAULT_FIELDS, 'SHEETS_FIELDS');
+
+function serviceAccount() {
+    let key = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
+    try {
+        if (!key && process.env.GOOGLE_SERVICE_ACCOUNT_FILE) {
+            key = fs.readFileSync(process.env.GOOGLE_SERVICE_ACCOUNT_FILE, 'utf8');
+        }
+        if (key) return JSON.parse(key);
+    } catch (error) {
+        throw new RepositoryError(`Could not read the Google service account key: ${error.message}`);
+    }
+    throw new RepositoryError('The sheets source needs GOOGLE_SERVICE_ACCOUNT_FILE or GOOGLE_SERVICE_ACCOUNT_JSON');
+}
+
+// OAuth access token for the service account, reused until shortly before it expires
+async function getAccessToken() {
+    if (accessToken && accessToken.expiresAt > Date.now() + 60 * 1000) return accessToken.value;
+
+    const account = serviceAccount();
+    const tokenUri = account.token_uri || TOKEN_URI;
+    const assertion = jwt.sign({ scope: SCOPE }, account.private_key, {
+        algorithm: 'RS256',
+        issuer: account.client_email,
+        audience: tokenUri,
+        expiresIn: 60 * 60
+    });
+
+    let response;
+    try {
+        response = await fetch(tokenUri, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion })
+        });
+    } catch (error) {
+        throw new RepositoryError(`Google sign-in unreachable: ${error.message}`);
+    }
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.access_token) {
+        throw new RepositoryError(`Google sign-in failed: ${result.error_description || result.error || response.status}`, response.status);
+    }
+
+    accessToken = { value: result.access_token, expiresAt: Date.now() + (result.expires_in || 3600) * 1000 };
+    return accessToken.value;
+}
+
+// path follows the spreadsheet id, e.g. '/values/...' or ':batchUpdate'
+async function callSheets(method, path, body) {
+    const spreadsheetId = process.env.SHEETS_SPREADSHEET_ID;
+    if (!spreadsheetId) throw new RepositoryError('The sheets source needs SHEETS_SPREADSHEET_ID');
+
+    let response;
+    try {
+        response = await fetch(`${SHEETS_API}/${encodeURIComponent(spreadsheetId)}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${await getAccessToken()}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+    } catch (error) {
+        throw new RepositoryError(`Google Sheets unreachable: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new RepositoryError(`Google Sheets responded with status ${response.status}`, response.status);
+    }
+    return response.json();
+}
+
+const sheetName = (event) => event.sourceTable || process.env.SHEETS_SHEET || 'Sheet1';
+
+// A1 notation for a tab, optionally narrowed to some cells, and the same escaped for a URL
+const a1 = (event, cells) => `'${sheetName(event).replace(/'/g, "''")}'${cells ? `!${cells}` : ''}`;
+const range = (event, cells) => encodeURIComponent(a1(event, cells));
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/**
+ * Read the event's tab
+ * @returns {Promise<Object>} { headers, rows: [{ rowNumber, attendee }] }
+ */
+async function readSheet(event) {
+    const result = await callSheets('GET', `/values/${range(event)}`);
+    const [headerRow = [], ...values] = result.values || [];
+    const headers = headerRow.map((header) => String(header).trim());
+    const map = fields();
+
+    const rows = values.map((cells, index) => {
+        const record = {};
+        headers.forEach((header, column) => {
+            record[header] = cells[column] === undefined ? null : cells[column];
+        });
+        return { rowNumber: index + 2, attendee: toAttendee(record, map) };
+    }).filter((row) => row.attendee.email);
+    return { headers, rows };
+}
+
+// The header a field is read from and written to in this sheet
+function headerFor(headers, field) {
+    return (fields()[field] || []).find((name) => headers.includes(name)) || null;
+}
+
+async function findRow(email, event) {
+    const sheet = await readSheet(event);
+    const key = String(email).trim().toLowerCase();
+    const row = sheet.rows.find((entry) => String(entry.attendee.email).trim().toLowerCase() === key) || null;
+    return { ...sheet, row };
+}
+
+async function lookup(email, event) {
+    const { row } = await findRow(email, event);
+    return lookupResult(row && row.attendee, 'Attendee not found in the registration sheet');
+}
+
+async function setCheckInTime(email, checkInTime, event) {
+    const { headers, row } = await findRow(email, event);
+    if (!row) return { success: false, attendee: null };
+
+    const header = headerFor(headers, 'checkInTime');
+    if (!header) throw new RepositoryError('The registration sheet has no check-in time column');
+
+    const cell = `${columnLetter(headers.indexOf(header))}${row.rowNumber}`;
+    await callSheets('PUT', `/values/${range(event, cell)}?valueInputOption=RAW`, {
+        values: [[checkInTime || '']]
+    });
+    return { success: true, attendee: { ...row.attendee, checkInTime: checkInTime || null } };
+}
+
+function canRegister() {
+    return true;
+}
+
+async function register(attendee, event) {
+    const { headers } = await readSheet(event);
+    if (headers.length === 0) throw new RepositoryError('The registration sheet has no header row');
+
+    const cells = headers.map(() => '');
+    ATTENDEE_FIELDS.forEach((field) => {
+        const header = headerFor(headers, field);
+        if (header && attendee[field] !== undefined && attendee[field] !== null) {
+            cells[headers.indexOf(header)] = String(attendee[field]);
+        }
+    });
+    await callSheets('POST', `/values/${range(event)}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`, {
+        values: [cells]
+    });
+    return { success: true, attendee };
+}
+
+async function list(event) {
+    const { rows } = await readSheet(event);
+    return rows.map((row) => row.attendee);
+}
+
+function canSelfServe() {
+    return true;
+}
+
+async function updateDetails(email, changes, event) {
+    const { headers, row } = await findRow(email, event);
+    if (!row) return { success: false, attendee: null };
+
+    const data = Object.keys(changes)
+        .map((field) => ({ field, header: headerFor(headers, field) }))
+        .filter(({ header }) => header)
+        .map(({ field, header }) => ({
+            range: a1(event, `${columnLetter(headers.indexOf(header))}${row.rowNumber}`),
+            values: [[changes[field] === null ? '' : String(changes[field])]]
+        }));
+    if (data.length) {
+        await callSheets('POST', '/values:batchUpdate', { valueInputOption: 'RAW', data });
+    }
+    return { success: true, attendee: { ...row.attendee, ...changes } };
+}
+
+// Deleting a row needs the tab's numeric id rather than its name
+async function sheetId(event) {
+    const result = await callSheets('GET', '?fields=sheets.properties(sheetId,title)');
+    const sheet = (result.sheets || []).find((entry) => entry.properties.title === sheetName(event));
+    if (!sheet) throw new RepositoryError(`The spreadsheet has no tab named ${sheetName(event)}`);
+    return sheet.properties.sheetId;
+}
+
+async function cancel(email, event) {
+    const { row } = await findRow(email, event);
+    if (!row) return { success: false };
+
+    await callSheets('POST', ':batchUpdate', {
+        requests: [{
+            deleteDimension: {
+                range: { sheetId: await sheetId(event), dimension: 'ROWS', startIndex: row.rowNumber - 1, endIndex: row.rowNumber }
+            }
+        }]
+    });
+    return { success: true };
+}
+
+module.exports = {
+    lookup,
+    setCheckInTime,
+    canRegister,
+    register,
+    list,
+    canSelfServe,
+    updateDetails,
+    cancel
+};
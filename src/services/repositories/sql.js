@@ -0,0 +1,179 @@
+/**
+ * SQL Attendee Repository
+ *
+ * Shared by the SQLite and Postgres adapters: one table holds every event's attendees,
+ * told apart by an event id column. Column names come from the adapter's field map,
+ * which also maps `eventId` (set it to null for a table that only holds one event).
+ * The table is created on first use when it does not exist.
+ *
+ * Drivers provide { placeholder(index), all(sql, params), run(sql, params) }, where
+ * run() resolves to the number of changed rows.
+ */
+
+const {
+    RepositoryError,
+    fieldMap,
+    sourceName,
+    toAttendee,
+    fromAttendee,
+    lookupResult
+} = require('../attendeeRepository');
+
+const DEFAULT_FIELDS = {
+    eventId: 'event_id',
+    fullName: 'full_name',
+    email: 'email',
+    phone: 'phone',
+    profession: 'profession',
+    experienceLevel: 'experience_level',
+    gender: 'gender',
+    registrationDate: 'registration_date',
+    checkInTime: 'check_in_time'
+};
+
+const quote = (identifier) => `"${String(identifier).replace(/"/g, '""')}"`;
+
+/**
+ * Build a repository on top of a SQL driver
+ * @param {Object} options
+ * @param {string} options.label - Name used in error messages, e.g. 'Postgres'
+ * @param {string} options.fieldsEnv - Environment variable with the field map override
+ * @param {Function} options.tableName - (event) => table for the event
+ * @param {Function} options.driver - () => driver, opened on first use
+ * @returns {Object} Adapter
+ */
+function createSqlRepository({ label, fieldsEnv, tableName, driver }) {
+    // Tables already checked or created
+    const ready = new Set();
+
+    async function withTable(event, work) {
+        const map = fieldMap(DEFAULT_FIELDS, fieldsEnv);
+        const table = tableName(event);
+        try {
+            const db = driver();
+            if (!ready.has(table)) {
+                const columns = Object.keys(map).map((field) => sourceName(map, field)).filter(Boolean);
+                const unique = [sourceName(map, 'eventId'), sourceName(map, 'email')].filter(Boolean);
+                await db.run(`CREATE TABLE IF NOT EXISTS ${quote(table)} (${[
+                    ...columns.map((column) => `${quote(column)} TEXT`),
+                    `UNIQUE (${unique.map(quote).join(', ')})`
+                ].join(', ')})`, []);
+                ready.add(table);
+            }
+            return await work(db, map, quote(table));
+        } catch (error) {
+            if (error instanceof RepositoryError) throw error;
+            throw new RepositoryError(`${label} query failed: ${error.message}`);
+        }
+    }
+
+    // WHERE clause for one attendee (or the whole event when email is omitted)
+    function match(db, map, event, email, offset = 0) {
+        const conditions = [];
+        const params = [];
+        const eventColumn = sourceName(map, 'eventId');
+        if (eventColumn) {
+            params.push(event.id);
+            conditions.push(`${quote(eventColumn)} = ${db.placeholder(offset + params.length)}`);
+        }
+        if (email !== undefined) {
+            params.push(String(email).trim().toLowerCase());
+            conditions.push(`lower(${quote(sourceName(map, 'email'))}) = ${db.placeholder(offset + params.length)}`);
+        }
+        return { where: conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '', params };
+    }
+
+    async function find(email, event) {
+        return withTable(event, async (db, map, table) => {
+            const { where, params } = match(db, map, event, email);
+            const rows = await db.all(`SELECT * FROM ${table}${where} LIMIT 1`, params);
+            return toAttendee(rows[0], map);
+        });
+    }
+
+    async function lookup(email, event) {
+        return lookupResult(await find(email, event), `Attendee not found in the ${label} database`);
+    }
+
+    async function setCheckInTime(email, checkInTime, event) {
+        const changed = await withTable(event, (db, map, table) => {
+            const { where, params } = match(db, map, event, email, 1);
+            return db.run(
+                `UPDATE ${table} SET ${quote(sourceName(map, 'checkInTime'))} = ${db.placeholder(1)}${where}`,
+                [checkInTime || null, ...params]
+            );
+        });
+        return { success: changed > 0, attendee: changed > 0 ? await find(email, event) : null };
+    }
+
+    function canRegister() {
+        return true;
+    }
+
+    async function register(attendee, event) {
+        await withTable(event, (db, map, table) => {
+            const record = fromAttendee({ ...attendee, email: String(attendee.email).trim().toLowerCase() }, map);
+            const eventColumn = sourceName(map, 'eventId');
+            if (eventColumn) record[eventColumn] = event.id;
+
+            const columns = Object.keys(record);
+            const values = columns.map((column, index) => db.placeholder(index + 1));
+            return db.run(
+                `INSERT INTO ${table} (${columns.map(quote).join(', ')}) VALUES (${values.join(', ')})`,
+                columns.map((column) => record[column])
+            );
+        });
+        return { success: true, attendee };
+    }
+
+    function canSelfServe() {
+        return true;
+    }
+
+    async function updateDetails(email, changes, event) {
+        const changed = await withTable(event, (db, map, table) => {
+            const record = fromAttendee(changes, map);
+            const columns = Object.keys(record);
+            if (columns.length === 0) return 1;
+
+            const { where, params } = match(db, map, event, email, columns.length);
+            const assignments = columns.map((column, index) => `${quote(column)} = ${db.placeholder(index + 1)}`);
+            return db.run(
+                `UPDATE ${table} SET ${assignments.join(', ')}${where}`,
+                [...columns.map((column) => record[column]), ...params]
+            );
+        });
+        return { success: changed > 0, attendee: changed > 0 ? await find(email, event) : null };
+    }
+
+    async function cancel(email, event) {
+        const changed = await withTable(event, (db, map, table) => {
+            const { where, params } = match(db, map, event, email);
+            return db.run(`DELETE FROM ${table}${where}`, params);
+        });
+        return { success: changed > 0 };
+    }
+
+    async function list(event) {
+        return withTable(event, async (db, map, table) => {
+            const { where, params } = match(db, map, event);
+            const rows = await db.all(`SELECT * FROM ${table}${where}`, params);
+            return rows.map((row) => toAttendee(row, map)).filter((attendee) => attendee.email);
+        });
+    }
+
+    return {
+        lookup,
+        setCheckInTime,
+        canRegister,
+        register,
+        list,
+        canSelfServe,
+        updateDetails,
+        cancel
+    };
+}
+
+module.exports = {
+    createSqlRepository
+};
@@ -0,0 +1,45 @@
+/**
+ * SQLite Attendee Repository
+ *
+ * Attendees in a SQLite file (SQLITE_FILE, default DATA_DIR/attendees.sqlite), table
+ * SQLITE_TABLE (default attendees) or the event's `sourceTable`. Column names follow
+ * SQLITE_FIELDS; see sql.js. Needs the optional better-sqlite3 package.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../jsonStore');
+const { RepositoryError } = require('../attendeeRepository');
+const { createSqlRepository } = require('./sql');
+
+let connection = null;
+
+function driver() {
+    if (connection) return connection;
+
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (_) {
+        throw new RepositoryError('The sqlite source needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    const file = process.env.SQLITE_FILE || dataPath('attendees.sqlite');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+
+    connection = {
+        placeholder: () => '?',
+        all: async (sql, params) => db.prepare(sql).all(...params),
+        run: async (sql, params) => db.prepare(sql).run(...params).changes
+    };
+    return connection;
+}
+
+module.exports = createSqlRepository({
+    label: 'SQLite',
+    fieldsEnv: 'SQLITE_FIELDS',
+    tableName: (event) => event.sourceTable || process.env.SQLITE_TABLE || 'attendees',
+    driver
+});
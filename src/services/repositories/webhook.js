@@ -0,0 +1,198 @@
+/**
+ * Webhook Attendee Repository
+ *
+ * The n8n lookup/update/register/roster webhooks. The event's own endpoints win, then
+ * the environment, then the defaults. `EventId` is sent along so a single n8n
+ * workflow can serve several events. Attendee self-service (editing details and
+ * cancelling) needs a further webhook, SELF_SERVICE_ENDPOINT, which receives
+ * `Action: 'update'` with the changed fields or `Action: 'cancel'`.
+ *
+ * The sheet behind n8n has used both `fullName`/`Name` and `checkInTime`/`CheckIn Time`;
+ * every variant is read, and writes use the first name of each field (WEBHOOK_FIELDS
+ * overrides the map).
+ */
+
+const jwt = require('jsonwebtoken');
+const {
+    LOOKUP_STATUSES,
+    RepositoryError,
+    fieldMap,
+    sourceName,
+    toAttendee,
+    fromAttendee
+} = require('../attendeeRepository');
+
+const DEFAULT_LOOKUP_ENDPOINT = 'https://automation.decjobboard.online/webhook/lookup-checkin';
+const DEFAULT_UPDATE_ENDPOINT = 'https://automation.decjobboard.online/webhook/update-checkin';
+
+const DEFAULT_FIELDS = {
+    fullName: ['Name', 'fullName', 'name'],
+    email: ['Email', 'email'],
+    phone: ['PhoneNumber', 'phone', 'Phone'],
+    profession: ['Profession', 'profession'],
+    experienceLevel: ['ExperienceLevel', 'experienceLevel'],
+    gender: ['Gender', 'gender'],
+    registrationDate: ['Registration Date', 'registrationDate', 'RegistrationDate'],
+    checkInTime: ['CheckIn Time', 'checkInTime', 'CheckInTime']
+};
+
+/**
+ * Error raised when a webhook call fails or returns something we cannot use.
+ */
+class WebhookError extends RepositoryError {
+    constructor(message, status) {
+        super(message, status);
+        this.name = 'WebhookError';
+    }
+}
+
+const fields = () => fieldMap(DEFAULT_FIELDS, 'WEBHOOK_FIELDS');
+
+// Sign a short-lived token for calling the webhooks (1 hour expiration)
+function signWebhookToken() {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        sub: 'checkin-app',
+        iat: now,
+        exp: now + (60 * 60),
+        iss: 'event-checkin'
+    };
+    return jwt.sign(payload, process.env.JWT_SECRET, { algorithm: 'HS256' });
+}
+
+async function postToWebhook(url, body) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${signWebhookToken()}`
+            },
+            body: JSON.stringify(body)
+        });
+    } catch (error) {
+        throw new WebhookError(`Webhook unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+        throw new WebhookError(`Webhook responded with status ${response.status}`, response.status);
+    }
+
+    const text = await response.text();
+    if (!text) return {};
+    try {
+        return JSON.parse(text);
+    } catch (_) {
+        throw new WebhookError('Webhook returned invalid JSON');
+    }
+}
+
+/**
+ * Normalize a lookup webhook response into { status, message, attendee }.
+ * n8n sometimes wraps the item in an array, so unwrap that first.
+ * @param {Object|Array} result - Raw webhook response
+ * @returns {Object} Normalized lookup result
+ */
+function normalizeLookupResponse(result) {
+    const body = Array.isArray(result) ? result[0] || {} : result || {};
+    const status = String(body.status || '').trim().toUpperCase();
+
+    if (!LOOKUP_STATUSES.includes(status)) {
+        throw new WebhookError(`Unexpected lookup status: ${body.status || 'none'}`);
+    }
+
+    return {
+        status,
+        message: body.message || null,
+        attendee: toAttendee(body.attendee, fields())
+    };
+}
+
+const updateEndpoint = (event) => event.updateEndpoint || process.env.UPDATE_ENDPOINT || DEFAULT_UPDATE_ENDPOINT;
+
+function registerEndpoint(event) {
+    return event.registerEndpoint || process.env.REGISTER_ENDPOINT || null;
+}
+
+function selfServiceEndpoint(event) {
+    return event.selfServiceEndpoint || process.env.SELF_SERVICE_ENDPOINT || null;
+}
+
+async function lookup(email, event) {
+    const endpoint = event.lookupEndpoint || process.env.LOOKUP_ENDPOINT || DEFAULT_LOOKUP_ENDPOINT;
+    const result = await postToWebhook(endpoint, { [sourceName(fields(), 'email')]: email, EventId: event.id });
+    return normalizeLookupResponse(result);
+}
+
+// CheckIn: false with an empty time reverses a check-in
+function setCheckInTime(email, checkInTime, event) {
+    const map = fields();
+    return postToWebhook(updateEndpoint(event), {
+        [sourceName(map, 'email')]: email,
+        EventId: event.id,
+        CheckIn: Boolean(checkInTime),
+        [sourceName(map, 'checkInTime')]: checkInTime || null
+    });
+}
+
+function canRegister(event) {
+    return Boolean(registerEndpoint(event));
+}
+
+function register(attendee, event) {
+    const endpoint = registerEndpoint(event);
+    if (!endpoint) throw new WebhookError('No register webhook configured (REGISTER_ENDPOINT)');
+    return postToWebhook(endpoint, {
+        ...fromAttendee(attendee, fields()),
+        EventId: event.id,
+        CheckIn: true,
+        WalkIn: true
+    });
+}
+
+async function list(event) {
+    const endpoint = event.rosterEndpoint || process.env.ROSTER_ENDPOINT;
+    if (!endpoint) return null;
+
+    const result = await postToWebhook(endpoint, { EventId: event.id });
+    const items = Array.isArray(result) ? result : result.attendees || result.data || [];
+    const map = fields();
+    return items
+        .map((item) => toAttendee(item && item.json ? item.json : item, map))
+        .filter((attendee) => attendee && attendee.email);
+}
+
+function canSelfServe(event) {
+    return Boolean(selfServiceEndpoint(event));
+}
+
+function postSelfService(email, event, body) {
+    const endpoint = selfServiceEndpoint(event);
+    if (!endpoint) throw new WebhookError('No self-service webhook configured (SELF_SERVICE_ENDPOINT)');
+    return postToWebhook(endpoint, { [sourceName(fields(), 'email')]: email, EventId: event.id, ...body });
+}
+
+async function updateDetails(email, changes, event) {
+    await postSelfService(email, event, { Action: 'update', ...fromAttendee(changes, fields()) });
+    return { success: true, attendee: (await lookup(email, event)).attendee };
+}
+
+async function cancel(email, event) {
+    await postSelfService(email, event, { Action: 'cancel' });
+    return { success: true };
+}
+
+module.exports = {
+    WebhookError,
+    signWebhookToken,
+    normalizeLookupResponse,
+    lookup,
+    setCheckInTime,
+    canRegister,
+    register,
+    list,
+    canSelfServe,
+    updateDetails,
+    cancel
+};
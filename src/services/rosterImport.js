@@ -0,0 +1,290 @@
+/**
+ * Roster Import
+ *
+ * Parses CSV and XLSX registration exports (Google Forms, Eventbrite, the DEC
+ * sheet) into attendees for the local roster store. Column headers are matched
+ * against known aliases; an explicit mapping can override any field.
+ *
+ * Every import produces a report: which column fed which field, rows skipped as
+ * invalid (with spreadsheet row numbers), duplicates within the file (and which of
+ * their fields were used) and how many attendees were created or updated. With
+ * `dryRun` nothing is saved.
+ */
+
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const rosterStore = require('./rosterStore');
+
+const IMPORT_FORMATS = ['csv', 'xlsx'];
+const IMPORT_MODES = ['merge', 'replace'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Header aliases per attendee field, compared after normalizeHeader()
+const FIELD_ALIASES = {
+    fullName: ['name', 'fullname', 'attendeename', 'participantname'],
+    email: ['email', 'emailaddress', 'attendeeemail'],
+    phone: ['phonenumber', 'phone', 'cellphone', 'mobile', 'mobilenumber', 'whatsappnumber'],
+    profession: ['profession', 'jobtitle', 'occupation', 'role'],
+    experienceLevel: ['experiencelevel', 'experience', 'yearsofexperience'],
+    gender: ['gender', 'sex'],
+    registrationDate: ['registrationdate', 'orderdate', 'registeredat', 'timestamp', 'submittedat', 'createdat'],
+    checkInTime: ['checkintime', 'checkedinat']
+};
+
+// Eventbrite splits names; used when there is no full-name column
+const FIRST_NAME_ALIASES = ['firstname', 'givenname'];
+const LAST_NAME_ALIASES = ['lastname', 'surname', 'familyname'];
+
+const ATTENDEE_FIELDS = Object.keys(FIELD_ALIASES);
+
+/**
+ * Error for uploads that cannot be imported at all (bad format, no email column).
+ * Routes map it to a 400 response.
+ */
+class RosterImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RosterImportError';
+    }
+}
+
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Work out the file format from its name or content type
+ * @param {string} [filename] - Uploaded file name
+ * @param {string} [contentType] - Request Content-Type
+ * @returns {string|null} 'csv', 'xlsx' or null
+ */
+function detectFormat(filename, contentType) {
+    const extension = String(filename || '').toLowerCase().split('.').pop();
+    if (IMPORT_FORMATS.includes(extension)) return extension;
+
+    const type = String(contentType || '').toLowerCase();
+    if (type.includes('csv')) return 'csv';
+    if (type.includes('spreadsheetml')) return 'xlsx';
+    return null;
+}
+
+// Exports from French-locale spreadsheets use semicolons
+function guessDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const count = (char) => firstLine.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+}
+
+function parseCsv(buffer) {
+    const text = buffer.toString('utf8');
+    try {
+        return parse(text, {
+            bom: true,
+            delimiter: guessDelimiter(text),
+            relax_column_count: true,
+            skip_empty_lines: true,
+            trim: true
+        });
+    } catch (error) {
+        throw new RosterImportError(`Could not read CSV: ${error.message}`);
+    }
+}
+
+// Flatten ExcelJS cell values (dates, hyperlinks, rich text, formulas) to strings
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+        if (value.result !== undefined) return cellText(value.result);
+        if (value.text !== undefined) return cellText(value.text);
+        if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+        return '';
+    }
+    return String(value).trim();
+}
+
+async function parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw new RosterImportError(`Could not read XLSX: ${error.message}`);
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    for (let number = 1; number <= sheet.rowCount; number++) {
+        // row.values is 1-based; keep blank rows so row numbers match the sheet
+        const values = sheet.getRow(number).values || [];
+        rows.push(values.slice(1).map(cellText));
+    }
+    return rows;
+}
+
+/**
+ * Match columns to attendee fields
+ * @param {Array<string>} headers - Header row
+ * @param {Object} [override] - { field: header } entries that take precedence
+ * @returns {Object} { columns: { field: index }, firstName, lastName }
+ */
+function buildMapping(headers, override = {}) {
+    const normalized = headers.map(normalizeHeader);
+    const findColumn = (aliases) => {
+        const index = normalized.findIndex((header) => header && aliases.includes(header));
+        return index >= 0 ? index : null;
+    };
+
+    const columns = {};
+    ATTENDEE_FIELDS.forEach((field) => {
+        const requested = override[field];
+        const index = requested ? findColumn([normalizeHeader(requested)]) : findColumn(FIELD_ALIASES[field]);
+        if (requested && index === null) {
+            throw new RosterImportError(`Column "${requested}" (mapped to ${field}) is not in the file`);
+        }
+        if (index !== null) columns[field] = index;
+    });
+
+    return {
+        columns,
+        firstName: findColumn(FIRST_NAME_ALIASES),
+        lastName: findColumn(LAST_NAME_ALIASES)
+    };
+}
+
+function rowToAttendee(row, mapping) {
+    const value = (index) => (index === null || index === undefined ? '' : String(row[index] || '').trim());
+    const attendee = {};
+    ATTENDEE_FIELDS.forEach((field) => {
+        attendee[field] = value(mapping.columns[field]) || null;
+    });
+
+    if (!attendee.fullName) {
+        const name = [value(mapping.firstName), value(mapping.lastName)].filter(Boolean).join(' ');
+        attendee.fullName = name || null;
+    }
+    if (attendee.email) attendee.email = attendee.email.toLowerCase();
+    return attendee;
+}
+
+// Header name per mapped field, for the report
+function describeMapping(headers, mapping) {
+    const described = {};
+    Object.entries(mapping.columns).forEach(([field, index]) => {
+        described[field] = headers[index];
+    });
+    if (mapping.columns.fullName === undefined && (mapping.firstName !== null || mapping.lastName !== null)) {
+        described.fullName = [headers[mapping.firstName], headers[mapping.lastName]].filter(Boolean).join(' + ');
+    }
+    return described;
+}
+
+/**
+ * Parse an upload and (unless dryRun) save it to the event's roster
+ * @param {string} eventId - Registry event id
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {Object} options - { format, mode: 'merge'|'replace', dryRun, mapping }
+ * @returns {Promise<Object>} Import report
+ */
+async function importRoster(eventId, buffer, { format, mode = 'merge', dryRun = false, mapping: override } = {}) {
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw new RosterImportError(`Unsupported file format; use ${IMPORT_FORMATS.join(' or ')}`);
+    }
+    if (!IMPORT_MODES.includes(mode)) {
+        throw new RosterImportError(`mode must be one of: ${IMPORT_MODES.join(', ')}`);
+    }
+    if (!buffer || !buffer.length) {
+        throw new RosterImportError('The uploaded file is empty');
+    }
+
+    const rows = format === 'csv' ? parseCsv(buffer) : await parseXlsx(buffer);
+    const headerIndex = rows.findIndex((row) => row.some(Boolean));
+    if (headerIndex < 0) {
+        throw new RosterImportError('The uploaded file has no rows');
+    }
+
+    const headers = rows[headerIndex];
+    const mapping = buildMapping(headers, override || {});
+    if (mapping.columns.email === undefined) {
+        throw new RosterImportError('No email column found; map one explicitly');
+    }
+
+    const mappedColumns = new Set([...Object.values(mapping.columns), mapping.firstName, mapping.lastName]);
+    const report = {
+        eventId,
+        format,
+        mode,
+        dryRun: Boolean(dryRun),
+        mapping: describeMapping(headers, mapping),
+        unmappedColumns: headers.filter((header, index) => header && !mappedColumns.has(index)),
+        totalRows: 0,
+        valid: 0,
+        invalid: [],
+        duplicates: [],
+        existing: 0,
+        created: 0,
+        updated: 0,
+        removed: 0
+    };
+
+    const attendees = new Map();
+    const firstSeen = new Map();
+
+    rows.slice(headerIndex + 1).forEach((row, i) => {
+        // Spreadsheet row number (1-based, counting the header)
+        const rowNumber = headerIndex + i + 2;
+        if (!row.some(Boolean)) return;
+        report.totalRows += 1;
+
+        const attendee = rowToAttendee(row, mapping);
+        if (!attendee.email) {
+            report.invalid.push({ row: rowNumber, reason: 'Missing email' });
+            return;
+        }
+        if (!EMAIL_REGEX.test(attendee.email)) {
+            report.invalid.push({ row: rowNumber, reason: `Invalid email: ${attendee.email}` });
+            return;
+        }
+        const kept = attendees.get(attendee.email);
+        if (kept) {
+            // Filled-in cells of a later row update the first, as with a re-submitted form;
+            // its blank cells keep what the first row had
+            const merged = rosterStore.mergeFilled(kept, attendee);
+            report.duplicates.push({
+                row: rowNumber,
+                email: attendee.email,
+                firstRow: firstSeen.get(attendee.email),
+                updatedFields: Object.keys(merged).filter((field) => merged[field] !== kept[field])
+            });
+            attendees.set(attendee.email, merged);
+            return;
+        }
+        firstSeen.set(attendee.email, rowNumber);
+        attendees.set(attendee.email, attendee);
+    });
+
+    const list = Array.from(attendees.values());
+    report.valid = list.length;
+    report.existing = list.filter((attendee) => rosterStore.findAttendee(eventId, attendee.email)).length;
+
+    if (dryRun) {
+        report.created = list.length - report.existing;
+        report.updated = report.existing;
+        if (mode === 'replace') {
+            report.removed = rosterStore.listRoster(eventId).filter((attendee) => !attendees.has(attendee.email)).length;
+        }
+        return report;
+    }
+
+    return { ...report, ...rosterStore.upsertAttendees(eventId, list, { replace: mode === 'replace' }) };
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    IMPORT_MODES,
+    RosterImportError,
+    detectFormat,
+    importRoster
+};
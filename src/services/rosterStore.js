@@ -0,0 +1,143 @@
+/**
+ * Local Roster Store
+ *
+ * Per-event attendee list kept on this server (data/rosters/<eventId>.json),
+ * filled by CSV/XLSX imports. Events whose `source` is 'roster' look attendees
+ * up and check them in here instead of calling the n8n webhooks.
+ */
+
+const { readJSON, writeJSON } = require('./jsonStore');
+
+// eventId -> Map(email -> attendee)
+const cache = new Map();
+
+function rosterFile(eventId) {
+    return `rosters/${eventId}.json`;
+}
+
+function load(eventId) {
+    if (!cache.has(eventId)) {
+        const list = readJSON(rosterFile(eventId), []);
+        cache.set(eventId, new Map(list.map((attendee) => [attendee.email, attendee])));
+    }
+    return cache.get(eventId);
+}
+
+function save(eventId, roster) {
+    cache.set(eventId, roster);
+    writeJSON(rosterFile(eventId), Array.from(roster.values()));
+}
+
+function listRoster(eventId) {
+    return Array.from(load(eventId).values());
+}
+
+function hasRoster(eventId) {
+    return load(eventId).size > 0;
+}
+
+function findAttendee(eventId, email) {
+    return load(eventId).get(String(email).trim().toLowerCase()) || null;
+}
+
+const isFilled = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Copy the filled-in fields of a newer record over an attendee; blank cells never
+ * erase what is already known
+ * @param {Object} attendee - Attendee kept so far
+ * @param {Object} update - Newer record for the same email
+ * @returns {Object} Merged attendee
+ */
+function mergeFilled(attendee, update) {
+    const merged = { ...attendee };
+    Object.entries(update).forEach(([field, value]) => {
+        if (isFilled(value)) merged[field] = value;
+    });
+    return merged;
+}
+
+/**
+ * Add or update attendees
+ * @param {string} eventId - Registry event id
+ * @param {Array} attendees - Normalized attendees (email already lower-cased)
+ * @param {Object} options - { replace: true } drops attendees not in this import
+ * @returns {Object} { created, updated, removed }
+ */
+function upsertAttendees(eventId, attendees, { replace = false } = {}) {
+    const current = load(eventId);
+    const next = replace ? new Map() : new Map(current);
+    let created = 0;
+    let updated = 0;
+
+    attendees.forEach((attendee) => {
+        const existing = current.get(attendee.email);
+        if (existing) {
+            // Empty cells keep the stored value, so a later export without a check-in never loses it
+            next.set(attendee.email, mergeFilled(existing, attendee));
+            updated += 1;
+        } else {
+            next.set(attendee.email, attendee);
+            created += 1;
+        }
+    });
+
+    const removed = replace ? Array.from(current.keys()).filter((email) => !next.has(email)).length : 0;
+    save(eventId, next);
+    return { created, updated, removed };
+}
+
+/**
+ * Set (or clear) an attendee's check-in time
+ * @returns {Object|null} Updated attendee, or null if not on the roster
+ */
+function setCheckInTime(eventId, email, checkInTime) {
+    const roster = load(eventId);
+    const key = String(email).trim().toLowerCase();
+    const attendee = roster.get(key);
+    if (!attendee) return null;
+
+    const updated = { ...attendee, checkInTime };
+    roster.set(key, updated);
+    save(eventId, roster);
+    return updated;
+}
+
+/**
+ * Change some of an attendee's fields
+ * @returns {Object|null} Updated attendee, or null if not on the roster
+ */
+function updateAttendee(eventId, email, changes) {
+    const roster = load(eventId);
+    const key = String(email).trim().toLowerCase();
+    const attendee = roster.get(key);
+    if (!attendee) return null;
+
+    const updated = { ...attendee, ...changes, email: key };
+    roster.set(key, updated);
+    save(eventId, roster);
+    return updated;
+}
+
+function removeAttendee(eventId, email) {
+    const roster = load(eventId);
+    if (!roster.delete(String(email).trim().toLowerCase())) return false;
+    save(eventId, roster);
+    return true;
+}
+
+function clearRoster(eventId) {
+    save(eventId, new Map());
+}
+
+module.exports = {
+    listRoster,
+    hasRoster,
+    findAttendee,
+    mergeFilled,
+    upsertAttendees,
+    setCheckInTime,
+    updateAttendee,
+    removeAttendee,
+    clearRoster
+};
@@ -0,0 +1,36 @@
+/**
+ * Security Log
+ *
+ * One JSON line on stderr for every request the server refuses for abuse reasons
+ * (rate limits, failed CSRF checks, confirmation emails to someone who did not just
+ * check in, failed logins), so `docker-compose logs` can be filtered with jq or fed to
+ * a log collector.
+ */
+
+/**
+ * Log a blocked request
+ * @param {Object} req - Express request (after loadSession and identifyDevice)
+ * @param {string} reason - Short machine-readable reason, e.g. 'rate-limit' or 'csrf'
+ * @param {Object} [detail] - Extra fields for this reason
+ */
+function logBlocked(req, reason, detail = {}) {
+    const device = req.device || {};
+    const entry = {
+        level: 'warn',
+        type: 'blocked-request',
+        at: new Date().toISOString(),
+        reason,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        ip: req.ip || null,
+        user: req.user ? req.user.username : null,
+        deviceId: device.id || null,
+        userAgent: device.userAgent || null,
+        ...detail
+    };
+    console.warn(JSON.stringify(entry));
+}
+
+module.exports = {
+    logBlocked
+};
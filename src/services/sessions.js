@@ -0,0 +1,307 @@
+/**
+ * Event Sessions
+ *
+ * Talks, workshops and tracks within an event, each with its own check-in: staff at a
+ * room pick the session on the check-in page and record who came. A session's
+ * `capacity` caps its seats. Attendees can be pre-registered for a session while seats
+ * are free; seats held for them stay free until they arrive, and with
+ * `preRegistration: true` only pre-registered attendees get in at all.
+ *
+ * Sessions are kept in DATA_DIR/sessions.json, registrations and attendance in
+ * DATA_DIR/session-attendance.json.
+ */
+
+const { readJSON, writeJSON } = require('./jsonStore');
+
+const SESSIONS_FILE = 'sessions.json';
+const ATTENDANCE_FILE = 'session-attendance.json';
+
+const TEXT_FIELDS = ['title', 'speaker', 'room', 'track'];
+const TIME_FIELDS = ['startsAt', 'endsAt'];
+const MAX_FIELD_LENGTH = 200;
+
+/**
+ * Error for a session action that cannot go ahead. `status` is the HTTP status and
+ * `code` the response status shown by the check-in page.
+ */
+class SessionError extends Error {
+    constructor(message, status, code) {
+        super(message);
+        this.name = 'SessionError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const key = (email) => String(email).trim().toLowerCase();
+
+function slugify(value) {
+    return String(value || '').trim().toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// eventId -> sessions
+function loadSessions() {
+    return readJSON(SESSIONS_FILE, {});
+}
+
+// eventId -> sessionId -> { registrations: [...], attendance: [...] }
+function loadAttendance() {
+    return readJSON(ATTENDANCE_FILE, {});
+}
+
+function sessionRecords(eventId, sessionId) {
+    const records = (loadAttendance()[eventId] || {})[sessionId] || {};
+    return { registrations: records.registrations || [], attendance: records.attendance || [] };
+}
+
+function saveSessionRecords(eventId, sessionId, records) {
+    const all = loadAttendance();
+    all[eventId] = { ...(all[eventId] || {}), [sessionId]: records };
+    writeJSON(ATTENDANCE_FILE, all);
+}
+
+// Keep only known fields, with times as ISO strings
+function sanitize(input) {
+    const session = {};
+    TEXT_FIELDS.forEach((field) => {
+        if (input[field] === undefined) return;
+        const value = input[field] === null ? '' : String(input[field]).trim();
+        session[field] = value.slice(0, MAX_FIELD_LENGTH) || null;
+    });
+    TIME_FIELDS.forEach((field) => {
+        if (input[field] === undefined) return;
+        if (!input[field]) {
+            session[field] = null;
+            return;
+        }
+        const time = new Date(String(input[field]));
+        if (Number.isNaN(time.getTime())) throw new Error(`${field} must be a valid date`);
+        session[field] = time.toISOString();
+    });
+    if (input.capacity !== undefined) {
+        const value = input.capacity === null ? '' : String(input.capacity).trim();
+        if (value && !/^\d+$/.test(value)) throw new Error('capacity must be a whole number or null');
+        session.capacity = value ? Number(value) : null;
+    }
+    if (input.preRegistration !== undefined) {
+        session.preRegistration = String(input.preRegistration) === 'true';
+    }
+    return session;
+}
+
+function validate(session) {
+    if (!session.title) throw new Error('title is required');
+    if (session.startsAt && session.endsAt && session.endsAt < session.startsAt) {
+        throw new Error('endsAt must be after startsAt');
+    }
+}
+
+/**
+ * An event's sessions in agenda order
+ * @param {string} eventId - Registry event id
+ * @returns {Object[]} Sessions
+ */
+function listSessions(eventId) {
+    return [...(loadSessions()[eventId] || [])].sort((a, b) => (
+        String(a.startsAt || '').localeCompare(String(b.startsAt || '')) || a.title.localeCompare(b.title)
+    ));
+}
+
+function getSession(eventId, sessionId) {
+    return (loadSessions()[eventId] || []).find((session) => session.id === sessionId) || null;
+}
+
+function createSession(eventId, input) {
+    const session = sanitize(input || {});
+    validate(session);
+
+    const id = slugify(input.id || session.title);
+    if (!id) throw new Error('id must contain letters or numbers');
+    if (getSession(eventId, id)) throw new Error('A session with this id already exists');
+
+    const created = {
+        id,
+        title: session.title,
+        speaker: session.speaker || null,
+        room: session.room || null,
+        track: session.track || null,
+        startsAt: session.startsAt || null,
+        endsAt: session.endsAt || null,
+        capacity: session.capacity === undefined ? null : session.capacity,
+        preRegistration: Boolean(session.preRegistration)
+    };
+    const all = loadSessions();
+    all[eventId] = [...(all[eventId] || []), created];
+    writeJSON(SESSIONS_FILE, all);
+    return created;
+}
+
+function updateSession(eventId, sessionId, input) {
+    const existing = getSession(eventId, sessionId);
+    if (!existing) return null;
+
+    const updated = { ...existing, ...sanitize(input || {}), id: sessionId };
+    validate(updated);
+    const all = loadSessions();
+    all[eventId] = all[eventId].map((session) => (session.id === sessionId ? updated : session));
+    writeJSON(SESSIONS_FILE, all);
+    return updated;
+}
+
+// Removes the session along with its registrations and attendance
+function deleteSession(eventId, sessionId) {
+    if (!getSession(eventId, sessionId)) return false;
+
+    const all = loadSessions();
+    all[eventId] = all[eventId].filter((session) => session.id !== sessionId);
+    writeJSON(SESSIONS_FILE, all);
+
+    const attendance = loadAttendance();
+    if (attendance[eventId]) {
+        delete attendance[eventId][sessionId];
+        writeJSON(ATTENDANCE_FILE, attendance);
+    }
+    return true;
+}
+
+function seatsFor(session, { registrations, attendance }) {
+    if (!Number.isInteger(session.capacity)) return null;
+    const attended = new Set(attendance.map((entry) => entry.email));
+    const held = registrations.filter((entry) => !attended.has(entry.email)).length;
+    return Math.max(session.capacity - attendance.length - held, 0);
+}
+
+/**
+ * A session with its counts
+ * @param {string} eventId - Registry event id
+ * @param {Object} session - Session from listSessions()
+ * @returns {Object} Session plus { registered, attended, seatsLeft } (seatsLeft is null
+ *   without a capacity, and excludes seats held for pre-registered attendees)
+ */
+function summarize(eventId, session) {
+    const records = sessionRecords(eventId, session.id);
+    return {
+        ...session,
+        registered: records.registrations.length,
+        attended: records.attendance.length,
+        seatsLeft: seatsFor(session, records)
+    };
+}
+
+function listSummaries(eventId) {
+    return listSessions(eventId).map((session) => summarize(eventId, session));
+}
+
+function requireSession(eventId, sessionId) {
+    const session = getSession(eventId, sessionId);
+    if (!session) throw new SessionError('Session not found', 404, 'SESSION_NOT_FOUND');
+    return session;
+}
+
+function getRecords(eventId, sessionId) {
+    requireSession(eventId, sessionId);
+    return sessionRecords(eventId, sessionId);
+}
+
+/**
+ * Pre-register an attendee for a session
+ * @param {string} eventId - Registry event id
+ * @param {string} sessionId - Session id
+ * @param {Object} attendee - { email, fullName }
+ * @param {string} registeredBy - Staff username
+ * @returns {Object} Registration
+ */
+function register(eventId, sessionId, { email, fullName }, registeredBy) {
+    const session = requireSession(eventId, sessionId);
+    const records = sessionRecords(eventId, sessionId);
+    if (records.registrations.some((entry) => entry.email === key(email))) {
+        throw new SessionError('Already registered for this session', 409, 'ALREADY_REGISTERED');
+    }
+    // Seats already taken by people who came without registering count too
+    if (seatsFor(session, records) === 0) {
+        throw new SessionError('Registration for this session is full', 409, 'SESSION_FULL');
+    }
+
+    const registration = {
+        email: key(email),
+        fullName: fullName || null,
+        registeredAt: new Date().toISOString(),
+        registeredBy
+    };
+    saveSessionRecords(eventId, sessionId, { ...records, registrations: [...records.registrations, registration] });
+    return registration;
+}
+
+function unregister(eventId, sessionId, email) {
+    const records = getRecords(eventId, sessionId);
+    const registrations = records.registrations.filter((entry) => entry.email !== key(email));
+    if (registrations.length === records.registrations.length) return false;
+    saveSessionRecords(eventId, sessionId, { ...records, registrations });
+    return true;
+}
+
+/**
+ * Record an attendee at a session
+ * @param {string} eventId - Registry event id
+ * @param {string} sessionId - Session id
+ * @param {Object} attendee - { email, fullName, profession } from the event lookup
+ * @param {Object} context - { checkInTime, checkedInBy }
+ * @returns {Object} { session, entry, preRegistered }
+ */
+function checkIn(eventId, sessionId, attendee, { checkInTime, checkedInBy }) {
+    const session = requireSession(eventId, sessionId);
+    const records = sessionRecords(eventId, sessionId);
+    const email = key(attendee.email);
+
+    const previous = records.attendance.find((entry) => entry.email === email);
+    if (previous) {
+        throw new SessionError(`Already checked in to this session at ${previous.checkInTime}`, 409, 'ALREADY_IN_SESSION');
+    }
+
+    const preRegistered = records.registrations.some((entry) => entry.email === email);
+    if (!preRegistered && session.preRegistration) {
+        throw new SessionError('This session is for pre-registered attendees only', 403, 'NOT_REGISTERED');
+    }
+    // A pre-registered attendee takes the seat held for them, which is gone only if the
+    // capacity was lowered since
+    const othersHeld = records.registrations.filter((entry) => entry.email !== email);
+    if (seatsFor(session, { ...records, registrations: othersHeld }) === 0) {
+        throw new SessionError('This session is full', 409, 'SESSION_FULL');
+    }
+
+    const entry = {
+        email,
+        fullName: attendee.fullName || null,
+        profession: attendee.profession || null,
+        checkInTime,
+        checkedInBy
+    };
+    saveSessionRecords(eventId, sessionId, { ...records, attendance: [...records.attendance, entry] });
+    return { session, entry, preRegistered };
+}
+
+function undoCheckIn(eventId, sessionId, email) {
+    const records = getRecords(eventId, sessionId);
+    const attendance = records.attendance.filter((entry) => entry.email !== key(email));
+    if (attendance.length === records.attendance.length) return false;
+    saveSessionRecords(eventId, sessionId, { ...records, attendance });
+    return true;
+}
+
+module.exports = {
+    SessionError,
+    listSessions,
+    getSession,
+    createSession,
+    updateSession,
+    deleteSession,
+    summarize,
+    listSummaries,
+    getRecords,
+    register,
+    unregister,
+    checkIn,
+    undoCheckIn
+};
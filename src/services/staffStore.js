@@ -0,0 +1,125 @@
+/**
+ * Staff Account Store
+ *
+ * Staff accounts (username, display name, role, scrypt password hash) persisted
+ * to data/staff.json. The first admin is bootstrapped from ADMIN_USERNAME /
+ * ADMIN_PASSWORD when the store is empty.
+ */
+
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonStore');
+
+const STAFF_FILE = 'staff.json';
+
+// Ordered from least to most privileged; 'kiosk' is the self check-in tablet
+const ROLES = ['kiosk', 'volunteer', 'lead', 'admin'];
+
+let cache = null;
+
+function load() {
+    if (!cache) cache = readJSON(STAFF_FILE, []);
+    return cache;
+}
+
+function save(staff) {
+    cache = staff;
+    writeJSON(STAFF_FILE, staff);
+}
+
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Strip the password hash before anything leaves this module
+function toPublic(user) {
+    if (!user) return null;
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+function listStaff() {
+    return load().map(toPublic);
+}
+
+function findStaff(username) {
+    const key = normalizeUsername(username);
+    return toPublic(load().find((user) => user.username === key));
+}
+
+/**
+ * Create a staff account
+ * @param {Object} input - { username, name, role, password }
+ * @returns {Object} Created account (without password hash)
+ */
+function createStaff({ username, name, role, password }) {
+    const key = normalizeUsername(username);
+    if (!key) throw new Error('username is required');
+    if (!ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    if (!password || String(password).length < 8) throw new Error('password must be at least 8 characters');
+
+    const staff = load();
+    if (staff.some((user) => user.username === key)) {
+        throw new Error('A staff account with this username already exists');
+    }
+
+    const user = {
+        username: key,
+        name: (name && String(name).trim()) || key,
+        role,
+        passwordHash: hashPassword(password),
+        createdAt: new Date().toISOString()
+    };
+    save([...staff, user]);
+    return toPublic(user);
+}
+
+function deleteStaff(username) {
+    const key = normalizeUsername(username);
+    const staff = load();
+    const remaining = staff.filter((user) => user.username !== key);
+    if (remaining.length === staff.length) return false;
+    save(remaining);
+    return true;
+}
+
+/**
+ * Check a username/password pair
+ * @returns {Object|null} The account (without password hash) or null
+ */
+function verifyCredentials(username, password) {
+    const user = load().find((u) => u.username === normalizeUsername(username));
+    if (!user || !verifyPassword(password, user.passwordHash)) return null;
+    return toPublic(user);
+}
+
+// Create the first admin from the environment so a fresh deployment can log in
+function ensureBootstrapAdmin() {
+    if (load().length > 0) return null;
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return null;
+    return createStaff({ username: ADMIN_USERNAME, name: 'Administrator', role: 'admin', password: ADMIN_PASSWORD });
+}
+
+module.exports = {
+    ROLES,
+    listStaff,
+    findStaff,
+    createStaff,
+    deleteStaff,
+    verifyCredentials,
+    ensureBootstrapAdmin
+};
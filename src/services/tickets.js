@@ -0,0 +1,89 @@
+/**
+ * QR Ticket Service
+ *
+ * A ticket is a signed token naming the registrant's email and event, rendered as a QR code.
+ * Scanning it at the door feeds the same lookup/check-in flow as typing the email.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+
+const TICKET_ISSUER = 'event-checkin-ticket';
+const TICKET_FORMATS = ['svg', 'png'];
+
+class InvalidTicketError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidTicketError';
+    }
+}
+
+function isConfigured() {
+    return Boolean(process.env.TICKET_SECRET || process.env.JWT_SECRET);
+}
+
+// Like session tokens, tickets must not be accepted as webhook tokens. With neither
+// secret set there is no key, so tickets can be neither signed nor verified.
+function ticketSecret() {
+    if (process.env.TICKET_SECRET) return process.env.TICKET_SECRET;
+    if (!process.env.JWT_SECRET) {
+        throw new Error('TICKET_SECRET or JWT_SECRET must be set to sign tickets');
+    }
+    return crypto.createHmac('sha256', String(process.env.JWT_SECRET || '')).update('qr-ticket').digest('hex');
+}
+
+/**
+ * Sign a ticket token for a registrant
+ * @param {string} email - Registrant email
+ * @param {string} eventId - Registry event id
+ * @returns {string} Ticket token
+ */
+function signTicket(email, eventId) {
+    return jwt.sign({ sub: String(email).trim().toLowerCase(), evt: eventId }, ticketSecret(), {
+        algorithm: 'HS256',
+        issuer: TICKET_ISSUER
+    });
+}
+
+/**
+ * Verify a scanned ticket token
+ * @param {string} token - Token read from the QR code
+ * @returns {Object} { email, eventId }
+ */
+function verifyTicket(token) {
+    try {
+        const payload = jwt.verify(String(token || '').trim(), ticketSecret(), {
+            algorithms: ['HS256'],
+            issuer: TICKET_ISSUER
+        });
+        return { email: payload.sub, eventId: payload.evt || null };
+    } catch (error) {
+        throw new InvalidTicketError(`Invalid ticket: ${error.message}`);
+    }
+}
+
+/**
+ * Render a ticket QR code
+ * @param {string} email - Registrant email
+ * @param {string} eventId - Registry event id
+ * @param {string} format - 'svg' or 'png'
+ * @returns {Promise<string|Buffer>} SVG markup or PNG buffer
+ */
+function renderTicket(email, eventId, format = 'svg') {
+    const token = signTicket(email, eventId);
+    const options = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+    if (format === 'png') {
+        return QRCode.toBuffer(token, { ...options, type: 'png' });
+    }
+    return QRCode.toString(token, { ...options, type: 'svg' });
+}
+
+module.exports = {
+    TICKET_FORMATS,
+    InvalidTicketError,
+    isConfigured,
+    signTicket,
+    verifyTicket,
+    renderTicket
+};
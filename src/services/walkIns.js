@@ -0,0 +1,118 @@
+/**
+ * Walk-In Registration
+ *
+ * Registers people who turn up without a registration and checks them in at once.
+ * Events opt in with `walkIns: true`; `walkInCapacity` caps how many walk-ins one
+ * event takes. Walk-ins are counted in DATA_DIR/walk-ins.json, whichever attendee
+ * source (register webhook, roster, sheet or database) stores the registration itself.
+ */
+
+const { readJSON, writeJSON } = require('./jsonStore');
+const checkinApi = require('./checkinApi');
+
+const WALK_INS_FILE = 'walk-ins.json';
+
+// Fields collected on site, the same ones the roster holds
+const WALK_IN_FIELDS = ['fullName', 'email', 'phone', 'profession', 'experienceLevel', 'gender'];
+const MAX_FIELD_LENGTH = 200;
+
+// eventId -> walk-ins being registered right now, so two stations cannot both take the last place
+const inFlight = new Map();
+
+/**
+ * Error for a walk-in that cannot be registered. `status` is the HTTP status and
+ * `code` the response status shown by the check-in page.
+ */
+class WalkInError extends Error {
+    constructor(message, status, code) {
+        super(message);
+        this.name = 'WalkInError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function load() {
+    return readJSON(WALK_INS_FILE, {});
+}
+
+function listWalkIns(eventId) {
+    return load()[eventId] || [];
+}
+
+/**
+ * Whether an event takes walk-ins and how many places are left
+ * @param {Object} event - Registry event
+ * @returns {Object} { enabled, capacity, count, remaining } (remaining is null when unlimited)
+ */
+function getStatus(event) {
+    const capacity = Number.isInteger(event.walkInCapacity) ? event.walkInCapacity : null;
+    const count = listWalkIns(event.id).length + (inFlight.get(event.id) || 0);
+    return {
+        enabled: Boolean(event.walkIns) && checkinApi.canRegister(event),
+        capacity,
+        count,
+        remaining: capacity === null ? null : Math.max(capacity - count, 0)
+    };
+}
+
+function cleanInput(input) {
+    const attendee = {};
+    WALK_IN_FIELDS.forEach((field) => {
+        const value = input[field] === undefined || input[field] === null ? '' : String(input[field]).trim();
+        attendee[field] = value.slice(0, MAX_FIELD_LENGTH) || null;
+    });
+    return attendee;
+}
+
+/**
+ * Register a walk-in and check them in
+ * @param {Object} event - Registry event
+ * @param {Object} input - { fullName, email (normalized), phone, profession, experienceLevel, gender }
+ * @param {Object} context - { checkInTime, registeredBy }
+ * @returns {Promise<Object>} Registered attendee
+ */
+async function registerWalkIn(event, input, { checkInTime, registeredBy }) {
+    const attendee = cleanInput(input);
+    if (!attendee.fullName) throw new WalkInError('Name is required', 400, 'INVALID');
+
+    const status = getStatus(event);
+    if (!status.enabled) {
+        throw new WalkInError('Walk-in registration is not enabled for this event', 403, 'WALK_INS_DISABLED');
+    }
+    if (status.remaining === 0) {
+        throw new WalkInError('Walk-in capacity reached for this event', 409, 'WALK_IN_FULL');
+    }
+
+    inFlight.set(event.id, (inFlight.get(event.id) || 0) + 1);
+    try {
+        // Someone registered after all: check them in normally instead
+        const lookup = await checkinApi.lookupAttendee(attendee.email, event);
+        if (lookup.status !== 'NOT_FOUND') {
+            throw new WalkInError('This email is already registered', 409, lookup.status);
+        }
+
+        const registered = { ...attendee, registrationDate: checkInTime, checkInTime };
+        await checkinApi.registerAttendee(registered, event);
+
+        const walkIns = load();
+        walkIns[event.id] = [...(walkIns[event.id] || []), {
+            email: attendee.email,
+            fullName: attendee.fullName,
+            registeredAt: checkInTime,
+            registeredBy
+        }];
+        writeJSON(WALK_INS_FILE, walkIns);
+        return registered;
+    } finally {
+        inFlight.set(event.id, inFlight.get(event.id) - 1);
+    }
+}
+
+module.exports = {
+    WALK_IN_FIELDS,
+    WalkInError,
+    getStatus,
+    listWalkIns,
+    registerWalkIn
+};
@@ -0,0 +1,340 @@
+/**
+ * Outbound Webhook Deliveries
+ *
+ * Turns check-in activity into webhook calls to every matching subscription
+ * (see outboundWebhooks). Deliveries are queued in DATA_DIR/webhook-deliveries.json
+ * and sent by a background worker like the email queue: failed attempts are retried
+ * with exponential backoff up to MAX_ATTEMPTS, and each attempt is appended to the
+ * delivery's history. Receivers that answer 4xx (other than 408 and 429) have
+ * rejected the payload, so those deliveries fail straight away.
+ *
+ * Bodies are JSON `{ id, type, createdAt, data }`; `id` is shared by the deliveries
+ * of one occurrence so receivers can drop duplicates. Requests carry the
+ * X-Checkin-Event, X-Checkin-Delivery and X-Checkin-Signature headers
+ * (see webhookSignature).
+ *
+ * Activity mapped to webhook events:
+ *   'checkin'        -> attendee.checked_in
+ *   'checkin-undone' -> attendee.check_in_undone
+ *   'email-failed'   -> email.failed
+ *   'walk-in'        -> walkin.registered
+ */
+
+const crypto = require('crypto');
+const { readJSON, writeJSON } = require('./jsonStore');
+const activity = require('./activity');
+const outboundWebhooks = require('./outboundWebhooks');
+const webhookSignature = require('./webhookSignature');
+
+const DELIVERIES_FILE = 'webhook-deliveries.json';
+
+const PENDING = 'pending';
+const SENDING = 'sending';
+const DELIVERED = 'delivered';
+const FAILED = 'failed';
+const DELIVERY_STATUSES = [PENDING, SENDING, DELIVERED, FAILED];
+
+// Sent by the "Send test" button, whatever the subscription's events
+const PING = 'webhook.ping';
+
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Finished deliveries kept for the history; the oldest are dropped beyond this
+const MAX_FINISHED = 2000;
+
+let cache = null;
+let timer = null;
+let running = false;
+
+function load() {
+    if (!cache) cache = readJSON(DELIVERIES_FILE, []);
+    return cache;
+}
+
+function save(deliveries) {
+    const finished = deliveries.filter((delivery) => delivery.status === DELIVERED || delivery.status === FAILED);
+    if (finished.length > MAX_FINISHED) {
+        const dropped = new Set(finished
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .slice(0, finished.length - MAX_FINISHED)
+            .map((delivery) => delivery.id));
+        deliveries = deliveries.filter((delivery) => !dropped.has(delivery.id));
+    }
+    cache = deliveries;
+    writeJSON(DELIVERIES_FILE, deliveries);
+}
+
+function updateDelivery(id, changes) {
+    let updated = null;
+    save(load().map((delivery) => {
+        if (delivery.id !== id) return delivery;
+        updated = { ...delivery, ...changes, updatedAt: new Date().toISOString() };
+        return updated;
+    }));
+    return updated;
+}
+
+// 30s, 1m, 2m, 4m... capped at an hour
+function backoffMs(attempts) {
+    return Math.min(BASE_BACKOFF_MS * (2 ** Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+}
+
+function listDeliveries({ status, webhookId } = {}) {
+    return load()
+        .filter((delivery) => (!status || delivery.status === status) && (!webhookId || delivery.webhookId === webhookId))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getDelivery(id) {
+    return load().find((delivery) => delivery.id === id) || null;
+}
+
+function queueDelivery(webhook, payload) {
+    const now = new Date().toISOString();
+    const delivery = {
+        id: crypto.randomUUID(),
+        webhookId: webhook.id,
+        url: webhook.url,
+        type: payload.type,
+        eventId: payload.data.eventId || null,
+        payload,
+        status: PENDING,
+        attempts: 0,
+        nextAttemptAt: now,
+        responseStatus: null,
+        lastError: null,
+        deliveredAt: null,
+        history: [{ at: now, status: PENDING, detail: 'Queued' }],
+        createdAt: now,
+        updatedAt: now
+    };
+    save([...load(), delivery]);
+    return delivery;
+}
+
+/**
+ * Queue a webhook event for every subscription that wants it
+ * @param {string} type - One of outboundWebhooks.WEBHOOK_EVENTS
+ * @param {Object} data - Event data (`eventId` picks per-event subscriptions)
+ * @returns {Object[]} Queued deliveries
+ */
+function dispatch(type, data) {
+    const subscribers = outboundWebhooks.subscribersFor(type, data.eventId);
+    if (subscribers.length === 0) return [];
+
+    const payload = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data };
+    const deliveries = subscribers.map((webhook) => queueDelivery(webhook, payload));
+    schedule(0);
+    return deliveries;
+}
+
+/**
+ * Queue a test event for one subscription
+ * @param {Object} webhook - Subscription
+ * @returns {Object} Delivery
+ */
+function sendTest(webhook) {
+    const delivery = queueDelivery(webhook, {
+        id: crypto.randomUUID(),
+        type: PING,
+        createdAt: new Date().toISOString(),
+        data: { webhookId: webhook.id, message: 'Test delivery from the check-in server' }
+    });
+    schedule(0);
+    return delivery;
+}
+
+/**
+ * Send a delivery again (a failed one, or one the receiver lost)
+ * @param {string} id - Delivery id
+ * @param {string} requestedBy - Admin username
+ * @returns {Object|null} Updated delivery, or null if not found
+ */
+function redeliver(id, requestedBy) {
+    const delivery = getDelivery(id);
+    if (!delivery) return null;
+    if (delivery.status === SENDING) return delivery;
+
+    const now = new Date().toISOString();
+    const updated = updateDelivery(id, {
+        status: PENDING,
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        history: [...delivery.history, { at: now, status: PENDING, detail: `Redelivery requested by ${requestedBy}` }]
+    });
+    schedule(0);
+    return updated;
+}
+
+class DeliveryError extends Error {
+    constructor(message, { retryable = true, responseStatus = null } = {}) {
+        super(message);
+        this.name = 'DeliveryError';
+        this.retryable = retryable;
+        this.responseStatus = responseStatus;
+    }
+}
+
+async function post(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    let response;
+    try {
+        response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'event-checkin-webhooks',
+                'X-Checkin-Event': delivery.type,
+                'X-Checkin-Delivery': delivery.id,
+                [webhookSignature.SIGNATURE_HEADER]: webhookSignature.sign(webhook.secret, body)
+            },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+    } catch (error) {
+        const reason = error.name === 'TimeoutError' ? `no response within ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+        throw new DeliveryError(`Receiver unreachable: ${reason}`);
+    }
+    // Only the status matters; do not wait on a slow body
+    if (response.body) response.body.cancel().catch(() => {});
+
+    if (!response.ok) {
+        const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw new DeliveryError(`Receiver responded with status ${response.status}`, {
+            retryable,
+            responseStatus: response.status
+        });
+    }
+    return response.status;
+}
+
+async function deliver(delivery) {
+    const now = () => new Date().toISOString();
+    const sending = updateDelivery(delivery.id, { status: SENDING, attempts: delivery.attempts + 1 });
+
+    try {
+        const webhook = outboundWebhooks.getWebhook(delivery.webhookId);
+        if (!webhook) throw new DeliveryError('Webhook was deleted', { retryable: false });
+
+        const responseStatus = await post(webhook, sending);
+        updateDelivery(delivery.id, {
+            status: DELIVERED,
+            responseStatus,
+            deliveredAt: now(),
+            lastError: null,
+            history: [...sending.history, {
+                at: now(),
+                status: DELIVERED,
+                detail: `Attempt ${sending.attempts}: ${responseStatus} from ${webhook.url}`
+            }]
+        });
+    } catch (error) {
+        const retryable = error.retryable !== false && sending.attempts < MAX_ATTEMPTS;
+        const nextAttemptAt = retryable ? new Date(Date.now() + backoffMs(sending.attempts)).toISOString() : null;
+        console.error(`Webhook ${delivery.type} to ${delivery.url} failed (attempt ${sending.attempts}):`, error.message);
+
+        updateDelivery(delivery.id, {
+            status: retryable ? PENDING : FAILED,
+            nextAttemptAt,
+            responseStatus: error.responseStatus || null,
+            lastError: error.message,
+            history: [...sending.history, {
+                at: now(),
+                status: retryable ? PENDING : FAILED,
+                detail: `Attempt ${sending.attempts}: ${error.message}${retryable ? `; retrying at ${nextAttemptAt}` : ''}`
+            }]
+        });
+    }
+}
+
+// Send due deliveries one at a time, then sleep until the next one is due
+async function work() {
+    timer = null;
+    if (running) return;
+    running = true;
+
+    try {
+        let due;
+        while ((due = load().find((delivery) => delivery.status === PENDING && delivery.nextAttemptAt <= new Date().toISOString()))) {
+            await deliver(due);
+        }
+    } finally {
+        running = false;
+    }
+
+    const next = load()
+        .filter((delivery) => delivery.status === PENDING)
+        .map((delivery) => new Date(delivery.nextAttemptAt).getTime() - Date.now())
+        .sort((a, b) => a - b)[0];
+    if (next !== undefined) schedule(Math.max(next, 0));
+}
+
+function schedule(delayMs) {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(work, delayMs);
+    // Never keep the process alive just for the queue
+    timer.unref();
+}
+
+// Pick up deliveries queued before a restart; ones left "sending" by a crash go again
+function start() {
+    load().filter((delivery) => delivery.status === SENDING).forEach((delivery) => {
+        updateDelivery(delivery.id, { status: PENDING, nextAttemptAt: new Date().toISOString() });
+    });
+    schedule(0);
+}
+
+function stop() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+}
+
+// Attendee fields sent to receivers
+function attendeeData(attendee) {
+    if (!attendee) return null;
+    const { fullName, email, phone, profession, experienceLevel, gender, registrationDate } = attendee;
+    return { fullName, email, phone, profession, experienceLevel, gender, registrationDate };
+}
+
+// Listeners run inside the check-in request, so a queue problem must never fail it
+function on(name, toDelivery) {
+    activity.on(name, (details) => {
+        try {
+            const [type, data] = toDelivery(details);
+            dispatch(type, data);
+        } catch (error) {
+            console.error(`Failed to queue webhooks for ${name}:`, error.message);
+        }
+    });
+}
+
+on('checkin', ({ eventId, email, attendee, checkInTime, actor }) => ['attendee.checked_in', {
+    eventId, email, checkInTime, checkedInBy: actor || null, attendee: attendeeData(attendee)
+}]);
+
+on('checkin-undone', ({ eventId, email, actor }) => ['attendee.check_in_undone', {
+    eventId, email, undoneAt: new Date().toISOString(), undoneBy: actor || null
+}]);
+
+on('email-failed', ({ eventId, email, jobId, emailType, attempts, error }) => ['email.failed', {
+    eventId, email, jobId, emailType, attempts, error
+}]);
+
+on('walk-in', ({ eventId, email, attendee, checkInTime, actor }) => ['walkin.registered', {
+    eventId, email, registeredAt: checkInTime, registeredBy: actor || null, attendee: attendeeData(attendee)
+}]);
+
+module.exports = {
+    DELIVERY_STATUSES,
+    MAX_ATTEMPTS,
+    listDeliveries,
+    getDelivery,
+    dispatch,
+    sendTest,
+    redeliver,
+    start,
+    stop
+};
@@ -0,0 +1,56 @@
+/**
+ * Outbound Webhook Signatures
+ *
+ * Every outbound webhook carries an `X-Checkin-Signature: t=<unix seconds>,v1=<hex>`
+ * header, where v1 is the HMAC-SHA256 of `<t>.<raw body>` keyed with the webhook's
+ * secret. Receivers recompute it and reject stale timestamps to stop replays.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Checkin-Signature';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+function digest(secret, timestamp, body) {
+    return crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {string} Signature header value
+ */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${digest(secret, timestamp, body)}`;
+}
+
+/**
+ * Check a received signature
+ * @param {string} secret - Webhook secret
+ * @param {string} header - Signature header value
+ * @param {string} body - Raw body exactly as received
+ * @param {number} [toleranceSeconds] - Largest accepted clock difference
+ * @returns {boolean}
+ */
+function verify(secret, header, body, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+    const parts = {};
+    String(header || '').split(',').forEach((part) => {
+        const index = part.indexOf('=');
+        if (index > 0) parts[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    });
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) return false;
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(digest(secret, timestamp, body), 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    sign,
+    verify
+};
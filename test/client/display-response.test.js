@@ -0,0 +1,288 @@
+/**
+ * displayResponse (public/js/script.js)
+ *
+ * One block per status the check-in API and the offline queue can answer with.
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCheckinPage, setRole } = require('../support/page');
+
+const EMAIL = 'ada@example.com';
+const ATTENDEE = {
+    fullName: 'Ada Lovelace',
+    email: EMAIL,
+    phone: '08012345678',
+    profession: 'Engineer',
+    experienceLevel: 'Senior',
+    gender: 'Female',
+    registrationDate: '2025-09-01T10:00:00.000Z',
+    checkInTime: null
+};
+
+describe('displayResponse', () => {
+    let page;
+    let window;
+
+    before(async () => {
+        page = await loadCheckinPage();
+        ({ window } = page);
+    });
+
+    beforeEach(() => {
+        setRole(page, 'volunteer');
+        page.run('currentAttendeeData = null;');
+    });
+
+    // Render a response and return the response section
+    function show(response, email = EMAIL) {
+        window.displayResponse(response, email);
+        return window.document.getElementById('responseSection');
+    }
+
+    const title = (section) => section.querySelector('h3').textContent.trim();
+    const buttons = (section) => Array.from(section.querySelectorAll('button'), (button) => button.textContent.trim());
+
+    describe('NOT_FOUND', () => {
+        it('shows the message, or a default one', () => {
+            let section = show({ status: 'NOT_FOUND', message: 'No attendee found with this email address' });
+            assert.equal(title(section), 'Attendee Not Found');
+            assert.equal(section.querySelector('.response-message').className, 'response-message not-found');
+            assert.match(section.textContent, /No attendee found with this email address/);
+
+            section = show({ status: 'NOT_FOUND' });
+            assert.match(section.textContent, /No attendee found with this email address\./);
+        });
+
+        it('offers the walk-in form when the event takes walk-ins', () => {
+            let section = show({ status: 'NOT_FOUND', walkIn: { enabled: true, remaining: 3 } }, 'new"@example.com');
+            assert.ok(section.querySelector('#walkInForm'));
+            assert.match(section.querySelector('h4').textContent, /\(3 places left\)/);
+            assert.equal(section.querySelector('#walkInEmail').value, 'new"@example.com');
+
+            section = show({ status: 'NOT_FOUND', walkIn: { enabled: true, remaining: 1 } });
+            assert.match(section.querySelector('h4').textContent, /\(1 place left\)/);
+
+            section = show({ status: 'NOT_FOUND', walkIn: { enabled: true, remaining: null } });
+            assert.equal(section.querySelector('h4').textContent, 'Register as a walk-in');
+        });
+
+        it('says when walk-ins are full or off', () => {
+            let section = show({ status: 'NOT_FOUND', walkIn: { enabled: true, remaining: 0 } });
+            assert.equal(section.querySelector('#walkInForm'), null);
+            assert.match(section.textContent, /Walk-in registration is full/);
+
+            section = show({ status: 'NOT_FOUND', walkIn: { enabled: false } });
+            assert.equal(section.querySelector('#walkInForm'), null);
+            assert.doesNotMatch(section.textContent, /Walk-in/);
+        });
+    });
+
+    describe('ALREADY_CHECKED_IN', () => {
+        it('shows the attendee with check-out and badge buttons', () => {
+            const section = show({
+                status: 'ALREADY_CHECKED_IN',
+                message: 'Attendee already checked in',
+                attendee: { ...ATTENDEE, checkInTime: '2025-09-27T09:00:00.000Z' }
+            });
+
+            assert.equal(title(section), 'Already Checked In');
+            assert.match(section.textContent, /Attendee already checked in/);
+            assert.ok(section.querySelector('.attendee-details'));
+            assert.deepEqual(buttons(section), ['Check Out', 'Print Badge']);
+            assert.equal(section.querySelector('.checkout-btn').getAttribute('onclick'), `checkOutAttendee('${EMAIL}')`);
+        });
+
+        it('offers to check back in after a check-out', () => {
+            const section = show({ status: 'ALREADY_CHECKED_IN', attendee: ATTENDEE, checkedOutAt: '2025-09-27T12:00:00.000Z' });
+
+            assert.equal(title(section), 'Checked Out');
+            assert.match(section.textContent, /Checked out at /);
+            assert.deepEqual(buttons(section), ['Check Back In', 'Print Badge']);
+        });
+
+        it('lets leads undo the check-in', () => {
+            setRole(page, 'lead');
+            const section = show({ status: 'ALREADY_CHECKED_IN', attendee: ATTENDEE });
+
+            assert.deepEqual(buttons(section), ['Check Out', 'Print Badge', 'Undo Check-In']);
+        });
+
+        it('uses a default message without attendee details', () => {
+            const section = show({ status: 'ALREADY_CHECKED_IN' });
+
+            assert.match(section.textContent, /This attendee has already been checked in\./);
+            assert.equal(section.querySelector('.attendee-details'), null);
+        });
+    });
+
+    describe('CAN_CHECK_IN', () => {
+        it('keeps the attendee and offers the check-in', () => {
+            const section = show({ status: 'CAN_CHECK_IN', message: 'Attendee found', attendee: ATTENDEE });
+
+            assert.equal(title(section), 'Ready to Check In');
+            assert.match(section.textContent, /Attendee found/);
+            assert.ok(section.querySelector('.attendee-details'));
+            assert.equal(section.querySelector('.update-btn').getAttribute('onclick'), `updateAttendeeStatus('${EMAIL}')`);
+            assert.equal(page.run('currentAttendeeData.fullName'), 'Ada Lovelace');
+        });
+
+        it('shows the capacity note', () => {
+            const section = show({
+                status: 'CAN_CHECK_IN',
+                attendee: ATTENDEE,
+                capacity: { capacity: 50, inside: 12, full: false, waitlistLength: 3 }
+            });
+
+            assert.match(section.querySelector('.capacity-note').textContent, /12 of 50 inside, 3 on the waitlist/);
+            assert.match(section.textContent, /This attendee is ready to be checked in\./);
+        });
+    });
+
+    describe('SUCCESS', () => {
+        it('confirms the check-in', () => {
+            const section = show({ status: 'SUCCESS', attendee: { ...ATTENDEE, checkInTime: '2025-09-27T09:00:00.000Z' } });
+
+            assert.equal(title(section), 'Check-In Successful');
+            assert.match(section.textContent, /successfully checked in/);
+            assert.deepEqual(buttons(section), ['Print Badge']);
+        });
+
+        it('welcomes returning attendees and escapes capacity warnings', () => {
+            const section = show({ status: 'SUCCESS', returned: true, warning: '<b>Venue</b> is full', attendee: ATTENDEE });
+
+            assert.equal(title(section), 'Welcome Back');
+            assert.match(section.textContent, /checked back in/);
+            assert.equal(section.querySelector('.capacity-warning').textContent, '<b>Venue</b> is full');
+        });
+    });
+
+    describe('UNDONE', () => {
+        it('offers the check-in again', () => {
+            const section = show({ status: 'UNDONE', attendee: ATTENDEE });
+
+            assert.equal(title(section), 'Check-In Undone');
+            assert.match(section.textContent, /The check-in was reversed/);
+            assert.deepEqual(buttons(section), ['Update Attendee Status']);
+            assert.equal(page.run('currentAttendeeData.email'), EMAIL);
+        });
+    });
+
+    describe('CHECK_IN_IN_PROGRESS', () => {
+        it('names the other station, escaped, and offers a new lookup', () => {
+            const section = show({
+                status: 'CHECK_IN_IN_PROGRESS',
+                message: 'Already being checked in by <img src=x onerror=alert(1)>',
+                attendee: ATTENDEE
+            });
+
+            assert.equal(title(section), 'Being Checked In Elsewhere');
+            assert.equal(section.querySelector('img'), null);
+            assert.match(section.textContent, /Already being checked in by <img src=x onerror=alert\(1\)>\. Leave this attendee/);
+            assert.equal(section.querySelector('.update-btn').getAttribute('onclick'), `lookupAttendee('${EMAIL}')`);
+        });
+    });
+
+    describe('WAITLISTED', () => {
+        it('shows the waitlist position and a retry', () => {
+            const section = show({
+                status: 'WAITLISTED',
+                message: 'The venue is full. Added to the waitlist at position 2.',
+                capacity: { capacity: 50, inside: 50, full: true, waitlistLength: 2 },
+                attendee: ATTENDEE
+            });
+
+            assert.equal(title(section), 'Venue Full - Waitlisted');
+            assert.match(section.textContent, /position 2/);
+            assert.ok(section.querySelector('.capacity-note.full'));
+            assert.match(section.querySelector('.capacity-note').textContent, /50 of 50 inside, 2 on the waitlist - venue full/);
+            assert.deepEqual(buttons(section), ['Try Check-In Again']);
+        });
+    });
+
+    describe('CHECKED_OUT', () => {
+        it('names who was promoted from the waitlist', () => {
+            const section = show({
+                status: 'CHECKED_OUT',
+                message: 'Checked out',
+                promoted: { email: 'grace@example.com', fullName: 'Grace <Hopper>' }
+            });
+
+            assert.equal(title(section), 'Checked Out');
+            assert.equal(section.querySelector('.capacity-warning').textContent, 'Next from the waitlist: Grace <Hopper>');
+        });
+
+        it('falls back to the promoted email', () => {
+            const section = show({ status: 'CHECKED_OUT', promoted: { email: 'grace@example.com', fullName: null } });
+
+            assert.match(section.textContent, /This attendee has been checked out\./);
+            assert.match(section.querySelector('.capacity-warning').textContent, /grace@example\.com/);
+        });
+    });
+
+    describe('SESSION_CHECKED_IN', () => {
+        it('shows the session seats', () => {
+            const section = show({
+                status: 'SESSION_CHECKED_IN',
+                message: 'Checked in to Keynote',
+                session: { title: 'Keynote', attended: 3, capacity: 40 },
+                eventCheckedIn: true
+            });
+
+            assert.equal(title(section), 'Checked in to Keynote');
+            assert.equal(section.querySelector('.capacity-note').textContent, 'Keynote: 3 of 40 seats taken');
+            assert.equal(section.querySelector('.capacity-warning'), null);
+        });
+
+        it('warns when the attendee skipped the main desk', () => {
+            const section = show({
+                status: 'SESSION_CHECKED_IN',
+                message: 'Checked in to Workshop',
+                session: { title: 'Workshop', attended: 7, capacity: null },
+                eventCheckedIn: false
+            });
+
+            assert.equal(section.querySelector('.capacity-note').textContent, 'Workshop: 7 checked in');
+            assert.match(section.querySelector('.capacity-warning').textContent, /Not checked in at the main desk/);
+        });
+    });
+
+    describe('session errors', () => {
+        const TITLES = {
+            ALREADY_IN_SESSION: 'Already in This Session',
+            SESSION_FULL: 'Session Full',
+            NOT_REGISTERED: 'Not Registered for This Session'
+        };
+
+        Object.entries(TITLES).forEach(([status, expected]) => {
+            it(`shows ${status} with the error text`, () => {
+                const section = show({ status, error: `${status} <details>` });
+
+                assert.equal(title(section), expected);
+                assert.equal(section.querySelector('p').textContent, `${status} <details>`);
+                assert.equal(section.querySelector('.response-message').className, 'response-message already-checked-in');
+            });
+        });
+    });
+
+    describe('PENDING_SYNC', () => {
+        it('says the check-in is saved on the device', () => {
+            const section = show({ status: 'PENDING_SYNC', attendee: { ...ATTENDEE, checkInTime: '2025-09-27T09:00:00.000Z' } });
+
+            assert.equal(title(section), 'Saved Offline - Pending Sync');
+            assert.match(section.textContent, /will sync when the connection is back/);
+            assert.ok(section.querySelector('.attendee-details'));
+        });
+    });
+
+    describe('anything else', () => {
+        it('shows the error message', () => {
+            let section = show({ error: 'Lookup service unavailable' });
+            assert.equal(title(section), 'Error');
+            assert.match(section.textContent, /Lookup service unavailable/);
+
+            section = show({ status: 'SOMETHING_NEW' });
+            assert.match(section.textContent, /An unexpected error occurred\./);
+        });
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * renderAttendeeDetails (public/js/script.js)
+ *
+ * The page only sees canonical attendees; the server builds them from whichever field
+ * names the sheet behind n8n uses. Each variant goes through the webhook repository's
+ * normalizeLookupResponse, as a real lookup would, before it is rendered.
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeLookupResponse } = require('../../src/services/repositories/webhook');
+const { loadCheckinPage, setRole } = require('../support/page');
+
+const CHECK_IN_TIME = '2025-09-27T09:30:00.000Z';
+const REGISTERED = '2025-09-01T10:00:00.000Z';
+
+// The same attendee under every field name the webhook reads
+const VARIANTS = {
+    'n8n sheet names': {
+        Name: 'Ada Lovelace',
+        Email: 'ada@example.com',
+        PhoneNumber: '08012345678',
+        Profession: 'Engineer',
+        ExperienceLevel: 'Senior',
+        Gender: 'Female',
+        'Registration Date': REGISTERED,
+        'CheckIn Time': CHECK_IN_TIME
+    },
+    'camelCase names': {
+        fullName: 'Ada Lovelace',
+        email: 'ada@example.com',
+        phone: '08012345678',
+        profession: 'Engineer',
+        experienceLevel: 'Senior',
+        gender: 'Female',
+        registrationDate: REGISTERED,
+        checkInTime: CHECK_IN_TIME
+    },
+    'other spellings': {
+        name: 'Ada Lovelace',
+        email: 'ada@example.com',
+        Phone: '08012345678',
+        profession: 'Engineer',
+        experienceLevel: 'Senior',
+        gender: 'Female',
+        RegistrationDate: REGISTERED,
+        CheckInTime: CHECK_IN_TIME
+    }
+};
+
+// What a lookup hands the page for a raw webhook record
+function fromWebhook(record) {
+    return normalizeLookupResponse([{ status: 'ALREADY_CHECKED_IN', attendee: record }]).attendee;
+}
+
+describe('renderAttendeeDetails', () => {
+    let page;
+    let window;
+
+    before(async () => {
+        page = await loadCheckinPage();
+        ({ window } = page);
+    });
+
+    beforeEach(() => {
+        setRole(page, 'volunteer');
+    });
+
+    // Render an attendee and return { label: value } for each row
+    function render(attendee) {
+        const container = window.document.createElement('div');
+        container.innerHTML = window.renderAttendeeDetails(attendee);
+        const rows = {};
+        container.querySelectorAll('.detail-row').forEach((row) => {
+            rows[row.querySelector('.detail-label').textContent.replace(/:$/, '')] = row.querySelector('.detail-value');
+        });
+        return rows;
+    }
+
+    const text = (rows) => Object.fromEntries(Object.entries(rows).map(([label, value]) => [label, value.textContent]));
+
+    it('renders nothing without an attendee', () => {
+        assert.equal(window.renderAttendeeDetails(null), '');
+        assert.equal(window.renderAttendeeDetails(undefined), '');
+    });
+
+    Object.entries(VARIANTS).forEach(([variant, record]) => {
+        describe(`from ${variant}`, () => {
+            it('shows volunteers only the name, email and check-in time', () => {
+                const rows = text(render(fromWebhook(record)));
+
+                assert.deepEqual(Object.keys(rows), ['Name', 'Email', 'Check-in Time']);
+                assert.equal(rows.Name, 'Ada Lovelace');
+                assert.equal(rows.Email, 'ada@example.com');
+                assert.equal(rows['Check-in Time'], new window.Date(CHECK_IN_TIME).toLocaleString());
+            });
+
+            it('shows leads every field and the ticket link', () => {
+                setRole(page, 'lead');
+                const rows = render(fromWebhook(record));
+
+                assert.deepEqual(text(rows), {
+                    Name: 'Ada Lovelace',
+                    Email: 'ada@example.com',
+                    Phone: '08012345678',
+                    Profession: 'Engineer',
+                    'Experience Level': 'Senior',
+                    Gender: 'Female',
+                    'Registration Date': new window.Date(REGISTERED).toLocaleString(),
+                    'Check-in Time': new window.Date(CHECK_IN_TIME).toLocaleString(),
+                    'QR Ticket': 'View ticket'
+                });
+                assert.equal(rows['QR Ticket'].getAttribute('href'), '/api/tickets/ada%40example.com?format=png');
+            });
+        });
+    });
+
+    it('prefers the first field name when a record has several', () => {
+        const attendee = fromWebhook({ Name: 'From Name', fullName: 'From fullName', Email: 'ada@example.com', checkInTime: 'null', CheckInTime: CHECK_IN_TIME });
+        const rows = text(render(attendee));
+
+        assert.equal(rows.Name, 'From Name');
+        assert.equal(rows['Check-in Time'], new window.Date(CHECK_IN_TIME).toLocaleString());
+    });
+
+    [null, 'null', ''].forEach((blank) => {
+        it(`treats ${JSON.stringify(blank)} as not specified`, () => {
+            setRole(page, 'admin');
+            const record = { Name: blank, Email: blank, PhoneNumber: blank, Profession: blank, 'Registration Date': blank, 'CheckIn Time': blank };
+
+            // Straight from the webhook, and as raw values that reach the page unnormalized
+            [fromWebhook(record), { fullName: blank, email: blank, phone: blank, registrationDate: blank, checkInTime: blank }].forEach((attendee) => {
+                const rows = text(render(attendee));
+                assert.deepEqual(rows, {
+                    Name: 'Not specified',
+                    Email: 'Not specified',
+                    'Check-in Time': 'Not specified'
+                });
+            });
+        });
+    });
+
+    it('keeps leads from seeing a ticket link without an email', () => {
+        setRole(page, 'lead');
+        const rows = text(render({ fullName: 'Walk-in Guest' }));
+
+        assert.equal(rows.Name, 'Walk-in Guest');
+        assert.equal(rows.Email, 'Not specified');
+        assert.equal(rows['QR Ticket'], undefined);
+    });
+
+    it('hides the extra fields from kiosks', () => {
+        setRole(page, 'kiosk');
+        const rows = text(render(fromWebhook(VARIANTS['n8n sheet names'])));
+
+        assert.deepEqual(Object.keys(rows), ['Name', 'Email', 'Check-in Time']);
+    });
+});
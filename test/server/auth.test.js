@@ -0,0 +1,42 @@
+/**
+ * Staff sessions without a signing secret
+ *
+ * With neither SESSION_SECRET nor JWT_SECRET the session key would be public, so the
+ * app must refuse every session rather than sign or accept one.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { startApp, createClient } = require('../support/app');
+
+// The key an empty secret used to give; anyone can compute it
+const PUBLIC_KEY = crypto.createHmac('sha256', '').update('staff-session').digest('hex');
+
+describe('staff sessions without a secret', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ SESSION_SECRET: '' });
+        app.staffStore.createStaff({ username: 'admin', name: 'Admin', role: 'admin', password: 'admin-password' });
+        delete process.env.JWT_SECRET;
+    });
+
+    after(() => app.close());
+
+    it('refuses to log anyone in', async () => {
+        const response = await createClient(app.url).request('POST', '/api/auth/login', { username: 'admin', password: 'admin-password' });
+
+        assert.equal(response.status, 500);
+        assert.equal(response.body.error, 'Staff sessions are not configured');
+        assert.ok(!response.headers.getSetCookie().some((cookie) => cookie.startsWith('checkin_session=')));
+    });
+
+    it('does not accept a session signed with a key derived from an empty secret', async () => {
+        const token = jwt.sign({ sub: 'admin' }, PUBLIC_KEY, { algorithm: 'HS256', expiresIn: 3600, issuer: 'event-checkin-session' });
+        const response = await fetch(`${app.url}/api/auth/me`, { headers: { Cookie: `checkin_session=${token}` } });
+
+        assert.equal(response.status, 401);
+    });
+});
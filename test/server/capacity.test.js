@@ -0,0 +1,91 @@
+/**
+ * Venue capacity across restarts
+ *
+ * The default webhook source cannot list registrations without ROSTER_ENDPOINT, so the
+ * count inside must come from what capacity.json recorded. A restart is simulated by
+ * loading the server modules again over the same DATA_DIR.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SRC_DIR = path.join(__dirname, '../../src');
+const EVENT = { id: 'capacity-test', name: 'Capacity Test', source: 'webhook', capacity: 2, capacityMode: 'block' };
+
+// The capacity service as a freshly started server would load it
+function restartedCapacity() {
+    Object.keys(require.cache)
+        .filter((file) => file.startsWith(SRC_DIR))
+        .forEach((file) => delete require.cache[file]);
+    return require('../../src/services/capacity');
+}
+
+describe('capacity', () => {
+    let dataDir;
+
+    before(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkin-test-'));
+        Object.assign(process.env, { NODE_ENV: 'test', DATA_DIR: dataDir, ROSTER_ENDPOINT: '' });
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('still counts who is inside after a restart', async () => {
+        const capacity = restartedCapacity();
+        capacity.recordEntry(EVENT.id, 'ada@example.com');
+        capacity.recordEntry(EVENT.id, 'Grace@Example.com');
+
+        const restarted = restartedCapacity();
+        const occupancy = await restarted.getOccupancy(EVENT);
+        assert.equal(occupancy.inside, 2);
+        assert.equal(occupancy.full, true);
+
+        const admission = await restarted.admit(EVENT, { email: 'alan@example.com', fullName: 'Alan Turing' }, 'door');
+        assert.equal(admission.allowed, false);
+        assert.equal(admission.position, 1);
+    });
+
+    it('frees places for check-outs and undone check-ins', async () => {
+        const capacity = restartedCapacity();
+        const { promoted } = await capacity.checkOut(EVENT, 'ada@example.com');
+        assert.equal(promoted.email, 'alan@example.com');
+        capacity.recordUndo(EVENT.id, 'grace@example.com');
+
+        const restarted = restartedCapacity();
+        const occupancy = await restarted.getOccupancy(EVENT);
+        assert.equal(occupancy.inside, 0);
+
+        // Back in after checking out: counted once, no longer checked out
+        restarted.recordEntry(EVENT.id, 'ada@example.com');
+        assert.equal((await restartedCapacity().getOccupancy(EVENT)).inside, 1);
+        assert.equal(restartedCapacity().checkedOutAt(EVENT.id, 'ada@example.com'), null);
+    });
+
+    it('gives the last place to only one of two stations admitting at once', async () => {
+        const capacity = restartedCapacity();
+        const event = { ...EVENT, id: 'capacity-race', capacity: 1 };
+
+        const [ada, grace] = await Promise.all([
+            capacity.admit(event, { email: 'ada@example.com', fullName: 'Ada Lovelace' }, 'door1'),
+            capacity.admit(event, { email: 'grace@example.com', fullName: 'Grace Hopper' }, 'door2')
+        ]);
+        assert.equal(ada.allowed, true);
+        assert.equal(grace.allowed, false);
+        assert.equal((await capacity.admitWalkIn(event, 'new@example.com')).allowed, false);
+
+        // Ada's check-in failed: her place goes to the waitlist
+        capacity.releasePlace(event.id, 'ada@example.com');
+        assert.equal((await capacity.admit(event, { email: 'alan@example.com', fullName: 'Alan Turing' }, 'door1')).allowed, false);
+        assert.equal((await capacity.admit(event, { email: 'grace@example.com', fullName: 'Grace Hopper' }, 'door2')).allowed, true);
+
+        capacity.recordEntry(event.id, 'grace@example.com');
+        const occupancy = await capacity.getOccupancy(event);
+        assert.equal(occupancy.inside, 1);
+        assert.deepEqual(occupancy.waitlist.map((entry) => entry.email), ['alan@example.com']);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Check-in locks across stations
+ *
+ * Two volunteers on separate devices (stations named after their accounts) work the
+ * same door against the n8n stand-in.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createClient } = require('../support/app');
+const { startN8nStub } = require('../support/stubs');
+
+const EVENT_ID = 'dec-meetup-lagos-2025';
+
+describe('check-in locks', () => {
+    let app;
+    let n8n;
+    let door1;
+    let door2;
+    let checkinLocks;
+
+    before(async () => {
+        n8n = await startN8nStub({ 'ada@example.com': { Name: 'Ada Lovelace', Email: 'ada@example.com' } });
+        app = await startApp({
+            LOOKUP_ENDPOINT: `${n8n.url}/lookup`,
+            UPDATE_ENDPOINT: `${n8n.url}/update`,
+            REGISTER_ENDPOINT: `${n8n.url}/register`
+        });
+        checkinLocks = require('../../src/services/checkinLocks');
+        app.staffStore.createStaff({ username: 'admin', name: 'Admin', role: 'admin', password: 'admin-password' });
+        app.staffStore.createStaff({ username: 'door1', name: 'Door 1', role: 'volunteer', password: 'door1-password' });
+        app.staffStore.createStaff({ username: 'door2', name: 'Door 2', role: 'volunteer', password: 'door2-password' });
+
+        const admin = createClient(app.url);
+        await admin.login('admin', 'admin-password');
+        assert.equal((await admin.request('PUT', `/api/events/${EVENT_ID}`, { walkIns: true })).status, 200);
+
+        door1 = createClient(app.url);
+        await door1.login('door1', 'door1-password');
+        door2 = createClient(app.url);
+        await door2.login('door2', 'door2-password');
+    });
+
+    after(async () => {
+        await app.close();
+        await n8n.close();
+    });
+
+    const registrations = () => n8n.requests.filter((request) => request.url === '/register');
+
+    it('keeps an attendee with the station that looked them up', async () => {
+        assert.equal((await door1.request('POST', '/api/attendees/lookup', { email: 'ada@example.com' })).body.status, 'CAN_CHECK_IN');
+
+        const lookup = await door2.request('POST', '/api/attendees/lookup', { email: 'ada@example.com' });
+        assert.equal(lookup.body.status, 'CHECK_IN_IN_PROGRESS');
+        assert.equal(lookup.body.lockedBy, 'door1');
+
+        const refused = await door2.request('POST', '/api/attendees/checkin', { email: 'ada@example.com' });
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.status, 'CHECK_IN_IN_PROGRESS');
+
+        assert.equal((await door1.request('POST', '/api/attendees/checkin', { email: 'ada@example.com' })).status, 200);
+    });
+
+    it('refuses a walk-in another station is checking in', async () => {
+        checkinLocks.acquire(EVENT_ID, 'new@example.com', { deviceId: 'door-3-device', station: 'Door 3' });
+        try {
+            const refused = await door2.request('POST', '/api/attendees/walk-in', { email: 'new@example.com', fullName: 'New Person' });
+            assert.equal(refused.status, 409);
+            assert.equal(refused.body.status, 'CHECK_IN_IN_PROGRESS');
+            assert.equal(refused.body.lockedBy, 'Door 3');
+            assert.equal(registrations().length, 0);
+        } finally {
+            checkinLocks.release(EVENT_ID, 'new@example.com', 'door-3-device');
+        }
+
+        const registered = await door2.request('POST', '/api/attendees/walk-in', { email: 'new@example.com', fullName: 'New Person' });
+        assert.equal(registered.status, 201);
+        // Released once the walk-in is done
+        assert.equal(checkinLocks.getLock(EVENT_ID, 'new@example.com'), null);
+    });
+
+    it('registers a walk-in sent from two stations at once only once', async () => {
+        const body = { email: 'twin@example.com', fullName: 'Twin Walk-In' };
+        const responses = await Promise.all([
+            door1.request('POST', '/api/attendees/walk-in', body),
+            door2.request('POST', '/api/attendees/walk-in', body)
+        ]);
+
+        assert.deepEqual(responses.map((response) => response.status).sort(), [201, 409]);
+        assert.equal(registrations().filter((request) => request.body.Email === 'twin@example.com').length, 1);
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * GET /api/config
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createClient } = require('../support/app');
+
+describe('GET /api/config', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ JWT_SECRET: 'config-test-secret', RESEND_KEY: 're_secret' });
+    });
+
+    after(() => app.close());
+
+    it('is public and returns only safe settings', async () => {
+        const response = await createClient(app.url).request('GET', '/api/config');
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body, { NODE_ENV: 'test' });
+    });
+
+    it('never includes secrets', async () => {
+        const response = await createClient(app.url).request('GET', '/api/config');
+        const text = JSON.stringify(response.body);
+
+        assert.ok(!text.includes('config-test-secret'));
+        assert.ok(!text.includes('re_secret'));
+    });
+
+    it('defaults NODE_ENV to development', async () => {
+        delete process.env.NODE_ENV;
+        try {
+            const response = await createClient(app.url).request('GET', '/api/config');
+            assert.equal(response.body.NODE_ENV, 'development');
+        } finally {
+            process.env.NODE_ENV = 'test';
+        }
+    });
+});
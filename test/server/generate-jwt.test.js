@@ -0,0 +1,102 @@
+/**
+ * POST /api/generate-jwt
+ *
+ * Admin-only token for calling the n8n webhooks directly.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startApp, createClient } = require('../support/app');
+const { startN8nStub } = require('../support/stubs');
+
+const JWT_SECRET = 'generate-jwt-test-secret';
+
+describe('POST /api/generate-jwt', () => {
+    let app;
+    let n8n;
+    let admin;
+
+    before(async () => {
+        n8n = await startN8nStub({ 'ada@example.com': { Name: 'Ada Lovelace', Email: 'ada@example.com' } });
+        app = await startApp({
+            JWT_SECRET,
+            // Sessions keep working while a test removes JWT_SECRET
+            SESSION_SECRET: 'generate-jwt-test-session',
+            RATE_LIMIT_JWT: '2',
+            LOOKUP_ENDPOINT: `${n8n.url}/lookup`
+        });
+        app.staffStore.createStaff({ username: 'admin', name: 'Admin', role: 'admin', password: 'admin-password' });
+        app.staffStore.createStaff({ username: 'lead', name: 'Lead', role: 'lead', password: 'lead-password' });
+        app.staffStore.createStaff({ username: 'door', name: 'Door', role: 'volunteer', password: 'door-password' });
+
+        admin = createClient(app.url);
+        await admin.login('admin', 'admin-password');
+    });
+
+    after(async () => {
+        await app.close();
+        await n8n.close();
+    });
+
+    it('needs a staff session', async () => {
+        const response = await createClient(app.url).request('POST', '/api/generate-jwt');
+
+        assert.equal(response.status, 401);
+        assert.equal(response.body.error, 'Authentication required');
+    });
+
+    it('is refused to volunteers and leads', async () => {
+        for (const [username, password] of [['door', 'door-password'], ['lead', 'lead-password']]) {
+            const client = createClient(app.url);
+            await client.login(username, password);
+            const response = await client.request('POST', '/api/generate-jwt');
+
+            assert.equal(response.status, 403, username);
+            assert.equal(response.body.error, 'Insufficient permissions');
+        }
+    });
+
+    it('gives admins a one-hour HS256 token signed with JWT_SECRET', async () => {
+        const response = await admin.request('POST', '/api/generate-jwt');
+        assert.equal(response.status, 200);
+
+        const payload = jwt.verify(response.body.token, JWT_SECRET, { algorithms: ['HS256'] });
+        assert.equal(payload.sub, 'checkin-app');
+        assert.equal(payload.iss, 'event-checkin');
+        assert.equal(payload.exp - payload.iat, 60 * 60);
+        assert.throws(() => jwt.verify(response.body.token, 'some-other-secret'));
+    });
+
+    it('signs tokens the webhooks accept, like the server\'s own calls', async () => {
+        const lookup = await admin.request('POST', '/api/attendees/lookup', { email: 'ada@example.com' });
+        assert.equal(lookup.status, 200);
+
+        const sent = n8n.requests.at(-1).headers.authorization.replace(/^Bearer /, '');
+        assert.equal(jwt.verify(sent, JWT_SECRET).sub, 'checkin-app');
+    });
+
+    it('answers 500 when JWT_SECRET is missing', async () => {
+        delete process.env.JWT_SECRET;
+        try {
+            const response = await admin.request('POST', '/api/generate-jwt');
+            assert.equal(response.status, 500);
+            assert.equal(response.body.error, 'Failed to generate JWT token');
+        } finally {
+            process.env.JWT_SECRET = JWT_SECRET;
+        }
+    });
+
+    it('is rate limited per session', async () => {
+        // Earlier tests used up the admin's allowance of RATE_LIMIT_JWT=2
+        const response = await admin.request('POST', '/api/generate-jwt');
+
+        assert.equal(response.status, 429);
+        assert.ok(Number(response.headers.get('retry-after')) > 0);
+
+        // Another session has its own allowance
+        const other = createClient(app.url);
+        await other.login('admin', 'admin-password');
+        assert.equal((await other.request('POST', '/api/generate-jwt')).status, 200);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * POST /api/kiosk/exit
+ *
+ * Leaving kiosk mode needs KIOSK_PIN, logging out will not do; wrong PINs lock the
+ * kiosk out.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createClient } = require('../support/app');
+
+describe('POST /api/kiosk/exit', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ KIOSK_PIN: '2468' });
+        app.staffStore.createStaff({ username: 'tablet', name: 'Entrance Tablet', role: 'kiosk', password: 'tablet-password' });
+    });
+
+    after(() => app.close());
+
+    async function kiosk() {
+        const client = createClient(app.url);
+        await client.login('tablet', 'tablet-password');
+        return client;
+    }
+
+    it('ends kiosk mode with the right PIN', async () => {
+        const client = await kiosk();
+        assert.equal((await client.request('POST', '/api/kiosk/exit', { pin: '2468' })).status, 200);
+        assert.equal((await client.request('GET', '/api/kiosk/config')).status, 401);
+    });
+
+    it('cannot be left by logging out', async () => {
+        const client = await kiosk();
+        const response = await client.request('POST', '/api/auth/logout');
+        assert.equal(response.status, 403);
+        assert.match(response.body.error, /staff PIN/);
+        assert.equal((await client.request('GET', '/api/kiosk/config')).status, 200);
+    });
+
+    it('locks out after five wrong PINs, even from a new device', async () => {
+        const client = await kiosk();
+        for (let attempt = 1; attempt <= 5; attempt += 1) {
+            assert.equal((await client.request('POST', '/api/kiosk/exit', { pin: '0000' })).status, 403, `attempt ${attempt}`);
+        }
+        assert.equal((await client.request('POST', '/api/kiosk/exit', { pin: '2468' })).status, 429);
+
+        // A fresh session gets a new device cookie; the lockout still holds
+        const fresh = await kiosk();
+        const response = await fresh.request('POST', '/api/kiosk/exit', { pin: '2468' });
+        assert.equal(response.status, 429);
+        assert.match(response.body.error, /Too many wrong PINs/);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Attendee portal without JWT_SECRET
+ *
+ * Sign-in links and portal sessions are signed with keys derived from JWT_SECRET.
+ * Without it nothing is signed, and tokens signed with a key derived from an empty
+ * secret (which anyone can compute) are refused.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const EVENT_ID = 'dec-meetup-lagos-2025';
+
+// The key a portal token would be signed with if JWT_SECRET were ''
+const publicKey = (purpose) => crypto.createHmac('sha256', '').update(purpose).digest('hex');
+
+describe('portal without JWT_SECRET', () => {
+    let dataDir;
+    let portalLinks;
+    let portalSession;
+
+    before(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkin-test-'));
+        Object.assign(process.env, { NODE_ENV: 'test', DATA_DIR: dataDir });
+        delete process.env.JWT_SECRET;
+        portalLinks = require('../../src/services/portalLinks');
+        portalSession = require('../../src/middleware/portalSession');
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('signs no sign-in links and opens no forged ones', () => {
+        assert.equal(portalLinks.isConfigured(), false);
+        assert.throws(() => portalLinks.signLink('ada@example.com', EVENT_ID, portalLinks.createLink()), /JWT_SECRET/);
+
+        const forged = jwt.sign({ sub: 'ada@example.com', evt: EVENT_ID }, publicKey('attendee-portal'), {
+            algorithm: 'HS256',
+            issuer: 'event-checkin-portal-link',
+            jwtid: 'forged',
+            expiresIn: 60
+        });
+        assert.throws(() => portalLinks.consumeLink(forged), portalLinks.InvalidLinkError);
+    });
+
+    it('refuses portal sessions, even signed with a key derived from an empty secret', () => {
+        const forged = jwt.sign({ sub: 'ada@example.com', evt: EVENT_ID }, publicKey('attendee-portal-session'), {
+            algorithm: 'HS256',
+            issuer: 'event-checkin-portal'
+        });
+        const req = { headers: { cookie: `checkin_portal=${forged}` } };
+        const res = {
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        };
+        let passed = false;
+
+        portalSession.requirePortalSession(req, res, () => { passed = true; });
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 401);
+        assert.equal(req.portal, undefined);
+
+        assert.throws(() => portalSession.startPortalSession(res, { email: 'ada@example.com', eventId: EVENT_ID }), /JWT_SECRET/);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Roster import: duplicate rows and re-imports
+ *
+ * Empty cells never erase data, whether a later row repeats an email in the same
+ * file or a later import updates the stored roster.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const EVENT_ID = 'roster-test';
+
+describe('importRoster', () => {
+    let dataDir;
+    let rosterImport;
+    let rosterStore;
+
+    before(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkin-test-'));
+        Object.assign(process.env, { NODE_ENV: 'test', DATA_DIR: dataDir });
+        rosterImport = require('../../src/services/rosterImport');
+        rosterStore = require('../../src/services/rosterStore');
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const csv = (lines) => Buffer.from(['Name,Email,Phone,Profession', ...lines].join('\n'));
+
+    it('keeps the first row\'s data when a duplicate has blank cells', async () => {
+        const report = await rosterImport.importRoster(EVENT_ID, csv([
+            'Ada Lovelace,ada@example.com,0801,Engineer',
+            'Grace Hopper,grace@example.com,,',
+            'Ada,ADA@example.com,,'
+        ]), { format: 'csv' });
+
+        assert.deepEqual(report.duplicates, [{ row: 4, email: 'ada@example.com', firstRow: 2, updatedFields: ['fullName'] }]);
+        assert.equal(report.valid, 2);
+        const ada = rosterStore.findAttendee(EVENT_ID, 'ada@example.com');
+        assert.equal(ada.fullName, 'Ada');
+        assert.equal(ada.phone, '0801');
+        assert.equal(ada.profession, 'Engineer');
+    });
+
+    it('reports a duplicate that adds nothing', async () => {
+        const report = await rosterImport.importRoster(EVENT_ID, csv([
+            'Grace Hopper,grace@example.com,0802,',
+            'Grace Hopper,grace@example.com,,'
+        ]), { format: 'csv', dryRun: true });
+
+        assert.deepEqual(report.duplicates[0].updatedFields, []);
+    });
+
+    it('never lets a re-import blank out stored fields', async () => {
+        rosterStore.setCheckInTime(EVENT_ID, 'ada@example.com', '2025-09-27T09:00:00.000Z');
+        const report = await rosterImport.importRoster(EVENT_ID, csv([
+            'Ada Lovelace,ada@example.com,,Mathematician'
+        ]), { format: 'csv' });
+
+        assert.equal(report.updated, 1);
+        const ada = rosterStore.findAttendee(EVENT_ID, 'ada@example.com');
+        assert.equal(ada.fullName, 'Ada Lovelace');
+        assert.equal(ada.phone, '0801');
+        assert.equal(ada.profession, 'Mathematician');
+        assert.equal(ada.checkInTime, '2025-09-27T09:00:00.000Z');
+    });
+});
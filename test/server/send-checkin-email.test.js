@@ -0,0 +1,129 @@
+/**
+ * POST /api/send-checkin-email
+ *
+ * Full check-in against the n8n stand-in, then the confirmation email through the
+ * queue to the Resend stand-in.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createClient, waitFor } = require('../support/app');
+const { startN8nStub, startResendStub } = require('../support/stubs');
+
+describe('POST /api/send-checkin-email', () => {
+    let app;
+    let n8n;
+    let resend;
+    let door;
+
+    before(async () => {
+        n8n = await startN8nStub({
+            'ada@example.com': { Name: 'Ada Lovelace', Email: 'ada@example.com', PhoneNumber: '08012345678', 'CheckIn Time': null },
+            'grace@example.com': { fullName: 'Grace Hopper', email: 'grace@example.com' }
+        });
+        resend = await startResendStub();
+        app = await startApp({
+            LOOKUP_ENDPOINT: `${n8n.url}/lookup`,
+            UPDATE_ENDPOINT: `${n8n.url}/update`,
+            MAIL_TRANSPORT: 'resend',
+            RESEND_KEY: 're_test_key',
+            // Read by the Resend SDK when the mailer first loads it
+            RESEND_BASE_URL: resend.url,
+            EMAIL_FROM: 'checkin@example.com',
+            RATE_LIMIT_EMAIL: '6'
+        });
+        app.staffStore.createStaff({ username: 'door', name: 'Door', role: 'volunteer', password: 'door-password' });
+
+        door = createClient(app.url);
+        await door.login('door', 'door-password');
+    });
+
+    after(async () => {
+        await app.close();
+        await n8n.close();
+        await resend.close();
+    });
+
+    async function checkIn(email) {
+        const response = await door.request('POST', '/api/attendees/checkin', { email });
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+        assert.equal(response.body.status, 'SUCCESS');
+        return response.body;
+    }
+
+    it('needs a staff session', async () => {
+        const response = await createClient(app.url).request('POST', '/api/send-checkin-email', { toEmail: 'ada@example.com' });
+
+        assert.equal(response.status, 401);
+    });
+
+    it('needs a valid toEmail', async () => {
+        const response = await door.request('POST', '/api/send-checkin-email', { toEmail: 'not-an-email' });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, 'A valid toEmail is required');
+    });
+
+    it('only emails attendees who just checked in', async () => {
+        const response = await door.request('POST', '/api/send-checkin-email', { toEmail: 'grace@example.com' });
+
+        assert.equal(response.status, 403);
+        assert.equal(response.body.status, 'NOT_RECENTLY_CHECKED_IN');
+        assert.equal(resend.requests.length, 0);
+    });
+
+    it('queues the confirmation and delivers it through Resend', async () => {
+        await checkIn('ada@example.com');
+        const update = n8n.requests.find((request) => request.url === '/update');
+        assert.equal(update.body.Email, 'ada@example.com');
+        assert.equal(update.body.CheckIn, true);
+        assert.ok(n8n.records['ada@example.com']['CheckIn Time']);
+
+        const response = await door.request('POST', '/api/send-checkin-email', {
+            toEmail: 'Ada@Example.com',
+            fullName: 'Ada Lovelace'
+        });
+        assert.equal(response.status, 202);
+        assert.equal(response.body.success, true);
+        assert.equal(response.body.deduplicated, false);
+
+        const sent = await waitFor(() => resend.requests.find((request) => request.url === '/emails'));
+        assert.equal(sent.headers.authorization, 'Bearer re_test_key');
+        assert.ok(sent.headers['idempotency-key'].startsWith(`${response.body.jobId}:`));
+        assert.deepEqual([].concat(sent.body.to), ['ada@example.com']);
+        assert.equal(sent.body.from, 'DEC Meetup Lagos <checkin@example.com>');
+        assert.match(sent.body.subject, /^Check-In Confirmed/);
+        assert.match(sent.body.html, /Ada Lovelace/);
+    });
+
+    it('does not queue the same confirmation twice', async () => {
+        const response = await door.request('POST', '/api/send-checkin-email', { toEmail: 'ada@example.com' });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.deduplicated, true);
+        assert.equal(resend.requests.filter((request) => request.url === '/emails').length, 1);
+    });
+
+    it('answers 500 when no mail transport is configured', async () => {
+        await checkIn('grace@example.com');
+        process.env.MAIL_TRANSPORT = '';
+        delete process.env.RESEND_KEY;
+        try {
+            const response = await door.request('POST', '/api/send-checkin-email', { toEmail: 'grace@example.com' });
+            assert.equal(response.status, 500);
+            assert.equal(response.body.error, 'Email service not configured');
+        } finally {
+            process.env.MAIL_TRANSPORT = 'resend';
+            process.env.RESEND_KEY = 're_test_key';
+        }
+    });
+
+    it('is rate limited per session', async () => {
+        // Five calls so far against RATE_LIMIT_EMAIL=6
+        assert.equal((await door.request('POST', '/api/send-checkin-email', { toEmail: 'grace@example.com' })).status, 202);
+
+        const response = await door.request('POST', '/api/send-checkin-email', { toEmail: 'grace@example.com' });
+        assert.equal(response.status, 429);
+        assert.ok(Number(response.headers.get('retry-after')) > 0);
+    });
+});
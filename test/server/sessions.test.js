@@ -0,0 +1,56 @@
+/**
+ * Session seats
+ *
+ * Seats are taken by attendees checked in to the session and held for pre-registered
+ * attendees who have not arrived yet.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const EVENT_ID = 'dec-meetup-lagos-2025';
+const CONTEXT = { checkInTime: '2025-12-06T10:00:00.000Z', checkedInBy: 'door' };
+
+describe('session seats', () => {
+    let dataDir;
+    let sessions;
+
+    before(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkin-test-'));
+        Object.assign(process.env, { NODE_ENV: 'test', DATA_DIR: dataDir });
+        sessions = require('../../src/services/sessions');
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const attendee = (name) => ({ email: `${name}@example.com`, fullName: name });
+    const code = (expected) => (error) => error instanceof sessions.SessionError && error.code === expected;
+
+    it('does not pre-register for seats taken by attendees who came without registering', () => {
+        sessions.createSession(EVENT_ID, { id: 'workshop', title: 'Workshop', capacity: 2 });
+        sessions.checkIn(EVENT_ID, 'workshop', attendee('ada'), CONTEXT);
+        sessions.register(EVENT_ID, 'workshop', attendee('grace'), 'lead');
+
+        assert.throws(() => sessions.register(EVENT_ID, 'workshop', attendee('alan'), 'lead'), code('SESSION_FULL'));
+        assert.throws(() => sessions.checkIn(EVENT_ID, 'workshop', attendee('alan'), CONTEXT), code('SESSION_FULL'));
+
+        // Grace's seat was held for her
+        assert.equal(sessions.checkIn(EVENT_ID, 'workshop', attendee('grace'), CONTEXT).preRegistered, true);
+        assert.equal(sessions.summarize(EVENT_ID, sessions.getSession(EVENT_ID, 'workshop')).seatsLeft, 0);
+    });
+
+    it('turns pre-registered attendees away once the capacity is lowered below the seats taken', () => {
+        sessions.createSession(EVENT_ID, { id: 'keynote', title: 'Keynote', capacity: 2 });
+        sessions.register(EVENT_ID, 'keynote', attendee('ada'), 'lead');
+        sessions.register(EVENT_ID, 'keynote', attendee('grace'), 'lead');
+        sessions.checkIn(EVENT_ID, 'keynote', attendee('ada'), CONTEXT);
+        sessions.updateSession(EVENT_ID, 'keynote', { capacity: 1 });
+
+        assert.throws(() => sessions.checkIn(EVENT_ID, 'keynote', attendee('grace'), CONTEXT), code('SESSION_FULL'));
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * QR tickets without a signing secret
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+describe('tickets without TICKET_SECRET or JWT_SECRET', () => {
+    let tickets;
+
+    before(() => {
+        delete process.env.TICKET_SECRET;
+        delete process.env.JWT_SECRET;
+        tickets = require('../../src/services/tickets');
+    });
+
+    it('are not issued', () => {
+        assert.equal(tickets.isConfigured(), false);
+        assert.throws(() => tickets.signTicket('ada@example.com', 'dec-meetup-lagos-2025'), /TICKET_SECRET or JWT_SECRET/);
+    });
+
+    it('are not accepted, even signed with a key derived from an empty secret', () => {
+        const publicKey = crypto.createHmac('sha256', '').update('qr-ticket').digest('hex');
+        const forged = jwt.sign({ sub: 'ada@example.com', evt: 'dec-meetup-lagos-2025' }, publicKey, {
+            algorithm: 'HS256',
+            issuer: 'event-checkin-ticket'
+        });
+
+        assert.throws(() => tickets.verifyTicket(forged), tickets.InvalidTicketError);
+    });
+
+    it('work again once a secret is set', () => {
+        process.env.TICKET_SECRET = 'ticket-test-secret';
+        try {
+            const token = tickets.signTicket('ada@example.com', 'dec-meetup-lagos-2025');
+            assert.deepEqual(tickets.verifyTicket(token), { email: 'ada@example.com', eventId: 'dec-meetup-lagos-2025' });
+        } finally {
+            delete process.env.TICKET_SECRET;
+        }
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Test App
+ *
+ * Runs the check-in app (see src/app.js) on a free local port with its data in a fresh
+ * temporary directory, and gives tests a small client that keeps the staff session
+ * cookie. Each test file runs in its own process, so environment set here only
+ * affects that file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+// Settings every test app starts from; tests add their own on top
+const BASE_ENV = {
+    NODE_ENV: 'test',
+    JWT_SECRET: 'test-jwt-secret',
+    DEFAULT_EVENT_ID: '',
+    MAIL_TRANSPORT: '',
+    RESEND_KEY: '',
+    SMTP_HOST: '',
+    TRUST_PROXY: ''
+};
+
+/**
+ * Start the app
+ * @param {Object} [env] - Environment for this test file (stand-in URLs, mail settings...)
+ * @returns {Promise<Object>} { url, dataDir, staffStore, close }
+ */
+async function startApp(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkin-test-'));
+    Object.assign(process.env, BASE_ENV, { DATA_DIR: dataDir }, env);
+
+    const { createApp } = require('../../src/app');
+    const server = createApp().listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        dataDir,
+        staffStore: require('../../src/services/staffStore'),
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections();
+            server.close(() => {
+                fs.rmSync(dataDir, { recursive: true, force: true });
+                resolve();
+            });
+        })
+    };
+}
+
+/**
+ * HTTP client for the test app that keeps cookies between requests
+ * @param {string} baseUrl - App URL
+ * @returns {Object} { request, login }
+ */
+function createClient(baseUrl) {
+    const cookies = new Map();
+
+    /**
+     * @param {string} method - HTTP method
+     * @param {string} route - Path under the app URL
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object>} { status, headers, body } with body parsed when JSON
+     */
+    async function request(method, route, body) {
+        const headers = {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (cookies.size) {
+            headers.Cookie = Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ');
+        }
+
+        const response = await fetch(`${baseUrl}${route}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+            redirect: 'manual'
+        });
+        response.headers.getSetCookie().forEach((cookie) => {
+            const [pair] = cookie.split(';');
+            const index = pair.indexOf('=');
+            cookies.set(pair.slice(0, index), pair.slice(index + 1));
+        });
+
+        const text = await response.text();
+        let parsed = text;
+        if ((response.headers.get('content-type') || '').includes('application/json')) {
+            parsed = JSON.parse(text);
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    async function login(username, password) {
+        const response = await request('POST', '/api/auth/login', { username, password });
+        if (response.status !== 200) {
+            throw new Error(`Login as ${username} failed with ${response.status}`);
+        }
+        return response.body.user;
+    }
+
+    return { request, login };
+}
+
+/**
+ * Wait until a condition holds (e.g. the email queue has sent a job)
+ * @param {Function} check - Returns a truthy value when done
+ * @param {number} [timeoutMs] - Give up after this long
+ * @returns {Promise<*>} The truthy value
+ */
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    let value = await check();
+    while (!value) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        value = await check();
+    }
+    return value;
+}
+
+module.exports = {
+    startApp,
+    createClient,
+    waitFor
+};
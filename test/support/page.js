@@ -0,0 +1,63 @@
+/**
+ * Check-In Page in jsdom
+ *
+ * Loads public/index.html and the page scripts into a jsdom window so tests can call
+ * the page's global functions (displayResponse, renderAttendeeDetails...). The
+ * scripts run after the page has loaded, so initializeApp never starts: nothing is
+ * fetched and no staff session is needed, the test sets the signed-in user itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const PUBLIC_DIR = path.join(__dirname, '../../public');
+
+// Scripts the check-in page's rendering needs, in page order
+const SCRIPTS = ['js/utils.js', 'js/session.js', 'js/script.js'];
+
+/**
+ * Load the check-in page
+ * @param {Object} [options] - { role } of the signed-in staff member (default 'volunteer')
+ * @returns {Promise<Object>} { window, run } where run(code) evaluates code on the page
+ */
+async function loadCheckinPage({ role = 'volunteer' } = {}) {
+    const html = fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        // The page logs as it renders; keep test output clean
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+    if (window.document.readyState !== 'complete') {
+        await new Promise((resolve) => window.addEventListener('load', resolve));
+    }
+
+    // Classic scripts, like <script> tags: their top-level let/const (currentUser,
+    // currentAttendeeData) are shared, where window.eval would keep them to itself
+    const context = dom.getInternalVMContext();
+    const run = (code) => new vm.Script(code).runInContext(context);
+
+    SCRIPTS.forEach((script) => {
+        run(fs.readFileSync(path.join(PUBLIC_DIR, script), 'utf8'));
+    });
+    const page = { window, run };
+    setRole(page, role);
+    return page;
+}
+
+/**
+ * Sign a different staff role in on a loaded page
+ * @param {Object} page - Page from loadCheckinPage
+ * @param {string} role - 'kiosk', 'volunteer', 'lead' or 'admin'
+ */
+function setRole(page, role) {
+    page.run(`currentUser = ${JSON.stringify({ username: role, name: role, role })};`);
+}
+
+module.exports = {
+    loadCheckinPage,
+    setRole
+};
@@ -0,0 +1,108 @@
+/**
+ * Local Stand-Ins for External Services
+ *
+ * Small HTTP servers that play the n8n lookup/update webhooks and the Resend API on a
+ * free local port. Every request is recorded ({ method, url, headers, body }) so tests
+ * can check what the app sent.
+ */
+
+const http = require('http');
+const { once } = require('events');
+
+/**
+ * Start an HTTP server that parses JSON bodies and records requests
+ * @param {Function} handler - (request, res) where request is the recorded request
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+async function startStub(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            let body = null;
+            try {
+                body = raw ? JSON.parse(raw) : null;
+            } catch (_) {
+                body = raw;
+            }
+            const request = { method: req.method, url: req.url, headers: req.headers, body };
+            requests.push(request);
+            handler(request, res);
+        });
+    });
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Stand-in for the n8n lookup (POST /lookup), update (POST /update) and walk-in
+ * register (POST /register) webhooks.
+ * Records keep whatever field names the test gives them, like the sheet behind n8n;
+ * the lookup answers in n8n's array-wrapped shape.
+ * @param {Object} records - email -> attendee record (raw source field names)
+ * @returns {Promise<Object>} Stub with `records` as well
+ */
+async function startN8nStub(records = {}) {
+    const stub = await startStub((request, res) => {
+        if (!String(request.headers.authorization || '').startsWith('Bearer ')) {
+            return sendJSON(res, 401, { message: 'Authorization required' });
+        }
+
+        const email = String((request.body && request.body.Email) || '').toLowerCase();
+        const record = records[email];
+        if (request.url === '/lookup') {
+            if (!record) return sendJSON(res, 200, { status: 'NOT_FOUND', message: 'No attendee found with this email address' });
+            const checkedIn = record['CheckIn Time'] || record.checkInTime || record.CheckInTime;
+            return sendJSON(res, 200, [{ status: checkedIn ? 'ALREADY_CHECKED_IN' : 'CAN_CHECK_IN', attendee: record }]);
+        }
+        if (request.url === '/update') {
+            if (!record) return sendJSON(res, 404, { message: 'Not found' });
+            record['CheckIn Time'] = request.body['CheckIn Time'];
+            return sendJSON(res, 200, { success: true });
+        }
+        if (request.url === '/register') {
+            records[email] = request.body;
+            return sendJSON(res, 200, { success: true });
+        }
+        return sendJSON(res, 404, { message: 'Unknown webhook' });
+    });
+    return { ...stub, records };
+}
+
+/**
+ * Stand-in for the Resend API: POST /emails answers with a new message id
+ * @returns {Promise<Object>} Stub
+ */
+async function startResendStub() {
+    let sent = 0;
+    return startStub((request, res) => {
+        if (request.method === 'POST' && request.url === '/emails') {
+            sent += 1;
+            return sendJSON(res, 200, { id: `re_test_${sent}` });
+        }
+        return sendJSON(res, 404, { name: 'not_found', message: 'Unknown route' });
+    });
+}
+
+module.exports = {
+    startN8nStub,
+    startResendStub
+};